@@ -0,0 +1,49 @@
+// backend/controllers/authController.js
+import StoreOwner from '../models/StoreOwner.js';
+import { signOwnerToken } from '../middleware/auth.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+
+/**
+ * Shapes the owner data returned to the client alongside a token.
+ * @param {import('mongoose').Document} owner - The StoreOwner document.
+ * @returns {{ id: string, name: string, email: string, storeId: string }}
+ */
+const toOwnerResponse = (owner) => ({
+  id: owner._id.toString(),
+  name: owner.name,
+  email: owner.email,
+  storeId: owner.storeId.toString(),
+});
+
+/**
+ * POST /api/auth/login
+ * Body: { email, password }
+ * Returns { token, owner } on success. The same 401 message is used for an
+ * unknown email and a wrong password so accounts can't be enumerated.
+ */
+const login = catchAsync(async (req, res) => {
+  const { email, password } = req.body ?? {};
+  if (typeof email !== 'string' || !email.trim() || typeof password !== 'string' || !password) {
+    throw new AppError('Please provide email and password', 400);
+  }
+
+  const owner = await StoreOwner.findOne({ email: email.trim().toLowerCase() }).select('+password');
+  if (!owner || !owner.isActive || !(await owner.isCorrectPassword(password))) {
+    throw new AppError('Incorrect email or password', 401);
+  }
+
+  res.status(200).json({
+    token: signOwnerToken(owner),
+    owner: toOwnerResponse(owner),
+  });
+});
+
+/**
+ * GET /api/auth/me
+ * Returns the logged-in owner. Requires the `protect` middleware.
+ */
+const getCurrentOwner = (req, res) => {
+  res.status(200).json({ owner: toOwnerResponse(req.owner) });
+};
+
+export { login, getCurrentOwner };
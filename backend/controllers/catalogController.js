@@ -0,0 +1,126 @@
+// backend/controllers/catalogController.js
+import Store from '../models/Store.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+import { parseCsvRecords, toCsv } from '../utils/csv.js';
+import {
+  IMPORT_MODES,
+  MAX_IMPORT_ROWS,
+  CATALOG_COLUMNS,
+  planImport,
+  applyImportPlan,
+  buildReplaceUpdate,
+  summariseImportPlan,
+  toExportRecords,
+} from '../services/catalogImportService.js';
+import { findStoreOrFail } from './storeController.js';
+import { saveCatalog } from './productController.js';
+
+/**
+ * Extracts import rows from the request body.
+ * CSV is sent as text/csv with a header row; JSON as an array of products
+ * or as { products: [...] }.
+ * @param {import('express').Request} req - The Express request.
+ * @returns {Array<Record<string, unknown>>} The raw rows.
+ * @throws {AppError} 400 if the body is missing or can't be parsed.
+ */
+const readImportRows = (req) => {
+  if (req.is('text/csv') || req.is('text/plain')) {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw new AppError('The CSV file is empty', 400);
+    }
+    try {
+      return parseCsvRecords(req.body);
+    } catch (err) {
+      throw new AppError(`Could not read CSV: ${err.message}`, 400);
+    }
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body?.products;
+  if (!Array.isArray(rows)) {
+    throw new AppError('Send products as a JSON array, { "products": [...] }, or a text/csv file', 400);
+  }
+  return rows;
+};
+
+/**
+ * POST /api/stores/:storeId/products/import?mode=upsert|replace&dryRun=true
+ *
+ * Bulk-imports products from CSV (columns: id, name, category, price, stock)
+ * or JSON. Every row is validated against the product schema first. If any
+ * row fails, nothing is saved and the row-level errors are returned; a dry
+ * run returns the same report without saving even when every row is valid.
+ */
+const importProducts = catchAsync(async (req, res) => {
+  const mode = req.query.mode ?? 'upsert';
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new AppError(`mode must be one of: ${IMPORT_MODES.join(', ')}`, 400);
+  }
+  const dryRun = req.query.dryRun === 'true';
+
+  const rows = readImportRows(req);
+  if (rows.length === 0) {
+    throw new AppError('The import file has no product rows', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`An import can contain at most ${MAX_IMPORT_ROWS} products`, 400);
+  }
+
+  const store = await findStoreOrFail(req.params.storeId);
+  const plan = planImport(store, rows, mode);
+  const report = {
+    mode,
+    dryRun,
+    applied: false,
+    summary: summariseImportPlan(plan, rows.length),
+    errors: plan.errors,
+  };
+
+  if (plan.errors.length > 0 && !dryRun) {
+    throw new AppError(
+      `Import rejected: ${plan.errors.length} row(s) have errors. Nothing was saved.`,
+      400,
+      report
+    );
+  }
+  if (dryRun) {
+    return res.status(200).json(report);
+  }
+
+  applyImportPlan(store, plan, mode);
+  if (mode === 'replace') {
+    const { filter, update } = buildReplaceUpdate(store, plan);
+    const result = await Store.updateOne(filter, update);
+    if (result.matchedCount === 0) {
+      throw new AppError('The product list was changed by someone else. Please refresh and try again.', 409);
+    }
+    const updated = await Store.findById(store._id, 'products');
+    return res.status(200).json({ ...report, applied: true, products: updated.products });
+  }
+  await saveCatalog(store);
+
+  res.status(200).json({ ...report, applied: true, products: store.products });
+});
+
+/**
+ * GET /api/stores/:storeId/products/export?format=csv|json
+ * Downloads the catalog in a format the import endpoint accepts back.
+ */
+const exportProducts = catchAsync(async (req, res) => {
+  const format = req.query.format ?? 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    throw new AppError("format must be 'csv' or 'json'", 400);
+  }
+
+  const store = await findStoreOrFail(req.params.storeId);
+  const records = toExportRecords(store);
+  const filename = `products-${store._id}.${format}`;
+
+  res.attachment(filename);
+  if (format === 'csv') {
+    res.type('text/csv').send(toCsv(CATALOG_COLUMNS, records));
+  } else {
+    res.json(records);
+  }
+});
+
+export { importProducts, exportProducts };
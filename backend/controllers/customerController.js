@@ -0,0 +1,313 @@
+// backend/controllers/customerController.js
+import mongoose from 'mongoose';
+import Customer, { MAX_SAVED_ADDRESSES, MAX_SAVED_CART_LINES } from '../models/Customer.js';
+import Order, { ORDER_STATUSES } from '../models/Order.js';
+import Store from '../models/Store.js';
+import { signCustomerToken } from '../middleware/auth.js';
+import { requestLoginOtp, verifyLoginOtp, OTP_LENGTH } from '../services/otpService.js';
+import { toCustomerOrderView } from '../services/orderTrackingService.js';
+import { AppError, catchAsync, getPaginationParams, buildPaginatedResponse } from '../utils/backendUtils.js';
+import { parseMobileNumber } from '../utils/phone.js';
+import { parseAddressInput, toAddressResponse } from '../utils/address.js';
+
+/**
+ * Shapes the customer data returned to the client. Saved addresses are listed
+ * most recently used first, then newest first.
+ * @param {import('mongoose').Document} customer - The Customer document.
+ * @returns {{ id: string, phone: string, name: string | null,
+ *   addresses: Array<ReturnType<typeof toAddressResponse>> }}
+ */
+const toCustomerResponse = (customer) => {
+  const recency = (address) => Math.max(address.lastUsedAt?.getTime() ?? 0, address.createdAt?.getTime() ?? 0);
+  return {
+    id: customer._id.toString(),
+    phone: customer.phone,
+    name: customer.name ?? null,
+    addresses: [...(customer.addresses ?? [])]
+      .sort((a, b) => recency(b) - recency(a))
+      .map(toAddressResponse),
+  };
+};
+
+/**
+ * Finds an address in the customer's address book or throws a 404 AppError.
+ * @param {import('mongoose').Document} customer
+ * @param {string} addressId
+ * @returns {import('mongoose').Types.Subdocument}
+ */
+const findSavedAddressOrFail = (customer, addressId) => {
+  const address = mongoose.isValidObjectId(addressId) ? customer.addresses.id(addressId) : null;
+  if (!address) {
+    throw new AppError('That address is not in your address book.', 404);
+  }
+  return address;
+};
+
+/**
+ * Reads and normalises `phone` from the request body.
+ * @param {object} body
+ * @returns {string}
+ * @throws {AppError} 400 if it isn't a 10-digit mobile number.
+ */
+const readPhone = (body) => {
+  const phone = parseMobileNumber(body?.phone);
+  if (!phone) {
+    throw new AppError('Please enter a valid 10-digit mobile number', 400);
+  }
+  return phone;
+};
+
+/**
+ * POST /api/customers/otp
+ * Body: { phone }
+ * Texts a login code to the number. Works the same whether or not an account
+ * exists yet: verifying the code creates it.
+ */
+const requestOtp = catchAsync(async (req, res) => {
+  const phone = readPhone(req.body);
+  const result = await requestLoginOtp({ phone, ip: req.ip });
+
+  res.status(202).json({ phone, ...result });
+});
+
+/**
+ * POST /api/customers/login
+ * Body: { phone, code }
+ * Exchanges a login code for { token, customer, isNewCustomer }. The first
+ * login creates the account and links earlier guest orders placed with the
+ * same number, since the customer has now proved they own it.
+ */
+const login = catchAsync(async (req, res) => {
+  const phone = readPhone(req.body);
+  const code = String(req.body?.code ?? '').trim();
+  if (!new RegExp(`^\\d{${OTP_LENGTH}}$`).test(code)) {
+    throw new AppError(`Please enter the ${OTP_LENGTH}-digit code we sent you`, 400);
+  }
+
+  await verifyLoginOtp({ phone, code });
+
+  const existing = await Customer.findOne({ phone });
+  if (existing && !existing.isActive) {
+    throw new AppError('This account has been disabled.', 403);
+  }
+  const customer = await Customer.findOneAndUpdate(
+    { phone },
+    { $set: { lastLoginAt: new Date() } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  if (!existing) {
+    await Order.updateMany(
+      { 'customerDetails.phone': phone, customerId: { $exists: false } },
+      { $set: { customerId: customer._id } }
+    );
+  }
+
+  res.status(200).json({
+    token: signCustomerToken(customer),
+    customer: toCustomerResponse(customer),
+    isNewCustomer: !existing,
+  });
+});
+
+/**
+ * GET /api/customers/me
+ * Returns the logged-in customer. Requires the `protectCustomer` middleware.
+ */
+const getCurrentCustomer = (req, res) => {
+  res.status(200).json({ customer: toCustomerResponse(req.customer) });
+};
+
+/**
+ * PATCH /api/customers/me
+ * Body: { name }
+ * Updates the name prefilled at checkout. The phone number can't be changed
+ * here; it is the login. Addresses have their own endpoints below.
+ */
+const updateCurrentCustomer = catchAsync(async (req, res) => {
+  const { name } = req.body ?? {};
+  if (typeof name !== 'string') {
+    throw new AppError('Nothing to update. Send name as a string.', 400);
+  }
+
+  const customer = await Customer.findByIdAndUpdate(
+    req.customer._id,
+    { $set: { name: name.trim() } },
+    { new: true, runValidators: true }
+  );
+  res.status(200).json({ customer: toCustomerResponse(customer) });
+});
+
+/**
+ * POST /api/customers/me/addresses
+ * Body: { label?, house, street?, landmark?, city, pincode, lat?, lng? }
+ * Adds an address to the address book. Responds with the updated customer.
+ */
+const addAddress = catchAsync(async (req, res) => {
+  const address = parseAddressInput(req.body);
+  const { customer } = req;
+  if (customer.addresses.length >= MAX_SAVED_ADDRESSES) {
+    throw new AppError(`You can save up to ${MAX_SAVED_ADDRESSES} addresses. Remove one to add another.`, 400);
+  }
+
+  customer.addresses.push(address);
+  await customer.save();
+  res.status(201).json({ customer: toCustomerResponse(customer) });
+});
+
+/**
+ * PATCH /api/customers/me/addresses/:addressId
+ * Body: the full address, as for adding one; it replaces the saved fields.
+ * Responds with the updated customer.
+ */
+const updateAddress = catchAsync(async (req, res) => {
+  const { customer } = req;
+  const saved = findSavedAddressOrFail(customer, req.params.addressId);
+  const address = parseAddressInput(req.body);
+
+  // Optional parts left out of the body are cleared, so the address reads as entered
+  ['label', 'street', 'landmark', 'location'].forEach((field) => saved.set(field, undefined));
+  saved.set(address);
+  await customer.save();
+  res.status(200).json({ customer: toCustomerResponse(customer) });
+});
+
+/**
+ * DELETE /api/customers/me/addresses/:addressId
+ * Removes an address from the address book. Orders already placed keep their
+ * own copy. Responds with the updated customer.
+ */
+const removeAddress = catchAsync(async (req, res) => {
+  const { customer } = req;
+  findSavedAddressOrFail(customer, req.params.addressId).deleteOne();
+  await customer.save();
+  res.status(200).json({ customer: toCustomerResponse(customer) });
+});
+
+/**
+ * GET /api/customers/me/orders
+ * The logged-in customer's orders, newest first, with optional status filter
+ * and pagination. Each order carries `storeName` so the list reads without a
+ * store lookup per row. Requires the `protectCustomer` middleware.
+ */
+const listMyOrders = catchAsync(async (req, res) => {
+  const { status } = req.query;
+  const filter = { customerId: req.customer._id };
+  if (status !== undefined) {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+    }
+    filter.status = status;
+  }
+
+  const pagination = getPaginationParams(req.query);
+  const [orders, total] = await Promise.all([
+    Order.find(filter).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit),
+    Order.countDocuments(filter),
+  ]);
+
+  const storeIds = [...new Set(orders.map((order) => order.storeId.toString()))];
+  const stores = await Store.find({ _id: { $in: storeIds } }, 'name').lean();
+  const storeNames = new Map(stores.map((store) => [store._id.toString(), store.name]));
+
+  const results = orders.map((order) => ({
+    ...toCustomerOrderView(order.toJSON()),
+    storeName: storeNames.get(order.storeId.toString()) ?? null,
+  }));
+  res.status(200).json(buildPaginatedResponse(results, total, pagination));
+});
+
+/**
+ * GET /api/customers/me/cart
+ * The cart saved to the account, with each product's current name and price
+ * from its store's catalog. Products a store no longer sells and the items of
+ * stores that have closed or are gone are left out; if nothing is left there
+ * is no cart (`cart: null`).
+ * Requires the `protectCustomer` middleware.
+ */
+const getSavedCart = catchAsync(async (req, res) => {
+  const { savedCart } = req.customer;
+  if (!savedCart?.items?.length) {
+    res.status(200).json({ cart: null });
+    return;
+  }
+
+  const stores = await Store.find(
+    { _id: { $in: savedCart.items.map((item) => item.storeId).filter(Boolean) }, isActive: true },
+    'products'
+  );
+  const storesById = new Map(stores.map((store) => [store._id.toString(), store]));
+
+  const items = savedCart.items.flatMap(({ storeId, productId, quantity }) => {
+    // Lines saved before carts could hold several stores have no storeId and are dropped
+    const store = storeId ? storesById.get(storeId.toString()) : null;
+    const product = store && mongoose.isValidObjectId(productId) ? store.products.id(productId) : null;
+    return product ? [{ storeId, productId, name: product.name, price: product.price, quantity }] : [];
+  });
+  res.status(200).json({
+    cart: items.length > 0 ? { items, updatedAt: savedCart.updatedAt } : null,
+  });
+});
+
+/**
+ * PUT /api/customers/me/cart
+ * Body: { items: [{ storeId, productId, quantity }] }
+ * Replaces the cart saved to the account. An empty `items` array clears it.
+ * Only store and product IDs and quantities are stored; prices are always
+ * re-read from the catalog. Responds with `{ updatedAt }`.
+ */
+const saveCart = catchAsync(async (req, res) => {
+  const { items } = req.body ?? {};
+  if (!Array.isArray(items)) {
+    throw new AppError('items must be an array', 400);
+  }
+
+  if (items.length === 0) {
+    await Customer.updateOne({ _id: req.customer._id }, { $unset: { savedCart: 1 } });
+    res.status(200).json({ updatedAt: null });
+    return;
+  }
+
+  if (items.length > MAX_SAVED_CART_LINES) {
+    throw new AppError(`A saved cart can hold up to ${MAX_SAVED_CART_LINES} products`, 400);
+  }
+  const lines = items.map((item, index) => {
+    const storeId = item?.storeId;
+    const productId = item?.productId;
+    const quantity = item?.quantity;
+    if (typeof storeId !== 'string' || !mongoose.isValidObjectId(storeId)) {
+      throw new AppError(`items[${index}].storeId must be a valid store id`, 400);
+    }
+    if (typeof productId !== 'string' || !mongoose.isValidObjectId(productId)) {
+      throw new AppError(`items[${index}].productId must be a valid product id`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError(`items[${index}].quantity must be a whole number of at least 1`, 400);
+    }
+    return { storeId, productId, quantity };
+  });
+  const storeIds = [...new Set(lines.map((line) => line.storeId))];
+  if ((await Store.countDocuments({ _id: { $in: storeIds } })) !== storeIds.length) {
+    throw new AppError('Store not found', 404);
+  }
+
+  const updatedAt = new Date();
+  await Customer.updateOne(
+    { _id: req.customer._id },
+    { $set: { savedCart: { items: lines, updatedAt } } },
+    { runValidators: true }
+  );
+  res.status(200).json({ updatedAt });
+});
+
+export {
+  requestOtp,
+  login,
+  getCurrentCustomer,
+  updateCurrentCustomer,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  listMyOrders,
+  getSavedCart,
+  saveCart,
+};
@@ -0,0 +1,176 @@
+// backend/controllers/deliveryBatchController.js
+import mongoose from 'mongoose';
+import DeliveryBatch, { MAX_ORDERS_PER_BATCH } from '../models/DeliveryBatch.js';
+import Order from '../models/Order.js';
+import Rider from '../models/Rider.js';
+import { findStoreOrFail } from './storeController.js';
+import { saveOrder } from './riderController.js';
+import { ACTIVE_DELIVERY_STATUSES, findNearestIdleRider, assignRider, unassignRider } from '../services/riderService.js';
+import { planBatchRoute, suggestBatches, describeBatchRoute, findBatchViews } from '../services/deliveryBatchService.js';
+import { ORDER_EVENT_TYPES, publishOrderEvent } from '../services/orderEventBus.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+
+/**
+ * Express param middleware: rejects a malformed :batchId with a 400.
+ */
+const validateBatchId = (req, res, next, batchId) => {
+  if (!mongoose.isValidObjectId(batchId)) {
+    return next(new AppError(`Invalid delivery batch ID: ${batchId}`, 400));
+  }
+  next();
+};
+
+/**
+ * GET /api/stores/:storeId/delivery-batches
+ * The store's current batches, each with its rider, route and ETAs, and
+ * suggested batches made from its accepted orders that have no rider yet.
+ * Requires `protect` and `authorizeStore`.
+ */
+const listDeliveryBatches = catchAsync(async (req, res) => {
+  const { storeId } = req.params;
+  const [store, batchIds, unassigned] = await Promise.all([
+    findStoreOrFail(storeId, 'location'),
+    Order.distinct('delivery.batchId', { storeId, status: { $in: ACTIVE_DELIVERY_STATUSES } }),
+    Order.find({ storeId, status: 'accepted', delivery: null }),
+  ]);
+
+  const batches = await findBatchViews(batchIds.filter(Boolean));
+  const suggestions = suggestBatches(store, unassigned).map((batch) => describeBatchRoute(batch));
+  res.status(200).json({ batches, suggestions });
+});
+
+/**
+ * POST /api/stores/:storeId/delivery-batches
+ * Body: { orderIds, riderId } or { orderIds, auto: true } for the store's
+ * nearest idle rider.
+ * Gives 2 to MAX_ORDERS_PER_BATCH accepted orders to one rider as a single
+ * trip, with the stops in route order. The orders must not be with a rider
+ * already. If any order can't be saved, none is batched (409).
+ * Requires `protect` and `authorizeStore`.
+ */
+const createDeliveryBatch = catchAsync(async (req, res) => {
+  const { storeId } = req.params;
+  const { orderIds, riderId, auto } = req.body ?? {};
+  if (
+    !Array.isArray(orderIds)
+    || orderIds.length < 2
+    || orderIds.length > MAX_ORDERS_PER_BATCH
+    || !orderIds.every((id) => mongoose.isValidObjectId(id))
+    || new Set(orderIds.map(String)).size !== orderIds.length
+  ) {
+    throw new AppError(`orderIds must list between 2 and ${MAX_ORDERS_PER_BATCH} different order IDs`, 400);
+  }
+  if (auto !== true && !mongoose.isValidObjectId(riderId)) {
+    throw new AppError('Send riderId, or auto: true to pick the nearest idle rider', 400);
+  }
+
+  const [store, orders] = await Promise.all([
+    findStoreOrFail(storeId, 'location'),
+    Order.find({ _id: { $in: orderIds }, storeId }),
+  ]);
+  if (orders.length !== orderIds.length) {
+    throw new AppError('Some of these orders were not found in this store.', 404);
+  }
+  orders.forEach((order) => {
+    if (order.status !== 'accepted') {
+      throw new AppError(`Only accepted orders can be batched; order ${order._id} is '${order.status}'.`, 409);
+    }
+    if (order.delivery) {
+      throw new AppError(`Order ${order._id} is already with ${order.delivery.riderName}. Take it back first.`, 409);
+    }
+    if (!order.deliveryLocation) {
+      throw new AppError(`Order ${order._id} has no delivery location to plan a route with.`, 400);
+    }
+  });
+
+  let rider;
+  if (auto === true) {
+    rider = await findNearestIdleRider(store);
+    if (!rider) {
+      throw new AppError('No rider is free right now. Try again shortly or pick a busy rider.', 409);
+    }
+  } else {
+    rider = await Rider.findById(riderId);
+    if (!rider) {
+      throw new AppError(`No rider found with ID ${riderId}`, 404);
+    }
+  }
+
+  const route = planBatchRoute(store, orders);
+  const batch = new DeliveryBatch({
+    storeId,
+    riderId: rider._id,
+    stops: route.stops.map(({ order, legDistanceKm }) => ({ orderId: order._id, legDistanceKm })),
+    totalDistanceKm: route.totalDistanceKm,
+    createdBy: `store:${req.owner.email}`,
+  });
+  orders.forEach((order) => {
+    assignRider(order, rider, auto === true ? 'auto' : 'store');
+    order.delivery.batchId = batch._id;
+  });
+
+  await batch.save();
+  const results = await Promise.allSettled(orders.map(saveOrder));
+  const failed = results.find((result) => result.status === 'rejected');
+  if (failed) {
+    // All or nothing: take the orders that did save back off the rider and drop the batch.
+    // The guard leaves alone an order someone else has changed since.
+    const savedIds = orders.filter((order, index) => results[index].status === 'fulfilled').map((order) => order._id);
+    await Order.updateMany(
+      { _id: { $in: savedIds }, 'delivery.batchId': batch._id },
+      { $unset: { delivery: 1 }, $inc: { __v: 1 } }
+    );
+    await batch.deleteOne();
+    throw failed.reason;
+  }
+  orders.forEach((order) => publishOrderEvent(ORDER_EVENT_TYPES.UPDATED, order));
+
+  const [view] = await findBatchViews([batch._id]);
+  res.status(201).json(view);
+});
+
+/**
+ * DELETE /api/stores/:storeId/delivery-batches/:batchId
+ * Breaks a batch up. Orders not yet picked up go back to the store without a
+ * rider; orders already on their way stay with the rider as single
+ * deliveries. If an order can't be saved the batch stays, with that order
+ * still in it (409 listing `details.attachedOrderIds`). Requires `protect`
+ * and `authorizeStore`.
+ */
+const dissolveDeliveryBatch = catchAsync(async (req, res) => {
+  const { storeId, batchId } = req.params;
+  const batch = await DeliveryBatch.findOne({ _id: batchId, storeId });
+  if (!batch) {
+    throw new AppError(`No delivery batch found with ID ${batchId}`, 404);
+  }
+
+  const orders = await Order.find({ 'delivery.batchId': batch._id });
+  orders.forEach((order) => {
+    if (['placed', 'accepted'].includes(order.status)) {
+      unassignRider(order);
+    } else {
+      order.delivery.batchId = undefined;
+    }
+  });
+  const results = await Promise.allSettled(orders.map(saveOrder));
+  orders
+    .filter((order, index) => results[index].status === 'fulfilled')
+    .forEach((order) => publishOrderEvent(ORDER_EVENT_TYPES.UPDATED, order));
+
+  // The batch goes only once none of its orders points at it; the store can dissolve it again
+  const attachedOrderIds = orders
+    .filter((order, index) => results[index].status === 'rejected')
+    .map((order) => order._id);
+  if (attachedOrderIds.length > 0) {
+    throw new AppError(
+      'Some orders in this batch were updated by someone else and are still in it. Please refresh and try again.',
+      409,
+      { attachedOrderIds }
+    );
+  }
+  await batch.deleteOne();
+
+  res.status(204).end();
+});
+
+export { validateBatchId, listDeliveryBatches, createDeliveryBatch, dissolveDeliveryBatch };
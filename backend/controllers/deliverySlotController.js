@@ -0,0 +1,97 @@
+// backend/controllers/deliverySlotController.js
+import mongoose from 'mongoose';
+import { AppError, catchAsync, pickFields } from '../utils/backendUtils.js';
+import { findStoreOrFail } from './storeController.js';
+import { deleteUnbookedSlot } from '../services/deliverySlotService.js';
+
+// Fields a store owner may set on a delivery slot. _id is assigned by Mongoose
+// and never changes, because the slot's bookings are counted against it.
+const SLOT_WRITABLE_FIELDS = ['days', 'starts', 'ends', 'capacity', 'isActive'];
+
+/**
+ * Router param handler that rejects malformed delivery slot IDs with a 400.
+ */
+const validateSlotId = (req, res, next, slotId) => {
+  if (!mongoose.isValidObjectId(slotId)) {
+    return next(new AppError(`Invalid delivery slot ID: ${slotId}`, 400));
+  }
+  next();
+};
+
+/**
+ * Finds an embedded delivery slot or throws a 404 AppError.
+ * @param {import('mongoose').Document} store - The store document.
+ * @param {string} slotId - The slot's _id as a string.
+ * @returns {import('mongoose').Types.Subdocument} The slot subdocument.
+ */
+const findSlotOrFail = (store, slotId) => {
+  const slot = store.deliverySlots.id(slotId);
+  if (!slot) {
+    throw new AppError(`No delivery slot found with ID ${slotId} in this store`, 404);
+  }
+  return slot;
+};
+
+/**
+ * Saves a store after a change to its delivery slots, turning a VersionError
+ * (someone else changed them meanwhile) into a 409.
+ * @param {import('mongoose').Document} store
+ * @returns {Promise<void>}
+ */
+const saveSlots = async (store) => {
+  try {
+    await store.save();
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      throw new AppError('The delivery slots were changed by someone else. Please refresh and try again.', 409);
+    }
+    throw err;
+  }
+};
+
+/**
+ * POST /api/stores/:storeId/delivery-slots
+ * Adds a delivery slot. Input is validated by the Store schema.
+ */
+const addDeliverySlot = catchAsync(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+  store.deliverySlots.push(pickFields(req.body, SLOT_WRITABLE_FIELDS));
+  await saveSlots(store);
+
+  res.status(201).json(store.deliverySlots[store.deliverySlots.length - 1]);
+});
+
+/**
+ * PATCH /api/stores/:storeId/delivery-slots/:slotId
+ * Edits a slot, e.g. its capacity, or switches it off (isActive: false) so it
+ * takes no new bookings. The _id stays the same, so the places already booked
+ * in it are still counted. Orders already booked keep the times they were given.
+ */
+const updateDeliverySlot = catchAsync(async (req, res) => {
+  const updates = pickFields(req.body, SLOT_WRITABLE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    throw new AppError(`Provide at least one of: ${SLOT_WRITABLE_FIELDS.join(', ')}`, 400);
+  }
+
+  const store = await findStoreOrFail(req.params.storeId);
+  const slot = findSlotOrFail(store, req.params.slotId);
+  slot.set(updates);
+  await saveSlots(store);
+
+  res.status(200).json(slot);
+});
+
+/**
+ * DELETE /api/stores/:storeId/delivery-slots/:slotId
+ * Removes a slot that has no bookings from today on. One that does can only
+ * be switched off until those orders have been delivered.
+ */
+const removeDeliverySlot = catchAsync(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+  const slot = findSlotOrFail(store, req.params.slotId);
+  await deleteUnbookedSlot(store, slot);
+
+  res.status(204).send();
+});
+
+export { validateSlotId, addDeliverySlot, updateDeliverySlot, removeDeliverySlot };
@@ -0,0 +1,460 @@
+// backend/controllers/orderController.js
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import Order, { ORDER_STATUSES, PAYMENT_METHODS } from '../models/Order.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+import { releaseStock } from '../services/inventoryService.js';
+import { getStoreOpenStatus, describeClosedStatus } from '../services/storeHoursService.js';
+import { repriceOrder } from '../services/pricingService.js';
+import { releasePromotions } from '../services/promotionService.js';
+import { getRefundableAmount, addPendingRefund, processPendingRefunds } from '../services/paymentService.js';
+import { ORDER_EVENT_TYPES, publishOrderEvent } from '../services/orderEventBus.js';
+import { createTrackingToken, verifyTrackingPhone, toCustomerOrderView } from '../services/orderTrackingService.js';
+import { verifyDeliveryOtp } from '../services/riderService.js';
+import { acceptsScheduledOrders, releaseDeliverySlot } from '../services/deliverySlotService.js';
+import {
+  findStoreProduct,
+  prepareOrder,
+  assertOrderable,
+  placeOrder,
+  rememberCheckoutDetails,
+} from '../services/checkoutService.js';
+
+// Statuses in which the store may still change what goes into an order
+const ITEM_ADJUSTABLE_STATUSES = ['placed', 'accepted'];
+
+/**
+ * Router param handler that rejects malformed order IDs with a 400.
+ */
+const validateOrderId = (req, res, next, orderId) => {
+  if (!mongoose.isValidObjectId(orderId)) {
+    return next(new AppError(`Invalid order ID: ${orderId}`, 400));
+  }
+  next();
+};
+
+/**
+ * Compares earlier cart or order lines with the store's current catalog, line
+ * by line, so the customer can be shown what changed:
+ * - available: still sold at the same price
+ * - price_changed: still sold, now at `price` instead of `previousPrice`
+ * - out_of_stock: still sold, but none left
+ * - unavailable: no longer sold by the store (or the store is gone)
+ * `quantity` is how many can be bought now: `requestedQuantity` capped by current stock.
+ * @param {import('mongoose').Types.DocumentArray | null} products - The store's products; null if the store is gone.
+ * @param {Array<{ productId: string, name: string, price: number, quantity: number }>} lines
+ * @returns {Array<{ productId: string, name: string, requestedQuantity: number, previousPrice: number,
+ *   price: number | null, quantity: number, status: 'available' | 'price_changed' | 'out_of_stock' | 'unavailable' }>}
+ */
+const compareWithCatalog = (products, lines) => lines.map((line) => {
+  const previous = { productId: line.productId, name: line.name, requestedQuantity: line.quantity, previousPrice: line.price };
+  const product = products ? findStoreProduct(products, line.productId) : null;
+  if (!product) {
+    return { ...previous, price: null, quantity: 0, status: 'unavailable' };
+  }
+
+  const isTracked = product.stock !== null && product.stock !== undefined;
+  const quantity = isTracked ? Math.min(line.quantity, product.stock) : line.quantity;
+  let status = 'available';
+  if (quantity === 0) {
+    status = 'out_of_stock';
+  } else if (product.price !== line.price) {
+    status = 'price_changed';
+  }
+  // The current name, in case the product was renamed since
+  return { ...previous, name: product.name, price: product.price, quantity, status };
+});
+
+
+/**
+ * POST /api/orders/quote
+ * Prices a cart exactly as placing the order would, without saving anything,
+ * reserving stock or using up promotions.
+ * Body: { storeId, items, addressId? | deliveryAddress?, deliveryLocation?, couponCode?, customerDetails?: { phone },
+ *   deliverySlot?: { slotId, date } }.
+ * An address the store doesn't deliver to fails the quote with a 400.
+ * The checkout page shows this breakdown, so it always matches the charged total.
+ * `coupon` reports whether the code applies and, if not, why.
+ * Runs after `identifyCustomer`, so a logged-in customer's own number is used.
+ */
+const quoteOrder = catchAsync(async (req, res) => {
+  const { pricedItems, quote, discounts, coupon } = await prepareOrder(req.body, req.customer);
+
+  res.status(200).json({
+    items: pricedItems,
+    ...quote,
+    discounts,
+    coupon,
+    meetsMinimumOrder: quote.amountToMinimumOrder === 0,
+  });
+});
+
+/**
+ * POST /api/orders
+ * Places a guest order. Items are priced from the store's catalog and the
+ * delivery fee and tax are worked out by the pricing service; the breakdown is
+ * stored on the order. Orders are refused while the store is closed (outside
+ * its hours, on a holiday or paused by the owner) or below its minimum order
+ * value. A coupon that no longer applies rejects the order rather than
+ * silently charging more (see checkoutService.assertOrderable). Stock and
+ * promotion redemptions are taken before the order is saved and given back if
+ * the save fails.
+ * paymentMethod is 'cod' (default) or 'online'; online orders are then paid
+ * through POST /api/orders/:orderId/payment-intent.
+ * The response includes the order's `trackingToken`, which the customer needs
+ * to view the order afterwards.
+ * Runs after `identifyCustomer`: a logged-in customer's order is linked to
+ * their account and placed with their verified phone number, and the name they
+ * used is remembered for next time.
+ * The delivery address is a saved one (`addressId`, logged-in customers only) or
+ * a new structured `deliveryAddress`, which `saveAddress: true` adds to the
+ * customer's address book. The store must deliver to it.
+ * `deliverySlot: { slotId, date }` schedules the order for one of the store's
+ * delivery slots (GET /api/stores/:storeId/delivery-slots); such orders are
+ * taken while the store is closed, and refused with a 409 once the slot is full.
+ */
+const createOrder = catchAsync(async (req, res) => {
+  const { customerDetails, paymentMethod = 'cod', saveAddress = false } = req.body ?? {};
+  const { customer } = req;
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new AppError(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+  const prepared = await prepareOrder(req.body, customer);
+  if (!prepared.delivery) {
+    throw new AppError('A delivery address is required: send addressId or deliveryAddress', 400);
+  }
+  assertOrderable(prepared);
+
+  const order = await placeOrder(prepared, { customer, customerDetails, paymentMethod });
+  if (customer) {
+    await rememberCheckoutDetails(customer, { name: order.customerDetails.name, delivery: prepared.delivery, saveAddress });
+  }
+
+  publishOrderEvent(ORDER_EVENT_TYPES.CREATED, order);
+  res.status(201).json({ ...toCustomerOrderView(order.toJSON()), trackingToken: createTrackingToken(order._id) });
+});
+
+/**
+ * GET /api/orders/:orderId
+ * Returns a single order, to its customer (tracking token) or its store's owner.
+ * Requires the `authorizeOrderViewer` middleware.
+ */
+const getOrder = (req, res) => {
+  const order = req.order.toJSON();
+  res.status(200).json(req.orderViewer === 'customer' ? toCustomerOrderView(order) : order);
+};
+
+/**
+ * POST /api/orders/validate-cart
+ * Body: { storeId, items: [{ productId, name?, price, quantity }] }, where
+ * `price` is what the cart shows (the price when the item was added).
+ * Checks a cart against the store's current catalog and status before
+ * checkout, so price changes, products no longer sold, short stock and a
+ * closed store are shown to the customer instead of failing (or charging a
+ * different amount) when the order is placed. Lines are reported as for
+ * reordering (see compareWithCatalog). `canCheckout` is true only when the
+ * store is taking orders and every line can be bought as it stands;
+ * `canSchedule` when the lines are fine and the store takes bookings for its
+ * delivery slots, even if it is closed right now.
+ * A store that no longer exists is reported as inactive rather than a 404, so
+ * the cart can still explain itself.
+ */
+const validateCart = catchAsync(async (req, res) => {
+  const { storeId, items } = req.body ?? {};
+  if (!mongoose.isValidObjectId(storeId)) {
+    throw new AppError('A valid storeId is required', 400);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Cart must contain at least one item', 400);
+  }
+  const lines = items.map((item, index) => {
+    const productId = typeof item?.productId === 'string' ? item.productId.trim() : '';
+    if (!productId) {
+      throw new AppError(`Item ${index + 1} is missing a productId`, 400);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw new AppError(`Item ${index + 1} must have a whole-number quantity of at least 1`, 400);
+    }
+    if (typeof item.price !== 'number' || !Number.isFinite(item.price) || item.price < 0) {
+      throw new AppError(`Item ${index + 1} must have the price shown in the cart`, 400);
+    }
+    const name = typeof item.name === 'string' ? item.name : '';
+    return { productId, name, price: item.price, quantity: item.quantity };
+  });
+
+  const store = await Store.findById(
+    storeId,
+    'name isActive openingHours holidays deliverySlots ordersPaused ordersPausedReason ordersPausedUntil products'
+  );
+  const checkedItems = compareWithCatalog(store?.products ?? null, lines);
+  const openStatus = store ? getStoreOpenStatus(store) : null;
+  const isStoreActive = Boolean(store?.isActive);
+  const hasChanges = checkedItems.some((item) => item.status !== 'available' || item.quantity < item.requestedQuantity);
+  const canSchedule = Boolean(store) && acceptsScheduledOrders(store) && !hasChanges;
+
+  // Why the store can't take the order right now, for the customer; null while it's open
+  let storeMessage = null;
+  if (!store) {
+    storeMessage = 'This store is no longer available.';
+  } else if (!openStatus.isOpen) {
+    storeMessage = describeClosedStatus(openStatus)
+      + (acceptsScheduledOrders(store) ? ' You can still book a delivery slot for later.' : '');
+  }
+
+  res.status(200).json({
+    storeId,
+    storeName: store?.name ?? null,
+    isStoreActive,
+    openStatus,
+    storeMessage,
+    items: checkedItems,
+    hasChanges,
+    canCheckout: isStoreActive && Boolean(openStatus?.isOpen) && !hasChanges,
+    canSchedule,
+  });
+});
+
+/**
+ * GET /api/orders/:orderId/reorder
+ * Checks an earlier order's lines against the store's current catalog so the
+ * customer can put them in their cart again. Every line is reported, with a
+ * `status` the customer is shown rather than the line silently dropping out
+ * (see compareWithCatalog). `quantity` is what can be added now: the quantity
+ * originally ordered (including units the store removed), capped by current stock.
+ * Requires the `authorizeOrderViewer` middleware.
+ */
+const getReorderItems = catchAsync(async (req, res) => {
+  const { order } = req;
+  const store = await Store.findById(order.storeId, 'name isActive products');
+
+  const items = compareWithCatalog(store?.products ?? null, order.items.map((line) => ({
+    productId: line.productId,
+    name: line.name,
+    price: line.price,
+    quantity: line.quantity + (line.cancelledQuantity ?? 0),
+  })));
+
+  res.status(200).json({
+    storeId: order.storeId,
+    storeName: store?.name ?? null,
+    isStoreActive: Boolean(store?.isActive),
+    items,
+  });
+});
+
+/**
+ * POST /api/orders/:orderId/tracking-token
+ * Body: { phone }
+ * Gives the order's tracking token to a customer who has lost their tracking
+ * link, once they confirm the phone number the order was placed with. A client
+ * that tries too many numbers can't ask for a while, and gets the same 403.
+ */
+const issueTrackingToken = catchAsync(async (req, res) => {
+  const { phone } = req.body ?? {};
+  if (typeof phone !== 'string' || !phone.trim()) {
+    throw new AppError('phone is required', 400);
+  }
+
+  // Same answer for a missing order, a wrong number and too many tries, so none can be probed
+  if (!(await verifyTrackingPhone(Order, req.params.orderId, 'customerDetails.phone', phone, req.ip))) {
+    throw new AppError('That phone number does not match this order. If it should, please try again later.', 403);
+  }
+
+  res.status(200).json({ trackingToken: createTrackingToken(req.params.orderId) });
+});
+
+/**
+ * PATCH /api/orders/:orderId/status
+ * Moves an order to a new status, enforcing the transitions defined on the
+ * Order model and recording the change in statusHistory.
+ * Body: { status: string, reason?: string, deliveryOtp?: string }
+ * A reason is required when cancelling, and cancelling restores any stock the
+ * order reserved, frees up the promotions it used and refunds an online
+ * payment. Marking an order delivered needs `deliveryOtp`, the code shown on
+ * the customer's order page, as when a rider completes it. Requires the
+ * `protect` middleware; only the owner of the order's store may change its status.
+ */
+const updateOrderStatus = catchAsync(async (req, res) => {
+  const { status, reason, deliveryOtp } = req.body ?? {};
+
+  if (typeof status !== 'string' || !ORDER_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+  }
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (status === 'cancelled' && !trimmedReason) {
+    throw new AppError('A reason is required to cancel an order', 400);
+  }
+
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    throw new AppError(`No order found with ID ${req.params.orderId}`, 404);
+  }
+  if (!order.storeId.equals(req.owner.storeId)) {
+    throw new AppError('You do not have permission to manage this order.', 403);
+  }
+  if (!order.canTransitionTo(status)) {
+    const allowed = order.nextStatuses.length > 0 ? order.nextStatuses.join(', ') : 'none';
+    throw new AppError(
+      `Cannot change order status from '${order.status}' to '${status}'. Allowed next statuses: ${allowed}`,
+      409
+    );
+  }
+  if (status === 'delivered') {
+    await verifyDeliveryOtp(order, deliveryOtp);
+  }
+
+  order.transitionTo(status, {
+    actor: `store:${req.owner.email}`,
+    reason: trimmedReason || undefined,
+  });
+  if (order.delivery && status === 'out_for_delivery') {
+    order.delivery.pickedUpAt = new Date();
+  } else if (order.delivery && status === 'delivered') {
+    order.delivery.deliveredAt = new Date();
+  }
+  // Cash is collected by the rider on delivery
+  if (status === 'delivered' && order.paymentMethod === 'cod') {
+    order.paymentStatus = 'paid';
+  }
+  // Recorded with the cancellation; sent to the gateway once that is saved
+  const refund = status === 'cancelled'
+    ? addPendingRefund(order, {
+      amount: getRefundableAmount(order),
+      reason: trimmedReason,
+      actor: `store:${req.owner.email}`,
+    })
+    : null;
+  try {
+    await order.save();
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      throw new AppError('This order was updated by someone else. Please refresh and try again.', 409);
+    }
+    throw err;
+  }
+
+  // Only after the cancellation is saved, so a failed save can't release stock twice
+  if (status === 'cancelled') {
+    await Promise.all([
+      releaseStock(order.storeId, order.items),
+      releasePromotions(order.discounts, order.customerDetails.phone),
+      releaseDeliverySlot(order.storeId, order.deliverySlot),
+    ]);
+  }
+  let updated = order;
+  if (refund) {
+    await processPendingRefunds(order._id);
+    updated = await Order.findById(order._id);
+  }
+
+  publishOrderEvent(ORDER_EVENT_TYPES.STATUS_CHANGED, updated);
+  res.status(200).json(updated);
+});
+
+/**
+ * PATCH /api/orders/:orderId/items
+ * Reduces or removes individual lines, e.g. when the store has run out of an item.
+ * Body: { items: [{ productId, quantity }], reason } where quantity is the line's
+ * new, lower number of units (0 marks the line unavailable).
+ * The order is re-priced (see pricingService.repriceOrder), stock for the removed
+ * units goes back on the shelf and an order paid online is refunded the
+ * difference. Removing every line is refused; cancel the order instead.
+ * Requires the `protect` middleware; only the owner of the order's store may do this.
+ */
+const adjustOrderItems = catchAsync(async (req, res) => {
+  const { items, reason } = req.body ?? {};
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('items must list at least one { productId, quantity } change', 400);
+  }
+  if (!trimmedReason) {
+    throw new AppError('A reason is required to change the items in an order', 400);
+  }
+
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    throw new AppError(`No order found with ID ${req.params.orderId}`, 404);
+  }
+  if (!order.storeId.equals(req.owner.storeId)) {
+    throw new AppError('You do not have permission to manage this order.', 403);
+  }
+  if (!ITEM_ADJUSTABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`Items can't be changed once an order is '${order.status}'`, 409);
+  }
+  // The customer may be paying the old total right now; changing it would orphan that payment
+  if (order.paymentMethod === 'online' && order.paymentStatus === 'pending' && order.payment) {
+    throw new AppError("The customer's payment is still in progress. Try again once it has completed.", 409);
+  }
+
+  const seen = new Set();
+  const removedLines = [];
+  items.forEach((change, index) => {
+    const line = order.items.find((item) => item.productId === change?.productId);
+    if (!line || seen.has(line.productId)) {
+      throw new AppError(`Item ${index + 1}: product ${change?.productId} is not in this order or is listed twice`, 400);
+    }
+    if (!Number.isInteger(change.quantity) || change.quantity < 0 || change.quantity >= line.quantity) {
+      throw new AppError(
+        `Item ${index + 1} (${line.name}): quantity must be a whole number below the current ${line.quantity}`,
+        400
+      );
+    }
+    seen.add(line.productId);
+    const removed = line.quantity - change.quantity;
+    line.quantity = change.quantity;
+    line.cancelledQuantity += removed;
+    line.cancellationReason = trimmedReason;
+    removedLines.push({ productId: line.productId, name: line.name, quantity: removed, stockReserved: line.stockReserved });
+  });
+  if (order.items.every((item) => item.quantity === 0)) {
+    throw new AppError('That would remove every item. Cancel the order instead.', 400);
+  }
+
+  const previousTotal = order.totalAmount;
+  if (order.pricing) {
+    const repriced = repriceOrder(
+      order.pricing.toObject(),
+      order.items,
+      order.discounts.map((discount) => discount.toObject())
+    );
+    order.pricing = repriced.pricing;
+    order.discounts = repriced.discounts;
+  }
+  await order.validate(); // Recomputes totalAmount
+  const refund = addPendingRefund(order, {
+    amount: previousTotal - order.totalAmount,
+    reason: trimmedReason,
+    actor: `store:${req.owner.email}`,
+    items: removedLines.map(({ productId, name, quantity }) => ({ productId, name, quantity })),
+  });
+
+  try {
+    await order.save();
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      throw new AppError('This order was updated by someone else. Please refresh and try again.', 409);
+    }
+    throw err;
+  }
+
+  await releaseStock(order.storeId, removedLines);
+  if (refund) {
+    await processPendingRefunds(order._id);
+  }
+
+  const updated = await Order.findById(order._id);
+  publishOrderEvent(ORDER_EVENT_TYPES.UPDATED, updated);
+  res.status(200).json(updated);
+});
+
+export {
+  validateOrderId,
+  quoteOrder,
+  createOrder,
+  getOrder,
+  getReorderItems,
+  validateCart,
+  issueTrackingToken,
+  updateOrderStatus,
+  adjustOrderItems,
+};
@@ -0,0 +1,99 @@
+// backend/controllers/orderFeedController.js
+import { getCurrentCursor, getEventsSince, subscribeToStore } from '../services/orderEventBus.js';
+import { toCustomerOrderView } from '../services/orderTrackingService.js';
+
+// Comment lines sent while idle so proxies and load balancers don't drop the connection
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How long the browser should wait before reconnecting on its own
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Writes one Server-Sent Event.
+ * @param {import('express').Response} res
+ * @param {{ id?: string, type: string, data: object }} event
+ */
+const writeEvent = (res, { id, type, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turns the request into a Server-Sent Events stream of one store's order
+ * events, resuming from the client's last event ID when it has one.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} storeId
+ * @param {(event: { id: string, type: string, data: object }) => object | null} [selectEvent] - Returns
+ *   the event to send (possibly reshaped), or null to skip it. Sends everything by default.
+ */
+const streamOrderEvents = (req, res, storeId, selectEvent = (event) => event) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const send = (event) => {
+    const selected = selectEvent(event);
+    if (selected) writeEvent(res, selected);
+  };
+
+  // Subscribing and replaying run in the same tick, so no event can slip in between
+  const unsubscribe = subscribeToStore(storeId, send);
+
+  if (lastEventId) {
+    const missed = getEventsSince(storeId, lastEventId);
+    if (missed === null) {
+      writeEvent(res, { id: getCurrentCursor(), type: 'resync', data: { reason: 'Missed events are no longer available' } });
+    } else {
+      missed.forEach(send);
+    }
+  } else {
+    writeEvent(res, { id: getCurrentCursor(), type: 'ready', data: {} });
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+/**
+ * GET /api/stores/:storeId/orders/stream
+ * Live order feed for the store's dashboard, as Server-Sent Events:
+ * `order.created`, `order.status_changed` and `order.updated`, each carrying
+ * the full order. A client reconnecting with a `Last-Event-ID` header (or
+ * `?lastEventId=`) first receives the events it missed; if those are no longer
+ * available it gets a `resync` event and should reload its order list.
+ * A fresh connection starts with a `ready` event carrying the current cursor.
+ * Requires the `protect` and `authorizeStore` middleware.
+ */
+const streamStoreOrders = (req, res) => {
+  streamOrderEvents(req, res, req.params.storeId);
+};
+
+/**
+ * GET /api/orders/:orderId/stream
+ * Live updates for a single order, for its tracking page: the same events and
+ * resume rules as the store feed, limited to this order. Customers receive the
+ * order as GET /api/orders/:orderId shows it to them.
+ * Requires the `authorizeOrderViewer` middleware.
+ */
+const streamOrderUpdates = (req, res) => {
+  const orderId = req.order._id.toString();
+  const isCustomer = req.orderViewer === 'customer';
+
+  streamOrderEvents(req, res, req.order.storeId.toString(), (event) => {
+    if (event.data._id.toString() !== orderId) return null;
+    return isCustomer ? { ...event, data: toCustomerOrderView(event.data) } : event;
+  });
+};
+
+export { streamStoreOrders, streamOrderUpdates };
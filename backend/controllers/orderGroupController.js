@@ -0,0 +1,213 @@
+// backend/controllers/orderGroupController.js
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import Order, { PAYMENT_METHODS } from '../models/Order.js';
+import OrderGroup, { MAX_STORES_PER_GROUP } from '../models/OrderGroup.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+import { roundCurrency } from '../services/pricingService.js';
+import { findPlatformPromotionIds } from '../services/promotionService.js';
+import { ORDER_EVENT_TYPES, publishOrderEvent } from '../services/orderEventBus.js';
+import {
+  createTrackingToken,
+  createGroupTrackingToken,
+  verifyTrackingPhone,
+  toCustomerOrderView,
+} from '../services/orderTrackingService.js';
+import {
+  prepareOrder,
+  assertOrderable,
+  placeOrder,
+  discardPlacedOrder,
+  rememberCheckoutDetails,
+} from '../services/checkoutService.js';
+
+// Pricing figures added up across a group's orders for its summary
+const SUMMED_PRICING_FIELDS = ['itemSubtotal', 'deliveryFee', 'discountTotal', 'taxAmount', 'grandTotal'];
+
+/**
+ * Router param handler that rejects malformed order group IDs with a 400.
+ */
+const validateGroupId = (req, res, next, groupId) => {
+  if (!mongoose.isValidObjectId(groupId)) {
+    return next(new AppError(`Invalid order group ID: ${groupId}`, 400));
+  }
+  next();
+};
+
+/**
+ * Says which store a checkout error is about, since the customer is ordering
+ * from several. Other errors are passed through unchanged.
+ * @param {unknown} err
+ * @param {{ storeId: string, storeName?: string }} store
+ * @returns {unknown} The error to throw.
+ */
+const forStore = (err, { storeId, storeName }) => {
+  if (!(err instanceof AppError)) return err;
+  return new AppError(storeName ? `${storeName}: ${err.message}` : err.message, err.statusCode, { ...err.details, storeId });
+};
+
+/**
+ * The group as shown to the customer: each order (with its store's name and
+ * tracking token, so the group's link is enough to follow every order) and
+ * a combined summary. Cancelled orders are listed but left out of the totals.
+ * `amountDue` is what is still to be paid online.
+ * @param {import('mongoose').Document} group
+ * @returns {Promise<object>}
+ */
+const toOrderGroupView = async (group) => {
+  const orders = await Order.find({ _id: { $in: group.orderIds } });
+  const stores = await Store.find({ _id: { $in: orders.map((order) => order.storeId) } }, 'name').lean();
+  const storeNames = new Map(stores.map((store) => [store._id.toString(), store.name]));
+  const position = new Map(group.orderIds.map((orderId, index) => [orderId.toString(), index]));
+  orders.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+
+  const liveOrders = orders.filter((order) => order.status !== 'cancelled');
+  const summary = Object.fromEntries(SUMMED_PRICING_FIELDS.map((field) => [
+    field,
+    roundCurrency(liveOrders.reduce((sum, order) => sum + (order.pricing?.[field] ?? 0), 0)),
+  ]));
+  summary.totalAmount = roundCurrency(liveOrders.reduce((sum, order) => sum + order.totalAmount, 0));
+  summary.amountDue = roundCurrency(liveOrders
+    .filter((order) => order.paymentMethod === 'online' && ['pending', 'failed'].includes(order.paymentStatus))
+    .reduce((sum, order) => sum + order.totalAmount, 0));
+
+  return {
+    _id: group._id,
+    paymentMethod: group.paymentMethod,
+    createdAt: group.createdAt,
+    orders: orders.map((order) => ({
+      ...toCustomerOrderView(order.toJSON()),
+      storeName: storeNames.get(order.storeId.toString()) ?? null,
+      trackingToken: createTrackingToken(order._id),
+    })),
+    summary,
+  };
+};
+
+/**
+ * POST /api/order-groups
+ * Places orders from several stores in one checkout.
+ * Body: { stores: [{ storeId, items, couponCode?, deliverySlot? }], addressId? | deliveryAddress?,
+ *   saveAddress?, deliveryLocation?, customerDetails, paymentMethod }.
+ * Each store gets its own order, priced, checked and handled by the store
+ * exactly as if it were ordered alone (see POST /api/orders); they share the
+ * delivery address, customer details and payment method. A platform-wide
+ * offer is only given once per checkout, on the first order it applies to.
+ * Each store's order may be scheduled for one of that store's delivery slots.
+ * Every store's order
+ * is checked before any is placed, and if one can't be placed the others are
+ * undone, so the customer never ends up with part of their cart ordered.
+ * Online groups are paid with one payment (POST /api/order-groups/:groupId/payment-intent).
+ * Responds with the group view and its `trackingToken`.
+ * Runs after `identifyCustomer`, as for single orders.
+ */
+const createOrderGroup = catchAsync(async (req, res) => {
+  const { stores, customerDetails, paymentMethod = 'cod', saveAddress = false } = req.body ?? {};
+  const { customer } = req;
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new AppError(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+  if (!Array.isArray(stores) || stores.length < 2 || stores.length > MAX_STORES_PER_GROUP) {
+    throw new AppError(`stores must list between 2 and ${MAX_STORES_PER_GROUP} stores; order from one store with POST /api/orders`, 400);
+  }
+  if (stores.some((entry) => !entry || typeof entry !== 'object')) {
+    throw new AppError('Each entry in stores must be { storeId, items }', 400);
+  }
+  const storeIds = stores.map((entry) => String(entry.storeId ?? ''));
+  if (new Set(storeIds).size !== storeIds.length) {
+    throw new AppError('Each store may only appear once; put all of its items in one entry', 400);
+  }
+
+  const prepareStoreOrder = ({ storeId, items, couponCode, deliverySlot }, excludedPromotionIds) =>
+    prepareOrder({ ...req.body, storeId, items, couponCode, deliverySlot }, customer, { excludedPromotionIds })
+      .catch((err) => { throw forStore(err, { storeId }); });
+  const preparedOrders = await Promise.all(stores.map((entry) => prepareStoreOrder(entry)));
+  // A platform-wide offer is used once per checkout: the first store's order it
+  // applies to keeps it, and any later one is priced again without it
+  const claimedPromotionIds = [];
+  for (const [index, entry] of stores.entries()) {
+    let platformIds = await findPlatformPromotionIds(preparedOrders[index].discounts);
+    if (platformIds.some((promotionId) => claimedPromotionIds.includes(promotionId))) {
+      preparedOrders[index] = await prepareStoreOrder(entry, claimedPromotionIds);
+      platformIds = await findPlatformPromotionIds(preparedOrders[index].discounts);
+    }
+    claimedPromotionIds.push(...platformIds);
+  }
+  if (!preparedOrders[0].delivery) {
+    throw new AppError('A delivery address is required: send addressId or deliveryAddress', 400);
+  }
+  preparedOrders.forEach((prepared) => {
+    try {
+      assertOrderable(prepared);
+    } catch (err) {
+      throw forStore(err, { storeId: prepared.store._id.toString(), storeName: prepared.store.name });
+    }
+  });
+
+  const groupId = new mongoose.Types.ObjectId();
+  const orders = [];
+  let group;
+  try {
+    for (const prepared of preparedOrders) {
+      try {
+        orders.push(await placeOrder(prepared, { customer, customerDetails, paymentMethod, groupId }));
+      } catch (err) {
+        throw forStore(err, { storeId: prepared.store._id.toString(), storeName: prepared.store.name });
+      }
+    }
+    group = await OrderGroup.create({
+      _id: groupId,
+      orderIds: orders.map((order) => order._id),
+      customerId: customer?._id,
+      customerPhone: orders[0].customerDetails.phone,
+      paymentMethod,
+    });
+  } catch (err) {
+    // Nobody has seen these orders yet: take them back so the cart can be ordered again as a whole
+    await Promise.all(orders.map(discardPlacedOrder));
+    throw err;
+  }
+
+  if (customer) {
+    await rememberCheckoutDetails(customer, {
+      name: orders[0].customerDetails.name,
+      delivery: preparedOrders[0].delivery,
+      saveAddress,
+    });
+  }
+  orders.forEach((order) => publishOrderEvent(ORDER_EVENT_TYPES.CREATED, order));
+
+  res.status(201).json({ ...(await toOrderGroupView(group)), trackingToken: createGroupTrackingToken(group._id) });
+});
+
+/**
+ * GET /api/order-groups/:groupId
+ * The group's orders and combined summary, to the customer who placed them.
+ * Requires the `authorizeOrderGroupViewer` middleware.
+ */
+const getOrderGroup = catchAsync(async (req, res) => {
+  res.status(200).json(await toOrderGroupView(req.orderGroup));
+});
+
+/**
+ * POST /api/order-groups/:groupId/tracking-token
+ * Body: { phone }
+ * Gives the group's tracking token to a customer who has lost the link, once
+ * they confirm the phone number the orders were placed with. Wrong numbers are
+ * limited as for single orders.
+ */
+const issueGroupTrackingToken = catchAsync(async (req, res) => {
+  const { phone } = req.body ?? {};
+  if (typeof phone !== 'string' || !phone.trim()) {
+    throw new AppError('phone is required', 400);
+  }
+
+  // Same answer for a missing group, a wrong number and too many tries, so none can be probed
+  if (!(await verifyTrackingPhone(OrderGroup, req.params.groupId, 'customerPhone', phone, req.ip))) {
+    throw new AppError('That phone number does not match these orders. If it should, please try again later.', 403);
+  }
+
+  res.status(200).json({ trackingToken: createGroupTrackingToken(req.params.groupId) });
+});
+
+export { validateGroupId, createOrderGroup, getOrderGroup, issueGroupTrackingToken };
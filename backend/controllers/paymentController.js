@@ -0,0 +1,107 @@
+// backend/controllers/paymentController.js
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+import { roundCurrency } from '../services/pricingService.js';
+import {
+  getPaymentGateway,
+  createPaymentIntent,
+  createOrderGroupPaymentIntent,
+  handlePaymentWebhook,
+} from '../services/paymentService.js';
+
+/**
+ * POST /api/orders/:orderId/payment-intent
+ * Starts the online payment for an order placed with paymentMethod 'online',
+ * or returns the attempt still open for it. Called again after a failed
+ * attempt to retry. Runs after authorizeOrderViewer; only the customer pays.
+ */
+const createIntent = catchAsync(async (req, res) => {
+  if (req.orderViewer !== 'customer') {
+    throw new AppError('Only the customer who placed this order can pay for it.', 403);
+  }
+  res.status(201).json(await createPaymentIntent(req.order));
+});
+
+/**
+ * POST /api/order-groups/:groupId/payment-intent
+ * Starts one payment for every unpaid order of an order group, or returns
+ * the attempt still open for them. Runs after authorizeOrderGroupViewer.
+ */
+const createGroupIntent = catchAsync(async (req, res) => {
+  res.status(201).json(await createOrderGroupPaymentIntent(req.orderGroup));
+});
+
+/**
+ * POST /api/payments/webhook
+ * Receives payment events from the gateway. Mounted with a raw body parser in
+ * server.js, because the signature covers the exact bytes sent.
+ * Repeat deliveries of the same event are acknowledged and ignored.
+ */
+const receiveWebhook = catchAsync(async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    throw new AppError('Webhook body is missing', 400);
+  }
+  const { duplicate } = await handlePaymentWebhook(req.body, req.headers);
+
+  res.status(200).json({ received: true, duplicate });
+});
+
+/**
+ * Checks the client secret presented for an intent, in constant time.
+ * @param {string | undefined} expected - Order#payment.clientSecret.
+ * @param {unknown} given
+ * @returns {boolean}
+ */
+const matchesClientSecret = (expected, given) => {
+  if (typeof expected !== 'string' || typeof given !== 'string' || !given) {
+    return false;
+  }
+  const expectedBytes = Buffer.from(expected);
+  const givenBytes = Buffer.from(given);
+  return expectedBytes.length === givenBytes.length && crypto.timingSafeEqual(expectedBytes, givenBytes);
+};
+
+/**
+ * POST /api/payments/mock/:intentId/complete
+ * Body: { clientSecret, outcome: 'success' | 'failure' }
+ * Stands in for the customer paying on the provider's page: the mock gateway
+ * signs the webhook it would send and it is processed like a real delivery.
+ * Only mounted outside production and only available while the mock gateway
+ * is configured. Like a real payment page, it needs the intent's client
+ * secret, which only the customer got from the payment-intent endpoint.
+ * Responds with the order's payment fields, or for an intent covering an
+ * order group, `{ paymentStatus, orders }` with each order's.
+ */
+const completeMockPayment = catchAsync(async (req, res) => {
+  const gateway = getPaymentGateway();
+  if (gateway.name !== 'mock') {
+    throw new AppError('Simulated payments are only available with the mock payment gateway', 404);
+  }
+  const { clientSecret, outcome } = req.body ?? {};
+  if (outcome !== 'success' && outcome !== 'failure') {
+    throw new AppError("outcome must be 'success' or 'failure'", 400);
+  }
+
+  const intentFilter = { 'payment.provider': gateway.name, 'payment.intentId': req.params.intentId };
+  const orders = await Order.find(intentFilter, '+payment.clientSecret');
+  // A wrong secret gets the same answer as an unknown intent
+  if (orders.length === 0 || !orders.every((order) => matchesClientSecret(order.payment.clientSecret, clientSecret))) {
+    throw new AppError(`No payment found with ID ${req.params.intentId}`, 404);
+  }
+
+  const { rawBody, headers } = gateway.buildWebhook({
+    intentId: req.params.intentId,
+    amount: roundCurrency(orders.reduce((sum, order) => sum + order.payment.amount, 0)),
+    outcome,
+  });
+  await handlePaymentWebhook(rawBody, headers);
+
+  const updated = await Order.find({ _id: { $in: orders.map((order) => order._id) } }, 'paymentMethod paymentStatus payment');
+  if (updated.length === 1) {
+    return res.status(200).json(updated[0]);
+  }
+  res.status(200).json({ paymentStatus: updated[0].paymentStatus, orders: updated });
+});
+
+export { createIntent, createGroupIntent, receiveWebhook, completeMockPayment };
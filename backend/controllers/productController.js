@@ -0,0 +1,173 @@
+// backend/controllers/productController.js
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import { AppError, catchAsync, pickFields } from '../utils/backendUtils.js';
+import { findStoreOrFail } from './storeController.js';
+
+// Fields a store owner may set on a product. _id is assigned by Mongoose and never changes.
+const PRODUCT_WRITABLE_FIELDS = ['name', 'category', 'price', 'stock'];
+
+/**
+ * Router param handler that rejects malformed product IDs with a 400.
+ */
+const validateProductId = (req, res, next, productId) => {
+  if (!mongoose.isValidObjectId(productId)) {
+    return next(new AppError(`Invalid product ID: ${productId}`, 400));
+  }
+  next();
+};
+
+/**
+ * Finds an embedded product or throws a 404 AppError.
+ * @param {import('mongoose').Document} store - The store document.
+ * @param {string} productId - The product's _id as a string.
+ * @returns {import('mongoose').Types.Subdocument} The product subdocument.
+ */
+const findProductOrFail = (store, productId) => {
+  const product = store.products.id(productId);
+  if (!product) {
+    throw new AppError(`No product found with ID ${productId} in this store`, 404);
+  }
+  return product;
+};
+
+/**
+ * Saves a store after a catalog change, turning Mongoose's optimistic-concurrency
+ * VersionError (someone else changed the product list meanwhile) into a 409.
+ * @param {import('mongoose').Document} store - The modified store document.
+ * @returns {Promise<void>}
+ */
+const saveCatalog = async (store) => {
+  try {
+    await store.save();
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      throw new AppError('The product list was changed by someone else. Please refresh and try again.', 409);
+    }
+    throw err;
+  }
+};
+
+/**
+ * POST /api/stores/:storeId/products
+ * Adds a product to the end of the store's catalog.
+ */
+const addProduct = catchAsync(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+  store.products.push(pickFields(req.body, PRODUCT_WRITABLE_FIELDS));
+  await saveCatalog(store);
+
+  res.status(201).json(store.products[store.products.length - 1]);
+});
+
+/**
+ * PATCH /api/stores/:storeId/products/:productId
+ * Edits or reprices a product. The _id stays the same, so carts and past
+ * orders that reference it keep working.
+ *
+ * Only the fields sent are written, to the product matched by its _id, so
+ * stock taken by orders in the meantime is never overwritten unless `stock` is sent.
+ */
+const updateProduct = catchAsync(async (req, res) => {
+  const updates = pickFields(req.body, PRODUCT_WRITABLE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    throw new AppError(`Provide at least one of: ${PRODUCT_WRITABLE_FIELDS.join(', ')}`, 400);
+  }
+
+  const store = await findStoreOrFail(req.params.storeId);
+  const product = findProductOrFail(store, req.params.productId);
+  product.set(updates);
+  await product.validate();
+
+  const fields = Object.fromEntries(
+    Object.keys(updates).map((field) => [`products.$[product].${field}`, product.get(field)])
+  );
+  const updated = await Store.findOneAndUpdate(
+    { _id: store._id, 'products._id': product._id },
+    { $set: fields },
+    { arrayFilters: [{ 'product._id': product._id }], new: true, projection: 'products' }
+  );
+  if (!updated) {
+    throw new AppError(`No product found with ID ${req.params.productId} in this store`, 404);
+  }
+
+  res.status(200).json(updated.products.id(product._id));
+});
+
+/**
+ * DELETE /api/stores/:storeId/products/:productId
+ * Removes a product from the catalog. Past orders keep their own name/price snapshot.
+ */
+const removeProduct = catchAsync(async (req, res) => {
+  const productId = new mongoose.Types.ObjectId(req.params.productId);
+  const result = await Store.updateOne(
+    { _id: req.params.storeId, 'products._id': productId },
+    // Bump the version so in-flight saves that address products by index are rejected
+    { $pull: { products: { _id: productId } }, $inc: { __v: 1 } }
+  );
+  if (result.matchedCount === 0) {
+    // Tell a missing store apart from a missing product
+    await findStoreOrFail(req.params.storeId, '_id');
+    throw new AppError(`No product found with ID ${req.params.productId} in this store`, 404);
+  }
+
+  res.status(204).send();
+});
+
+/**
+ * PUT /api/stores/:storeId/products/order
+ * Reorders the catalog. Body: { productIds: string[] } listing every product exactly once.
+ *
+ * The reorder runs as a single pipeline update built from the live array, so
+ * stock decremented by orders in the meantime is never overwritten with stale values.
+ */
+const reorderProducts = catchAsync(async (req, res) => {
+  const { productIds } = req.body ?? {};
+  if (!Array.isArray(productIds) || !productIds.every((id) => mongoose.isValidObjectId(id))) {
+    throw new AppError('productIds must be an array of product IDs', 400);
+  }
+
+  const store = await findStoreOrFail(req.params.storeId);
+  const currentIds = store.products.map((product) => product._id.toString());
+  const requestedIds = productIds.map(String);
+  const isPermutation =
+    requestedIds.length === currentIds.length &&
+    new Set(requestedIds).size === requestedIds.length &&
+    requestedIds.every((id) => currentIds.includes(id));
+  if (!isPermutation) {
+    throw new AppError('productIds must list every product in this store exactly once', 400);
+  }
+
+  const objectIds = requestedIds.map((id) => new mongoose.Types.ObjectId(id));
+  const result = await Store.updateOne(
+    // Guard: the set of products must not have changed since we validated it
+    { _id: store._id, products: { $size: objectIds.length }, 'products._id': { $all: objectIds } },
+    [
+      {
+        $set: {
+          products: {
+            $map: {
+              input: objectIds,
+              as: 'productId',
+              in: {
+                $first: {
+                  $filter: { input: '$products', cond: { $eq: ['$$this._id', '$$productId'] } },
+                },
+              },
+            },
+          },
+          // Bump the version so in-flight saves that address products by index are rejected
+          __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] },
+        },
+      },
+    ]
+  );
+  if (result.matchedCount === 0) {
+    throw new AppError('The product list was changed by someone else. Please refresh and try again.', 409);
+  }
+
+  const updated = await Store.findById(store._id, 'products');
+  res.status(200).json(updated.products);
+});
+
+export { saveCatalog, validateProductId, addProduct, updateProduct, removeProduct, reorderProducts };
@@ -0,0 +1,131 @@
+// backend/controllers/promotionController.js
+import mongoose from 'mongoose';
+import Promotion from '../models/Promotion.js';
+import { AppError, catchAsync, pickFields, getPaginationParams, buildPaginatedResponse } from '../utils/backendUtils.js';
+
+// Fields a store owner may set. storeId always comes from the URL and usageCount
+// is maintained by order placement, so neither can be written directly.
+const PROMOTION_WRITABLE_FIELDS = [
+  'name',
+  'description',
+  'code',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'categories',
+  'minimumSubtotal',
+  'firstOrderOnly',
+  'maxUsesPerPhone',
+  'maxTotalUses',
+  'startsAt',
+  'endsAt',
+  'isActive',
+];
+
+/**
+ * Router param handler that rejects malformed promotion IDs with a 400.
+ */
+const validatePromotionId = (req, res, next, promotionId) => {
+  if (!mongoose.isValidObjectId(promotionId)) {
+    return next(new AppError(`Invalid promotion ID: ${promotionId}`, 400));
+  }
+  next();
+};
+
+/**
+ * Finds one of the store's own promotions or throws a 404 AppError.
+ * Platform-wide promotions are not editable through the store API.
+ * @param {string} storeId
+ * @param {string} promotionId
+ * @returns {Promise<import('mongoose').Document>}
+ */
+const findStorePromotionOrFail = async (storeId, promotionId) => {
+  const promotion = await Promotion.findOne({ _id: promotionId, storeId });
+  if (!promotion) {
+    throw new AppError(`No promotion found with ID ${promotionId} for this store`, 404);
+  }
+  return promotion;
+};
+
+/**
+ * Saves a promotion, turning a duplicate coupon code into a 409.
+ * @param {import('mongoose').Document} promotion
+ * @returns {Promise<void>}
+ */
+const savePromotion = async (promotion) => {
+  try {
+    await promotion.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(`Coupon code ${promotion.code} is already in use`, 409);
+    }
+    throw err;
+  }
+};
+
+/**
+ * GET /api/stores/:storeId/promotions
+ * Lists the store's promotions, newest first. ?active=true limits the list to
+ * switched-on ones.
+ */
+const listPromotions = catchAsync(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const filter = { storeId: req.params.storeId };
+  if (req.query.active === 'true') {
+    filter.isActive = true;
+  }
+
+  const [results, total] = await Promise.all([
+    Promotion.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Promotion.countDocuments(filter),
+  ]);
+
+  res.status(200).json(buildPaginatedResponse(results, total, { page, limit }));
+});
+
+/**
+ * POST /api/stores/:storeId/promotions
+ * Creates a coupon (with `code`) or an automatic offer (without) for the store.
+ */
+const createPromotion = catchAsync(async (req, res) => {
+  const promotion = new Promotion({
+    ...pickFields(req.body, PROMOTION_WRITABLE_FIELDS),
+    storeId: req.params.storeId,
+  });
+  await savePromotion(promotion);
+
+  res.status(201).json(promotion);
+});
+
+/**
+ * PATCH /api/stores/:storeId/promotions/:promotionId
+ * Edits a promotion. Orders already placed keep the discount they were given.
+ */
+const updatePromotion = catchAsync(async (req, res) => {
+  const updates = pickFields(req.body, PROMOTION_WRITABLE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    throw new AppError(`Provide at least one of: ${PROMOTION_WRITABLE_FIELDS.join(', ')}`, 400);
+  }
+
+  const promotion = await findStorePromotionOrFail(req.params.storeId, req.params.promotionId);
+  promotion.set(updates);
+  await savePromotion(promotion);
+
+  res.status(200).json(promotion);
+});
+
+/**
+ * DELETE /api/stores/:storeId/promotions/:promotionId
+ * Switches a promotion off. It is kept because past orders reference it.
+ */
+const deactivatePromotion = catchAsync(async (req, res) => {
+  const promotion = await findStorePromotionOrFail(req.params.storeId, req.params.promotionId);
+  if (promotion.isActive) {
+    promotion.isActive = false;
+    await promotion.save();
+  }
+
+  res.status(200).json(promotion);
+});
+
+export { validatePromotionId, listPromotions, createPromotion, updatePromotion, deactivatePromotion };
@@ -0,0 +1,411 @@
+// backend/controllers/riderController.js
+import mongoose from 'mongoose';
+import Rider, { RIDER_AVAILABILITY } from '../models/Rider.js';
+import Order from '../models/Order.js';
+import Store from '../models/Store.js';
+import { signRiderToken } from '../middleware/auth.js';
+import {
+  requestLoginOtp,
+  verifyLoginOtp,
+  OTP_LENGTH,
+  OTP_TTL_SECONDS,
+  RESEND_COOLDOWN_SECONDS,
+} from '../services/otpService.js';
+import {
+  ACTIVE_DELIVERY_STATUSES,
+  countActiveDeliveries,
+  findNearestIdleRider,
+  assignRider,
+  unassignRider,
+  verifyDeliveryOtp,
+} from '../services/riderService.js';
+import { findBatchViews } from '../services/deliveryBatchService.js';
+import { ORDER_EVENT_TYPES, publishOrderEvent } from '../services/orderEventBus.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+import { parseMobileNumber } from '../utils/phone.js';
+import { parseLatLng, toGeoPoint } from '../utils/geo.js';
+
+/**
+ * Shapes the rider data returned to the client.
+ * @param {import('mongoose').Document} rider - The Rider document.
+ * @returns {{ id: string, name: string, phone: string, storeId: string, availability: string,
+ *   location: { lat: number, lng: number } | null, locationUpdatedAt: Date | null }}
+ */
+const toRiderResponse = (rider) => {
+  const [lng, lat] = rider.location?.coordinates ?? [];
+  return {
+    id: rider._id.toString(),
+    name: rider.name,
+    phone: rider.phone,
+    storeId: rider.storeId.toString(),
+    availability: rider.availability,
+    location: rider.location ? { lat, lng } : null,
+    locationUpdatedAt: rider.locationUpdatedAt ?? null,
+  };
+};
+
+/**
+ * An order as the rider delivering it sees it: where to pick it up and take
+ * it, what to hand over and how much cash to collect. Pricing, payments and
+ * the store's history are left out.
+ * @param {import('mongoose').Document} order
+ * @param {object | null} store - The order's store (name, address, contactPhone, location).
+ * @returns {object}
+ */
+const toRiderOrderView = (order, store) => ({
+  _id: order._id,
+  status: order.status,
+  createdAt: order.createdAt,
+  store: store
+    ? { _id: store._id, name: store.name, address: store.address, contactPhone: store.contactPhone ?? null, location: store.location ?? null }
+    : null,
+  customerDetails: order.customerDetails,
+  deliveryAddress: order.deliveryAddress,
+  deliveryLocation: order.deliveryLocation,
+  items: order.items
+    .filter((item) => item.quantity > 0)
+    .map(({ productId, name, quantity }) => ({ productId, name, quantity })),
+  paymentMethod: order.paymentMethod,
+  // Cash on delivery orders are paid to the rider
+  amountToCollect: order.paymentMethod === 'cod' && order.paymentStatus === 'pending' ? order.totalAmount : 0,
+  delivery: order.delivery,
+});
+
+/**
+ * Saves an order, turning a lost optimistic-concurrency race into a 409.
+ * @param {import('mongoose').Document} order
+ * @returns {Promise<void>}
+ */
+const saveOrder = async (order) => {
+  try {
+    await order.save();
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      throw new AppError('This order was updated by someone else. Please refresh and try again.', 409);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Reads and normalises `phone` from the request body.
+ * @param {object} body
+ * @returns {string}
+ * @throws {AppError} 400 if it isn't a 10-digit mobile number.
+ */
+const readPhone = (body) => {
+  const phone = parseMobileNumber(body?.phone);
+  if (!phone) {
+    throw new AppError('Please enter a valid 10-digit mobile number', 400);
+  }
+  return phone;
+};
+
+/**
+ * POST /api/riders/otp
+ * Body: { phone }
+ * Texts a login code to a rider's number. Riders are set up by their store
+ * (npm run create-rider), so nothing is sent to a number without an active
+ * rider account; the response is the same either way.
+ */
+const requestOtp = catchAsync(async (req, res) => {
+  const phone = readPhone(req.body);
+  const rider = await Rider.findOne({ phone, isActive: true }, '_id');
+  const result = rider
+    ? await requestLoginOtp({ phone, ip: req.ip })
+    : { expiresInSeconds: OTP_TTL_SECONDS, resendAfterSeconds: RESEND_COOLDOWN_SECONDS };
+
+  res.status(202).json({ phone, ...result });
+});
+
+/**
+ * POST /api/riders/login
+ * Body: { phone, code }
+ * Exchanges a login code for { token, rider }.
+ */
+const login = catchAsync(async (req, res) => {
+  const phone = readPhone(req.body);
+  const code = String(req.body?.code ?? '').trim();
+  if (!new RegExp(`^\\d{${OTP_LENGTH}}$`).test(code)) {
+    throw new AppError(`Please enter the ${OTP_LENGTH}-digit code we sent you`, 400);
+  }
+
+  await verifyLoginOtp({ phone, code });
+
+  const rider = await Rider.findOneAndUpdate(
+    { phone, isActive: true },
+    { $set: { lastLoginAt: new Date() } },
+    { new: true }
+  );
+  if (!rider) {
+    throw new AppError('There is no active rider account for this number.', 403);
+  }
+
+  res.status(200).json({ token: signRiderToken(rider), rider: toRiderResponse(rider) });
+});
+
+/**
+ * GET /api/riders/me
+ * Returns the logged-in rider. Requires the `protectRider` middleware.
+ */
+const getCurrentRider = (req, res) => {
+  res.status(200).json({ rider: toRiderResponse(req.rider) });
+};
+
+/**
+ * PATCH /api/riders/me
+ * Body: { availability?, location?: { lat, lng } }
+ * Goes on or off shift and/or reports where the rider is. Going offline
+ * keeps the deliveries already assigned; it only stops new ones.
+ */
+const updateCurrentRider = catchAsync(async (req, res) => {
+  const { availability, location } = req.body ?? {};
+  const updates = {};
+  if (availability !== undefined) {
+    if (!RIDER_AVAILABILITY.includes(availability)) {
+      throw new AppError(`availability must be one of: ${RIDER_AVAILABILITY.join(', ')}`, 400);
+    }
+    updates.availability = availability;
+  }
+  if (location !== undefined) {
+    const latLng = parseLatLng(location);
+    if (!latLng) {
+      throw new AppError('location must be { lat, lng } with valid coordinates', 400);
+    }
+    updates.location = toGeoPoint(latLng);
+    updates.locationUpdatedAt = new Date();
+  }
+  if (Object.keys(updates).length === 0) {
+    throw new AppError('Nothing to update. Send availability and/or location.', 400);
+  }
+
+  const rider = await Rider.findByIdAndUpdate(req.rider._id, { $set: updates }, { new: true, runValidators: true });
+  res.status(200).json({ rider: toRiderResponse(rider) });
+});
+
+/**
+ * GET /api/riders/me/deliveries
+ * The orders assigned to the logged-in rider that are still to be delivered,
+ * and the batches (trips of several orders) they belong to, with each trip's
+ * route and ETAs. Batched orders come in route order, then the rest oldest
+ * first.
+ */
+const listMyDeliveries = catchAsync(async (req, res) => {
+  const [orders, store] = await Promise.all([
+    Order.find({ 'delivery.riderId': req.rider._id, status: { $in: ACTIVE_DELIVERY_STATUSES } }).sort({ createdAt: 1 }),
+    Store.findById(req.rider.storeId, 'name address contactPhone location').lean(),
+  ]);
+  const batchIds = [...new Set(orders.map((order) => order.delivery.batchId?.toString()).filter(Boolean))];
+  const batches = batchIds.length > 0 ? await findBatchViews(batchIds) : [];
+
+  // Batches oldest first, each in stop order; the sort is stable, so
+  // unbatched orders stay oldest first after them
+  const routePositions = new Map();
+  [...batches].reverse().forEach((batch) => {
+    batch.stops.forEach((stop) => routePositions.set(stop.orderId.toString(), routePositions.size));
+  });
+  const routePosition = (order) => routePositions.get(order._id.toString()) ?? Infinity;
+  orders.sort((a, b) => routePosition(a) - routePosition(b) || 0);
+
+  res.status(200).json({ deliveries: orders.map((order) => toRiderOrderView(order, store)), batches });
+});
+
+/**
+ * Loads an order assigned to the logged-in rider.
+ * @param {import('express').Request} req
+ * @returns {Promise<import('mongoose').Document>}
+ * @throws {AppError} 404 if there is no such order or it is someone else's.
+ */
+const findRiderOrderOrFail = async (req) => {
+  const order = await Order.findOne({ _id: req.params.orderId, 'delivery.riderId': req.rider._id });
+  if (!order) {
+    throw new AppError('This delivery is not assigned to you.', 404);
+  }
+  return order;
+};
+
+/**
+ * Saves a rider's change to an order, tells the store's dashboard and
+ * responds with the rider's view of it.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('mongoose').Document} order
+ * @param {string} eventType - One of ORDER_EVENT_TYPES.
+ * @returns {Promise<void>}
+ */
+const respondWithDelivery = async (req, res, order, eventType) => {
+  await saveOrder(order);
+  publishOrderEvent(eventType, order);
+  const store = await Store.findById(order.storeId, 'name address contactPhone location').lean();
+  res.status(200).json(toRiderOrderView(order, store));
+};
+
+/**
+ * POST /api/riders/me/deliveries/:orderId/accept
+ * The rider takes on an order assigned to them.
+ */
+const acceptDelivery = catchAsync(async (req, res) => {
+  const order = await findRiderOrderOrFail(req);
+  if (!ACTIVE_DELIVERY_STATUSES.includes(order.status)) {
+    throw new AppError(`This order is already '${order.status}'.`, 409);
+  }
+  order.delivery.acceptedAt ??= new Date();
+  await respondWithDelivery(req, res, order, ORDER_EVENT_TYPES.UPDATED);
+});
+
+/**
+ * POST /api/riders/me/deliveries/:orderId/decline
+ * Hands an assigned order back to the store before it has been picked up.
+ */
+const declineDelivery = catchAsync(async (req, res) => {
+  const order = await findRiderOrderOrFail(req);
+  unassignRider(order);
+  await saveOrder(order);
+  publishOrderEvent(ORDER_EVENT_TYPES.UPDATED, order);
+  res.status(204).end();
+});
+
+/**
+ * POST /api/riders/me/deliveries/:orderId/pickup
+ * The rider has collected the order from the store: it moves to
+ * out_for_delivery. The store must have accepted the order first.
+ */
+const pickUpDelivery = catchAsync(async (req, res) => {
+  const order = await findRiderOrderOrFail(req);
+  if (order.status === 'placed') {
+    throw new AppError('The store has not accepted this order yet.', 409);
+  }
+  if (!order.canTransitionTo('out_for_delivery')) {
+    throw new AppError(`This order can't be picked up while it is '${order.status}'.`, 409);
+  }
+  const now = new Date();
+  order.transitionTo('out_for_delivery', { actor: `rider:${req.rider.phone}` });
+  order.delivery.acceptedAt ??= now;
+  order.delivery.pickedUpAt = now;
+  await respondWithDelivery(req, res, order, ORDER_EVENT_TYPES.STATUS_CHANGED);
+});
+
+/**
+ * POST /api/riders/me/deliveries/:orderId/complete
+ * Body: { otp }
+ * Marks the order delivered. `otp` is the code on the customer's order page,
+ * so this only succeeds with the customer there. Cash on delivery orders are
+ * marked paid.
+ */
+const completeDelivery = catchAsync(async (req, res) => {
+  const order = await findRiderOrderOrFail(req);
+  if (order.status !== 'out_for_delivery') {
+    throw new AppError(`Pick up the order before completing it; it is '${order.status}'.`, 409);
+  }
+  await verifyDeliveryOtp(order, req.body?.otp);
+
+  order.transitionTo('delivered', { actor: `rider:${req.rider.phone}` });
+  order.delivery.deliveredAt = new Date();
+  if (order.paymentMethod === 'cod') {
+    order.paymentStatus = 'paid';
+  }
+  await respondWithDelivery(req, res, order, ORDER_EVENT_TYPES.STATUS_CHANGED);
+});
+
+/**
+ * GET /api/stores/:storeId/riders
+ * The store's riders with what each is doing: 'offline', 'idle' (available
+ * with nothing to deliver) or 'busy', and how many active orders they carry.
+ * Requires `protect` and `authorizeStore`.
+ */
+const listStoreRiders = catchAsync(async (req, res) => {
+  const riders = await Rider.find({ storeId: req.params.storeId, isActive: true }).sort({ name: 1 });
+  const activeCounts = await countActiveDeliveries(riders.map((rider) => rider._id));
+
+  res.status(200).json({
+    riders: riders.map((rider) => {
+      const activeDeliveries = activeCounts.get(rider._id.toString()) ?? 0;
+      let status = 'offline';
+      if (activeDeliveries > 0) status = 'busy';
+      else if (rider.availability === 'available') status = 'idle';
+      return { ...toRiderResponse(rider), status, activeDeliveries };
+    }),
+  });
+});
+
+/**
+ * Loads an order of the logged-in owner's store.
+ * @param {import('express').Request} req
+ * @returns {Promise<import('mongoose').Document>}
+ * @throws {AppError} 404 if it doesn't exist, 403 if it is another store's.
+ */
+const findStoreOrderOrFail = async (req) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    throw new AppError(`No order found with ID ${req.params.orderId}`, 404);
+  }
+  if (!order.storeId.equals(req.owner.storeId)) {
+    throw new AppError('You do not have permission to manage this order.', 403);
+  }
+  return order;
+};
+
+/**
+ * POST /api/orders/:orderId/rider
+ * Body: { riderId } to pick the rider, or { auto: true } for the store's
+ * nearest idle rider.
+ * Assigns (or reassigns) who delivers the order, until it is picked up. The
+ * rider then accepts or declines it. Requires the `protect` middleware; only
+ * the owner of the order's store may do this.
+ */
+const assignOrderRider = catchAsync(async (req, res) => {
+  const { riderId, auto } = req.body ?? {};
+  if (auto !== true && !mongoose.isValidObjectId(riderId)) {
+    throw new AppError('Send riderId, or auto: true to pick the nearest idle rider', 400);
+  }
+  const order = await findStoreOrderOrFail(req);
+
+  let rider;
+  if (auto === true) {
+    const store = await Store.findById(order.storeId, 'location');
+    rider = store ? await findNearestIdleRider(store) : null;
+    if (!rider) {
+      throw new AppError('No rider is free right now. Try again shortly or pick a busy rider.', 409);
+    }
+  } else {
+    rider = await Rider.findById(riderId);
+    if (!rider) {
+      throw new AppError(`No rider found with ID ${riderId}`, 404);
+    }
+  }
+  assignRider(order, rider, auto === true ? 'auto' : 'store');
+
+  await saveOrder(order);
+  publishOrderEvent(ORDER_EVENT_TYPES.UPDATED, order);
+  res.status(200).json(order);
+});
+
+/**
+ * DELETE /api/orders/:orderId/rider
+ * Takes the order away from its rider, until it is picked up. Requires the
+ * `protect` middleware; only the owner of the order's store may do this.
+ */
+const unassignOrderRider = catchAsync(async (req, res) => {
+  const order = await findStoreOrderOrFail(req);
+  unassignRider(order);
+
+  await saveOrder(order);
+  publishOrderEvent(ORDER_EVENT_TYPES.UPDATED, order);
+  res.status(200).json(order);
+});
+
+export {
+  requestOtp,
+  login,
+  getCurrentRider,
+  updateCurrentRider,
+  listMyDeliveries,
+  acceptDelivery,
+  declineDelivery,
+  pickUpDelivery,
+  completeDelivery,
+  listStoreRiders,
+  assignOrderRider,
+  unassignOrderRider,
+  saveOrder,
+};
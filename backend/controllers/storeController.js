@@ -0,0 +1,344 @@
+// backend/controllers/storeController.js
+import mongoose from 'mongoose';
+import Store, { DEFAULT_DELIVERY_RADIUS_KM, MAX_DELIVERY_RADIUS_KM, PINCODE_REGEX } from '../models/Store.js';
+import Order, { ORDER_STATUSES } from '../models/Order.js';
+import {
+  AppError,
+  catchAsync,
+  pickFields,
+  getPaginationParams,
+  buildPaginatedResponse,
+} from '../utils/backendUtils.js';
+import { getStoreOpenStatus } from '../services/storeHoursService.js';
+import { checkServiceability } from '../services/serviceabilityService.js';
+import { MAX_METRICS_DAYS, parseMetricsDays, getStoreSlaMetrics } from '../services/slaService.js';
+import { MAX_SLOT_DAYS_AHEAD, parseSlotDate, listDeliverySlots } from '../services/deliverySlotService.js';
+import { parseLatLng, toGeoPoint } from '../utils/geo.js';
+
+// Fields a client is allowed to set when updating a store.
+// Anything else in the request body (e.g. _id, timestamps) is silently dropped.
+// Products and delivery slots are managed through their own endpoints so their _ids stay stable.
+// isActive is the platform's to set: owners close for a while with ordersPaused instead.
+const STORE_WRITABLE_FIELDS = [
+  'name',
+  'address',
+  'location',
+  'deliveryRadiusKm',
+  'serviceablePincodes',
+  'openingHours',
+  'holidays',
+  'ordersPaused',
+  'ordersPausedReason',
+  'ordersPausedUntil',
+  'pricing',
+  'deliveryTimes',
+  'contactPhone',
+  'categories',
+];
+
+/**
+ * Escapes user input so it can be embedded safely in a RegExp.
+ * @param {string} value - Raw user input.
+ * @returns {string} The escaped string.
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Adds the live `openStatus` to a store for API responses. Open/closed depends
+ * on the current time, so it is computed per request rather than stored.
+ * @param {object} store - A lean store object or a Store document.
+ * @returns {object} A plain object with `openStatus` set.
+ */
+const withOpenStatus = (store) => {
+  const plain = typeof store.toJSON === 'function' ? store.toJSON() : store;
+  return { ...plain, openStatus: getStoreOpenStatus(plain) };
+};
+
+/**
+ * Loads a store by ID or throws a 404 AppError.
+ * @param {string} storeId - The store's ObjectId as a string.
+ * @param {string} [projection] - Optional Mongoose field selection.
+ * @returns {Promise<import('mongoose').Document>} The store document.
+ */
+const findStoreOrFail = async (storeId, projection) => {
+  const store = await Store.findById(storeId, projection);
+  if (!store) {
+    throw new AppError(`No store found with ID ${storeId}`, 404);
+  }
+  return store;
+};
+
+/**
+ * Router param handler that rejects malformed store IDs with a 400
+ * before any handler runs.
+ */
+const validateStoreId = (req, res, next, storeId) => {
+  if (!mongoose.isValidObjectId(storeId)) {
+    return next(new AppError(`Invalid store ID: ${storeId}`, 400));
+  }
+  next();
+};
+
+/**
+ * GET /api/stores
+ * Lists stores with optional filters and pagination.
+ * Query params: pincode, city, category, search (name), isActive ('true' | 'false' | 'all'), page, limit.
+ * Only active stores are returned unless isActive says otherwise.
+ */
+const listStores = catchAsync(async (req, res) => {
+  const { pincode, city, category, search, isActive } = req.query;
+  const filter = {};
+
+  if (pincode !== undefined) {
+    if (typeof pincode !== 'string' || !PINCODE_REGEX.test(pincode)) {
+      throw new AppError('Please provide a valid 6-digit Indian pincode', 400);
+    }
+    filter['address.pincode'] = pincode;
+  }
+  if (typeof city === 'string' && city.trim()) {
+    filter['address.city'] = new RegExp(`^${escapeRegex(city.trim())}$`, 'i');
+  }
+  if (typeof category === 'string' && category.trim()) {
+    filter.categories = new RegExp(`^${escapeRegex(category.trim())}$`, 'i');
+  }
+  if (typeof search === 'string' && search.trim()) {
+    filter.name = new RegExp(escapeRegex(search.trim()), 'i');
+  }
+
+  // Default to active stores only; 'all' disables the filter entirely
+  if (isActive === undefined || isActive === 'true') {
+    filter.isActive = true;
+  } else if (isActive === 'false') {
+    filter.isActive = false;
+  } else if (isActive !== 'all') {
+    throw new AppError("isActive must be 'true', 'false' or 'all'", 400);
+  }
+
+  const pagination = getPaginationParams(req.query);
+  const [stores, total] = await Promise.all([
+    Store.find(filter)
+      .select('-products') // Listings don't need the full catalog
+      .sort({ name: 1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit)
+      .lean(),
+    Store.countDocuments(filter),
+  ]);
+
+  res.status(200).json(buildPaginatedResponse(stores.map(withOpenStatus), total, pagination));
+});
+
+/**
+ * Parses the customer's `lat`/`lng` query params.
+ * @param {object} query - req.query.
+ * @returns {{ lat: number, lng: number }} The validated coordinates.
+ * @throws {AppError} 400 if either is missing or out of range.
+ */
+const parseCustomerLocation = (query) => {
+  const location = parseLatLng(query);
+  if (!location) {
+    throw new AppError('Provide your location as lat (-90 to 90) and lng (-180 to 180) query parameters', 400);
+  }
+  return location;
+};
+
+/**
+ * GET /api/stores/nearby
+ * Lists active stores that deliver to the given point, nearest first.
+ * Query params: lat, lng (required), category, page, limit.
+ * Each result carries `distanceKm` from the customer. A store is included only
+ * if the customer is within that store's own `deliveryRadiusKm`.
+ */
+const findNearbyStores = catchAsync(async (req, res) => {
+  const { lat, lng } = parseCustomerLocation(req.query);
+  const { category } = req.query;
+
+  const query = { isActive: true };
+  if (typeof category === 'string' && category.trim()) {
+    query.categories = new RegExp(`^${escapeRegex(category.trim())}$`, 'i');
+  }
+
+  const pagination = getPaginationParams(req.query);
+  const [page] = await Store.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001, // Metres to kilometres
+        // No store delivers further than the max radius, so skip anything beyond it
+        maxDistance: MAX_DELIVERY_RADIUS_KM * 1000,
+        query,
+        spherical: true,
+      },
+    },
+    {
+      // Stores saved before deliveryRadiusKm existed fall back to the default radius
+      $match: {
+        $expr: { $lte: ['$distanceKm', { $ifNull: ['$deliveryRadiusKm', DEFAULT_DELIVERY_RADIUS_KM] }] },
+      },
+    },
+    { $project: { products: 0 } }, // Listings don't need the full catalog
+    {
+      $facet: {
+        results: [{ $skip: pagination.skip }, { $limit: pagination.limit }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = page.total[0]?.count ?? 0;
+  res.status(200).json(buildPaginatedResponse(page.results.map(withOpenStatus), total, pagination));
+});
+
+/**
+ * GET /api/stores/:storeId
+ * Returns a single store, including its products and live `openStatus`.
+ */
+const getStore = catchAsync(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+  res.status(200).json(withOpenStatus(store));
+});
+
+/**
+ * GET /api/stores/:storeId/serviceability
+ * Says whether the store delivers to an address, so checkout can flag saved
+ * addresses it can't use. Orders run the same check when placed.
+ * Query params: pincode (required), lat and lng (optional, together).
+ */
+const getStoreServiceability = catchAsync(async (req, res) => {
+  const { pincode, lat, lng } = req.query;
+  if (typeof pincode !== 'string' || !PINCODE_REGEX.test(pincode)) {
+    throw new AppError('Please provide a valid 6-digit Indian pincode', 400);
+  }
+  let location;
+  if (lat !== undefined || lng !== undefined) {
+    const coordinates = parseLatLng(req.query);
+    if (!coordinates) {
+      throw new AppError('lat and lng must be valid coordinates', 400);
+    }
+    location = toGeoPoint(coordinates);
+  }
+
+  const store = await findStoreOrFail(req.params.storeId, 'address serviceablePincodes location deliveryRadiusKm');
+  res.status(200).json(checkServiceability(store, { pincode, location }));
+});
+
+/**
+ * GET /api/stores/:storeId/delivery-slots?date=YYYY-MM-DD
+ * The store's delivery slots on a date (default today, at most
+ * MAX_SLOT_DAYS_AHEAD days ahead) with the places each has left, for
+ * checkout's slot picker. None on the store's holidays.
+ */
+const getStoreDeliverySlots = catchAsync(async (req, res) => {
+  const date = parseSlotDate(req.query.date);
+  if (date === null) {
+    throw new AppError(`date must be a YYYY-MM-DD date from today to ${MAX_SLOT_DAYS_AHEAD} days ahead`, 400);
+  }
+  const store = await findStoreOrFail(
+    req.params.storeId,
+    'isActive openingHours holidays deliverySlots ordersPaused ordersPausedUntil'
+  );
+  res.status(200).json({ date, slots: await listDeliverySlots(store, date) });
+});
+
+/**
+ * PATCH /api/stores/:storeId
+ * Partially updates a store. Uses document.save() so all schema validators run.
+ */
+const updateStore = catchAsync(async (req, res) => {
+  const updates = pickFields(req.body, STORE_WRITABLE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    throw new AppError(`Provide at least one of: ${STORE_WRITABLE_FIELDS.join(', ')}`, 400);
+  }
+
+  const store = await findStoreOrFail(req.params.storeId);
+  store.set(updates);
+  await store.save();
+
+  res.status(200).json(withOpenStatus(store));
+});
+
+/**
+ * DELETE /api/stores/:storeId
+ * Soft-deactivates a store by clearing isActive. The document and its
+ * order history are kept. Only the platform can reactivate the store; to
+ * stop taking orders for a while, the owner pauses them instead.
+ */
+const deactivateStore = catchAsync(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+  if (store.isActive) {
+    store.isActive = false;
+    await store.save();
+  }
+  res.status(200).json(store);
+});
+
+/**
+ * GET /api/stores/:storeId/products
+ * Returns the embedded product list for a store.
+ */
+const getStoreProducts = catchAsync(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId, 'products');
+  res.status(200).json(store.products);
+});
+
+/**
+ * GET /api/stores/:storeId/orders
+ * Lists orders for a store, newest first, with optional status filter and pagination.
+ */
+const getStoreOrders = catchAsync(async (req, res) => {
+  const { storeId } = req.params;
+  const { status } = req.query;
+
+  // Make sure the store exists so a typo'd ID gives a 404 rather than an empty list
+  await findStoreOrFail(storeId, '_id');
+
+  const filter = { storeId };
+  if (status !== undefined) {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+    }
+    filter.status = status;
+  }
+
+  const pagination = getPaginationParams(req.query);
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit), // Not lean: the nextStatuses and slaStatus virtuals are needed by the dashboard
+    Order.countDocuments(filter),
+  ]);
+
+  res.status(200).json(buildPaginatedResponse(orders, total, pagination));
+});
+
+/**
+ * GET /api/stores/:storeId/sla?days=7
+ * How well the store keeps its delivery promises: its orders delivered in the
+ * last `days` days (default 7, at most 90) on time or late, and its open
+ * orders on track, at risk or already late.
+ */
+const getStoreSla = catchAsync(async (req, res) => {
+  const days = parseMetricsDays(req.query.days);
+  if (days === null) {
+    throw new AppError(`days must be a whole number from 1 to ${MAX_METRICS_DAYS}`, 400);
+  }
+  await findStoreOrFail(req.params.storeId, '_id');
+  res.status(200).json(await getStoreSlaMetrics(req.params.storeId, { days }));
+});
+
+export {
+  findStoreOrFail,
+  validateStoreId,
+  listStores,
+  findNearbyStores,
+  getStore,
+  getStoreServiceability,
+  getStoreDeliverySlots,
+  updateStore,
+  deactivateStore,
+  getStoreProducts,
+  getStoreOrders,
+  getStoreSla,
+};
@@ -0,0 +1,267 @@
+// backend/middleware/auth.js
+import jwt from 'jsonwebtoken';
+import StoreOwner from '../models/StoreOwner.js';
+import Customer from '../models/Customer.js';
+import Rider from '../models/Rider.js';
+import Order from '../models/Order.js';
+import OrderGroup from '../models/OrderGroup.js';
+import { AppError, catchAsync } from '../utils/backendUtils.js';
+import { isValidTrackingToken, isValidGroupTrackingToken } from '../services/orderTrackingService.js';
+
+/**
+ * Reads the JWT signing secret. Read lazily because dotenv is loaded by
+ * server.js after this module has been imported.
+ * @returns {string} The secret.
+ * @throws {Error} If JWT_SECRET is not configured (a deployment error, not a client error).
+ */
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not defined in environment variables.');
+  }
+  return secret;
+};
+
+/**
+ * Issues a signed JWT for a store owner. The token carries the owner's ID
+ * and the single store they are allowed to manage.
+ * @param {import('mongoose').Document} owner - The StoreOwner document.
+ * @returns {string} The signed token.
+ */
+const signOwnerToken = (owner) =>
+  jwt.sign(
+    { sub: owner._id.toString(), storeId: owner.storeId.toString() },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
+  );
+
+/**
+ * Issues a signed JWT for a customer account. `role` tells it apart from
+ * store owner tokens, which are signed with the same secret.
+ * @param {import('mongoose').Document} customer - The Customer document.
+ * @returns {string} The signed token.
+ */
+const signCustomerToken = (customer) =>
+  jwt.sign(
+    { sub: customer._id.toString(), role: 'customer' },
+    getJwtSecret(),
+    { expiresIn: process.env.CUSTOMER_JWT_EXPIRES_IN || '30d' }
+  );
+
+/**
+ * Issues a signed JWT for a rider. Like an owner token it names the rider's
+ * store, and like a customer token it carries a `role`.
+ * @param {import('mongoose').Document} rider - The Rider document.
+ * @returns {string} The signed token.
+ */
+const signRiderToken = (rider) =>
+  jwt.sign(
+    { sub: rider._id.toString(), storeId: rider.storeId.toString(), role: 'rider' },
+    getJwtSecret(),
+    { expiresIn: process.env.RIDER_JWT_EXPIRES_IN || '7d' }
+  );
+
+/**
+ * Verifies the request's `Authorization: Bearer <token>` header.
+ * JsonWebTokenError/TokenExpiredError are left to the global error handler.
+ * @param {import('express').Request} req
+ * @returns {object | null} The token payload, or null if no bearer token was sent.
+ */
+const readBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+  return jwt.verify(token, getJwtSecret());
+};
+
+/**
+ * Resolves the store owner from the request's bearer token.
+ * @param {import('express').Request} req
+ * @returns {Promise<import('mongoose').Document>} The StoreOwner document.
+ * @throws {AppError} 401 if there is no owner token or the owner is gone, disabled or moved.
+ */
+const authenticateOwner = async (req) => {
+  const payload = readBearerToken(req);
+  // Owner tokens are the only ones without a role
+  if (!payload || payload.role) {
+    throw new AppError('You are not logged in. Please log in to get access.', 401);
+  }
+
+  const owner = await StoreOwner.findById(payload.sub);
+  if (!owner || !owner.isActive) {
+    throw new AppError('The account for this token no longer exists or is disabled.', 401);
+  }
+  // Guard against a token minted before the owner was moved to another store
+  if (owner.storeId.toString() !== payload.storeId) {
+    throw new AppError('Your session is out of date. Please log in again.', 401);
+  }
+  return owner;
+};
+
+/**
+ * Requires a valid `Authorization: Bearer <token>` header.
+ * On success sets `req.owner` to the StoreOwner document.
+ */
+const protect = catchAsync(async (req, res, next) => {
+  req.owner = await authenticateOwner(req);
+  next();
+});
+
+/**
+ * Loads the customer a verified customer token belongs to.
+ * @param {object} payload - A token payload with role 'customer'.
+ * @returns {Promise<import('mongoose').Document>} The Customer document.
+ * @throws {AppError} 401 if the account no longer exists or is disabled.
+ */
+const loadTokenCustomer = async (payload) => {
+  const customer = await Customer.findById(payload.sub);
+  if (!customer || !customer.isActive) {
+    throw new AppError('The account for this token no longer exists or is disabled.', 401);
+  }
+  return customer;
+};
+
+/**
+ * Requires a logged-in customer. On success sets `req.customer` to the Customer document.
+ */
+const protectCustomer = catchAsync(async (req, res, next) => {
+  const payload = readBearerToken(req);
+  if (payload?.role !== 'customer') {
+    throw new AppError('Please log in with your phone number to continue.', 401);
+  }
+  req.customer = await loadTokenCustomer(payload);
+  next();
+});
+
+/**
+ * Requires a logged-in rider. On success sets `req.rider` to the Rider document.
+ */
+const protectRider = catchAsync(async (req, res, next) => {
+  const payload = readBearerToken(req);
+  if (payload?.role !== 'rider') {
+    throw new AppError('Please log in with your rider phone number to continue.', 401);
+  }
+  const rider = await Rider.findById(payload.sub);
+  if (!rider || !rider.isActive) {
+    throw new AppError('The account for this token no longer exists or is disabled.', 401);
+  }
+  // As for owners: a rider moved to another store must log in again
+  if (rider.storeId.toString() !== payload.storeId) {
+    throw new AppError('Your session is out of date. Please log in again.', 401);
+  }
+  req.rider = rider;
+  next();
+});
+
+/**
+ * For routes open to guests: sets `req.customer` when a customer token is
+ * sent, and otherwise (no token, or a store owner's or rider's) carries on without one.
+ */
+const identifyCustomer = catchAsync(async (req, res, next) => {
+  let payload;
+  try {
+    payload = readBearerToken(req);
+  } catch (err) {
+    // A stale store owner token in the same browser shouldn't block a guest checkout
+    const [, token] = (req.headers.authorization || '').split(' ');
+    if (jwt.decode(token)?.role !== 'customer') return next();
+    throw err;
+  }
+  if (payload?.role === 'customer') {
+    req.customer = await loadTokenCustomer(payload);
+  }
+  next();
+});
+
+/**
+ * Ensures the logged-in owner manages the store in `req.params.storeId`.
+ * Must run after `protect`.
+ */
+const authorizeStore = (req, res, next) => {
+  if (!req.owner || req.owner.storeId.toString() !== req.params.storeId) {
+    return next(new AppError('You do not have permission to manage this store.', 403));
+  }
+  next();
+};
+
+/**
+ * Lets through the customer holding the order's tracking token (in the
+ * `X-Order-Token` header or `?token=`), the logged-in customer who placed it,
+ * or the owner of the order's store. Sets `req.order` to the Order document
+ * and `req.orderViewer` to 'customer' or 'store'. Guests without the token can
+ * get it back through POST /api/orders/:orderId/tracking-token.
+ */
+const authorizeOrderViewer = catchAsync(async (req, res, next) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    throw new AppError(`No order found with ID ${req.params.orderId}`, 404);
+  }
+
+  if (isValidTrackingToken(order._id, req.get('X-Order-Token') || req.query.token)) {
+    req.order = order;
+    req.orderViewer = 'customer';
+    return next();
+  }
+  const payload = readBearerToken(req);
+  if (payload?.role === 'customer') {
+    const customer = await loadTokenCustomer(payload);
+    if (order.customerId?.equals(customer._id)) {
+      req.customer = customer;
+      req.order = order;
+      req.orderViewer = 'customer';
+      return next();
+    }
+  } else if (payload && !payload.role) {
+    const owner = await authenticateOwner(req);
+    if (owner.storeId.equals(order.storeId)) {
+      req.owner = owner;
+      req.order = order;
+      req.orderViewer = 'store';
+      return next();
+    }
+  }
+  // 403 rather than 401: a logged-in owner of another store, or another customer, keeps their session
+  throw new AppError('Open this order from its tracking link, or confirm the phone number it was placed with.', 403);
+});
+
+/**
+ * Lets through the customer holding an order group's tracking token (in the
+ * `X-Order-Token` header or `?token=`) or the logged-in customer who placed
+ * it. Sets `req.orderGroup` to the OrderGroup document. Store owners see the
+ * group's orders individually, not the group.
+ */
+const authorizeOrderGroupViewer = catchAsync(async (req, res, next) => {
+  const group = await OrderGroup.findById(req.params.groupId);
+  if (!group) {
+    throw new AppError(`No order group found with ID ${req.params.groupId}`, 404);
+  }
+
+  if (isValidGroupTrackingToken(group._id, req.get('X-Order-Token') || req.query.token)) {
+    req.orderGroup = group;
+    return next();
+  }
+  const payload = readBearerToken(req);
+  if (payload?.role === 'customer') {
+    const customer = await loadTokenCustomer(payload);
+    if (group.customerId?.equals(customer._id)) {
+      req.customer = customer;
+      req.orderGroup = group;
+      return next();
+    }
+  }
+  throw new AppError('Open these orders from their tracking link, or confirm the phone number they were placed with.', 403);
+});
+
+export {
+  signOwnerToken,
+  signCustomerToken,
+  signRiderToken,
+  protect,
+  protectCustomer,
+  protectRider,
+  identifyCustomer,
+  authorizeStore,
+  authorizeOrderViewer,
+  authorizeOrderGroupViewer,
+};
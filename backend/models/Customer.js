@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { MOBILE_NUMBER_REGEX } from '../utils/phone.js';
+import { PINCODE_REGEX, pointSchema } from './Store.js';
+
+// Most addresses a customer may keep in their address book
+const MAX_SAVED_ADDRESSES = 10;
+// Most distinct products a saved cart may hold
+const MAX_SAVED_CART_LINES = 100;
+
+// Fields of a structured delivery address, shared by the address book and orders
+const addressDefinition = {
+    label: {
+        // Customer's name for the address, e.g. 'Home' or 'Work'
+        type: String,
+        trim: true,
+        maxlength: [30, 'Address label cannot exceed 30 characters'],
+    },
+    house: {
+        // House/flat number and building
+        type: String,
+        required: [true, 'House or flat number is required'],
+        trim: true,
+        maxlength: [200, 'House or flat cannot exceed 200 characters'],
+    },
+    street: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Street cannot exceed 200 characters'],
+    },
+    landmark: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Landmark cannot exceed 200 characters'],
+    },
+    city: {
+        type: String,
+        required: [true, 'City is required'],
+        trim: true,
+        maxlength: [100, 'City cannot exceed 100 characters'],
+    },
+    pincode: {
+        type: String,
+        required: [true, 'Pincode is required'],
+        trim: true,
+        match: [PINCODE_REGEX, 'Please provide a valid 6-digit Indian pincode'],
+    },
+    location: {
+        // Optional pin for the address; used for distance-based serviceability and fees
+        type: pointSchema,
+        default: undefined,
+    },
+};
+
+// An address as delivered to, snapshotted on the order
+const deliveryAddressSchema = new mongoose.Schema(addressDefinition, { _id: false });
+
+// An address-book entry; its _id lets checkout pick it by ID
+const savedAddressSchema = new mongoose.Schema({
+    ...addressDefinition,
+    lastUsedAt: {
+        // Most recently used addresses are offered first at checkout
+        type: Date,
+    },
+}, { timestamps: true });
+
+// The cart saved to the account so it follows the customer between devices.
+// Only product IDs and quantities are kept; names and prices are read from the
+// store's catalog when the cart is loaded.
+const savedCartSchema = new mongoose.Schema({
+    items: {
+        // A cart may hold products from several stores; each line says which
+        type: [{
+            storeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Store', required: true },
+            productId: { type: String, required: true },
+            quantity: {
+                type: Number,
+                required: true,
+                min: [1, 'Quantity must be at least 1'],
+                validate: { validator: Number.isInteger, message: '{VALUE} is not an integer value for quantity' },
+            },
+            _id: false,
+        }],
+        default: [],
+        validate: {
+            validator: (items) => items.length <= MAX_SAVED_CART_LINES,
+            message: `A saved cart can hold up to ${MAX_SAVED_CART_LINES} products`,
+        },
+    },
+    updatedAt: {
+        // When the cart last changed, so a device can tell whether its own cart is newer
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// Define the schema for a customer account
+// Customers sign in with a one-time code sent to their phone (see services/otpService.js);
+// the account is created the first time a number is verified, so there is no password.
+const customerSchema = new mongoose.Schema({
+    phone: {
+        // Normalised 10-digit mobile number; the login identifier
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true,
+        match: [MOBILE_NUMBER_REGEX, 'Please provide a valid 10-digit mobile number'],
+        unique: true,
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    addresses: {
+        type: [savedAddressSchema],
+        default: [],
+        validate: {
+            validator: (addresses) => addresses.length <= MAX_SAVED_ADDRESSES,
+            message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses`,
+        },
+    },
+    savedCart: {
+        type: savedCartSchema,
+        default: undefined, // No saved cart until the customer adds something while logged in
+    },
+    isActive: {
+        // Allows an account to be disabled without deleting it
+        type: Boolean,
+        default: true,
+    },
+    lastLoginAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+// Compile the schema into a Mongoose model
+const Customer = mongoose.model('Customer', customerSchema);
+
+export default Customer;
+export { MAX_SAVED_ADDRESSES, MAX_SAVED_CART_LINES, deliveryAddressSchema };
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Most orders one rider carries in a single trip
+const MAX_ORDERS_PER_BATCH = 4;
+
+// One stop on a batch's route, in the order the rider should visit them
+const batchStopSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+    },
+    legDistanceKm: {
+        // Straight-line distance from the previous stop (or the store, for the first)
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, { _id: false });
+
+// Several of a store's orders going to nearby addresses, delivered by one
+// rider in one trip, see services/deliveryBatchService.js. Each order also
+// points back at its batch (delivery.batchId); an order taken off its rider
+// leaves the batch. A batch stays current while any of its orders is.
+const deliveryBatchSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true,
+        index: true,
+    },
+    riderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true,
+        index: true,
+    },
+    stops: {
+        type: [batchStopSchema],
+        validate: {
+            validator: (stops) => stops.length >= 2 && stops.length <= MAX_ORDERS_PER_BATCH,
+            message: `A delivery batch has between 2 and ${MAX_ORDERS_PER_BATCH} orders`,
+        },
+    },
+    totalDistanceKm: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    createdBy: {
+        // Who made the batch, e.g. 'store:owner@example.com'
+        type: String,
+        required: true,
+        trim: true,
+    },
+}, {
+    timestamps: true,
+});
+
+const DeliveryBatch = mongoose.model('DeliveryBatch', deliveryBatchSchema);
+
+export default DeliveryBatch;
+export { MAX_ORDERS_PER_BATCH };
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// How many orders have booked one of a store's delivery slots on one day, see
+// services/deliverySlotService.js. Created by the first booking; each order
+// takes one place when placed and gives it back if cancelled.
+const deliverySlotBookingSchema = new mongoose.Schema({
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: true,
+    },
+    slotId: {
+        // A Store#deliverySlots entry
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    date: {
+        // Calendar date in the store's timezone, YYYY-MM-DD
+        type: String,
+        required: true,
+    },
+    bookedCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+}, {
+    timestamps: true,
+});
+
+// One counter per slot and day; the booking upsert relies on it to stay atomic
+deliverySlotBookingSchema.index({ storeId: 1, slotId: 1, date: 1 }, { unique: true });
+
+const DeliverySlotBooking = mongoose.model('DeliverySlotBooking', deliverySlotBookingSchema);
+
+export default DeliverySlotBooking;
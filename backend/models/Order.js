@@ -1,8 +1,10 @@
 import mongoose from 'mongoose';
+import { pointSchema } from './Store.js';
+import { deliveryAddressSchema } from './Customer.js';
 
 // Define the schema for individual items within an order
 const orderItemSchema = new mongoose.Schema({
-    productId: { // Using String for simplicity in MVP, not ObjectId reference
+    productId: { // The embedded Store product's _id, stored as a string
         type: String,
         required: [true, 'Product ID is required for order item'],
     },
@@ -11,22 +13,218 @@ const orderItemSchema = new mongoose.Schema({
         required: [true, 'Product name is required for order item'],
         trim: true,
     },
+    category: {
+        // Snapshot of the product's category, used by category-specific promotions
+        type: String,
+        trim: true,
+    },
     price: {
         type: Number,
         required: [true, 'Product price is required for order item'],
         min: [0, 'Price cannot be negative'],
     },
     quantity: {
+        // Units being supplied. New orders need at least 1 of each line; a line the store
+        // later marks unavailable drops to 0 and stays on the order for the record.
         type: Number,
         required: [true, 'Product quantity is required for order item'],
-        min: [1, 'Quantity must be at least 1'],
+        min: [0, 'Quantity cannot be negative'],
         validate: {
             validator: Number.isInteger,
             message: '{VALUE} is not an integer value for quantity',
         },
     },
+    cancelledQuantity: {
+        // Units removed by the store after the order was placed (ordered = quantity + cancelledQuantity)
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    cancellationReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    stockReserved: {
+        // True if this line decremented the product's stock when the order was placed,
+        // so cancellation knows whether there is anything to give back
+        type: Boolean,
+        default: false,
+    },
 }, { _id: false }); // Prevent Mongoose from creating an _id for subdocuments
 
+// Order lifecycle: the statuses each status may legally move to.
+// Terminal statuses (delivered, cancelled) have no outgoing transitions.
+const ORDER_STATUS_TRANSITIONS = Object.freeze({
+    placed: ['accepted', 'cancelled'],
+    accepted: ['out_for_delivery', 'cancelled'],
+    out_for_delivery: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: [],
+});
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Define the schema for a single entry in the order's status history
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+        enum: ORDER_STATUSES,
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    actor: {
+        // Who made the change, e.g. 'customer', 'store', 'system'
+        type: String,
+        required: [true, 'Status change actor is required'],
+        trim: true,
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+}, { _id: false });
+
+// When the order entered each status, keyed by status. The same times are in
+// statusHistory; these are kept separately so they can be queried directly.
+const statusTimestampsSchema = new mongoose.Schema(
+    Object.fromEntries(ORDER_STATUSES.map((status) => [status, { type: Date }])),
+    { _id: false }
+);
+
+// The delivery time promised when the order was placed, worked out by
+// services/slaService.js from the store's delivery times and the distance
+const orderPromiseSchema = new mongoose.Schema({
+    promisedAt: { type: Date, required: true },
+    prepMinutes: { type: Number, required: true, min: 0 }, // The store's preparation time
+    travelMinutes: { type: Number, required: true, min: 0 }, // Riding time to the customer
+    distanceKm: { type: Number, default: null }, // null when no location was shared; the store's radius was assumed
+}, { _id: false });
+
+// The delivery slot the customer booked, see services/deliverySlotService.js.
+// Its times are snapshotted so later changes to the store's slots don't move it.
+const orderDeliverySlotSchema = new mongoose.Schema({
+    slotId: { type: mongoose.Schema.Types.ObjectId, required: true }, // A Store#deliverySlots entry
+    date: { type: String, required: true }, // Store-local date, YYYY-MM-DD
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+}, { _id: false });
+
+// Price breakdown computed by services/pricingService.js when the order is placed.
+// Stored so the charged amounts never change if the store edits its pricing later.
+const orderPricingSchema = new mongoose.Schema({
+    itemSubtotal: { type: Number, required: true, min: 0 },
+    deliveryFee: { type: Number, required: true, min: 0 },
+    distanceKm: { type: Number, default: null }, // Store-to-customer distance, when a location was given
+    discountTotal: { type: Number, default: 0, min: 0 }, // Sum of the order's discounts
+    taxRatePercent: { type: Number, required: true, min: 0 },
+    taxAmount: { type: Number, required: true, min: 0 },
+    pricesIncludeTax: { type: Boolean, required: true }, // If true, taxAmount is already inside itemSubtotal
+    grandTotal: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+// A promotion applied to the order, see services/promotionService.js.
+// Name and amount are snapshotted so the receipt survives later edits to the promotion.
+const orderDiscountSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true,
+    },
+    code: { type: String }, // Set for coupons, absent for automatic offers
+    name: { type: String, required: true },
+    discountType: { type: String, required: true },
+    target: { type: String, enum: ['items', 'delivery'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    // Item discounts only: the categories they cover (lower-cased; empty for the
+    // whole order) and those lines' subtotal, for re-pricing after lines are removed
+    categories: { type: [String], default: undefined },
+    eligibleSubtotal: { type: Number, min: 0 },
+}, { _id: false });
+
+// How the customer pays. 'cod' = cash on delivery; 'online' = UPI/card through
+// the payment gateway (see services/paymentService.js).
+const PAYMENT_METHODS = ['cod', 'online'];
+// pending: not paid yet (COD until delivery, online until the gateway confirms).
+// paid: money received. failed: the last online attempt failed; the customer may retry.
+// partially_refunded / refunded: some or all of a paid amount has been given back.
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'];
+
+// Money given back to the customer after lines were cancelled or the order was
+// cancelled. Created as 'pending' before the gateway is called, so a refund is
+// never sent without being recorded (see services/paymentService.js).
+const refundSchema = new mongoose.Schema({
+    amount: { type: Number, required: true, min: [0.01, 'Refund amount must be positive'] },
+    reason: { type: String, required: true, trim: true, maxlength: 500 },
+    method: {
+        // Where the money goes. Online payments are refunded to the UPI/card used.
+        type: String,
+        enum: ['original_payment'],
+        default: 'original_payment',
+    },
+    // pending -> processing (gateway call in flight) -> processed | failed
+    status: { type: String, enum: ['pending', 'processing', 'processed', 'failed'], default: 'pending' },
+    items: {
+        // The lines this refund covers; empty when the whole order was cancelled
+        type: [{ productId: String, name: String, quantity: Number, _id: false }],
+        default: [],
+    },
+    provider: { type: String },
+    refundId: { type: String }, // The gateway's reference, once it has accepted the refund
+    failureReason: { type: String, trim: true },
+    actor: { type: String, required: true, trim: true }, // Who triggered it, e.g. 'store:owner@example.com'
+    createdAt: { type: Date, default: Date.now },
+    processedAt: { type: Date },
+});
+
+// The order's current online payment attempt, kept in step by gateway webhooks
+const orderPaymentSchema = new mongoose.Schema({
+    provider: { type: String, required: true }, // Gateway name, e.g. 'mock'
+    intentId: { type: String, required: true }, // The gateway's reference for this attempt
+    amount: { type: Number, required: true, min: 0 }, // Amount requested from the gateway
+    // Handed back when the customer asks to pay again while this attempt is still open
+    clientSecret: { type: String, select: false },
+    paidAt: { type: Date },
+    failureReason: { type: String, trim: true },
+}, { _id: false });
+
+// An earlier payment attempt replaced by a new one (after it failed, or the
+// total changed). If the customer completes it anyway, the money is refunded.
+const supersededPaymentSchema = new mongoose.Schema({
+    provider: { type: String, required: true },
+    intentId: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    supersededAt: { type: Date, default: Date.now },
+    refundId: { type: String }, // Set once a payment that came through late has been refunded
+    refundStatus: { type: String, enum: ['processed', 'failed'] },
+}, { _id: false });
+
+// Who is delivering the order, see services/riderService.js. The rider's name
+// and phone are snapshotted for the customer's order page.
+const orderDeliverySchema = new mongoose.Schema({
+    riderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rider',
+        required: true,
+    },
+    riderName: { type: String, required: true, trim: true },
+    riderPhone: { type: String, required: true, trim: true },
+    assignedBy: { type: String, enum: ['store', 'auto'], required: true },
+    assignedAt: { type: Date, default: Date.now },
+    acceptedAt: { type: Date }, // Set when the rider takes the job
+    pickedUpAt: { type: Date },
+    deliveredAt: { type: Date },
+    batchId: {
+        // The trip this order is delivered in with other nearby orders, if any
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliveryBatch',
+    },
+}, { _id: false });
+
 // Custom validator to ensure the items array is not empty
 const arrayLimit = (val) => {
     return val.length > 0;
@@ -40,6 +238,17 @@ const orderSchema = new mongoose.Schema({
         required: [true, 'Store ID is required for the order'],
         index: true, // Index for efficient querying by store
     },
+    groupId: {
+        // The checkout this order was placed in together with other stores' orders; absent when ordered alone
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderGroup',
+        index: { sparse: true },
+    },
+    customerId: {
+        // The customer account that placed the order; absent for guest checkouts
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+    },
     customerDetails: {
         name: {
             type: String,
@@ -50,14 +259,26 @@ const orderSchema = new mongoose.Schema({
             type: String,
             required: [true, 'Customer phone number is required'],
             trim: true,
+            index: true, // First-order and per-phone promotion checks look orders up by phone
             // Basic phone number format validation could be added here if needed
         },
         address: {
+            // The delivery address as one line, for receipts and the store's order list
             type: String,
             required: [true, 'Customer delivery address is required'],
             trim: true,
         },
     },
+    deliveryAddress: {
+        // The structured address delivered to; absent on orders placed before the address book
+        type: deliveryAddressSchema,
+        default: undefined,
+    },
+    deliveryLocation: {
+        // Customer's coordinates, when shared at checkout. Used for distance-based delivery fees.
+        type: pointSchema,
+        default: undefined,
+    },
     items: {
         type: [orderItemSchema],
         required: true, // Ensure items array exists
@@ -67,24 +288,197 @@ const orderSchema = new mongoose.Schema({
         type: String,
         required: true,
         enum: {
-            values: ['placed', 'accepted', 'out_for_delivery', 'delivered', 'cancelled'],
+            values: ORDER_STATUSES,
             message: '{VALUE} is not a supported order status.',
         },
         default: 'placed', // Default status when an order is created
         index: true, // Index for efficient querying by status
     },
     totalAmount: {
+        // Amount the customer pays; equals pricing.grandTotal for priced orders
         type: Number,
         required: [true, 'Total amount calculation is required'],
         min: [0, 'Total amount cannot be negative'],
     },
+    pricing: {
+        type: orderPricingSchema,
+        default: undefined, // Absent on orders placed before the pricing engine
+    },
+    discounts: {
+        type: [orderDiscountSchema],
+        default: [],
+    },
+    paymentMethod: {
+        type: String,
+        enum: {
+            values: PAYMENT_METHODS,
+            message: '{VALUE} is not a supported payment method.',
+        },
+        default: 'cod', // Orders placed before online payments were all cash on delivery
+    },
+    paymentStatus: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'pending',
+        index: true,
+    },
+    payment: {
+        type: orderPaymentSchema,
+        default: undefined, // Only set once an online payment has been started
+    },
+    supersededPayments: {
+        type: [supersededPaymentSchema],
+        default: [],
+    },
+    refunds: {
+        type: [refundSchema],
+        default: [],
+    },
+    delivery: {
+        type: orderDeliverySchema,
+        default: undefined, // Only set while a rider is assigned
+    },
+    deliveryOtpCheck: {
+        // The customer's delivery code is derived from the order ID (see
+        // services/orderTrackingService.js); only the guesses at it are tracked here
+        attempts: { type: Number, default: 0, min: 0 }, // Wrong codes since the last lockout
+        lockedUntil: { type: Date, default: null }, // Set once too many wrong codes have been entered
+    },
+    statusHistory: {
+        // Append-only audit trail of every status the order has been in
+        type: [statusHistorySchema],
+        default: [],
+    },
+    statusTimestamps: {
+        type: statusTimestampsSchema,
+        default: () => ({}),
+    },
+    deliverySlot: {
+        type: orderDeliverySlotSchema,
+        default: undefined, // Absent on orders delivered as soon as possible
+    },
+    promise: {
+        type: orderPromiseSchema,
+        default: undefined, // Absent on orders placed before delivery promises
+    },
 }, {
     timestamps: true, // Automatically add createdAt and updatedAt fields
+    // Reject saves of stale documents so two concurrent status changes can't both win
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true }, // Expose nextStatuses, slaStatus and estimatedDeliveryAt to API clients
+    toObject: { virtuals: true },
+});
+
+// Statuses this order may move to next, used by the admin UI to offer valid actions
+orderSchema.virtual('nextStatuses').get(function() {
+    return ORDER_STATUS_TRANSITIONS[this.status] ?? [];
 });
 
-// Pre-save middleware to calculate the totalAmount before saving the document
+/**
+ * When the order entered `status`, if it has. Orders from before
+ * statusTimestamps existed fall back to their status history.
+ * @param {string} status
+ * @returns {Date | null}
+ */
+orderSchema.methods.getStatusTime = function(status) {
+    return this.statusTimestamps?.[status]
+        ?? this.statusHistory.find((entry) => entry.status === status)?.changedAt
+        ?? null;
+};
+
+/**
+ * How the order stands against its promised delivery time. While it is open,
+ * the rest of the work is assumed to go at the pace the promise was made
+ * with: preparing until `prepMinutes` after placing, then `travelMinutes` of
+ * riding from when it leaves the store. A scheduled order leaves no earlier
+ * than its slot starts.
+ * @param {Date} [now]
+ * @returns {{ slaStatus: 'on_track' | 'at_risk' | 'breached' | 'met' | null, estimatedDeliveryAt: Date | null }}
+ *   'at_risk': still in time, but expected after the promise. null for
+ *   cancelled orders and orders without a promise.
+ */
+orderSchema.methods.getDeliveryEstimate = function(now = new Date()) {
+    if (!this.promise?.promisedAt || this.status === 'cancelled') {
+        return { slaStatus: null, estimatedDeliveryAt: null };
+    }
+    const promisedAt = this.promise.promisedAt.getTime();
+    if (this.status === 'delivered') {
+        const deliveredAt = this.getStatusTime('delivered') ?? this.updatedAt;
+        return { slaStatus: deliveredAt.getTime() <= promisedAt ? 'met' : 'breached', estimatedDeliveryAt: deliveredAt };
+    }
+
+    const minuteMs = 60 * 1000;
+    const travelMs = this.promise.travelMinutes * minuteMs;
+    const leftStoreAt = this.getStatusTime('out_for_delivery');
+    const readyAt = Math.max(
+        this.createdAt.getTime() + this.promise.prepMinutes * minuteMs,
+        this.deliverySlot?.startsAt.getTime() ?? 0
+    );
+    const expectedAt = leftStoreAt
+        ? Math.max(now.getTime(), leftStoreAt.getTime() + travelMs)
+        : Math.max(now.getTime(), readyAt) + travelMs;
+
+    let slaStatus = 'on_track';
+    if (now.getTime() > promisedAt) slaStatus = 'breached';
+    else if (expectedAt > promisedAt) slaStatus = 'at_risk';
+    return { slaStatus, estimatedDeliveryAt: new Date(expectedAt) };
+};
+
+// Worked out when read, since they change with the clock
+orderSchema.virtual('slaStatus').get(function() {
+    return this.getDeliveryEstimate().slaStatus;
+});
+orderSchema.virtual('estimatedDeliveryAt').get(function() {
+    return this.getDeliveryEstimate().estimatedDeliveryAt;
+});
+
+/**
+ * Checks whether the order may move from its current status to `nextStatus`.
+ * @param {string} nextStatus - The requested status.
+ * @returns {boolean} True if the transition is allowed.
+ */
+orderSchema.methods.canTransitionTo = function(nextStatus) {
+    return (ORDER_STATUS_TRANSITIONS[this.status] ?? []).includes(nextStatus);
+};
+
+/**
+ * Moves the order to `nextStatus` and appends a statusHistory entry.
+ * Callers should check canTransitionTo first to surface a friendly error;
+ * this throws as a last line of defence against illegal transitions.
+ * @param {string} nextStatus - The requested status.
+ * @param {{ actor: string, reason?: string }} change - Who made the change and why.
+ * @returns {this} The order document (not yet saved).
+ */
+orderSchema.methods.transitionTo = function(nextStatus, { actor, reason } = {}) {
+    if (!this.canTransitionTo(nextStatus)) {
+        throw new Error(`Illegal order status transition: ${this.status} -> ${nextStatus}`);
+    }
+    const changedAt = new Date();
+    this.status = nextStatus;
+    this.statusHistory.push({ status: nextStatus, actor, reason, changedAt });
+    this.set(`statusTimestamps.${nextStatus}`, changedAt);
+    return this;
+};
+
+// Pre-save middleware to seed the status history with the initial status of a new order
 orderSchema.pre('save', function(next) {
-    // Calculate total amount based on items array
+    if (this.isNew && this.statusHistory.length === 0) {
+        const changedAt = new Date();
+        this.statusHistory.push({ status: this.status, actor: 'customer', changedAt });
+        this.set(`statusTimestamps.${this.status}`, changedAt);
+    }
+    next();
+});
+
+// Pre-validate middleware to calculate the totalAmount. It must run before validation
+// (which happens ahead of pre('save') hooks) because totalAmount is required.
+orderSchema.pre('validate', function(next) {
+    // Priced orders carry their own total (delivery fee and tax included)
+    if (this.pricing && typeof this.pricing.grandTotal === 'number') {
+        this.totalAmount = this.pricing.grandTotal;
+        return next();
+    }
+    // Otherwise fall back to the item sum, as for orders placed before the pricing engine
     // `this` refers to the document being saved
     try {
         this.totalAmount = this.items.reduce((acc, item) => {
@@ -101,9 +495,24 @@ orderSchema.pre('save', function(next) {
     }
 });
 
+// A customer's order history, newest first
+orderSchema.index({ customerId: 1, createdAt: -1 });
+
+// Webhooks identify the order by the gateway's intent ID
+orderSchema.index({ 'payment.intentId': 1 }, { sparse: true });
+orderSchema.index({ 'supersededPayments.intentId': 1 }, { sparse: true });
+
+// A rider's current deliveries
+orderSchema.index({ 'delivery.riderId': 1, status: 1 }, { sparse: true });
+// The orders of a delivery batch
+orderSchema.index({ 'delivery.batchId': 1 }, { sparse: true });
+// A store's delivered orders by when they were delivered, for SLA metrics
+orderSchema.index({ storeId: 1, 'statusTimestamps.delivered': -1 });
+
 // Compile the schema into a Mongoose model
 // Mongoose will create a collection named 'orders' (pluralized, lowercase)
 const Order = mongoose.model('Order', orderSchema);
 
 // Export the Order model using ES Module syntax
-export default Order;
\ No newline at end of file
+export default Order;
+export { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, PAYMENT_METHODS, PAYMENT_STATUSES };
\ No newline at end of file
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from './Order.js';
+
+// Most stores a single checkout may order from
+const MAX_STORES_PER_GROUP = 5;
+
+// A checkout that ordered from several stores at once. Each store gets its own
+// Order (with this group's _id as its groupId) and handles it as usual; the
+// group ties them together for the customer's combined summary and payment.
+const orderGroupSchema = new mongoose.Schema({
+    orderIds: {
+        // One order per store, in the order the stores appeared in the cart
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+        validate: {
+            validator: (ids) => ids.length >= 2 && ids.length <= MAX_STORES_PER_GROUP,
+            message: `An order group has between 2 and ${MAX_STORES_PER_GROUP} orders`,
+        },
+    },
+    customerId: {
+        // The customer account that placed the orders; absent for guest checkouts
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        index: { sparse: true },
+    },
+    customerPhone: {
+        // Lets a guest who lost the group's link get it back by confirming their number
+        type: String,
+        required: true,
+        trim: true,
+    },
+    paymentMethod: {
+        // Shared by every order in the group; online groups are paid with one payment
+        type: String,
+        enum: {
+            values: PAYMENT_METHODS,
+            message: '{VALUE} is not a supported payment method.',
+        },
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+const OrderGroup = mongoose.model('OrderGroup', orderGroupSchema);
+
+export default OrderGroup;
+export { MAX_STORES_PER_GROUP };
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// How long sent codes are kept. Longer than any code is valid, because the
+// send rate limits count the codes sent to a phone (or from an IP) in the last hour.
+const OTP_RETENTION_SECONDS = 24 * 60 * 60;
+
+// One login code sent to a phone, see services/otpService.js.
+// Only a hash of the code is stored.
+const otpChallengeSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    codeHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    attempts: {
+        // Wrong codes entered so far; the challenge is dead once this reaches the limit
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    consumedAt: {
+        // Set when the code is used to log in, so it can't be used twice
+        type: Date,
+        default: null,
+    },
+    requestIp: {
+        type: String,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Latest challenge for a phone, and the per-phone / per-IP send counts
+otpChallengeSchema.index({ phone: 1, createdAt: -1 });
+otpChallengeSchema.index({ requestIp: 1, createdAt: -1 });
+// MongoDB deletes old challenges by itself
+otpChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: OTP_RETENTION_SECONDS });
+
+const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
+
+export default OtpChallenge;
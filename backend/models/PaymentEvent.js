@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A payment gateway webhook event that has been processed. Gateways retry
+// deliveries, so the unique eventId lets a repeated event be recognised and
+// acknowledged without being applied twice.
+const paymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+    },
+    eventId: {
+        // The gateway's own ID for the event
+        type: String,
+        required: true,
+    },
+    type: {
+        type: String,
+        required: true,
+    },
+    intentId: {
+        type: String,
+        index: true,
+    },
+    orderId: {
+        // The order the event was applied to; absent if it matched none or paid for a group
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+    },
+    orderGroupId: {
+        // The order group whose orders the event paid for together
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderGroup',
+    },
+}, {
+    timestamps: true,
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+const DISCOUNT_TYPES = ['flat', 'percentage', 'free_delivery'];
+
+// A discount campaign. With a `code` it is a coupon the customer types in;
+// without one it is an automatic offer applied to every eligible cart.
+// Eligibility is checked by services/promotionService.js.
+const promotionSchema = new mongoose.Schema({
+    name: {
+        // Shown to customers, e.g. "₹50 off above ₹499"
+        type: String,
+        required: [true, 'Promotion name is required'],
+        trim: true,
+        maxlength: [100, 'Promotion name cannot exceed 100 characters'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters'],
+    },
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]{3,20}$/, 'Coupon code must be 3-20 letters, digits, - or _'],
+        default: undefined,
+    },
+    storeId: {
+        // The store running the promotion. null = platform-wide, valid at every store.
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        default: null,
+        index: true,
+    },
+    discountType: {
+        // flat: discountValue rupees off eligible items. percentage: discountValue % off
+        // eligible items, capped at maxDiscount. free_delivery: the delivery fee is waived.
+        type: String,
+        required: [true, 'Discount type is required'],
+        enum: {
+            values: DISCOUNT_TYPES,
+            message: '{VALUE} is not a supported discount type',
+        },
+    },
+    discountValue: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount value cannot be negative'],
+        validate: [
+            {
+                validator: function (value) {
+                    return this.discountType === 'free_delivery' || value > 0;
+                },
+                message: 'Discount value must be greater than 0',
+            },
+            {
+                validator: function (value) {
+                    return this.discountType !== 'percentage' || value <= 100;
+                },
+                message: 'A percentage discount cannot exceed 100',
+            },
+        ],
+    },
+    maxDiscount: {
+        // Upper limit on a percentage discount, in rupees. null = no limit.
+        type: Number,
+        default: null,
+        min: [0, 'Maximum discount cannot be negative'],
+    },
+    categories: {
+        // Only items in these product categories count towards and receive the
+        // discount (case-insensitive). Empty = every item.
+        type: [String],
+    },
+    minimumSubtotal: {
+        // Subtotal of eligible items needed before the promotion applies
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum subtotal cannot be negative'],
+    },
+    firstOrderOnly: {
+        // Only for a phone number with no earlier (non-cancelled) order at the
+        // promotion's store, or anywhere for platform-wide promotions
+        type: Boolean,
+        default: false,
+    },
+    maxUsesPerPhone: {
+        type: Number,
+        default: null,
+        min: [1, 'Uses per phone must be at least 1'],
+        validate: {
+            validator: (value) => value === null || Number.isInteger(value),
+            message: '{VALUE} is not a whole number of uses',
+        },
+    },
+    maxTotalUses: {
+        // Overall redemption limit for the campaign. null = unlimited.
+        type: Number,
+        default: null,
+        min: [1, 'Total uses must be at least 1'],
+        validate: {
+            validator: (value) => value === null || Number.isInteger(value),
+            message: '{VALUE} is not a whole number of uses',
+        },
+    },
+    usageCount: {
+        // Orders currently holding this promotion. Incremented atomically when an
+        // order is placed and decremented if it is cancelled.
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now,
+    },
+    endsAt: {
+        // null = no end date
+        type: Date,
+        default: null,
+        validate: {
+            validator: function (value) {
+                return value === null || !this.startsAt || value > this.startsAt;
+            },
+            message: 'End date must be after the start date',
+        },
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true,
+    },
+}, {
+    timestamps: true,
+});
+
+// Coupon codes are unique; automatic offers have no code
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
+export { DISCOUNT_TYPES };
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// How many live orders a phone number has used a promotion on, for the
+// per-phone rules (maxUsesPerPhone, firstOrderOnly), see
+// services/promotionService.js. Created by the first redemption; each order
+// takes one use when placed and gives it back if cancelled.
+const promotionRedemptionSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true,
+    },
+    phone: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    uses: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+}, {
+    timestamps: true,
+});
+
+// One counter per promotion and phone; the redemption upsert relies on it to stay atomic
+promotionRedemptionSchema.index({ promotionId: 1, phone: 1 }, { unique: true });
+
+const PromotionRedemption = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
+
+export default PromotionRedemption;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { MOBILE_NUMBER_REGEX } from '../utils/phone.js';
+import { pointSchema } from './Store.js';
+
+// offline: not taking deliveries. available: on shift; may be assigned orders.
+const RIDER_AVAILABILITY = ['offline', 'available'];
+
+// A delivery partner. Each rider delivers for one store and logs in with a
+// code texted to their phone (see controllers/riderController.js). Whether a
+// rider is busy isn't stored: it is whether any of that store's active orders
+// are assigned to them (see services/riderService.js).
+const riderSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rider name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    phone: {
+        // Normalised 10-digit mobile number; the login, and shown to the customer during delivery
+        type: String,
+        required: [true, 'Rider phone number is required'],
+        trim: true,
+        match: [MOBILE_NUMBER_REGEX, 'Please provide a valid 10-digit Indian mobile number'],
+        unique: true,
+    },
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: [true, 'Store ID is required for a rider'],
+        index: true,
+    },
+    isActive: {
+        // Allows an account to be disabled without deleting it
+        type: Boolean,
+        default: true,
+    },
+    availability: {
+        type: String,
+        enum: {
+            values: RIDER_AVAILABILITY,
+            message: '{VALUE} is not a supported availability.',
+        },
+        default: 'offline',
+    },
+    location: {
+        // Last position reported by the rider's app, used to pick the nearest rider
+        type: pointSchema,
+        default: undefined,
+    },
+    locationUpdatedAt: {
+        type: Date,
+    },
+    lastLoginAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+const Rider = mongoose.model('Rider', riderSchema);
+
+export default Rider;
+export { RIDER_AVAILABILITY };
@@ -2,6 +2,8 @@ import mongoose from 'mongoose';
 
 // Define the schema for embedded products within a store
 // These products represent the items a store offers.
+// Each product gets its own _id, which carts and orders use as a stable reference
+// (names and prices can change; the _id never does). Array order is display order.
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -18,13 +20,243 @@ const productSchema = new mongoose.Schema({
         required: [true, 'Product price is required'],
         min: [0, 'Product price cannot be negative'],
     },
-    // Note: Inventory tracking is excluded for MVP simplicity
-}, {
-    // Prevent Mongoose from creating an _id for embedded product documents
-    // This simplifies product management within the store document for MVP
-    _id: false
+    stock: {
+        // Units currently available. null means inventory is not tracked for this
+        // product and it can always be ordered. Decremented atomically when an
+        // order is placed and restored when the order is cancelled.
+        type: Number,
+        default: null,
+        min: [0, 'Product stock cannot be negative'],
+        validate: {
+            validator: (value) => value === null || Number.isInteger(value),
+            message: '{VALUE} is not an integer value for stock',
+        },
+    },
 });
 
+// Indian 6-digit pincode: starts 1-9, followed by 5 digits. Shared with customer
+// addresses and the pincode search so every pincode is checked the same way.
+const PINCODE_REGEX = /^[1-9][0-9]{5}$/;
+
+// Limits on how far a single store may deliver, in kilometres
+const DEFAULT_DELIVERY_RADIUS_KM = 3;
+const MAX_DELIVERY_RADIUS_KM = 25;
+
+// GeoJSON Point. MongoDB expects coordinates as [longitude, latitude].
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        required: true,
+        default: 'Point',
+    },
+    coordinates: {
+        type: [Number],
+        required: true,
+        validate: {
+            validator: (coords) =>
+                Array.isArray(coords) &&
+                coords.length === 2 &&
+                coords[0] >= -180 && coords[0] <= 180 &&
+                coords[1] >= -90 && coords[1] <= 90,
+            message: 'Location coordinates must be [longitude, latitude] within valid ranges',
+        },
+    },
+}, { _id: false });
+
+// 24-hour "HH:mm" times, interpreted in the store's timezone (Asia/Kolkata).
+// "24:00" is allowed as a closing time so a store can stay open until midnight.
+const OPENING_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSING_TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// One opening window on a weekday. A day may have several (e.g. a lunch break);
+// a day with none is closed.
+const openingHoursSchema = new mongoose.Schema({
+    day: {
+        // 0 = Sunday ... 6 = Saturday, matching Date#getDay()
+        type: Number,
+        required: [true, 'Opening hours need a day of the week'],
+        min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+        validate: {
+            validator: Number.isInteger,
+            message: '{VALUE} is not a valid day of the week',
+        },
+    },
+    opens: {
+        type: String,
+        required: [true, 'Opening time is required'],
+        match: [OPENING_TIME_REGEX, 'Opening time must be in HH:mm format'],
+    },
+    closes: {
+        type: String,
+        required: [true, 'Closing time is required'],
+        match: [CLOSING_TIME_REGEX, 'Closing time must be in HH:mm format'],
+        validate: {
+            // Zero-padded HH:mm strings compare correctly as text
+            validator: function (value) {
+                return !OPENING_TIME_REGEX.test(this.opens) || value > this.opens;
+            },
+            message: 'Closing time must be after opening time',
+        },
+    },
+}, { _id: false });
+
+// A one-off full-day closure, e.g. Diwali
+const holidaySchema = new mongoose.Schema({
+    date: {
+        // Calendar date in the store's timezone
+        type: String,
+        required: [true, 'Holiday date is required'],
+        match: [/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Holiday date must be in YYYY-MM-DD format'],
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Holiday reason cannot exceed 200 characters'],
+    },
+}, { _id: false });
+
+// Most orders a single delivery slot can take on one day
+const MAX_SLOT_CAPACITY = 500;
+
+// A delivery window customers can book ahead, e.g. 07:00-09:00 for 20 orders.
+// Bookings are counted per slot and date (models/DeliverySlotBooking.js), so
+// each slot keeps its _id for the bookings and orders that refer to it.
+const deliverySlotSchema = new mongoose.Schema({
+    days: {
+        // Weekdays the slot runs, 0 = Sunday ... 6 = Saturday. Empty = every day.
+        type: [{
+            type: Number,
+            min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+            max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+            validate: {
+                validator: Number.isInteger,
+                message: '{VALUE} is not a valid day of the week',
+            },
+        }],
+        default: [],
+    },
+    starts: {
+        type: String,
+        required: [true, 'Slot start time is required'],
+        match: [OPENING_TIME_REGEX, 'Slot start time must be in HH:mm format'],
+    },
+    ends: {
+        type: String,
+        required: [true, 'Slot end time is required'],
+        match: [CLOSING_TIME_REGEX, 'Slot end time must be in HH:mm format'],
+        validate: {
+            validator: function (value) {
+                return !OPENING_TIME_REGEX.test(this.starts) || value > this.starts;
+            },
+            message: 'Slot end time must be after its start time',
+        },
+    },
+    capacity: {
+        // Orders the slot takes per day
+        type: Number,
+        required: [true, 'Slot capacity is required'],
+        min: [1, 'Slot capacity must be at least 1'],
+        max: [MAX_SLOT_CAPACITY, `Slot capacity cannot exceed ${MAX_SLOT_CAPACITY}`],
+        validate: {
+            validator: Number.isInteger,
+            message: '{VALUE} is not a whole number of orders',
+        },
+    },
+    isActive: {
+        // Switched off slots take no new bookings; existing ones are kept
+        type: Boolean,
+        default: true,
+    },
+});
+
+// Per-store pricing rules, applied by services/pricingService.js.
+// Amounts are in rupees.
+const pricingSchema = new mongoose.Schema({
+    minimumOrderValue: {
+        // Item subtotal below which orders are refused. 0 = no minimum.
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum order value cannot be negative'],
+    },
+    deliveryFeeType: {
+        // flat: flatDeliveryFee on every order.
+        // distance: baseDeliveryFee covers includedDistanceKm, then perKmDeliveryFee per started km.
+        type: String,
+        enum: {
+            values: ['flat', 'distance'],
+            message: '{VALUE} is not a supported delivery fee type',
+        },
+        default: 'flat',
+    },
+    flatDeliveryFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Delivery fee cannot be negative'],
+    },
+    baseDeliveryFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Delivery fee cannot be negative'],
+    },
+    includedDistanceKm: {
+        type: Number,
+        default: 1,
+        min: [0, 'Included distance cannot be negative'],
+    },
+    perKmDeliveryFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Delivery fee cannot be negative'],
+    },
+    freeDeliveryAbove: {
+        // Item subtotal at or above which delivery is free, whatever the fee type. null = never.
+        type: Number,
+        default: null,
+        min: [0, 'Free delivery threshold cannot be negative'],
+    },
+    taxRatePercent: {
+        // GST rate applied to items
+        type: Number,
+        default: 0,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [28, 'Tax rate cannot exceed 28%'],
+    },
+    pricesIncludeTax: {
+        // Indian shelf prices (MRP) already include GST, so by default tax is shown
+        // as part of the item prices rather than added on top
+        type: Boolean,
+        default: true,
+    },
+}, { _id: false });
+
+// How long the store takes to get an order to the customer, used to promise a
+// delivery time when an order is placed (services/slaService.js)
+const deliveryTimesSchema = new mongoose.Schema({
+    prepMinutes: {
+        // Picking and packing an order
+        type: Number,
+        default: 10,
+        min: [0, 'Preparation time cannot be negative'],
+        max: [240, 'Preparation time cannot exceed 240 minutes'],
+    },
+    minutesPerKm: {
+        // Riding time per km from the store; 3 is about 20 km/h through city traffic
+        type: Number,
+        default: 3,
+        min: [0.5, 'Riding time must be at least 0.5 minutes per km'],
+        max: [30, 'Riding time cannot exceed 30 minutes per km'],
+    },
+    bufferMinutes: {
+        // Added to every promise to absorb small delays
+        type: Number,
+        default: 5,
+        min: [0, 'Buffer cannot be negative'],
+        max: [120, 'Buffer cannot exceed 120 minutes'],
+    },
+}, { _id: false });
+
 // Define the main schema for the Store
 const storeSchema = new mongoose.Schema({
     name: {
@@ -49,12 +281,35 @@ const storeSchema = new mongoose.Schema({
             required: [true, 'Pincode is required for store address'],
             trim: true,
             // Validate Indian 6-digit pincode format (starts 1-9, followed by 5 digits)
-            match: [/^[1-9][0-9]{5}$/, 'Please provide a valid 6-digit Indian pincode'],
+            match: [PINCODE_REGEX, 'Please provide a valid 6-digit Indian pincode'],
             // CRITICAL: Index for efficient location-based (pincode) store lookups
             index: true,
         },
         // Consider adding state/country later if expanding scope
     },
+    location: {
+        // Shop's position, used for nearby-store search. Optional so older stores
+        // without coordinates still load; they are only found by pincode until set.
+        type: pointSchema,
+        default: undefined,
+    },
+    deliveryRadiusKm: {
+        // How far from `location` the store delivers
+        type: Number,
+        default: DEFAULT_DELIVERY_RADIUS_KM,
+        min: [0.1, 'Delivery radius must be at least 0.1 km'],
+        max: [MAX_DELIVERY_RADIUS_KM, `Delivery radius cannot exceed ${MAX_DELIVERY_RADIUS_KM} km`],
+    },
+    serviceablePincodes: {
+        // Pincodes the store delivers to besides its own. Used for addresses without
+        // coordinates (or when the store has no location); otherwise deliveryRadiusKm decides.
+        type: [{
+            type: String,
+            trim: true,
+            match: [PINCODE_REGEX, 'Serviceable pincodes must be valid 6-digit Indian pincodes'],
+        }],
+        default: [],
+    },
     contactPhone: {
         type: String,
         trim: true,
@@ -72,6 +327,43 @@ const storeSchema = new mongoose.Schema({
         type: [productSchema],
         // Optional: Add validation for maximum number of products per store if needed
     },
+    openingHours: {
+        // Weekly schedule. Stores without any hours set are treated as always open,
+        // so stores created before hours existed keep taking orders.
+        type: [openingHoursSchema],
+    },
+    holidays: {
+        type: [holidaySchema],
+    },
+    deliverySlots: {
+        // Windows customers can schedule delivery in, see services/deliverySlotService.js.
+        // Slots are booked outside opening hours too (e.g. tonight for tomorrow morning).
+        type: [deliverySlotSchema],
+        default: [],
+    },
+    ordersPaused: {
+        // Temporary switch for the owner to stop new orders (rush, stock-take, power cut)
+        type: Boolean,
+        default: false,
+    },
+    ordersPausedReason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Pause reason cannot exceed 200 characters'],
+    },
+    ordersPausedUntil: {
+        // When set, the pause lifts by itself at this time. null = until switched off.
+        type: Date,
+        default: null,
+    },
+    pricing: {
+        type: pricingSchema,
+        default: () => ({}),
+    },
+    deliveryTimes: {
+        type: deliveryTimesSchema,
+        default: () => ({}),
+    },
     isActive: {
         // Flag to indicate if the store is currently active and visible on the platform
         type: Boolean,
@@ -79,15 +371,19 @@ const storeSchema = new mongoose.Schema({
         // Index for efficiently filtering active/inactive stores
         index: true,
     },
-    // Potential future fields: ownerId (ref: User), openingHours, deliveryRadius, ratings, images
+    // Potential future fields: ownerId (ref: User), ratings, images
 }, {
     // Automatically add createdAt and updatedAt timestamps
     timestamps: true,
 });
 
+// Geospatial index for $geoNear queries on store location
+storeSchema.index({ location: '2dsphere' });
+
 // Compile the storeSchema into a Mongoose model named 'Store'
 // Mongoose will automatically create a MongoDB collection named 'stores' (lowercase, plural)
 const Store = mongoose.model('Store', storeSchema);
 
 // Export the Store model using ES Module syntax
-export default Store;
\ No newline at end of file
+export default Store;
+export { DEFAULT_DELIVERY_RADIUS_KM, MAX_DELIVERY_RADIUS_KM, PINCODE_REGEX, pointSchema };
\ No newline at end of file
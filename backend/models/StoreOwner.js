@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+// Cost factor for bcrypt hashing; 12 keeps login under ~250ms on typical hardware
+const BCRYPT_SALT_ROUNDS = 12;
+
+// Define the schema for a store owner account
+// Each account manages exactly one store and can only access that store's admin data.
+const storeOwnerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Owner name is required'],
+        trim: true,
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address'],
+        // Unique index: email is the login identifier
+        unique: true,
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [8, 'Password must be at least 8 characters long'],
+        // Never return the hash from queries unless explicitly requested
+        select: false,
+    },
+    storeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Store',
+        required: [true, 'Store ID is required for a store owner'],
+        index: true,
+    },
+    isActive: {
+        // Allows an account to be disabled without deleting it
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true,
+    toJSON: {
+        // Strip the password hash even if it was explicitly selected
+        transform: (doc, ret) => {
+            delete ret.password;
+            return ret;
+        },
+    },
+});
+
+// Pre-save middleware to hash the password whenever it is set or changed
+storeOwnerSchema.pre('save', async function(next) {
+    if (!this.isModified('password')) return next();
+    try {
+        this.password = await bcrypt.hash(this.password, BCRYPT_SALT_ROUNDS);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Compares a plain-text password with the stored hash.
+ * The document must have been loaded with `.select('+password')`.
+ * @param {string} candidatePassword - The password supplied at login.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+storeOwnerSchema.methods.isCorrectPassword = function(candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Compile the schema into a Mongoose model
+const StoreOwner = mongoose.model('StoreOwner', storeOwnerSchema);
+
+// Export the StoreOwner model using ES Module syntax
+export default StoreOwner;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// How many phone numbers have been tried, within a time window, to get an
+// order's (or group's) tracking token back, see services/orderTrackingService.js
+// verifyTrackingPhone. There is one counter per client IP, and one per
+// IP and order, so guesses from elsewhere never lock the customer out.
+const trackingPhoneCheckSchema = new mongoose.Schema({
+    key: {
+        // What is counted, e.g. 'ip:203.0.113.7' or 'Order:<id>:ip:203.0.113.7'
+        type: String,
+        required: true,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    expiresAt: {
+        // End of the window; the count starts again after it
+        type: Date,
+        required: true,
+    },
+});
+
+// One counter per key; counting relies on it to stay atomic
+trackingPhoneCheckSchema.index({ key: 1 }, { unique: true });
+// MongoDB deletes finished windows by itself
+trackingPhoneCheckSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TrackingPhoneCheck = mongoose.model('TrackingPhoneCheck', trackingPhoneCheckSchema);
+
+export default TrackingPhoneCheck;
@@ -0,0 +1,11 @@
+// backend/routes/auth.js
+import express from 'express';
+import { login, getCurrentOwner } from '../controllers/authController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/login', login);
+router.get('/me', protect, getCurrentOwner);
+
+export default router;
@@ -0,0 +1,40 @@
+// backend/routes/customers.js
+import express from 'express';
+import {
+  requestOtp,
+  login,
+  getCurrentCustomer,
+  updateCurrentCustomer,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  listMyOrders,
+  getSavedCart,
+  saveCart,
+} from '../controllers/customerController.js';
+import { protectCustomer } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Phone OTP login; the first successful login creates the account
+router.post('/otp', requestOtp);
+router.post('/login', login);
+
+router.get('/me', protectCustomer, getCurrentCustomer);
+router.patch('/me', protectCustomer, updateCurrentCustomer);
+
+// Address book
+router.post('/me/addresses', protectCustomer, addAddress);
+router.route('/me/addresses/:addressId')
+  .patch(protectCustomer, updateAddress)
+  .delete(protectCustomer, removeAddress);
+
+// Order history; reordering goes through GET /api/orders/:orderId/reorder
+router.get('/me/orders', protectCustomer, listMyOrders);
+
+// Cart saved to the account so it follows the customer between devices
+router.route('/me/cart')
+  .get(protectCustomer, getSavedCart)
+  .put(protectCustomer, saveCart);
+
+export default router;
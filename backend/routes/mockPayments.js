@@ -0,0 +1,10 @@
+// backend/routes/mockPayments.js
+import express from 'express';
+import { completeMockPayment } from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// Development stand-in for the provider's payment page. Not mounted in production (see server.js).
+router.post('/:intentId/complete', completeMockPayment);
+
+export default router;
@@ -0,0 +1,24 @@
+// backend/routes/orderGroups.js
+import express from 'express';
+import {
+  validateGroupId,
+  createOrderGroup,
+  getOrderGroup,
+  issueGroupTrackingToken,
+} from '../controllers/orderGroupController.js';
+import { createGroupIntent } from '../controllers/paymentController.js';
+import { identifyCustomer, authorizeOrderGroupViewer } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reject malformed IDs up front for every route that takes :groupId
+router.param('groupId', validateGroupId);
+
+// One checkout across several stores; a logged-in customer's account is used when present
+router.post('/', identifyCustomer, createOrderGroup);
+// The customer, with the group's tracking token or logged in
+router.get('/:groupId', authorizeOrderGroupViewer, getOrderGroup);
+router.post('/:groupId/payment-intent', authorizeOrderGroupViewer, createGroupIntent);
+router.post('/:groupId/tracking-token', issueGroupTrackingToken);
+
+export default router;
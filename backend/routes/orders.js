@@ -0,0 +1,41 @@
+// backend/routes/orders.js
+import express from 'express';
+import {
+  validateOrderId,
+  quoteOrder,
+  createOrder,
+  getOrder,
+  getReorderItems,
+  validateCart,
+  issueTrackingToken,
+  updateOrderStatus,
+  adjustOrderItems,
+} from '../controllers/orderController.js';
+import { streamOrderUpdates } from '../controllers/orderFeedController.js';
+import { assignOrderRider, unassignOrderRider } from '../controllers/riderController.js';
+import { createIntent } from '../controllers/paymentController.js';
+import { protect, identifyCustomer, authorizeOrderViewer } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reject malformed IDs up front for every route that takes :orderId
+router.param('orderId', validateOrderId);
+
+// Open to guests; a logged-in customer's account is used when present
+router.post('/quote', identifyCustomer, quoteOrder);
+router.post('/', identifyCustomer, createOrder);
+router.post('/validate-cart', validateCart);
+// The customer (with the order's tracking token) or the store's owner
+router.get('/:orderId', authorizeOrderViewer, getOrder);
+router.get('/:orderId/stream', authorizeOrderViewer, streamOrderUpdates);
+router.get('/:orderId/reorder', authorizeOrderViewer, getReorderItems);
+router.post('/:orderId/payment-intent', authorizeOrderViewer, createIntent);
+router.post('/:orderId/tracking-token', issueTrackingToken);
+// Store-owner only; the controller checks the order belongs to the owner's store
+router.patch('/:orderId/status', protect, updateOrderStatus);
+router.patch('/:orderId/items', protect, adjustOrderItems);
+router.route('/:orderId/rider')
+  .post(protect, assignOrderRider)
+  .delete(protect, unassignOrderRider);
+
+export default router;
@@ -0,0 +1,10 @@
+// backend/routes/payments.js
+import express from 'express';
+import { receiveWebhook } from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// Called by the payment gateway, not the app. Body arrives raw (see server.js).
+router.post('/webhook', receiveWebhook);
+
+export default router;
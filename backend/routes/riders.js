@@ -0,0 +1,36 @@
+// backend/routes/riders.js
+import express from 'express';
+import {
+  requestOtp,
+  login,
+  getCurrentRider,
+  updateCurrentRider,
+  listMyDeliveries,
+  acceptDelivery,
+  declineDelivery,
+  pickUpDelivery,
+  completeDelivery,
+} from '../controllers/riderController.js';
+import { validateOrderId } from '../controllers/orderController.js';
+import { protectRider } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.param('orderId', validateOrderId);
+
+// Phone OTP login; rider accounts are created with `npm run create-rider`
+router.post('/otp', requestOtp);
+router.post('/login', login);
+
+// Shift status and location
+router.get('/me', protectRider, getCurrentRider);
+router.patch('/me', protectRider, updateCurrentRider);
+
+// The rider's assigned orders. Completing one needs the customer's delivery code.
+router.get('/me/deliveries', protectRider, listMyDeliveries);
+router.post('/me/deliveries/:orderId/accept', protectRider, acceptDelivery);
+router.post('/me/deliveries/:orderId/decline', protectRider, declineDelivery);
+router.post('/me/deliveries/:orderId/pickup', protectRider, pickUpDelivery);
+router.post('/me/deliveries/:orderId/complete', protectRider, completeDelivery);
+
+export default router;
@@ -0,0 +1,112 @@
+// backend/routes/stores.js
+import express from 'express';
+import {
+  validateStoreId,
+  listStores,
+  findNearbyStores,
+  getStore,
+  getStoreServiceability,
+  getStoreDeliverySlots,
+  updateStore,
+  deactivateStore,
+  getStoreProducts,
+  getStoreOrders,
+  getStoreSla,
+} from '../controllers/storeController.js';
+import {
+  validateProductId,
+  addProduct,
+  updateProduct,
+  removeProduct,
+  reorderProducts,
+} from '../controllers/productController.js';
+import {
+  validateSlotId,
+  addDeliverySlot,
+  updateDeliverySlot,
+  removeDeliverySlot,
+} from '../controllers/deliverySlotController.js';
+import { importProducts, exportProducts } from '../controllers/catalogController.js';
+import { streamStoreOrders } from '../controllers/orderFeedController.js';
+import { listStoreRiders } from '../controllers/riderController.js';
+import {
+  validateBatchId,
+  listDeliveryBatches,
+  createDeliveryBatch,
+  dissolveDeliveryBatch,
+} from '../controllers/deliveryBatchController.js';
+import {
+  validatePromotionId,
+  listPromotions,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion,
+} from '../controllers/promotionController.js';
+import { protect, authorizeStore } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reject malformed IDs up front for every route that takes :storeId
+router.param('storeId', validateStoreId);
+router.param('productId', validateProductId);
+router.param('slotId', validateSlotId);
+router.param('promotionId', validatePromotionId);
+router.param('batchId', validateBatchId);
+
+// Stores are added with `npm run create-store`, like their owners and riders
+router.get('/', listStores);
+
+// Must be registered before /:storeId so 'nearby' isn't treated as a store ID
+router.get('/nearby', findNearbyStores);
+
+// Public catalog routes
+router.get('/:storeId', getStore);
+router.get('/:storeId/products', getStoreProducts);
+router.get('/:storeId/serviceability', getStoreServiceability);
+router.get('/:storeId/delivery-slots', getStoreDeliverySlots);
+
+// Admin routes: only the owner of :storeId may use them
+router.patch('/:storeId', protect, authorizeStore, updateStore);
+router.delete('/:storeId', protect, authorizeStore, deactivateStore);
+router.get('/:storeId/orders', protect, authorizeStore, getStoreOrders);
+router.get('/:storeId/orders/stream', protect, authorizeStore, streamStoreOrders);
+router.get('/:storeId/sla', protect, authorizeStore, getStoreSla);
+router.get('/:storeId/riders', protect, authorizeStore, listStoreRiders);
+
+// Delivery batches: several nearby orders in one rider's trip (owner only)
+router.route('/:storeId/delivery-batches')
+  .get(protect, authorizeStore, listDeliveryBatches)
+  .post(protect, authorizeStore, createDeliveryBatch);
+router.delete('/:storeId/delivery-batches/:batchId', protect, authorizeStore, dissolveDeliveryBatch);
+
+// Product management (owner only)
+router.post('/:storeId/products', protect, authorizeStore, addProduct);
+router.put('/:storeId/products/order', protect, authorizeStore, reorderProducts);
+router.patch('/:storeId/products/:productId', protect, authorizeStore, updateProduct);
+router.delete('/:storeId/products/:productId', protect, authorizeStore, removeProduct);
+
+// Delivery slot management (owner only); customers list them through the public route above
+router.post('/:storeId/delivery-slots', protect, authorizeStore, addDeliverySlot);
+router.route('/:storeId/delivery-slots/:slotId')
+  .patch(protect, authorizeStore, updateDeliverySlot)
+  .delete(protect, authorizeStore, removeDeliverySlot);
+
+// Bulk catalog import/export (owner only). CSV uploads arrive as text, JSON via the app-wide parser.
+router.post(
+  '/:storeId/products/import',
+  protect,
+  authorizeStore,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  importProducts
+);
+router.get('/:storeId/products/export', protect, authorizeStore, exportProducts);
+
+// Coupons and automatic offers (owner only)
+router.route('/:storeId/promotions')
+  .get(protect, authorizeStore, listPromotions)
+  .post(protect, authorizeStore, createPromotion);
+router.route('/:storeId/promotions/:promotionId')
+  .patch(protect, authorizeStore, updatePromotion)
+  .delete(protect, authorizeStore, deactivatePromotion);
+
+export default router;
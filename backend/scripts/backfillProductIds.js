@@ -0,0 +1,44 @@
+// backend/scripts/backfillProductIds.js
+// One-off migration: products used to be stored without an _id. This gives every
+// existing embedded product a stable _id so carts and orders can reference it.
+// Safe to run more than once; products that already have an _id are left alone.
+//
+// Usage: npm run migrate:product-ids
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Store from '../models/Store.js';
+
+dotenv.config({ path: '../.env' });
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    // Read raw documents: Mongoose would not report the missing _ids on hydration
+    const stores = await Store.collection
+      .find({ 'products._id': { $exists: false }, 'products.0': { $exists: true } })
+      .project({ products: 1 })
+      .toArray();
+
+    let updatedStores = 0;
+    for (const store of stores) {
+      const products = store.products.map((product) =>
+        product._id ? product : { _id: new mongoose.Types.ObjectId(), ...product }
+      );
+      // Guard on the original array so a concurrent edit isn't overwritten
+      const result = await Store.collection.updateOne(
+        { _id: store._id, products: store.products },
+        { $set: { products } }
+      );
+      updatedStores += result.modifiedCount;
+    }
+
+    console.log(`Backfilled product IDs for ${updatedStores} of ${stores.length} store(s).`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Product ID backfill failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// backend/scripts/createPromotion.js
+// Creates a platform-wide promotion (valid at every store) from a JSON file.
+// Store-specific promotions are managed by store owners through the API instead.
+//
+// Usage: npm run create-promotion -- <path/to/promotion.json>
+// Example file: { "name": "Free delivery on your first order", "discountType": "free_delivery", "firstOrderOnly": true }
+import { readFile } from 'node:fs/promises';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Promotion from '../models/Promotion.js';
+
+dotenv.config({ path: '../.env' });
+
+const [filePath] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: npm run create-promotion -- <path/to/promotion.json>');
+  process.exit(1);
+}
+
+const run = async () => {
+  const definition = JSON.parse(await readFile(filePath, 'utf8'));
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const promotion = await Promotion.create({ ...definition, storeId: null, usageCount: 0 });
+    const label = promotion.code ? `coupon ${promotion.code}` : 'automatic offer';
+    console.log(`Created platform-wide ${label} "${promotion.name}" (${promotion._id})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Failed to create promotion: ${error.message}`);
+  process.exit(1);
+});
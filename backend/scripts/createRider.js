@@ -0,0 +1,44 @@
+// backend/scripts/createRider.js
+// Creates a rider (delivery partner) account for a store. Like store owners,
+// riders can't sign themselves up; once created they log in with a code
+// texted to their phone.
+//
+// Usage: npm run create-rider -- <storeId> <phone> "<name>"
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Store from '../models/Store.js';
+import Rider from '../models/Rider.js';
+import { parseMobileNumber } from '../utils/phone.js';
+
+dotenv.config({ path: '../.env' });
+
+const [storeId, phoneArg, ...nameParts] = process.argv.slice(2);
+const name = nameParts.join(' ');
+const phone = parseMobileNumber(phoneArg);
+
+if (!storeId || !phoneArg || !name) {
+  console.error('Usage: npm run create-rider -- <storeId> <phone> "<name>"');
+  process.exit(1);
+}
+if (!phone) {
+  console.error(`Not a valid 10-digit mobile number: ${phoneArg}`);
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    if (!mongoose.isValidObjectId(storeId) || !(await Store.exists({ _id: storeId }))) {
+      throw new Error(`No store found with ID ${storeId}`);
+    }
+    const rider = await Rider.create({ storeId, phone, name });
+    console.log(`Created rider ${rider.name} (${rider.phone}) for store ${storeId}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Failed to create rider: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// backend/scripts/createStore.js
+// Creates a store from a JSON file. There is no public endpoint for it: a
+// store only goes live on the platform once it has been added here, and its
+// owner is then created with `npm run create-owner`.
+//
+// Usage: npm run create-store -- <path/to/store.json>
+// Example file: { "name": "Sharma General Store", "address": { "street": "12 Main Rd", "city": "New Delhi", "pincode": "110024" } }
+import { readFile } from 'node:fs/promises';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Store from '../models/Store.js';
+
+dotenv.config({ path: '../.env' });
+
+const [filePath] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: npm run create-store -- <path/to/store.json>');
+  process.exit(1);
+}
+
+const run = async () => {
+  const definition = JSON.parse(await readFile(filePath, 'utf8'));
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const store = await Store.create(definition);
+    console.log(`Created store "${store.name}" (${store._id})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Failed to create store: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+// backend/scripts/createStoreOwner.js
+// Creates a store owner account from the command line. There is deliberately no
+// public sign-up endpoint: anyone could otherwise claim an existing store.
+//
+// Usage: npm run create-owner -- <storeId> <email> <password> "<name>"
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Store from '../models/Store.js';
+import StoreOwner from '../models/StoreOwner.js';
+
+dotenv.config({ path: '../.env' });
+
+const [storeId, email, password, ...nameParts] = process.argv.slice(2);
+const name = nameParts.join(' ');
+
+if (!storeId || !email || !password || !name) {
+  console.error('Usage: npm run create-owner -- <storeId> <email> <password> "<name>"');
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    if (!mongoose.isValidObjectId(storeId) || !(await Store.exists({ _id: storeId }))) {
+      throw new Error(`No store found with ID ${storeId}`);
+    }
+    const owner = await StoreOwner.create({ storeId, email, password, name });
+    console.log(`Created store owner ${owner.email} for store ${storeId}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Failed to create store owner: ${error.message}`);
+  process.exit(1);
+});
@@ -3,12 +3,18 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
 
-// Import route handlers (assuming they exist and export Express Routers)
+// Import route handlers (each module exports an Express Router)
+import authRoutes from './routes/auth.js';
 import storeRoutes from './routes/stores.js';
 import orderRoutes from './routes/orders.js';
+import orderGroupRoutes from './routes/orderGroups.js';
+import paymentRoutes from './routes/payments.js';
+import mockPaymentRoutes from './routes/mockPayments.js';
+import customerRoutes from './routes/customers.js';
+import riderRoutes from './routes/riders.js';
 
-// Import placeholder error handler (assuming it exists and exports the middleware)
-import errorHandler from './utils/errorHandler.js';
+// Import the global error handling middleware
+import { globalErrorHandler } from './utils/backendUtils.js';
 
 // --- Environment Configuration ---
 // Load environment variables from the root .env file
@@ -38,6 +44,10 @@ const app = express();
 // Apply CORS middleware - allows all origins by default for MVP
 app.use(cors());
 
+// Payment webhooks are signed over the exact bytes sent, so keep that body raw.
+// Registered first: the JSON parser below skips requests whose body is already read.
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
+
 // Apply middleware to parse JSON request bodies
 // limit option can be adjusted based on expected payload size
 app.use(express.json({ limit: '10mb' }));
@@ -48,15 +58,35 @@ app.get('/', (req, res) => {
 });
 
 // --- API Route Mounting ---
+// Mount store-owner authentication routes under /api/auth
+app.use('/api/auth', authRoutes);
+
 // Mount store routes under /api/stores
 app.use('/api/stores', storeRoutes);
 
 // Mount order routes under /api/orders
 app.use('/api/orders', orderRoutes);
 
+// Mount multi-store checkout routes (one order per store, placed together) under /api/order-groups
+app.use('/api/order-groups', orderGroupRoutes);
+
+// Mount payment routes under /api/payments
+app.use('/api/payments', paymentRoutes);
+
+// Mount the mock gateway's simulated payment page under /api/payments/mock, outside production only
+if (process.env.NODE_ENV !== 'production') {
+  app.use('/api/payments/mock', mockPaymentRoutes);
+}
+
+// Mount customer account routes (phone OTP login, profile) under /api/customers
+app.use('/api/customers', customerRoutes);
+
+// Mount delivery partner routes (phone OTP login, assigned deliveries) under /api/riders
+app.use('/api/riders', riderRoutes);
+
 // --- Global Error Handler ---
 // This must be mounted *after* all the API routes
-app.use(errorHandler);
+app.use(globalErrorHandler);
 
 // --- Server Startup ---
 // Define the port, using environment variable or fallback to 3001
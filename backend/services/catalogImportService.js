@@ -0,0 +1,225 @@
+// backend/services/catalogImportService.js
+import mongoose from 'mongoose';
+
+// upsert: add new products and update matching ones. replace: the file becomes the whole catalog.
+// Either mode can be run as a dry run, which reports what would happen without saving.
+const IMPORT_MODES = ['upsert', 'replace'];
+
+// Keeps a single import (and the resulting store document) well inside MongoDB's 16MB limit
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns written by the export and understood by the import, in order
+const CATALOG_COLUMNS = ['id', 'name', 'category', 'price', 'stock'];
+
+/**
+ * Converts one raw input row (CSV strings or JSON values) into product fields.
+ * Only fields present in the row are returned, so a file without a `stock`
+ * column leaves existing stock alone on upsert. A blank stock cell means
+ * "don't track stock", matching what the export writes for untracked products.
+ * @param {Record<string, unknown>} raw - The row as parsed from the file.
+ * @returns {{ id?: string, values: object }}
+ */
+const normaliseRow = (raw) => {
+  const values = {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(raw, key);
+  const text = (value) => (typeof value === 'string' ? value.trim() : value);
+
+  if (has('name')) values.name = text(raw.name);
+  if (has('category')) values.category = text(raw.category);
+  if (has('price')) values.price = text(raw.price) === '' ? undefined : text(raw.price);
+  if (has('stock')) {
+    const stock = text(raw.stock);
+    values.stock = stock === '' || stock === null ? null : stock;
+  }
+
+  const rawId = text(raw.id ?? raw._id ?? '');
+  return { id: rawId ? String(rawId) : undefined, values };
+};
+
+/**
+ * Validates an import against the store's catalog and works out what it would do.
+ * Nothing is written; `applyImportPlan` does that.
+ *
+ * Rows are matched to existing products by `id` when given, otherwise by
+ * name (case-insensitive). Every row is checked against the product schema.
+ *
+ * @param {import('mongoose').Document} store - The store document.
+ * @param {Array<Record<string, unknown>>} rows - Parsed rows from CSV or JSON.
+ * @param {string} mode - 'upsert' | 'replace'.
+ * @returns {{ errors: Array<{ row: number, name?: string, messages: string[] }>, creates: object[], updates: Array<{ product: object, values: object }>, removals: object[], order: Array<{ type: string, id?: string }> }}
+ *   `row` is 1-based and counts data rows only (the CSV header is not row 1).
+ */
+const planImport = (store, rows, mode) => {
+  const errors = [];
+  const creates = [];
+  const updates = [];
+  const order = []; // Row order of valid rows, used to rebuild the catalog in replace mode
+  const matchedIds = new Set();
+  const seenNames = new Set();
+
+  const productSchema = store.schema.path('products').schema;
+  const productsByName = new Map(
+    store.products.map((product) => [product.name.trim().toLowerCase(), product])
+  );
+
+  rows.forEach((raw, index) => {
+    const rowNumber = index + 1;
+    const messages = [];
+    const { id, values } = normaliseRow(raw && typeof raw === 'object' ? raw : {});
+
+    let existing = null;
+    if (id) {
+      existing = mongoose.isValidObjectId(id) ? store.products.id(id) : null;
+      if (!existing) messages.push(`No product with id ${id} exists in this store`);
+    } else if (typeof values.name === 'string' && values.name) {
+      existing = productsByName.get(values.name.toLowerCase()) ?? null;
+    }
+
+    // Validate the row as it would end up: existing fields merged with the row's changes.
+    // A standalone document is used so a bad row can't mark the store itself invalid.
+    const candidate = new mongoose.Document(
+      { ...(existing ? existing.toObject() : {}), ...values },
+      productSchema
+    );
+    const validationError = candidate.validateSync();
+    if (validationError) {
+      messages.push(...Object.values(validationError.errors).map((err) => err.message));
+    }
+
+    const nameKey = (candidate.name || '').toLowerCase();
+    if (nameKey && seenNames.has(nameKey)) {
+      messages.push(`Duplicate product name "${candidate.name}" in this file`);
+    }
+    if (existing && matchedIds.has(existing._id.toString())) {
+      messages.push(`Product "${existing.name}" appears more than once in this file`);
+    }
+
+    if (messages.length > 0) {
+      errors.push({ row: rowNumber, name: candidate.name || undefined, messages });
+      return;
+    }
+
+    seenNames.add(nameKey);
+    if (existing) {
+      matchedIds.add(existing._id.toString());
+      updates.push({ product: existing, values });
+      order.push({ type: 'update', id: existing._id.toString() });
+    } else {
+      creates.push(values);
+      order.push({ type: 'create' });
+    }
+  });
+
+  const removals = mode === 'replace'
+    ? store.products.filter((product) => !matchedIds.has(product._id.toString()))
+    : [];
+
+  return { errors, creates, updates, removals, order };
+};
+
+/**
+ * Applies a validated plan to the store document in memory. The caller saves
+ * it, or in replace mode writes it with `buildReplaceUpdate`.
+ * In replace mode the catalog ends up in file order; in upsert mode existing
+ * products keep their position and new ones are appended.
+ * @param {import('mongoose').Document} store - The store document.
+ * @param {ReturnType<typeof planImport>} plan - A plan with no errors.
+ * @param {string} mode - 'upsert' | 'replace'.
+ * @returns {void}
+ */
+const applyImportPlan = (store, plan, mode) => {
+  plan.updates.forEach(({ product, values }) => product.set(values));
+
+  if (mode === 'replace') {
+    // Rebuild in file order. Matched products are reused so their _ids survive.
+    const keptById = new Map(plan.updates.map(({ product }) => [product._id.toString(), product.toObject()]));
+    const ordered = [];
+    let createIndex = 0;
+    plan.order.forEach((entry) => {
+      ordered.push(entry.type === 'update' ? keptById.get(entry.id) : plan.creates[createIndex++]);
+    });
+    store.products = ordered;
+    return;
+  }
+
+  plan.creates.forEach((values) => store.products.push(values));
+};
+
+/**
+ * The update that writes a replace-mode import, from the store after
+ * `applyImportPlan`. It is a single pipeline update built from the live array:
+ * a kept product whose row has no stock keeps the stock it has by then, so
+ * orders placed while the import ran aren't undone. Values are wrapped in
+ * $literal so a name like "$5 deal" isn't read as a field path.
+ * @param {import('mongoose').Document} store - The store document, with the plan applied.
+ * @param {ReturnType<typeof planImport>} plan - The plan that was applied.
+ * @returns {{ filter: object, update: object[] }} For Store.updateOne; matches nothing if a kept
+ *   product has been removed meanwhile.
+ */
+const buildReplaceUpdate = (store, plan) => {
+  const liveStockIds = plan.updates
+    .filter(({ values }) => !Object.prototype.hasOwnProperty.call(values, 'stock'))
+    .map(({ product }) => product._id);
+  const isLiveStock = new Set(liveStockIds.map(String));
+
+  const products = store.products.map((product) => {
+    const { stock, ...fields } = product.toObject();
+    if (!isLiveStock.has(product._id.toString())) {
+      return { $literal: { ...fields, stock } };
+    }
+    const live = { $first: { $filter: { input: '$products', cond: { $eq: ['$$this._id', product._id] } } } };
+    return { $mergeObjects: [{ $literal: fields }, { stock: { $let: { vars: { live }, in: '$$live.stock' } } }] };
+  });
+
+  return {
+    filter: liveStockIds.length > 0 ? { _id: store._id, 'products._id': { $all: liveStockIds } } : { _id: store._id },
+    update: [
+      {
+        $set: {
+          products,
+          // Bump the version so in-flight saves that address products by index are rejected
+          __v: { $add: [{ $ifNull: ['$__v', 0] }, 1] },
+        },
+      },
+    ],
+  };
+};
+
+/**
+ * Summarises a plan for the API response.
+ * @param {ReturnType<typeof planImport>} plan - The import plan.
+ * @param {number} totalRows - Number of rows in the file.
+ * @returns {{ totalRows: number, created: number, updated: number, removed: number, failed: number }}
+ */
+const summariseImportPlan = (plan, totalRows) => ({
+  totalRows,
+  created: plan.creates.length,
+  updated: plan.updates.length,
+  removed: plan.removals.length,
+  failed: plan.errors.length,
+});
+
+/**
+ * Maps the store's products to plain export records using CATALOG_COLUMNS.
+ * @param {import('mongoose').Document} store - The store document.
+ * @returns {Array<{ id: string, name: string, category: string, price: number, stock: number | null }>}
+ */
+const toExportRecords = (store) =>
+  store.products.map((product) => ({
+    id: product._id.toString(),
+    name: product.name,
+    category: product.category ?? '',
+    price: product.price,
+    stock: product.stock ?? null,
+  }));
+
+export {
+  IMPORT_MODES,
+  MAX_IMPORT_ROWS,
+  CATALOG_COLUMNS,
+  planImport,
+  applyImportPlan,
+  buildReplaceUpdate,
+  summariseImportPlan,
+  toExportRecords,
+};
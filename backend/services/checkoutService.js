@@ -0,0 +1,339 @@
+// backend/services/checkoutService.js
+// The steps shared by quoting and placing orders, whether one store's order
+// (POST /api/orders) or a group of orders from several stores placed in one
+// checkout (POST /api/order-groups): reading the cart and delivery address,
+// pricing against the store's catalog, the checks an order must pass, and
+// taking stock, promotions and a delivery slot when it is placed.
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import Order from '../models/Order.js';
+import Customer, { MAX_SAVED_ADDRESSES } from '../models/Customer.js';
+import { AppError } from '../utils/backendUtils.js';
+import { parseLatLng, toGeoPoint } from '../utils/geo.js';
+import { parseAddressInput, formatAddress } from '../utils/address.js';
+import { reserveStock, releaseStock } from './inventoryService.js';
+import { getStoreOpenStatus, describeClosedStatus } from './storeHoursService.js';
+import { calculateOrderPricing } from './pricingService.js';
+import { applyPromotions, redeemPromotions, releasePromotions } from './promotionService.js';
+import { assertServiceable } from './serviceabilityService.js';
+import { estimateDeliveryPromise } from './slaService.js';
+import {
+  acceptsScheduledOrders,
+  resolveDeliverySlot,
+  bookDeliverySlot,
+  releaseDeliverySlot,
+} from './deliverySlotService.js';
+
+/**
+ * Finds the store product a cart item refers to by its stable product _id.
+ * @param {import('mongoose').Types.DocumentArray} products - The store's embedded products.
+ * @param {string} productId - The identifier sent by the client.
+ * @returns {object | null} The matching product, if any.
+ */
+const findStoreProduct = (products, productId) =>
+  mongoose.isValidObjectId(productId) ? products.id(productId) : null;
+
+/**
+ * Validates the raw `items` array from the request and collapses duplicate
+ * lines for the same product into a single line with the summed quantity.
+ * @param {unknown} items - The raw items value from req.body.
+ * @returns {Array<{ productId: string, quantity: number }>} Normalised line items.
+ * @throws {AppError} 400 if the array is missing, empty or malformed.
+ */
+const normaliseRequestedItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Order must contain at least one item', 400);
+  }
+
+  const quantities = new Map();
+  items.forEach((item, index) => {
+    const productId = typeof item?.productId === 'string' ? item.productId.trim() : '';
+    if (!productId) {
+      throw new AppError(`Item ${index + 1} is missing a productId`, 400);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw new AppError(`Item ${index + 1} must have a whole-number quantity of at least 1`, 400);
+    }
+    quantities.set(productId, (quantities.get(productId) || 0) + item.quantity);
+  });
+
+  return Array.from(quantities, ([productId, quantity]) => ({ productId, quantity }));
+};
+
+// Store fields needed to price and accept an order
+const ORDER_STORE_FIELDS = [
+  'name',
+  'isActive',
+  'address',
+  'serviceablePincodes',
+  'openingHours',
+  'holidays',
+  'deliverySlots',
+  'ordersPaused',
+  'ordersPausedReason',
+  'ordersPausedUntil',
+  'location',
+  'deliveryRadiusKm',
+  'pricing',
+  'deliveryTimes',
+  'products',
+].join(' ');
+
+/**
+ * Works out where the order goes: a saved address of the logged-in customer
+ * (`addressId`) or one entered at checkout (`deliveryAddress`).
+ * @param {object} body - req.body.
+ * @param {import('mongoose').Document} [customer] - The logged-in customer.
+ * @returns {{ address: object, savedAddressId: import('mongoose').Types.ObjectId | null } | null}
+ *   A plain address object, or null if the request has none.
+ * @throws {AppError} 400 for a malformed address or a saved address without a login,
+ *   404 for an unknown saved address.
+ */
+const resolveDeliveryAddress = ({ addressId, deliveryAddress }, customer) => {
+  if (addressId !== undefined && addressId !== null && addressId !== '') {
+    if (!customer) {
+      throw new AppError('Log in to use a saved address.', 400);
+    }
+    const saved = mongoose.isValidObjectId(addressId) ? customer.addresses.id(addressId) : null;
+    if (!saved) {
+      throw new AppError('That address is not in your address book.', 404);
+    }
+    const { _id, lastUsedAt, createdAt, updatedAt, ...address } = saved.toObject();
+    return { address, savedAddressId: saved._id };
+  }
+  if (deliveryAddress !== undefined && deliveryAddress !== null) {
+    return { address: parseAddressInput(deliveryAddress), savedAddressId: null };
+  }
+  return null;
+};
+
+/**
+ * Validates the parts of a checkout request shared by quotes and orders,
+ * resolves each item against the store's current catalog and prices it,
+ * including any coupon and automatic offers. Client-supplied names and prices are ignored.
+ * When a delivery address is given, the store must deliver to it; a pin on the
+ * address doubles as the delivery location unless one was shared separately.
+ * A `deliverySlot` schedules the order for one of the store's delivery slots
+ * instead of delivering it straight away.
+ * @param {object} body - req.body: { storeId, items, addressId? | deliveryAddress?, deliveryLocation?,
+ *   couponCode?, customerDetails?: { phone }, deliverySlot?: { slotId, date } }.
+ * @param {import('mongoose').Document} [customer] - The logged-in customer, whose verified phone
+ *   number is used for per-phone promotion rules instead of the one in the body.
+ * @param {object} [options]
+ * @param {string[]} [options.excludedPromotionIds] - Promotions another order of the same checkout already uses.
+ * @returns {Promise<{ store: import('mongoose').Document, pricedItems: object[],
+ *   delivery: ReturnType<typeof resolveDeliveryAddress>,
+ *   deliveryLocation: { lat: number, lng: number } | null, quote: ReturnType<typeof calculateOrderPricing>,
+ *   discounts: object[], coupon: { code: string, applied: boolean, message: string } | null,
+ *   deliverySlot: ReturnType<typeof resolveDeliverySlot> | null }>}
+ * @throws {AppError} 400 for malformed input, unknown products or an address outside the
+ *   delivery area, 404 for an unknown store, 409 for a delivery slot that can't be booked.
+ */
+const prepareOrder = async (body, customer, { excludedPromotionIds } = {}) => {
+  const {
+    storeId, items, deliveryLocation: rawLocation, couponCode, customerDetails, deliverySlot: requestedSlot,
+  } = body ?? {};
+
+  if (!mongoose.isValidObjectId(storeId)) {
+    throw new AppError('A valid storeId is required', 400);
+  }
+  const requestedItems = normaliseRequestedItems(items);
+
+  let deliveryLocation = null;
+  if (rawLocation !== undefined && rawLocation !== null) {
+    deliveryLocation = parseLatLng(rawLocation);
+    if (!deliveryLocation) {
+      throw new AppError('deliveryLocation must be { lat, lng } with valid coordinates', 400);
+    }
+  }
+
+  const delivery = resolveDeliveryAddress(body ?? {}, customer);
+  if (delivery) {
+    if (deliveryLocation) {
+      delivery.address.location = toGeoPoint(deliveryLocation);
+    } else if (delivery.address.location) {
+      const [lng, lat] = delivery.address.location.coordinates;
+      deliveryLocation = { lat, lng };
+    }
+  }
+
+  const store = await Store.findById(storeId, ORDER_STORE_FIELDS);
+  if (!store) {
+    throw new AppError(`No store found with ID ${storeId}`, 404);
+  }
+  if (!store.isActive) {
+    throw new AppError('This store is not currently accepting orders', 400);
+  }
+  if (delivery) {
+    assertServiceable(store, delivery.address);
+  }
+  const deliverySlot = requestedSlot === undefined || requestedSlot === null
+    ? null
+    : resolveDeliverySlot(store, requestedSlot);
+
+  const unknownProducts = [];
+  const pricedItems = [];
+  requestedItems.forEach(({ productId, quantity }) => {
+    const product = findStoreProduct(store.products, productId);
+    if (!product) {
+      unknownProducts.push(productId);
+      return;
+    }
+    // name and price are snapshotted so order history survives later catalog edits
+    pricedItems.push({ productId, name: product.name, category: product.category, price: product.price, quantity });
+  });
+
+  if (unknownProducts.length > 0) {
+    throw new AppError(`These products are not sold by this store: ${unknownProducts.join(', ')}`, 400);
+  }
+
+  // Price once to learn the delivery fee promotions may waive, then again with the discounts
+  const basePricing = calculateOrderPricing(store, pricedItems, { deliveryLocation }).pricing;
+  const { discounts, coupon } = await applyPromotions({
+    storeId: store._id,
+    items: pricedItems,
+    deliveryFee: basePricing.deliveryFee,
+    couponCode,
+    phone: customer?.phone ?? customerDetails?.phone,
+    excludedPromotionIds,
+  });
+  const quote = calculateOrderPricing(store, pricedItems, { deliveryLocation, discounts });
+
+  return { store, pricedItems, delivery, deliveryLocation, quote, discounts, coupon, deliverySlot };
+};
+
+/**
+ * Refuses an order the store can't take as priced: outside its hours, on a
+ * holiday or paused, below its minimum order value, or with a coupon that no
+ * longer applies (rather than silently charging more). An order for a
+ * delivery slot may be placed outside the store's hours, but not while it is paused.
+ * @param {Awaited<ReturnType<typeof prepareOrder>>} prepared
+ * @returns {void}
+ * @throws {AppError} 409 while closed or for a rejected coupon, 400 below the minimum order.
+ */
+const assertOrderable = ({ store, quote, coupon, deliverySlot }) => {
+  const openStatus = getStoreOpenStatus(store);
+  if (!openStatus.isOpen && !(deliverySlot && acceptsScheduledOrders(store))) {
+    throw new AppError(describeClosedStatus(openStatus), 409, { openStatus });
+  }
+  if (quote.amountToMinimumOrder > 0) {
+    throw new AppError(
+      `This store has a minimum order of ₹${quote.minimumOrderValue}. Add ₹${quote.amountToMinimumOrder} more to place your order.`,
+      400,
+      { minimumOrderValue: quote.minimumOrderValue, amountToMinimumOrder: quote.amountToMinimumOrder }
+    );
+  }
+  if (coupon && !coupon.applied) {
+    throw new AppError(`Coupon ${coupon.code} can't be used: ${coupon.message}`, 409, { coupon });
+  }
+};
+
+/**
+ * Saves a prepared order with its promised delivery time. Its delivery slot,
+ * stock and promotion redemptions are taken before the order is saved and
+ * given back if the save fails.
+ * @param {Awaited<ReturnType<typeof prepareOrder>>} prepared - Must have a delivery address.
+ * @param {object} options
+ * @param {import('mongoose').Document} [options.customer] - The logged-in customer, who the order is linked to.
+ * @param {{ name?: string, phone?: string }} [options.customerDetails] - From the request body; a logged-in
+ *   customer's verified phone number (and saved name, if none is given) take precedence.
+ * @param {string} options.paymentMethod
+ * @param {import('mongoose').Types.ObjectId} [options.groupId] - The order group, when placed with other stores' orders.
+ * @returns {Promise<import('mongoose').Document>} The new order.
+ * @throws {AppError} 409 if the slot filled up, an item ran out or an offer was used up meanwhile; mongoose validation
+ *   errors for bad customer details.
+ */
+const placeOrder = async (prepared, { customer, customerDetails, paymentMethod, groupId }) => {
+  const { store, pricedItems, delivery, deliveryLocation, quote, discounts, deliverySlot } = prepared;
+  const phone = customer?.phone ?? customerDetails?.phone;
+  if (deliverySlot) {
+    await bookDeliverySlot(store, deliverySlot);
+  }
+  let reservedItems;
+  try {
+    reservedItems = await reserveStock(store, pricedItems);
+  } catch (err) {
+    await releaseDeliverySlot(store._id, deliverySlot);
+    throw err;
+  }
+  try {
+    await redeemPromotions(discounts, phone);
+  } catch (err) {
+    await Promise.all([releaseStock(store._id, reservedItems), releaseDeliverySlot(store._id, deliverySlot)]);
+    throw err;
+  }
+
+  try {
+    return await Order.create({
+      storeId: store._id,
+      groupId,
+      customerId: customer?._id,
+      customerDetails: {
+        name: customerDetails?.name ?? customer?.name,
+        phone,
+        address: formatAddress(delivery.address),
+      },
+      deliveryAddress: delivery.address,
+      deliveryLocation: deliveryLocation ? toGeoPoint(deliveryLocation) : undefined,
+      items: reservedItems,
+      pricing: quote.pricing,
+      discounts,
+      paymentMethod,
+      deliverySlot: deliverySlot ?? undefined,
+      promise: estimateDeliveryPromise(store, quote.pricing.distanceKm, { deliverySlot }),
+    });
+  } catch (err) {
+    // e.g. invalid customer details: the order never existed, so hand the slot, stock and offers back
+    await Promise.all([
+      releaseStock(store._id, reservedItems),
+      releasePromotions(discounts, phone),
+      releaseDeliverySlot(store._id, deliverySlot),
+    ]);
+    throw err;
+  }
+};
+
+/**
+ * Undoes placeOrder for an order nobody has seen yet, e.g. when another order
+ * of the same group could not be placed: its stock, promotions and delivery
+ * slot are given back and it is deleted.
+ * @param {import('mongoose').Document} order
+ * @returns {Promise<void>}
+ */
+const discardPlacedOrder = async (order) => {
+  await Promise.all([
+    releaseStock(order.storeId, order.items),
+    releasePromotions(order.discounts, order.customerDetails.phone),
+    releaseDeliverySlot(order.storeId, order.deliverySlot),
+  ]);
+  await Order.deleteOne({ _id: order._id });
+};
+
+/**
+ * After a logged-in customer's checkout: remembers the name they used and
+ * either marks the saved address as just used or, with `saveAddress`, adds the
+ * new one to their address book (while there is room).
+ * @param {import('mongoose').Document} customer
+ * @param {{ name: string, delivery: ReturnType<typeof resolveDeliveryAddress>, saveAddress: boolean }} checkout
+ * @returns {Promise<void>}
+ */
+const rememberCheckoutDetails = async (customer, { name, delivery, saveAddress }) => {
+  const filter = { _id: customer._id };
+  const update = { $set: { name } };
+  if (delivery.savedAddressId) {
+    filter['addresses._id'] = delivery.savedAddressId;
+    update.$set['addresses.$.lastUsedAt'] = new Date();
+  } else if (saveAddress === true && customer.addresses.length < MAX_SAVED_ADDRESSES) {
+    update.$push = { addresses: { ...delivery.address, lastUsedAt: new Date() } };
+  }
+  await Customer.updateOne(filter, update);
+};
+
+export {
+  findStoreProduct,
+  prepareOrder,
+  assertOrderable,
+  placeOrder,
+  discardPlacedOrder,
+  rememberCheckoutDetails,
+};
@@ -0,0 +1,237 @@
+// backend/services/deliveryBatchService.js
+// Delivery batching: several of a store's accepted orders going to nearby
+// addresses, with overlapping delivery windows, carried by one rider in one
+// trip. Routes are planned on the orders' coordinates alone (nearest
+// neighbour, then 2-opt), so no maps service is needed; distances are
+// straight-line and ETAs assume an average riding speed. Batches are
+// suggested to the store, which confirms them with a rider
+// (controllers/deliveryBatchController.js).
+import DeliveryBatch, { MAX_ORDERS_PER_BATCH } from '../models/DeliveryBatch.js';
+import Order from '../models/Order.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+import { roundCurrency } from './pricingService.js';
+
+// Drop-offs in one batch must all be within this distance of each other
+const BATCH_RADIUS_KM = 1.5;
+// Orders placed before delivery promises are taken to be due this long after being placed
+const LEGACY_DELIVERY_MINUTES = 30;
+// Average speed through city traffic, and time spent handing over each order
+const RIDER_SPEED_KMPH = 20;
+const HANDOVER_MINUTES = 3;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * When an order can leave the store and when it is due at the customer.
+ * @param {import('mongoose').Document} order
+ * @returns {{ readyAt: Date, dueAt: Date }} readyAt is when the store accepted it, or when its
+ *   delivery slot starts if later; dueAt is the delivery time promised when it was placed.
+ */
+const getDeliveryWindow = (order) => ({
+  readyAt: new Date(Math.max(
+    (order.getStatusTime('accepted') ?? order.createdAt).getTime(),
+    order.deliverySlot?.startsAt.getTime() ?? 0
+  )),
+  dueAt: order.promise?.promisedAt ?? new Date(order.createdAt.getTime() + LEGACY_DELIVERY_MINUTES * MINUTE_MS),
+});
+
+/**
+ * Riding time for a distance.
+ * @param {number} distanceKm
+ * @returns {number} Milliseconds.
+ */
+const travelTimeMs = (distanceKm) => (distanceKm / RIDER_SPEED_KMPH) * 60 * MINUTE_MS;
+
+/**
+ * Orders the drop-offs into a short route from `origin`: nearest neighbour
+ * first, then 2-opt (reversing stretches of the route while that shortens
+ * it). The route ends at the last drop-off; the rider doesn't return.
+ * @param {[number, number]} origin - [lng, lat] the rider starts from.
+ * @param {Array<[number, number]>} points - Drop-offs as [lng, lat].
+ * @returns {{ sequence: number[], legDistancesKm: number[], totalDistanceKm: number }}
+ *   `sequence` lists indexes into `points` in visiting order.
+ */
+const planRoute = (origin, points) => {
+  const distance = (a, b) => haversineDistanceKm(a, b);
+
+  // Nearest neighbour
+  const remaining = points.map((point, index) => index);
+  const route = [];
+  let current = origin;
+  while (remaining.length > 0) {
+    let nearest = 0;
+    remaining.forEach((pointIndex, position) => {
+      if (distance(current, points[pointIndex]) < distance(current, points[remaining[nearest]])) nearest = position;
+    });
+    const [next] = remaining.splice(nearest, 1);
+    route.push(next);
+    current = points[next];
+  }
+
+  // 2-opt on the open path origin -> route[0] -> ... -> route[n - 1]
+  const at = (position) => (position < 0 ? origin : points[route[position]]);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < route.length - 1; i += 1) {
+      for (let k = i + 1; k < route.length; k += 1) {
+        const before = distance(at(i - 1), at(i)) + (k + 1 < route.length ? distance(at(k), at(k + 1)) : 0);
+        const after = distance(at(i - 1), at(k)) + (k + 1 < route.length ? distance(at(i), at(k + 1)) : 0);
+        if (after < before - 1e-9) {
+          route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+
+  const legDistancesKm = route.map((pointIndex, position) => roundCurrency(distance(at(position - 1), points[pointIndex])));
+  return {
+    sequence: route,
+    legDistancesKm,
+    totalDistanceKm: roundCurrency(legDistancesKm.reduce((sum, leg) => sum + leg, 0)),
+  };
+};
+
+/**
+ * Plans the route for a set of orders leaving `store`.
+ * @param {{ location?: { coordinates: [number, number] } }} store
+ * @param {Array<import('mongoose').Document>} orders - Each with a deliveryLocation.
+ * @returns {{ stops: Array<{ order: import('mongoose').Document, legDistanceKm: number }>, totalDistanceKm: number }}
+ */
+const planBatchRoute = (store, orders) => {
+  const points = orders.map((order) => order.deliveryLocation.coordinates);
+  // A store without coordinates: start at the first drop-off
+  const { sequence, legDistancesKm, totalDistanceKm } = planRoute(store.location?.coordinates ?? points[0], points);
+  return {
+    stops: sequence.map((orderIndex, position) => ({ order: orders[orderIndex], legDistanceKm: legDistancesKm[position] })),
+    totalDistanceKm,
+  };
+};
+
+/**
+ * Groups a store's orders into batches worth giving to one rider: drop-offs
+ * within BATCH_RADIUS_KM of each other whose delivery windows overlap, at most
+ * MAX_ORDERS_PER_BATCH to a batch. The most urgent orders seed batches first.
+ * Orders without a delivery location can't be batched; orders that fit no
+ * batch are left out.
+ * @param {{ location?: { coordinates: [number, number] } }} store
+ * @param {Array<import('mongoose').Document>} orders - The store's accepted, unassigned orders.
+ * @returns {Array<ReturnType<typeof planBatchRoute>>}
+ */
+const suggestBatches = (store, orders) => {
+  const candidates = orders
+    .filter((order) => order.deliveryLocation?.coordinates)
+    .map((order) => ({ order, ...getDeliveryWindow(order) }))
+    .sort((a, b) => a.dueAt - b.dueAt);
+  const isClose = (a, b) =>
+    haversineDistanceKm(a.order.deliveryLocation.coordinates, b.order.deliveryLocation.coordinates) <= BATCH_RADIUS_KM;
+
+  const batched = new Set();
+  const batches = [];
+  candidates.forEach((seed) => {
+    if (batched.has(seed)) return;
+    const group = [seed];
+    let readyAt = seed.readyAt;
+    let dueAt = seed.dueAt;
+    for (const candidate of candidates) {
+      if (group.length >= MAX_ORDERS_PER_BATCH) break;
+      if (batched.has(candidate) || group.includes(candidate)) continue;
+      if (!group.every((member) => isClose(member, candidate))) continue;
+      // Every order in the batch must be deliverable in the same stretch of time
+      const nextReadyAt = Math.max(readyAt, candidate.readyAt);
+      const nextDueAt = Math.min(dueAt, candidate.dueAt);
+      if (nextReadyAt >= nextDueAt) continue;
+      group.push(candidate);
+      readyAt = nextReadyAt;
+      dueAt = nextDueAt;
+    }
+    if (group.length >= 2) {
+      group.forEach((member) => batched.add(member));
+      batches.push(planBatchRoute(store, group.map((member) => member.order)));
+    }
+  });
+  return batches;
+};
+
+/**
+ * A batch's route as shown to the store and the rider, with an ETA for each
+ * stop. The clock starts when the first order was picked up (or now, if none
+ * has been yet); delivered stops use their actual delivery time, so later
+ * ETAs move with the rider's progress. Cancelled stops are passed over.
+ * @param {{ stops: Array<{ order: import('mongoose').Document, legDistanceKm: number }>, totalDistanceKm: number }} batch
+ * @param {Date} [now]
+ * @returns {{ totalDistanceKm: number, estimatedCompletionAt: Date | null, stops: object[] }}
+ */
+const describeBatchRoute = ({ stops, totalDistanceKm }, now = new Date()) => {
+  const pickupTimes = stops
+    .map(({ order }) => order.delivery?.pickedUpAt?.getTime())
+    .filter((time) => time !== undefined);
+  let clock = pickupTimes.length > 0 ? Math.min(...pickupTimes) : now.getTime();
+  let distanceFromStoreKm = 0;
+  let estimatedCompletionAt = null;
+
+  const describedStops = stops.map(({ order, legDistanceKm }, index) => {
+    distanceFromStoreKm += legDistanceKm;
+    clock += travelTimeMs(legDistanceKm);
+    let estimatedArrivalAt = null;
+    if (order.status === 'delivered') {
+      clock = (order.delivery?.deliveredAt ?? order.updatedAt).getTime();
+      estimatedArrivalAt = new Date(clock);
+    } else if (order.status !== 'cancelled') {
+      clock = Math.max(clock, now.getTime());
+      estimatedArrivalAt = new Date(clock);
+      clock += HANDOVER_MINUTES * MINUTE_MS;
+    }
+    if (estimatedArrivalAt) estimatedCompletionAt = estimatedArrivalAt;
+
+    const { dueAt } = getDeliveryWindow(order);
+    const [lng, lat] = order.deliveryLocation?.coordinates ?? [];
+    return {
+      sequence: index + 1,
+      orderId: order._id,
+      status: order.status,
+      customerName: order.customerDetails.name,
+      address: order.customerDetails.address,
+      location: order.deliveryLocation ? { lat, lng } : null,
+      legDistanceKm,
+      distanceFromStoreKm: roundCurrency(distanceFromStoreKm),
+      estimatedArrivalAt,
+      dueAt,
+      isLate: estimatedArrivalAt !== null && order.status !== 'delivered' && estimatedArrivalAt > dueAt,
+    };
+  });
+
+  return { totalDistanceKm, estimatedCompletionAt, stops: describedStops };
+};
+
+/**
+ * Loads batches with their orders and describes each one's route. Orders
+ * that have since left a batch (taken off its rider) are not shown in it.
+ * @param {Array<import('mongoose').Types.ObjectId>} batchIds
+ * @returns {Promise<object[]>} Each batch's `_id`, `riderId`, `riderName`, `createdAt` and
+ *   describeBatchRoute() output, newest first.
+ */
+const findBatchViews = async (batchIds) => {
+  const [batches, orders] = await Promise.all([
+    DeliveryBatch.find({ _id: { $in: batchIds } }).sort({ createdAt: -1 }),
+    Order.find({ 'delivery.batchId': { $in: batchIds } }),
+  ]);
+  const ordersById = new Map(orders.map((order) => [order._id.toString(), order]));
+  const now = new Date();
+
+  return batches.map((batch) => {
+    const stops = batch.stops
+      .map(({ orderId, legDistanceKm }) => ({ order: ordersById.get(orderId.toString()), legDistanceKm }))
+      .filter(({ order }) => order?.delivery?.batchId?.equals(batch._id));
+    return {
+      _id: batch._id,
+      riderId: batch.riderId,
+      riderName: stops[0]?.order.delivery.riderName ?? null,
+      createdAt: batch.createdAt,
+      ...describeBatchRoute({ stops, totalDistanceKm: batch.totalDistanceKm }, now),
+    };
+  });
+};
+
+export { BATCH_RADIUS_KM, planBatchRoute, suggestBatches, describeBatchRoute, findBatchViews };
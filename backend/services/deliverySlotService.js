@@ -0,0 +1,271 @@
+// backend/services/deliverySlotService.js
+// Scheduled delivery: a store offers delivery slots (Store#deliverySlots),
+// each taking up to `capacity` orders a day, and customers book one at
+// checkout instead of having the order delivered straight away. A place is
+// taken atomically when the order is placed and given back if the order is
+// cancelled. Slots can be booked while the store is closed, for when it is
+// open again. All slot times are store time (Asia/Kolkata).
+import mongoose from 'mongoose';
+import DeliverySlotBooking from '../models/DeliverySlotBooking.js';
+import Store from '../models/Store.js';
+import { AppError } from '../utils/backendUtils.js';
+import { toMinutes, toStoreDate, fromStoreTime, getStoreOpenStatus } from './storeHoursService.js';
+
+// Slots can be booked for today and this many days after it
+const MAX_SLOT_DAYS_AHEAD = 7;
+// Bookings for a slot close this long before it starts, so the order can be packed
+const SLOT_BOOKING_CUTOFF_MINUTES = 30;
+
+// Why a store may not be open right now, yet still takes bookings for later
+const SCHEDULABLE_REASONS = ['open', 'closed', 'holiday'];
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * The store-local dates slots can be booked for, today first.
+ * @param {Date} now
+ * @returns {string[]} YYYY-MM-DD dates.
+ */
+const getBookableDates = (now) =>
+  Array.from({ length: MAX_SLOT_DAYS_AHEAD + 1 }, (_, offset) =>
+    toStoreDate(new Date(now.getTime() + offset * MS_PER_DAY)).dateKey);
+
+/**
+ * Reads the `date` query parameter of the slot listing.
+ * @param {unknown} value
+ * @param {Date} [now]
+ * @returns {string | null} The date, today's date if absent, or null if it is not bookable.
+ */
+const parseSlotDate = (value, now = new Date()) => {
+  if (value === undefined) return toStoreDate(now).dateKey;
+  return typeof value === 'string' && getBookableDates(now).includes(value) ? value : null;
+};
+
+/**
+ * Whether the store takes bookings for its delivery slots right now: it must
+ * have an active slot and may be closed or on holiday, but not paused or
+ * deactivated.
+ * @param {object} store - Store document or lean object.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const acceptsScheduledOrders = (store, now = new Date()) =>
+  (store.deliverySlots ?? []).some((slot) => slot.isActive !== false)
+  && SCHEDULABLE_REASONS.includes(getStoreOpenStatus(store, now).reason);
+
+/**
+ * The store's active slots that run on a date, earliest first. None on its holidays.
+ * @param {object} store
+ * @param {string} dateKey - Store-local date, YYYY-MM-DD.
+ * @returns {object[]} Store#deliverySlots entries.
+ */
+const getSlotsOn = (store, dateKey) => {
+  if ((store.holidays ?? []).some((holiday) => holiday.date === dateKey)) return [];
+  // The date key is a calendar date, so its UTC weekday is the store's weekday
+  const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return (store.deliverySlots ?? [])
+    .filter((slot) => slot.isActive !== false && (slot.days.length === 0 || slot.days.includes(day)))
+    .sort((a, b) => a.starts.localeCompare(b.starts));
+};
+
+/**
+ * When a slot runs on a date.
+ * @param {{ starts: string, ends: string }} slot
+ * @param {string} dateKey
+ * @returns {{ startsAt: Date, endsAt: Date }}
+ */
+const toSlotWindow = (slot, dateKey) => ({
+  startsAt: fromStoreTime(dateKey, toMinutes(slot.starts)),
+  endsAt: fromStoreTime(dateKey, toMinutes(slot.ends)),
+});
+
+/**
+ * Whether bookings for a slot starting at `startsAt` are still open.
+ * @param {Date} startsAt
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isBeforeCutoff = (startsAt, now) =>
+  startsAt.getTime() - SLOT_BOOKING_CUTOFF_MINUTES * MS_PER_MINUTE > now.getTime();
+
+/**
+ * The store's delivery slots on a date and how many places each has left.
+ * A slot can be booked if it has room, its bookings haven't closed and the
+ * store takes scheduled orders (see acceptsScheduledOrders).
+ * @param {object} store - Needs deliverySlots, holidays and the open status fields.
+ * @param {string} dateKey - A bookable store-local date (see parseSlotDate).
+ * @param {Date} [now]
+ * @returns {Promise<Array<{ slotId: string, starts: string, ends: string, startsAt: Date, endsAt: Date,
+ *   remaining: number, isAvailable: boolean }>>}
+ */
+const listDeliverySlots = async (store, dateKey, now = new Date()) => {
+  const slots = getSlotsOn(store, dateKey);
+  if (slots.length === 0) return [];
+
+  const bookings = await DeliverySlotBooking.find(
+    { storeId: store._id, date: dateKey, slotId: { $in: slots.map((slot) => slot._id) } },
+    'slotId bookedCount'
+  ).lean();
+  const bookedBySlot = new Map(bookings.map((booking) => [booking.slotId.toString(), booking.bookedCount]));
+  const isTakingBookings = acceptsScheduledOrders(store, now);
+
+  return slots.map((slot) => {
+    const { startsAt, endsAt } = toSlotWindow(slot, dateKey);
+    const remaining = Math.max(slot.capacity - (bookedBySlot.get(slot._id.toString()) ?? 0), 0);
+    return {
+      slotId: slot._id.toString(),
+      starts: slot.starts,
+      ends: slot.ends,
+      startsAt,
+      endsAt,
+      remaining,
+      isAvailable: isTakingBookings && remaining > 0 && isBeforeCutoff(startsAt, now),
+    };
+  });
+};
+
+/**
+ * Checks the slot a customer picked at checkout. Whether it still has room is
+ * only known when it is booked (bookDeliverySlot).
+ * @param {import('mongoose').Document} store - As loaded for the order.
+ * @param {unknown} input - req.body.deliverySlot: { slotId, date }.
+ * @param {Date} [now]
+ * @returns {{ slotId: import('mongoose').Types.ObjectId, date: string, startsAt: Date, endsAt: Date }}
+ *   In the shape of Order#deliverySlot.
+ * @throws {AppError} 400 for a malformed or unknown slot or a date outside the booking
+ *   window, 409 if the slot doesn't run that day or its bookings have closed.
+ */
+const resolveDeliverySlot = (store, input, now = new Date()) => {
+  const { slotId, date } = input ?? {};
+  const slot = mongoose.isValidObjectId(slotId) ? store.deliverySlots.id(slotId) : null;
+  if (!slot) {
+    throw new AppError('deliverySlot must be { slotId, date } with one of this store\'s delivery slots', 400);
+  }
+  if (!getBookableDates(now).includes(date)) {
+    throw new AppError(`Delivery slots can be booked from today to ${MAX_SLOT_DAYS_AHEAD} days ahead (YYYY-MM-DD)`, 400);
+  }
+  if (!getSlotsOn(store, date).includes(slot)) {
+    throw new AppError(`This store doesn't deliver in the ${slot.starts}–${slot.ends} slot on ${date}.`, 409);
+  }
+  const { startsAt, endsAt } = toSlotWindow(slot, date);
+  if (!isBeforeCutoff(startsAt, now)) {
+    throw new AppError('Bookings for this delivery slot have closed. Please pick a later one.', 409);
+  }
+  return { slotId: slot._id, date, startsAt, endsAt };
+};
+
+/**
+ * Takes one place in a slot. The increment is guarded by the slot's capacity,
+ * so two orders can't both take the last place. The slot is looked up again
+ * once the place is taken, so a booking can't outlive the slot being deleted
+ * (see deleteUnbookedSlot).
+ * @param {import('mongoose').Document} store
+ * @param {{ slotId: import('mongoose').Types.ObjectId, date: string }} deliverySlot - From resolveDeliverySlot.
+ * @returns {Promise<void>}
+ * @throws {AppError} 409 if the slot is full or has just been deleted.
+ */
+const bookDeliverySlot = async (store, { slotId, date }) => {
+  const { capacity } = store.deliverySlots.id(slotId);
+  let isBooked = false;
+  for (let attempt = 0; attempt < 2 && !isBooked; attempt += 1) {
+    try {
+      await DeliverySlotBooking.updateOne(
+        { storeId: store._id, slotId, date, bookedCount: { $lt: capacity } },
+        { $inc: { bookedCount: 1 } },
+        { upsert: true }
+      );
+      isBooked = true;
+    } catch (err) {
+      // A full slot's counter doesn't match the filter, so the upsert collides with it.
+      // So does the loser of two first bookings racing, which the retry then counts.
+      if (err.code !== 11000) throw err;
+    }
+  }
+  if (!isBooked) {
+    throw new AppError('This delivery slot has just filled up. Please pick another one.', 409);
+  }
+  if (!(await Store.exists({ _id: store._id, 'deliverySlots._id': slotId }))) {
+    await releaseDeliverySlot(store._id, { slotId, date });
+    throw new AppError('This delivery slot is no longer offered. Please pick another one.', 409);
+  }
+};
+
+/**
+ * Gives back the place taken by bookDeliverySlot (order failed or cancelled).
+ * @param {string | import('mongoose').Types.ObjectId} storeId
+ * @param {{ slotId: import('mongoose').Types.ObjectId, date: string } | null | undefined} deliverySlot -
+ *   The order's slot; nothing to do without one.
+ * @returns {Promise<void>}
+ */
+const releaseDeliverySlot = async (storeId, deliverySlot) => {
+  if (!deliverySlot?.slotId) return;
+  await DeliverySlotBooking.updateOne(
+    { storeId, slotId: deliverySlot.slotId, date: deliverySlot.date, bookedCount: { $gt: 0 } },
+    { $inc: { bookedCount: -1 } }
+  );
+};
+
+/**
+ * Whether any order has a place booked in a slot from today on, so the slot
+ * can't be deleted without losing track of them.
+ * @param {import('mongoose').Types.ObjectId} storeId
+ * @param {import('mongoose').Types.ObjectId} slotId
+ * @param {Date} [now]
+ * @returns {Promise<boolean>}
+ */
+const hasUpcomingBookings = async (storeId, slotId, now = new Date()) => Boolean(await DeliverySlotBooking.exists({
+  storeId,
+  slotId,
+  date: { $gte: toStoreDate(now).dateKey },
+  bookedCount: { $gt: 0 },
+}));
+
+/**
+ * Deletes a slot no order has a place booked in from today on. A checkout
+ * booking it meanwhile either sees it gone (bookDeliverySlot looks for it after
+ * taking its place) or is seen here after the slot is pulled, which puts the
+ * slot back.
+ * @param {import('mongoose').Document} store - As loaded; only read.
+ * @param {import('mongoose').Types.Subdocument} slot - One of its deliverySlots.
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ * @throws {AppError} 409 if orders are booked in it.
+ */
+const deleteUnbookedSlot = async (store, slot, now = new Date()) => {
+  const bookedError = () => new AppError(
+    'Orders are booked in this delivery slot. Switch it off instead so it takes no new bookings.',
+    409
+  );
+  if (await hasUpcomingBookings(store._id, slot._id, now)) {
+    throw bookedError();
+  }
+
+  // The version bump makes a save from a copy that still has the slot fail instead of restoring it
+  const position = store.deliverySlots.indexOf(slot);
+  const pulled = await Store.updateOne(
+    { _id: store._id, 'deliverySlots._id': slot._id },
+    { $pull: { deliverySlots: { _id: slot._id } }, $inc: { __v: 1 } }
+  );
+  // Already deleted by someone else: nothing of ours to put back
+  if (pulled.modifiedCount === 0) return;
+  if (await hasUpcomingBookings(store._id, slot._id, now)) {
+    await Store.updateOne(
+      { _id: store._id, 'deliverySlots._id': { $ne: slot._id } },
+      { $push: { deliverySlots: { $each: [slot.toObject()], $position: position } }, $inc: { __v: 1 } }
+    );
+    throw bookedError();
+  }
+};
+
+export {
+  MAX_SLOT_DAYS_AHEAD,
+  SLOT_BOOKING_CUTOFF_MINUTES,
+  parseSlotDate,
+  acceptsScheduledOrders,
+  listDeliverySlots,
+  resolveDeliverySlot,
+  bookDeliverySlot,
+  releaseDeliverySlot,
+  deleteUnbookedSlot,
+};
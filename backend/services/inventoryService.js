@@ -0,0 +1,104 @@
+// backend/services/inventoryService.js
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import { AppError } from '../utils/backendUtils.js';
+
+/**
+ * Builds the positional-filter clauses for a batch of product stock updates.
+ * Each line gets its own `$[pN]` identifier so a single updateOne can touch
+ * several embedded products at once.
+ * @param {Array<{ productId: string, quantity: number }>} lines - Lines to update.
+ * @param {number} sign - -1 to reserve (decrement), +1 to release (increment).
+ * @returns {{ inc: object, arrayFilters: object[] }}
+ */
+const buildStockUpdate = (lines, sign) => {
+  const inc = {};
+  const arrayFilters = [];
+  lines.forEach((line, index) => {
+    inc[`products.$[p${index}].stock`] = sign * line.quantity;
+    arrayFilters.push({ [`p${index}._id`]: new mongoose.Types.ObjectId(line.productId) });
+  });
+  return { inc, arrayFilters };
+};
+
+/**
+ * Atomically reserves stock for the tracked products in an order.
+ *
+ * All decrements happen in one updateOne on the store document, guarded by a
+ * filter requiring every tracked product to still have enough stock, so either
+ * every line is reserved or none is. Products whose stock is null are not
+ * tracked and are skipped.
+ *
+ * @param {import('mongoose').Document} store - The store as loaded for pricing (used to decide which lines are tracked).
+ * @param {Array<{ productId: string, name: string, quantity: number }>} items - Priced order lines.
+ * @returns {Promise<Array<object>>} The items, each with `stockReserved` set.
+ * @throws {AppError} 409 with `details.unavailableItems` if any product is short.
+ */
+const reserveStock = async (store, items) => {
+  const trackedIds = new Set(
+    store.products
+      .filter((product) => product.stock !== null && product.stock !== undefined)
+      .map((product) => product._id.toString())
+  );
+  const trackedLines = items.filter((item) => trackedIds.has(item.productId));
+
+  if (trackedLines.length > 0) {
+    const { inc, arrayFilters } = buildStockUpdate(trackedLines, -1);
+    const result = await Store.updateOne(
+      {
+        _id: store._id,
+        $and: trackedLines.map((line) => ({
+          products: {
+            $elemMatch: { _id: new mongoose.Types.ObjectId(line.productId), stock: { $gte: line.quantity } },
+          },
+        })),
+      },
+      { $inc: inc },
+      { arrayFilters }
+    );
+
+    if (result.modifiedCount === 0) {
+      // Re-read current stock so the shopper sees exactly what is short right now
+      const current = await Store.findById(store._id, 'products._id products.stock').lean();
+      const unavailableItems = trackedLines
+        .map((line) => {
+          const product = current?.products.find((p) => p._id.toString() === line.productId);
+          return { productId: line.productId, name: line.name, requested: line.quantity, available: product?.stock ?? 0 };
+        })
+        .filter((line) => line.available < line.requested);
+
+      const summary = unavailableItems
+        .map((line) => `${line.name} (requested ${line.requested}, available ${line.available})`)
+        .join(', ');
+      throw new AppError(
+        `Some items are out of stock or don't have enough units: ${summary || 'stock changed, please try again'}`,
+        409,
+        { unavailableItems }
+      );
+    }
+  }
+
+  return items.map((item) => ({ ...item, stockReserved: trackedIds.has(item.productId) }));
+};
+
+/**
+ * Returns reserved stock to the store, e.g. when an order is cancelled or
+ * could not be saved. Only lines with `stockReserved` are restored.
+ * Products that have since been removed from the catalog are ignored.
+ * @param {import('mongoose').Types.ObjectId | string} storeId - The store the stock belongs to.
+ * @param {Array<{ productId: string, quantity: number, stockReserved?: boolean }>} items - Order lines.
+ * @returns {Promise<void>}
+ */
+const releaseStock = async (storeId, items) => {
+  const reservedLines = items.filter((item) => item.stockReserved);
+  if (reservedLines.length === 0) return;
+
+  const { inc, arrayFilters } = buildStockUpdate(reservedLines, 1);
+  // Only touch products that are still tracked; untracked (null) stock stays null
+  arrayFilters.forEach((filter, index) => {
+    filter[`p${index}.stock`] = { $ne: null };
+  });
+  await Store.updateOne({ _id: storeId }, { $inc: inc }, { arrayFilters });
+};
+
+export { reserveStock, releaseStock };
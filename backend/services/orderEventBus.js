@@ -0,0 +1,94 @@
+// backend/services/orderEventBus.js
+// In-process publish/subscribe for order changes, feeding the store admin's
+// live order stream (GET /api/stores/:storeId/orders/stream).
+//
+// Each event gets a cursor `<bootId>:<sequence>`. The last few events per
+// store are kept so a dashboard that lost its connection can resume from its
+// last cursor without missing anything. A cursor from before a server restart,
+// or older than the buffer, can't be resumed; the subscriber is told to
+// reload instead. Being in-process, this only reaches clients connected to the
+// same server instance.
+import { EventEmitter } from 'node:events';
+import crypto from 'node:crypto';
+
+const ORDER_EVENT_TYPES = Object.freeze({
+  CREATED: 'order.created',
+  STATUS_CHANGED: 'order.status_changed',
+  UPDATED: 'order.updated', // Items, pricing or payment changed without a status change
+});
+
+// Events kept per store for resuming; a dashboard offline for longer reloads instead
+const REPLAY_BUFFER_SIZE = 100;
+
+const bootId = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+
+const emitter = new EventEmitter();
+// One listener per connected dashboard; don't warn about "leaks" past Node's default of 10
+emitter.setMaxListeners(0);
+
+// Per store: recent events, and the sequence of the newest one evicted (0 if none yet).
+// Sequences are shared by all stores, so one store's events are not consecutive.
+/** @type {Map<string, { events: Array<{ id: string, sequence: number, type: string, data: object }>, evictedThrough: number }>} */
+const replayBuffers = new Map();
+
+/**
+ * Publishes an order change to everyone watching the order's store.
+ * @param {string} type - One of ORDER_EVENT_TYPES.
+ * @param {import('mongoose').Document} order - The order as saved.
+ * @returns {void}
+ */
+const publishOrderEvent = (type, order) => {
+  sequence += 1;
+  const storeId = order.storeId.toString();
+  const event = { id: `${bootId}:${sequence}`, sequence, type, data: order.toJSON() };
+
+  const buffer = replayBuffers.get(storeId) ?? { events: [], evictedThrough: 0 };
+  buffer.events.push(event);
+  if (buffer.events.length > REPLAY_BUFFER_SIZE) {
+    buffer.evictedThrough = buffer.events.shift().sequence;
+  }
+  replayBuffers.set(storeId, buffer);
+
+  emitter.emit(storeId, event);
+};
+
+/**
+ * Cursor of the newest event published so far, for a subscriber starting fresh.
+ * @returns {string}
+ */
+const getCurrentCursor = () => `${bootId}:${sequence}`;
+
+/**
+ * Events for a store published after `lastEventId`.
+ * @param {string} storeId
+ * @param {string} lastEventId - Cursor of the last event the subscriber saw.
+ * @returns {Array<object> | null} The missed events (possibly none), or null if the
+ *   cursor can't be resumed from and the subscriber must reload.
+ */
+const getEventsSince = (storeId, lastEventId) => {
+  const [cursorBootId, cursorSequence] = String(lastEventId).split(':');
+  const lastSequence = Number(cursorSequence);
+  if (cursorBootId !== bootId || !Number.isInteger(lastSequence)) {
+    return null;
+  }
+  const buffer = replayBuffers.get(storeId) ?? { events: [], evictedThrough: 0 };
+  // Events after the cursor have already been evicted
+  if (lastSequence < buffer.evictedThrough) {
+    return null;
+  }
+  return buffer.events.filter((event) => event.sequence > lastSequence);
+};
+
+/**
+ * Calls `listener` for every event on a store until the returned function is called.
+ * @param {string} storeId
+ * @param {(event: { id: string, type: string, data: object }) => void} listener
+ * @returns {() => void} Unsubscribe.
+ */
+const subscribeToStore = (storeId, listener) => {
+  emitter.on(storeId, listener);
+  return () => emitter.off(storeId, listener);
+};
+
+export { ORDER_EVENT_TYPES, publishOrderEvent, getCurrentCursor, getEventsSince, subscribeToStore };
@@ -0,0 +1,216 @@
+// backend/services/orderTrackingService.js
+// Tracking tokens let a customer follow their order without an account. The
+// token is an HMAC of the order ID, so it can be checked and handed out again
+// (after the customer confirms their phone number) without being stored.
+// Order IDs alone are guessable enough that they must not reveal an order.
+// Order groups (several stores' orders placed in one checkout) get their own
+// token the same way, signed over a different prefix so an order's token can't
+// be used as a group's. The group's summary hands out its orders' tokens.
+// The 4-digit code a customer gives the rider to confirm delivery is derived
+// the same way, so it needs no storage either and is only ever shown on the
+// customer's view of the order.
+import crypto from 'node:crypto';
+import TrackingPhoneCheck from '../models/TrackingPhoneCheck.js';
+import { normalisePhone } from '../utils/phone.js';
+
+// Phone numbers one client may try per order (or group) before it can't ask for a while
+const MAX_TRACKING_PHONE_ATTEMPTS = 5;
+const TRACKING_PHONE_LOCKOUT_MINUTES = 15;
+// And across all orders, so order IDs can't be probed in bulk
+const MAX_TRACKING_PHONE_ATTEMPTS_PER_IP = 20;
+const TRACKING_PHONE_IP_WINDOW_MINUTES = 60;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Reads the tracking token signing secret lazily, after dotenv has loaded.
+ * @returns {string}
+ * @throws {Error} If ORDER_TRACKING_SECRET is not configured.
+ */
+const getTrackingSecret = () => {
+  const secret = process.env.ORDER_TRACKING_SECRET;
+  if (!secret) {
+    throw new Error('ORDER_TRACKING_SECRET is not defined in environment variables.');
+  }
+  return secret;
+};
+
+/**
+ * Signs `subject` (e.g. 'order-tracking:<id>') into a URL-safe token.
+ * @param {string} subject
+ * @returns {string}
+ */
+const signTrackingSubject = (subject) =>
+  crypto.createHmac('sha256', getTrackingSecret()).update(subject).digest('base64url');
+
+/**
+ * Checks a token presented by a client against `subject`, in constant time.
+ * @param {string} subject
+ * @param {unknown} token
+ * @returns {boolean}
+ */
+const matchesTrackingSubject = (subject, token) => {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+  const expected = Buffer.from(signTrackingSubject(subject));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * The tracking token for an order.
+ * @param {import('mongoose').Types.ObjectId | string} orderId
+ * @returns {string} URL-safe token.
+ */
+const createTrackingToken = (orderId) => signTrackingSubject(`order-tracking:${orderId}`);
+
+/**
+ * Checks an order tracking token presented by a client.
+ * @param {import('mongoose').Types.ObjectId | string} orderId
+ * @param {unknown} token
+ * @returns {boolean}
+ */
+const isValidTrackingToken = (orderId, token) => matchesTrackingSubject(`order-tracking:${orderId}`, token);
+
+/**
+ * The tracking token for an order group.
+ * @param {import('mongoose').Types.ObjectId | string} groupId
+ * @returns {string} URL-safe token.
+ */
+const createGroupTrackingToken = (groupId) => signTrackingSubject(`order-group-tracking:${groupId}`);
+
+/**
+ * Checks an order group tracking token presented by a client.
+ * @param {import('mongoose').Types.ObjectId | string} groupId
+ * @param {unknown} token
+ * @returns {boolean}
+ */
+const isValidGroupTrackingToken = (groupId, token) => matchesTrackingSubject(`order-group-tracking:${groupId}`, token);
+
+// Digits in the delivery confirmation code
+const DELIVERY_OTP_LENGTH = 4;
+// Statuses in which the customer is shown the delivery code
+const DELIVERY_OTP_STATUSES = ['placed', 'accepted', 'out_for_delivery'];
+
+/**
+ * The code the customer gives the rider to confirm their order was delivered.
+ * @param {import('mongoose').Types.ObjectId | string} orderId
+ * @returns {string} DELIVERY_OTP_LENGTH digits, e.g. '0427'.
+ */
+const createDeliveryOtp = (orderId) => {
+  const digest = crypto.createHmac('sha256', getTrackingSecret()).update(`order-delivery-otp:${orderId}`).digest();
+  return (digest.readUInt32BE(0) % 10 ** DELIVERY_OTP_LENGTH).toString().padStart(DELIVERY_OTP_LENGTH, '0');
+};
+
+/**
+ * Checks a delivery code entered by the rider or store, in constant time.
+ * @param {import('mongoose').Types.ObjectId | string} orderId
+ * @param {unknown} otp
+ * @returns {boolean}
+ */
+const isValidDeliveryOtp = (orderId, otp) => {
+  const given = Buffer.from(String(otp ?? '').trim());
+  const expected = Buffer.from(createDeliveryOtp(orderId));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Counts one attempt against `key`, unless it has had `max` in the current
+ * window. The increment is guarded by the limit, so parallel guesses can't get
+ * past it.
+ * @param {string} key - TrackingPhoneCheck#key.
+ * @param {number} max
+ * @param {number} windowMinutes - How long the count lasts from the first attempt.
+ * @param {Date} now
+ * @returns {Promise<boolean>} False once the limit is reached.
+ */
+const countTrackingPhoneAttempt = async (key, max, windowMinutes, now) => {
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await TrackingPhoneCheck.updateOne(
+        { key, expiresAt: { $gt: now }, attempts: { $lt: max } },
+        { $inc: { attempts: 1 }, $setOnInsert: { expiresAt: new Date(now.getTime() + windowMinutes * MS_PER_MINUTE) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (err) {
+      // A used-up counter doesn't match the filter, so the upsert collides with it.
+      // So do a finished window MongoDB hasn't deleted yet, restarted here, and the
+      // loser of two first attempts racing, which the retry then counts.
+      if (err.code !== 11000) throw err;
+      const restarted = await TrackingPhoneCheck.updateOne(
+        { key, expiresAt: { $lte: now } },
+        { $set: { attempts: 1, expiresAt: new Date(now.getTime() + windowMinutes * MS_PER_MINUTE) } }
+      );
+      if (restarted.modifiedCount > 0) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks the phone number a customer gives to get an order's (or order
+ * group's) tracking token back. Every guess is counted before it is checked,
+ * per client IP and per IP and document, so the number can't be found by
+ * trying them all, order IDs can't be probed in bulk, and someone else's
+ * guesses can't lock the customer out. A missing document, a wrong number and
+ * a client over its limit all give false, so the answer reveals nothing.
+ * @param {import('mongoose').Model} Model - Order or OrderGroup.
+ * @param {string} id
+ * @param {string} phonePath - Where the document keeps the number, e.g. 'customerDetails.phone'.
+ * @param {unknown} phone
+ * @param {string | undefined} ip - The client's IP (req.ip).
+ * @returns {Promise<boolean>} Whether it matches.
+ */
+const verifyTrackingPhone = async (Model, id, phonePath, phone, ip) => {
+  const now = new Date();
+  const clientKey = `ip:${ip ?? 'unknown'}`;
+  const documentKey = `${Model.modelName}:${id}:${clientKey}`;
+  if (!(await countTrackingPhoneAttempt(clientKey, MAX_TRACKING_PHONE_ATTEMPTS_PER_IP, TRACKING_PHONE_IP_WINDOW_MINUTES, now))
+    || !(await countTrackingPhoneAttempt(documentKey, MAX_TRACKING_PHONE_ATTEMPTS, TRACKING_PHONE_LOCKOUT_MINUTES, now))) {
+    return false;
+  }
+
+  const doc = await Model.findById(id, phonePath);
+  const given = normalisePhone(phone);
+  if (!doc || given === '' || given !== normalisePhone(doc.get(phonePath))) {
+    return false;
+  }
+  await TrackingPhoneCheck.deleteOne({ key: documentKey });
+  return true;
+};
+
+/**
+ * The order as shown to the customer: staff identities are reduced to their
+ * role and store-internal bookkeeping is left out, including how its promised
+ * delivery time was worked out. Until the order is delivered (or cancelled) it
+ * carries `deliveryOtp`, the code to give the rider.
+ * @param {object} order - The order as plain JSON (order.toJSON()).
+ * @returns {object}
+ */
+const toCustomerOrderView = (order) => {
+  const actorRole = (actor) => String(actor ?? '').split(':')[0]; // 'store:owner@example.com' -> 'store'
+  const { deliveryOtpCheck, ...customerOrder } = order;
+  const { assignedBy, ...delivery } = order.delivery ?? {};
+  return {
+    ...customerOrder,
+    items: (order.items ?? []).map(({ stockReserved, ...item }) => item),
+    statusHistory: (order.statusHistory ?? []).map((entry) => ({ ...entry, actor: actorRole(entry.actor) })),
+    refunds: (order.refunds ?? []).map(({ actor, ...refund }) => refund),
+    delivery: order.delivery ? delivery : undefined,
+    promise: order.promise ? { promisedAt: order.promise.promisedAt } : undefined,
+    deliveryOtp: DELIVERY_OTP_STATUSES.includes(order.status) ? createDeliveryOtp(order._id) : undefined,
+  };
+};
+
+export {
+  createTrackingToken,
+  isValidTrackingToken,
+  createGroupTrackingToken,
+  isValidGroupTrackingToken,
+  DELIVERY_OTP_LENGTH,
+  isValidDeliveryOtp,
+  verifyTrackingPhone,
+  toCustomerOrderView,
+};
@@ -0,0 +1,118 @@
+// backend/services/otpService.js
+// One-time login codes for customers and riders. A code is sent by SMS,
+// stored only as a bcrypt hash, expires after a few minutes and can be tried a
+// limited number of times. Sending is rate-limited per phone and per client IP
+// so the endpoint can't be used to flood a number or run up the SMS bill.
+import crypto from 'node:crypto';
+import bcrypt from 'bcryptjs';
+import OtpChallenge from '../models/OtpChallenge.js';
+import { AppError } from '../utils/backendUtils.js';
+import { sendSms } from './smsService.js';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = 5 * 60;
+// Wrong codes allowed per challenge before a new code must be requested
+const MAX_VERIFY_ATTEMPTS = 5;
+// Send limits
+const RESEND_COOLDOWN_SECONDS = 30;
+const MAX_SENDS_PER_PHONE_PER_HOUR = 5;
+const MAX_SENDS_PER_IP_PER_HOUR = 20;
+// The code is short-lived, so a lower cost than passwords keeps verification quick
+const OTP_BCRYPT_ROUNDS = 8;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A uniformly random numeric code, e.g. '048213'.
+ * @returns {string}
+ */
+const generateCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+/**
+ * Sends a login code to `phone`, after checking the send limits.
+ * @param {{ phone: string, ip?: string }} request - phone must already be normalised.
+ * @returns {Promise<{ expiresInSeconds: number, resendAfterSeconds: number }>}
+ * @throws {AppError} 429 (with `details.retryAfterSeconds`) if a limit has been reached.
+ */
+const requestLoginOtp = async ({ phone, ip }) => {
+  const now = Date.now();
+  const hourAgo = new Date(now - HOUR_MS);
+
+  const [latest, sendsToPhone, sendsFromIp] = await Promise.all([
+    OtpChallenge.findOne({ phone }).sort({ createdAt: -1 }),
+    OtpChallenge.countDocuments({ phone, createdAt: { $gte: hourAgo } }),
+    ip ? OtpChallenge.countDocuments({ requestIp: ip, createdAt: { $gte: hourAgo } }) : 0,
+  ]);
+
+  const cooldownEndsAt = latest ? latest.createdAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 : 0;
+  if (cooldownEndsAt > now) {
+    const retryAfterSeconds = Math.ceil((cooldownEndsAt - now) / 1000);
+    throw new AppError(`Please wait ${retryAfterSeconds} seconds before requesting another code.`, 429, { retryAfterSeconds });
+  }
+  if (sendsToPhone >= MAX_SENDS_PER_PHONE_PER_HOUR || sendsFromIp >= MAX_SENDS_PER_IP_PER_HOUR) {
+    throw new AppError('Too many codes requested. Please try again in an hour.', 429, { retryAfterSeconds: 60 * 60 });
+  }
+
+  const code = generateCode();
+  const challenge = await OtpChallenge.create({
+    phone,
+    codeHash: await bcrypt.hash(code, OTP_BCRYPT_ROUNDS),
+    expiresAt: new Date(now + OTP_TTL_SECONDS * 1000),
+    requestIp: ip,
+  });
+
+  try {
+    await sendSms(phone, `${code} is your Dillidash login code. It expires in ${OTP_TTL_SECONDS / 60} minutes. Do not share it with anyone.`);
+  } catch (err) {
+    // Nothing was sent: don't let the failed attempt count against the customer
+    await OtpChallenge.deleteOne({ _id: challenge._id });
+    console.error(`[otpService] SMS to ${phone} failed:`, err);
+    throw new AppError('We could not send the code right now. Please try again shortly.', 502);
+  }
+
+  return { expiresInSeconds: OTP_TTL_SECONDS, resendAfterSeconds: RESEND_COOLDOWN_SECONDS };
+};
+
+/**
+ * Checks a login code against the latest one sent to `phone` and uses it up.
+ * @param {{ phone: string, code: string }} attempt - phone must already be normalised.
+ * @returns {Promise<void>} Resolves if the code is correct.
+ * @throws {AppError} 400 if the code is wrong, expired or already used; 429 once too many
+ *   wrong codes have been entered. (Not 401: the client keeps any other session it has.)
+ */
+const verifyLoginOtp = async ({ phone, code }) => {
+  const challenge = await OtpChallenge.findOne({ phone }).sort({ createdAt: -1 }).select('+codeHash');
+  if (!challenge || challenge.consumedAt || challenge.expiresAt.getTime() <= Date.now()) {
+    throw new AppError('This code has expired. Please request a new one.', 400);
+  }
+
+  // Count the attempt before checking it, so parallel guesses can't exceed the limit
+  const counted = await OtpChallenge.findOneAndUpdate(
+    { _id: challenge._id, consumedAt: null, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!counted) {
+    throw new AppError('Too many incorrect codes. Please request a new one.', 429);
+  }
+
+  if (!(await bcrypt.compare(String(code), challenge.codeHash))) {
+    const remaining = MAX_VERIFY_ATTEMPTS - counted.attempts;
+    throw new AppError(
+      remaining > 0 ? `Incorrect code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.` : 'Incorrect code. Please request a new one.',
+      400,
+      { attemptsRemaining: remaining }
+    );
+  }
+
+  // Use the code up; a concurrent request that got here first wins
+  const consumed = await OtpChallenge.updateOne(
+    { _id: challenge._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (consumed.modifiedCount === 0) {
+    throw new AppError('This code has already been used. Please request a new one.', 400);
+  }
+};
+
+export { OTP_LENGTH, OTP_TTL_SECONDS, RESEND_COOLDOWN_SECONDS, requestLoginOtp, verifyLoginOtp };
@@ -0,0 +1,138 @@
+// backend/services/paymentGateways/mockGateway.js
+// A local stand-in for a UPI/card payment provider. It issues intents without
+// any network calls and signs its webhooks the way real providers do, so the
+// whole payment flow (intent, customer pays, webhook) can run in development.
+// A real provider is added as another adapter with the same shape; see the
+// PaymentGateway typedef in services/paymentService.js.
+import crypto from 'node:crypto';
+import { AppError } from '../../utils/backendUtils.js';
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+// Webhooks older than this are rejected so a captured request can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Reads the webhook signing secret lazily, after dotenv has loaded.
+ * @returns {string}
+ * @throws {Error} If PAYMENT_WEBHOOK_SECRET is not configured.
+ */
+const getWebhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not defined in environment variables.');
+  }
+  return secret;
+};
+
+/**
+ * HMAC-SHA256 over `<timestamp>.<raw body>`, hex encoded.
+ * @param {string} timestamp - Unix seconds.
+ * @param {Buffer | string} rawBody
+ * @returns {string}
+ */
+const computeSignature = (timestamp, rawBody) =>
+  crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+
+/**
+ * Creates a payment intent. Nothing is charged until the customer completes it.
+ * @param {{ orderId: string, amount: number, currency: string, method: string }} request
+ * @returns {Promise<{ intentId: string, clientSecret: string, status: string }>}
+ */
+const createIntent = async () => {
+  const intentId = `pi_mock_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    intentId,
+    clientSecret: `${intentId}_secret_${crypto.randomBytes(12).toString('hex')}`,
+    status: 'requires_payment',
+  };
+};
+
+/**
+ * Verifies a webhook's signature and turns its body into a gateway-neutral event.
+ * @param {Buffer} rawBody - The request body exactly as received.
+ * @param {object} headers - The request headers (lower-cased by Node).
+ * @returns {{ id: string, type: 'payment.succeeded' | 'payment.failed', intentId: string,
+ *   amount: number, failureReason?: string }}
+ * @throws {AppError} 400 if the signature is missing, wrong or too old, or the body is malformed.
+ */
+const parseWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  const parts = Object.fromEntries(
+    String(header ?? '').split(',').map((part) => part.split('=').map((value) => value.trim()))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw new AppError('Missing or malformed webhook signature', 400);
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new AppError('Webhook signature has expired', 400);
+  }
+
+  const expected = Buffer.from(computeSignature(parts.t, rawBody), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    throw new AppError('Webhook body is not valid JSON', 400);
+  }
+  if (typeof payload?.id !== 'string' || typeof payload.data?.intentId !== 'string') {
+    throw new AppError('Webhook body is missing id or data.intentId', 400);
+  }
+
+  return {
+    id: payload.id,
+    type: payload.type,
+    intentId: payload.data.intentId,
+    amount: payload.data.amount,
+    failureReason: payload.data.failureReason,
+  };
+};
+
+/**
+ * Refunds part or all of a payment. The mock settles instantly.
+ * @param {{ intentId: string, amount: number, reason: string }} request
+ * @returns {Promise<{ refundId: string, status: 'processed' }>}
+ */
+const createRefund = async () => ({
+  refundId: `rf_mock_${crypto.randomBytes(12).toString('hex')}`,
+  status: 'processed',
+});
+
+/**
+ * Builds the signed webhook the mock provider would send once the customer
+ * finishes paying. Used by the development-only "complete payment" endpoint.
+ * @param {{ intentId: string, amount: number, outcome: 'success' | 'failure' }} payment
+ * @returns {{ rawBody: Buffer, headers: object }}
+ */
+const buildWebhook = ({ intentId, amount, outcome }) => {
+  const succeeded = outcome === 'success';
+  const rawBody = Buffer.from(JSON.stringify({
+    id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+    type: succeeded ? 'payment.succeeded' : 'payment.failed',
+    data: {
+      intentId,
+      amount,
+      ...(succeeded ? {} : { failureReason: 'Payment declined by the customer\'s bank' }),
+    },
+  }));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}` },
+  };
+};
+
+const mockGateway = Object.freeze({
+  name: 'mock',
+  createIntent,
+  parseWebhook,
+  createRefund,
+  buildWebhook,
+});
+
+export default mockGateway;
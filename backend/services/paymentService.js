@@ -0,0 +1,485 @@
+// backend/services/paymentService.js
+// Online payments for orders. Controllers only talk to this module; the
+// provider-specific work is done by a gateway adapter chosen with the
+// PAYMENT_PROVIDER environment variable (default: the local mock gateway).
+// The orders of an order group are paid together: one intent covers them all,
+// and each order records its own share, so refunds still work per order.
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { AppError } from '../utils/backendUtils.js';
+import { roundCurrency } from './pricingService.js';
+import { ORDER_EVENT_TYPES, publishOrderEvent } from './orderEventBus.js';
+import mockGateway from './paymentGateways/mockGateway.js';
+
+/**
+ * What a payment provider adapter must implement.
+ * @typedef {object} PaymentGateway
+ * @property {string} name - Stored on orders and webhook events, e.g. 'mock'.
+ * @property {(request: { orderId: string, amount: number, currency: string, method: string }) =>
+ *   Promise<{ intentId: string, clientSecret: string, status: string }>} createIntent
+ *   Starts a payment with the provider. `orderId` is the order group's ID for a combined payment.
+ * @property {(rawBody: Buffer, headers: object) => { id: string, type: string, intentId: string,
+ *   amount: number, failureReason?: string }} parseWebhook
+ *   Verifies the provider's signature and normalises the event. Must throw a 400 AppError when
+ *   the signature doesn't check out. Event types: 'payment.succeeded', 'payment.failed'.
+ * @property {(request: { intentId: string, amount: number, reason: string }) =>
+ *   Promise<{ refundId: string, status: 'processed' | 'failed', failureReason?: string }>} createRefund
+ *   Sends part or all of a captured payment back to the customer.
+ */
+
+/** @type {Record<string, PaymentGateway>} */
+const GATEWAYS = {
+  mock: mockGateway,
+};
+
+const CURRENCY = 'INR';
+
+// Payment statuses in which money has been received and not (fully) given back
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Returns the configured gateway adapter. Read lazily because dotenv is
+ * loaded by server.js after this module has been imported. Outside production
+ * PAYMENT_PROVIDER defaults to the mock gateway; in production it must be set.
+ * @returns {PaymentGateway}
+ * @throws {Error} If PAYMENT_PROVIDER names an adapter that doesn't exist, or is unset in production.
+ */
+const getPaymentGateway = () => {
+  if (!process.env.PAYMENT_PROVIDER && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_PROVIDER must be set in production');
+  }
+  const provider = process.env.PAYMENT_PROVIDER || 'mock';
+  const gateway = GATEWAYS[provider];
+  if (!gateway) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${provider}". Available: ${Object.keys(GATEWAYS).join(', ')}`);
+  }
+  return gateway;
+};
+
+/**
+ * The part of an order's current payment attempt kept when a new one replaces it.
+ * @param {object | undefined} payment - Order#payment.
+ * @returns {object[]} Entries for Order#supersededPayments (none if there was no attempt).
+ */
+const toSupersededPayments = (payment) => (payment?.intentId
+  ? [{ provider: payment.provider, intentId: payment.intentId, amount: payment.amount }]
+  : []);
+
+/**
+ * Starts the online payment for an order, or hands back the attempt already
+ * open for it. A new intent is only created after the last one failed or when
+ * the order's total has changed since; the one it replaces is kept in
+ * `supersededPayments`, so a late payment through it can still be refunded.
+ * @param {import('mongoose').Document} order
+ * @returns {Promise<{ orderId: string, provider: string, intentId: string, clientSecret: string,
+ *   amount: number, currency: string }>}
+ * @throws {AppError} 409 if the order is not awaiting an online payment, or its
+ *   payment changed while this one was being started.
+ */
+const createPaymentIntent = async (order) => {
+  if (order.paymentMethod !== 'online') {
+    throw new AppError('This order is paid by cash on delivery', 409);
+  }
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    throw new AppError('This order has already been paid', 409);
+  }
+  if (order.status === 'cancelled') {
+    throw new AppError('This order has been cancelled', 409);
+  }
+
+  const gateway = getPaymentGateway();
+  const amount = order.totalAmount;
+  const current = order.payment;
+  if (order.paymentStatus === 'pending' && current?.provider === gateway.name && current.amount === amount) {
+    const { payment } = await Order.findById(order._id, '+payment.clientSecret');
+    if (payment?.intentId === current.intentId && payment.clientSecret) {
+      return {
+        orderId: order._id.toString(),
+        provider: gateway.name,
+        intentId: payment.intentId,
+        clientSecret: payment.clientSecret,
+        amount,
+        currency: CURRENCY,
+      };
+    }
+  }
+
+  const intent = await gateway.createIntent({
+    orderId: order._id.toString(),
+    amount,
+    currency: CURRENCY,
+    method: order.paymentMethod,
+  });
+
+  // Guarded on the attempt being replaced, so neither a payment confirmed nor
+  // another attempt started meanwhile is overwritten
+  const result = await Order.updateOne(
+    { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] }, 'payment.intentId': current?.intentId ?? null },
+    {
+      $set: {
+        paymentStatus: 'pending',
+        payment: { provider: gateway.name, intentId: intent.intentId, amount, clientSecret: intent.clientSecret },
+      },
+      $push: { supersededPayments: { $each: toSupersededPayments(current) } },
+    }
+  );
+  if (result.matchedCount === 0) {
+    throw new AppError('This order\'s payment has just changed. Please refresh and try again.', 409);
+  }
+
+  return {
+    orderId: order._id.toString(),
+    provider: gateway.name,
+    intentId: intent.intentId,
+    clientSecret: intent.clientSecret,
+    amount,
+    currency: CURRENCY,
+  };
+};
+
+/**
+ * Starts one payment for every order in a group still waiting to be paid
+ * online, or hands back the one already open for exactly those orders. Orders
+ * the store has cancelled and orders already paid (e.g. separately, from their
+ * own page) are left out. Each order covered records the shared intent with
+ * its own total as `payment.amount`; attempts replaced are kept as in
+ * createPaymentIntent.
+ * @param {import('mongoose').Document} group - The OrderGroup.
+ * @returns {Promise<{ orderGroupId: string, orderIds: string[], provider: string, intentId: string,
+ *   clientSecret: string, amount: number, currency: string }>}
+ * @throws {AppError} 409 if the group is paid by cash on delivery, nothing is left to pay, or
+ *   part of it changed while the payment was being started.
+ */
+const createOrderGroupPaymentIntent = async (group) => {
+  if (group.paymentMethod !== 'online') {
+    throw new AppError('These orders are paid by cash on delivery', 409);
+  }
+  const orders = await Order.find({
+    _id: { $in: group.orderIds },
+    paymentMethod: 'online',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    status: { $ne: 'cancelled' },
+  }, '+payment.clientSecret');
+  if (orders.length === 0) {
+    throw new AppError('There is nothing left to pay for these orders', 409);
+  }
+
+  const gateway = getPaymentGateway();
+  const amount = roundCurrency(orders.reduce((sum, order) => sum + order.totalAmount, 0));
+  const orderIds = orders.map((order) => order._id.toString());
+
+  // Reuse the open attempt if it covers these orders, and only these, at their current totals
+  const [first] = orders;
+  const isOpenAttempt = first.payment?.provider === gateway.name && first.payment.clientSecret
+    && orders.every((order) => order.paymentStatus === 'pending'
+      && order.payment?.intentId === first.payment.intentId && order.payment.amount === order.totalAmount);
+  if (isOpenAttempt) {
+    const holders = await Order.countDocuments({ 'payment.provider': gateway.name, 'payment.intentId': first.payment.intentId });
+    if (holders === orders.length) {
+      return {
+        orderGroupId: group._id.toString(),
+        orderIds,
+        provider: gateway.name,
+        intentId: first.payment.intentId,
+        clientSecret: first.payment.clientSecret,
+        amount,
+        currency: CURRENCY,
+      };
+    }
+  }
+
+  const intent = await gateway.createIntent({
+    orderId: group._id.toString(),
+    amount,
+    currency: CURRENCY,
+    method: group.paymentMethod,
+  });
+
+  const results = await Promise.all(orders.map((order) => Order.updateOne(
+    { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] }, 'payment.intentId': order.payment?.intentId ?? null },
+    {
+      $set: {
+        paymentStatus: 'pending',
+        payment: {
+          provider: gateway.name,
+          intentId: intent.intentId,
+          amount: order.totalAmount,
+          clientSecret: intent.clientSecret,
+        },
+      },
+      $push: { supersededPayments: { $each: toSupersededPayments(order.payment) } },
+    }
+  )));
+  // An order paid, or paid for again, while the intent was being created would make the amounts disagree
+  if (results.some((result) => result.matchedCount === 0)) {
+    throw new AppError('Part of this payment has already been made. Please refresh and try again.', 409);
+  }
+
+  return {
+    orderGroupId: group._id.toString(),
+    orderIds,
+    provider: gateway.name,
+    intentId: intent.intentId,
+    clientSecret: intent.clientSecret,
+    amount,
+    currency: CURRENCY,
+  };
+};
+
+/**
+ * Refunds the full payment of an order that was cancelled before its payment
+ * came through.
+ * @param {import('mongoose').Types.ObjectId} orderId
+ * @returns {Promise<void>}
+ */
+const refundCancelledOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  const refund = addPendingRefund(order, {
+    amount: getRefundableAmount(order),
+    reason: 'The order was cancelled before the payment completed',
+    actor: 'system',
+  });
+  if (refund) {
+    await order.save();
+    await processPendingRefunds(order._id);
+  }
+};
+
+/**
+ * Handles an event for an intent that has since been replaced by a newer
+ * attempt. The orders are paid (or will be) through the newer one, so money
+ * that comes through the old one anyway is refunded in full.
+ * @param {string} provider
+ * @param {{ type: string, intentId: string, amount: number }} event
+ * @returns {Promise<import('mongoose').Document[]>} The orders the intent was for (empty if none).
+ * @throws {Error} If the gateway can't be reached, so the webhook is retried.
+ */
+const applySupersededPaymentEvent = async (provider, event) => {
+  const orders = await Order.find(
+    { supersededPayments: { $elemMatch: { provider, intentId: event.intentId } } },
+    '_id groupId'
+  );
+  if (orders.length === 0) {
+    console.warn(`[payments] ${provider} event for unknown intent ${event.intentId}`);
+    return orders;
+  }
+  if (event.type !== 'payment.succeeded') {
+    return orders;
+  }
+
+  const outcome = await getPaymentGateway().createRefund({
+    intentId: event.intentId,
+    amount: event.amount,
+    reason: 'This payment attempt had been replaced by a newer one',
+  });
+  if (outcome.status === 'failed') {
+    console.error(
+      `[payments] Refund of superseded intent ${event.intentId} failed: ${outcome.failureReason ?? 'unknown reason'}`
+    );
+  }
+  await Order.updateMany(
+    { _id: { $in: orders.map((order) => order._id) } },
+    { $set: { 'supersededPayments.$[attempt].refundId': outcome.refundId, 'supersededPayments.$[attempt].refundStatus': outcome.status } },
+    { arrayFilters: [{ 'attempt.provider': provider, 'attempt.intentId': event.intentId }] }
+  );
+  return orders;
+};
+
+/**
+ * Applies a verified gateway event to the orders it pays for: one order, or
+ * every order of a group paid together.
+ * A paid (or since refunded) order is never moved back to failed, whatever
+ * order events arrive in.
+ * @param {string} provider
+ * @param {{ type: string, intentId: string, amount: number, failureReason?: string }} event
+ * @returns {Promise<import('mongoose').Document[]>} The orders the intent belongs to (empty if none matched).
+ */
+const applyPaymentEvent = async (provider, event) => {
+  const orders = await Order.find(
+    { 'payment.provider': provider, 'payment.intentId': event.intentId },
+    '_id groupId status payment'
+  );
+  if (orders.length === 0) {
+    return applySupersededPaymentEvent(provider, event);
+  }
+
+  if (event.type === 'payment.succeeded') {
+    const expected = roundCurrency(orders.reduce((sum, order) => sum + order.payment.amount, 0));
+    if (event.amount !== expected) {
+      // Never mark an order paid for less than it costs; leave it for manual review
+      console.error(
+        `[payments] Amount mismatch for intent ${event.intentId}: expected ${expected}, got ${event.amount}`
+      );
+      return orders;
+    }
+  }
+
+  await Promise.all(orders.map(async (order) => {
+    const filter = { _id: order._id, 'payment.intentId': event.intentId, paymentStatus: { $in: ['pending', 'failed'] } };
+    let result = null;
+    if (event.type === 'payment.succeeded') {
+      result = await Order.updateOne(filter, {
+        $set: { paymentStatus: 'paid', 'payment.paidAt': new Date() },
+        $unset: { 'payment.failureReason': '' },
+      });
+      // The store cancelled while the customer was paying: give the money straight back
+      if (result.modifiedCount > 0 && order.status === 'cancelled') {
+        await refundCancelledOrder(order._id);
+      }
+    } else if (event.type === 'payment.failed') {
+      result = await Order.updateOne(filter, {
+        $set: { paymentStatus: 'failed', 'payment.failureReason': event.failureReason || 'Payment failed' },
+      });
+    }
+
+    if (result?.modifiedCount > 0) {
+      publishOrderEvent(ORDER_EVENT_TYPES.UPDATED, await Order.findById(order._id));
+    }
+  }));
+  return orders;
+};
+
+/**
+ * Verifies and processes a webhook from the configured gateway. Each event is
+ * applied at most once: a repeat delivery of an event already processed is
+ * acknowledged without touching the order again.
+ * @param {Buffer} rawBody - The request body exactly as received (needed for the signature).
+ * @param {object} headers - The request headers.
+ * @returns {Promise<{ duplicate: boolean }>}
+ * @throws {AppError} 400 if the signature or body is invalid.
+ */
+const handlePaymentWebhook = async (rawBody, headers) => {
+  const gateway = getPaymentGateway();
+  const event = gateway.parseWebhook(rawBody, headers);
+
+  // Claim the event first, so two concurrent deliveries can't both apply it
+  let record;
+  try {
+    record = await PaymentEvent.create({
+      provider: gateway.name,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.intentId,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return { duplicate: true };
+    }
+    throw err;
+  }
+
+  try {
+    const orders = await applyPaymentEvent(gateway.name, event);
+    if (orders.length > 0) {
+      record.orderId = orders.length === 1 ? orders[0]._id : undefined;
+      record.orderGroupId = orders.length > 1 ? orders[0].groupId : undefined;
+      await record.save();
+    }
+  } catch (err) {
+    // Release the claim so the gateway's retry gets processed
+    await PaymentEvent.deleteOne({ _id: record._id });
+    throw err;
+  }
+  return { duplicate: false };
+};
+
+/**
+ * How much of an order's online payment can still be refunded.
+ * @param {import('mongoose').Document} order
+ * @returns {number} 0 unless the order was paid online.
+ */
+const getRefundableAmount = (order) => {
+  if (order.paymentMethod !== 'online' || !REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return 0;
+  }
+  const refunded = order.refunds
+    .filter((refund) => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, roundCurrency(order.payment.amount - refunded));
+};
+
+/**
+ * Records a pending refund on the order (not saved). The caller saves the
+ * order and then calls processPendingRefunds, so the refund is on record
+ * before any money moves. Does nothing unless the order was paid online.
+ * @param {import('mongoose').Document} order
+ * @param {{ amount: number, reason: string, actor: string, items?: object[] }} refund
+ * @returns {object | null} The new refund entry, or null if nothing is owed.
+ */
+const addPendingRefund = (order, { amount, reason, actor, items = [] }) => {
+  const refundable = getRefundableAmount(order);
+  const refundAmount = roundCurrency(Math.min(amount, refundable));
+  if (refundAmount <= 0) {
+    return null;
+  }
+  order.refunds.push({ amount: refundAmount, reason, actor, items, provider: order.payment.provider });
+  return order.refunds[order.refunds.length - 1];
+};
+
+/**
+ * Sends the order's pending refunds to its gateway and records the outcome,
+ * updating the payment status to partially_refunded or refunded. Each refund
+ * is claimed atomically before the gateway is called, so it can't be sent
+ * twice. A failed refund is left for the store to settle with the customer.
+ * @param {import('mongoose').Types.ObjectId} orderId
+ * @returns {Promise<void>}
+ */
+const processPendingRefunds = async (orderId) => {
+  const order = await Order.findById(orderId, 'payment refunds');
+  const pending = order?.refunds.filter((refund) => refund.status === 'pending') ?? [];
+  if (pending.length === 0) return;
+
+  const gateway = getPaymentGateway();
+  for (const refund of pending) {
+    const claim = await Order.updateOne(
+      { _id: order._id, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+      { $set: { 'refunds.$.status': 'processing' } }
+    );
+    if (claim.modifiedCount === 0) continue; // Another request is already sending it
+
+    let outcome;
+    try {
+      outcome = await gateway.createRefund({
+        intentId: order.payment.intentId,
+        amount: refund.amount,
+        reason: refund.reason,
+      });
+    } catch (err) {
+      console.error(`[payments] Refund ${refund._id} for order ${order._id} failed:`, err);
+      outcome = { status: 'failed', failureReason: 'The payment provider could not be reached' };
+    }
+    await Order.updateOne(
+      { _id: order._id, 'refunds._id': refund._id },
+      {
+        $set: {
+          'refunds.$.status': outcome.status,
+          'refunds.$.refundId': outcome.refundId,
+          'refunds.$.failureReason': outcome.failureReason,
+          'refunds.$.processedAt': new Date(),
+        },
+      }
+    );
+  }
+
+  // Derive the payment status from everything refunded so far
+  const updated = await Order.findById(order._id, 'payment refunds');
+  const refunded = roundCurrency(updated.refunds
+    .filter((refund) => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0));
+  if (refunded > 0) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { paymentStatus: refunded >= updated.payment.amount ? 'refunded' : 'partially_refunded' } }
+    );
+  }
+};
+
+export {
+  getPaymentGateway,
+  createPaymentIntent,
+  createOrderGroupPaymentIntent,
+  handlePaymentWebhook,
+  getRefundableAmount,
+  addPendingRefund,
+  processPendingRefunds,
+};
@@ -0,0 +1,217 @@
+// backend/services/pricingService.js
+// Single source of truth for what an order costs. Both the quote endpoint and
+// order creation go through calculateOrderPricing, so the checkout page always
+// shows exactly what the order will be charged.
+import { AppError } from '../utils/backendUtils.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+
+// Used when a store document predates the pricing settings (e.g. lean queries)
+const DEFAULT_PRICING = Object.freeze({
+  minimumOrderValue: 0,
+  deliveryFeeType: 'flat',
+  flatDeliveryFee: 0,
+  baseDeliveryFee: 0,
+  includedDistanceKm: 1,
+  perKmDeliveryFee: 0,
+  freeDeliveryAbove: null,
+  taxRatePercent: 0,
+  pricesIncludeTax: true,
+});
+
+/**
+ * Rounds a rupee amount to whole paise.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Returns the store's pricing settings with defaults filled in.
+ * @param {object} store - Store document or lean object.
+ * @returns {typeof DEFAULT_PRICING}
+ */
+const getStorePricing = (store) => {
+  const configured = typeof store.pricing?.toObject === 'function' ? store.pricing.toObject() : store.pricing;
+  return { ...DEFAULT_PRICING, ...(configured ?? {}) };
+};
+
+/**
+ * Works out the delivery fee before any free-delivery threshold.
+ * @param {typeof DEFAULT_PRICING} pricing - The store's pricing settings.
+ * @param {number | null} distanceKm - Customer's distance from the store, if known.
+ * @returns {number}
+ */
+const calculateBaseDeliveryFee = (pricing, distanceKm) => {
+  if (pricing.deliveryFeeType !== 'distance') {
+    return pricing.flatDeliveryFee;
+  }
+  // Without a distance (store has no location set) only the base fee can be charged
+  if (distanceKm === null) {
+    return pricing.baseDeliveryFee;
+  }
+  const extraKm = Math.max(0, Math.ceil(distanceKm - pricing.includedDistanceKm));
+  return pricing.baseDeliveryFee + extraKm * pricing.perKmDeliveryFee;
+};
+
+/**
+ * Sums priced lines.
+ * @param {Array<{ price: number, quantity: number }>} items
+ * @returns {number}
+ */
+const sumItems = (items) => roundCurrency(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+/**
+ * The lines a promotion limited to some categories applies to.
+ * @param {Array<{ category?: string }>} items
+ * @param {string[]} [categories] - Lower-cased category names; none means every line.
+ * @returns {object[]}
+ */
+const getEligibleItems = (items, categories = []) => (categories.length === 0
+  ? items
+  : items.filter((item) => categories.includes((item.category ?? '').trim().toLowerCase())));
+
+/**
+ * Applies discounts and tax to an item subtotal and delivery fee, producing
+ * the breakdown stored on orders.
+ * @param {object} parts
+ * @param {number} parts.itemSubtotal
+ * @param {number} parts.deliveryFee - Before discounts.
+ * @param {number | null} parts.distanceKm
+ * @param {Array<{ target: 'items' | 'delivery', amount: number }>} parts.discounts
+ * @param {number} parts.taxRatePercent
+ * @param {boolean} parts.pricesIncludeTax
+ * @returns {object} The `pricing` breakdown (see calculateOrderPricing).
+ */
+const buildPricingBreakdown = ({ itemSubtotal, deliveryFee, distanceKm, discounts, taxRatePercent, pricesIncludeTax }) => {
+  const sumDiscounts = (target) => discounts
+    .filter((discount) => discount.target === target)
+    .reduce((sum, discount) => sum + discount.amount, 0);
+  const itemDiscount = roundCurrency(Math.min(sumDiscounts('items'), itemSubtotal));
+  const deliveryDiscount = roundCurrency(Math.min(sumDiscounts('delivery'), deliveryFee));
+  const taxableAmount = itemSubtotal - itemDiscount;
+
+  const rate = taxRatePercent;
+  // Tax-inclusive prices: report the GST already inside the subtotal. Otherwise add it on top.
+  const taxAmount = roundCurrency(
+    pricesIncludeTax ? (taxableAmount * rate) / (100 + rate) : (taxableAmount * rate) / 100
+  );
+  const grandTotal = roundCurrency(
+    taxableAmount + deliveryFee - deliveryDiscount + (pricesIncludeTax ? 0 : taxAmount)
+  );
+
+  return {
+    itemSubtotal,
+    deliveryFee,
+    distanceKm,
+    discountTotal: roundCurrency(itemDiscount + deliveryDiscount),
+    taxRatePercent: rate,
+    taxAmount,
+    pricesIncludeTax,
+    grandTotal,
+  };
+};
+
+/**
+ * Prices a set of already-resolved order lines for a store.
+ *
+ * @param {object} store - Store document or lean object (needs pricing, location, deliveryRadiusKm).
+ * @param {Array<{ price: number, quantity: number }>} items - Lines priced from the store catalog.
+ * @param {object} [options]
+ * @param {{ lat: number, lng: number } | null} [options.deliveryLocation] - Customer coordinates.
+ *   Required when the store charges by distance.
+ * @param {Array<{ target: 'items' | 'delivery', amount: number }>} [options.discounts] - Promotions
+ *   to apply. Item discounts lower the taxable amount; neither can take its part below zero.
+ * @returns {{
+ *   pricing: { itemSubtotal: number, deliveryFee: number, distanceKm: number | null, discountTotal: number,
+ *     taxRatePercent: number, taxAmount: number, pricesIncludeTax: boolean, grandTotal: number },
+ *   minimumOrderValue: number,
+ *   amountToMinimumOrder: number,
+ *   freeDeliveryAbove: number | null,
+ *   amountToFreeDelivery: number | null,
+ * }} `pricing` is the breakdown stored on the order; the rest helps the checkout UI.
+ * @throws {AppError} 400 if a distance-priced store gets no location, or the location is outside the delivery radius.
+ */
+const calculateOrderPricing = (store, items, { deliveryLocation = null, discounts = [] } = {}) => {
+  const settings = getStorePricing(store);
+  const itemSubtotal = sumItems(items);
+
+  let distanceKm = null;
+  const storeCoordinates = store.location?.coordinates;
+  if (deliveryLocation && Array.isArray(storeCoordinates) && storeCoordinates.length === 2) {
+    distanceKm = roundCurrency(haversineDistanceKm(storeCoordinates, [deliveryLocation.lng, deliveryLocation.lat]));
+    if (store.deliveryRadiusKm && distanceKm > store.deliveryRadiusKm) {
+      throw new AppError(
+        `This store only delivers within ${store.deliveryRadiusKm} km; your location is ${distanceKm} km away`,
+        400,
+        { distanceKm, deliveryRadiusKm: store.deliveryRadiusKm }
+      );
+    }
+  } else if (settings.deliveryFeeType === 'distance' && storeCoordinates && !deliveryLocation) {
+    throw new AppError('This store charges delivery by distance. Please share your delivery location.', 400);
+  }
+
+  const qualifiesForFreeDelivery = settings.freeDeliveryAbove !== null && itemSubtotal >= settings.freeDeliveryAbove;
+  const deliveryFee = qualifiesForFreeDelivery ? 0 : roundCurrency(calculateBaseDeliveryFee(settings, distanceKm));
+
+  return {
+    pricing: buildPricingBreakdown({
+      itemSubtotal,
+      deliveryFee,
+      distanceKm,
+      discounts,
+      taxRatePercent: settings.taxRatePercent,
+      pricesIncludeTax: settings.pricesIncludeTax,
+    }),
+    minimumOrderValue: settings.minimumOrderValue,
+    amountToMinimumOrder: roundCurrency(Math.max(0, settings.minimumOrderValue - itemSubtotal)),
+    freeDeliveryAbove: settings.freeDeliveryAbove,
+    amountToFreeDelivery: settings.freeDeliveryAbove === null
+      ? null
+      : roundCurrency(Math.max(0, settings.freeDeliveryAbove - itemSubtotal)),
+  };
+};
+
+/**
+ * Re-prices a placed order after some of its lines were reduced or cancelled.
+ *
+ * Uses the rates stored on the order rather than the store's current settings,
+ * so only the removed items change the bill. The delivery fee stays as charged.
+ * Each item discount is worked out again on the lines it was given for (its
+ * categories, or the whole order): percentage discounts shrink in proportion
+ * to their subtotal and flat ones are capped at it, so one goes once none of
+ * its lines are left. A discount is never withdrawn because the order fell
+ * below the promotion's minimum, as the shortfall is the store's doing.
+ *
+ * @param {object} pricing - The order's current pricing breakdown.
+ * @param {Array<{ price: number, quantity: number, category?: string }>} items - The lines with their new quantities.
+ * @param {Array<{ target: string, discountType: string, amount: number, categories?: string[],
+ *   eligibleSubtotal?: number }>} discounts - The order's discounts. Orders placed before
+ *   `eligibleSubtotal` was recorded are treated as discounted on the whole order.
+ * @returns {{ pricing: object, discounts: object[] }} The new breakdown and discount amounts.
+ */
+const repriceOrder = (pricing, items, discounts) => {
+  const itemSubtotal = sumItems(items);
+  const adjustedDiscounts = discounts.map((discount) => {
+    if (discount.target !== 'items') return discount;
+    const previousSubtotal = discount.eligibleSubtotal ?? pricing.itemSubtotal;
+    const eligibleSubtotal = sumItems(getEligibleItems(items, discount.categories));
+    const amount = discount.discountType === 'percentage'
+      ? discount.amount * (previousSubtotal > 0 ? eligibleSubtotal / previousSubtotal : 0)
+      : Math.min(discount.amount, eligibleSubtotal);
+    return { ...discount, amount: roundCurrency(amount), eligibleSubtotal };
+  });
+
+  return {
+    pricing: buildPricingBreakdown({
+      itemSubtotal,
+      deliveryFee: pricing.deliveryFee,
+      distanceKm: pricing.distanceKm,
+      discounts: adjustedDiscounts,
+      taxRatePercent: pricing.taxRatePercent,
+      pricesIncludeTax: pricing.pricesIncludeTax,
+    }),
+    discounts: adjustedDiscounts,
+  };
+};
+
+export { DEFAULT_PRICING, roundCurrency, getEligibleItems, getStorePricing, calculateOrderPricing, repriceOrder };
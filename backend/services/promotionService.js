@@ -0,0 +1,310 @@
+// backend/services/promotionService.js
+// Decides which promotions apply to a cart and keeps redemption counts in step
+// with orders.
+//
+// Stacking rule: an order gets at most one discount on its items and at most
+// one on delivery. An eligible coupon always applies; automatic offers then
+// fill whichever of the two it didn't cover, the biggest saving winning.
+import Promotion from '../models/Promotion.js';
+import Order from '../models/Order.js';
+import PromotionRedemption from '../models/PromotionRedemption.js';
+import { AppError } from '../utils/backendUtils.js';
+import { roundCurrency, getEligibleItems } from './pricingService.js';
+
+// Per-phone rules need a real mobile number to count against
+const PHONE_REGEX = /^[6-9]\d{9}$/;
+
+/**
+ * The mobile number per-phone rules count against.
+ * @param {unknown} phone
+ * @returns {string | null} null unless it is a valid 10-digit mobile number.
+ */
+const toPromotionPhone = (phone) => (typeof phone === 'string' && PHONE_REGEX.test(phone.trim()) ? phone.trim() : null);
+
+/**
+ * Mongo filter for promotions usable at `storeId` right now: the store's own
+ * and platform-wide ones, active and inside their validity window.
+ * @param {import('mongoose').Types.ObjectId} storeId
+ * @param {Date} now
+ * @returns {object}
+ */
+const livePromotionFilter = (storeId, now) => ({
+  isActive: true,
+  storeId: { $in: [null, storeId] },
+  startsAt: { $lte: now },
+  $or: [{ endsAt: null }, { endsAt: { $gt: now } }],
+});
+
+/**
+ * Checks one promotion against a cart and works out its discount.
+ *
+ * @param {import('mongoose').Document} promotion
+ * @param {object} cart
+ * @param {import('mongoose').Types.ObjectId} cart.storeId
+ * @param {Array<{ price: number, quantity: number, category?: string }>} cart.items - Priced lines.
+ * @param {number} cart.deliveryFee - Delivery fee before discounts.
+ * @param {string | null} cart.phone - Customer's mobile number, if known.
+ * @param {Date} cart.now
+ * @returns {Promise<{ eligible: true, target: 'items' | 'delivery', amount: number, categories?: string[],
+ *   eligibleSubtotal?: number } | { eligible: false, reason: string }>} An item discount also says which
+ *   categories it covers (none for the whole order) and their subtotal.
+ */
+const evaluatePromotion = async (promotion, { storeId, items, deliveryFee, phone, now }) => {
+  const ineligible = (reason) => ({ eligible: false, reason });
+
+  if (!promotion.isActive || (promotion.endsAt && promotion.endsAt <= now)) {
+    return ineligible('This offer has expired');
+  }
+  if (promotion.startsAt > now) {
+    return ineligible('This offer has not started yet');
+  }
+  if (promotion.storeId && !promotion.storeId.equals(storeId)) {
+    return ineligible('This offer is not valid at this store');
+  }
+  if (promotion.maxTotalUses !== null && promotion.usageCount >= promotion.maxTotalUses) {
+    return ineligible('This offer has been fully redeemed');
+  }
+
+  const categories = (promotion.categories ?? []).map((category) => category.trim().toLowerCase());
+  const eligibleItems = getEligibleItems(items, categories);
+  const eligibleSubtotal = roundCurrency(eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  if (eligibleSubtotal === 0) {
+    return ineligible(`None of the items in your cart qualify (valid on: ${promotion.categories.join(', ')})`);
+  }
+  if (eligibleSubtotal < promotion.minimumSubtotal) {
+    const shortfall = roundCurrency(promotion.minimumSubtotal - eligibleSubtotal);
+    return ineligible(`Add ₹${shortfall} more${categories.length ? ' of eligible items' : ''} to use this offer`);
+  }
+
+  if (promotion.firstOrderOnly || promotion.maxUsesPerPhone !== null) {
+    if (!phone) {
+      return ineligible('Enter your mobile number to use this offer');
+    }
+    if (promotion.firstOrderOnly) {
+      const hasOrdered = await Order.exists({
+        'customerDetails.phone': phone,
+        status: { $ne: 'cancelled' },
+        ...(promotion.storeId ? { storeId: promotion.storeId } : {}),
+      });
+      if (hasOrdered) {
+        return ineligible('This offer is only for your first order');
+      }
+    }
+    if (promotion.maxUsesPerPhone !== null) {
+      const uses = await Order.countDocuments({
+        'customerDetails.phone': phone,
+        'discounts.promotionId': promotion._id,
+        status: { $ne: 'cancelled' },
+      });
+      if (uses >= promotion.maxUsesPerPhone) {
+        return ineligible('You have already used this offer the maximum number of times');
+      }
+    }
+  }
+
+  if (promotion.discountType === 'free_delivery') {
+    if (deliveryFee === 0) {
+      return ineligible('Delivery is already free on this order');
+    }
+    return { eligible: true, target: 'delivery', amount: deliveryFee };
+  }
+
+  let amount = promotion.discountType === 'flat'
+    ? promotion.discountValue
+    : (eligibleSubtotal * promotion.discountValue) / 100;
+  if (promotion.discountType === 'percentage' && promotion.maxDiscount !== null) {
+    amount = Math.min(amount, promotion.maxDiscount);
+  }
+  return {
+    eligible: true,
+    target: 'items',
+    amount: roundCurrency(Math.min(amount, eligibleSubtotal)),
+    categories,
+    eligibleSubtotal,
+  };
+};
+
+/**
+ * Shapes an applied promotion as stored on the order. Item discounts keep the
+ * lines they were given for, so they can be worked out again if the store
+ * removes some (see pricingService.repriceOrder).
+ * @returns {{ promotionId: object, code?: string, name: string, discountType: string, target: string, amount: number,
+ *   categories?: string[], eligibleSubtotal?: number }}
+ */
+const toOrderDiscount = (promotion, { target, amount, categories, eligibleSubtotal }) => ({
+  promotionId: promotion._id,
+  ...(promotion.code ? { code: promotion.code } : {}),
+  name: promotion.name,
+  discountType: promotion.discountType,
+  target,
+  amount,
+  ...(target === 'items' ? { categories, eligibleSubtotal } : {}),
+});
+
+/**
+ * Works out the discounts for a cart: the customer's coupon (if any) plus the
+ * best automatic offers, following the stacking rule at the top of this file.
+ *
+ * @param {object} cart
+ * @param {import('mongoose').Types.ObjectId} cart.storeId
+ * @param {Array<object>} cart.items - Priced lines (with category).
+ * @param {number} cart.deliveryFee - Delivery fee before discounts.
+ * @param {string} [cart.couponCode] - Code typed by the customer.
+ * @param {string} [cart.phone] - Customer's mobile number.
+ * @param {string[]} [cart.excludedPromotionIds=[]] - Promotions already used elsewhere in the same checkout.
+ * @param {Date} [cart.now=new Date()]
+ * @returns {Promise<{ discounts: object[], coupon: { code: string, applied: boolean, message: string } | null }>}
+ */
+const applyPromotions = async ({
+  storeId, items, deliveryFee, couponCode, phone, excludedPromotionIds = [], now = new Date(),
+}) => {
+  const context = {
+    storeId,
+    items,
+    deliveryFee,
+    phone: toPromotionPhone(phone),
+    now,
+  };
+  const discounts = [];
+  let coupon = null;
+
+  const code = typeof couponCode === 'string' ? couponCode.trim().toUpperCase() : '';
+  if (code) {
+    const promotion = await Promotion.findOne({ code });
+    let result;
+    if (!promotion) {
+      result = { eligible: false, reason: 'This coupon code is not valid' };
+    } else if (excludedPromotionIds.includes(promotion._id.toString())) {
+      result = { eligible: false, reason: 'This offer is already applied to another store\'s order in this checkout' };
+    } else {
+      result = await evaluatePromotion(promotion, context);
+    }
+    if (result.eligible) {
+      discounts.push(toOrderDiscount(promotion, result));
+      coupon = { code, applied: true, message: `${promotion.name}: you save ₹${result.amount}` };
+    } else {
+      coupon = { code, applied: false, message: result.reason };
+    }
+  }
+
+  const automaticOffers = await Promotion.find({ ...livePromotionFilter(storeId, now), code: null });
+  const bestByTarget = {};
+  for (const promotion of automaticOffers) {
+    if (excludedPromotionIds.includes(promotion._id.toString())) continue;
+    const result = await evaluatePromotion(promotion, context);
+    if (!result.eligible || result.amount <= 0) continue;
+    if (discounts.some((discount) => discount.target === result.target)) continue; // Coupon already covers it
+    if (!bestByTarget[result.target] || result.amount > bestByTarget[result.target].amount) {
+      bestByTarget[result.target] = toOrderDiscount(promotion, result);
+    }
+  }
+  discounts.push(...Object.values(bestByTarget));
+
+  return { discounts, coupon };
+};
+
+/**
+ * Which of an order's discounts come from platform-wide promotions (ones not
+ * tied to a store). In a checkout across several stores these apply to one
+ * order only, so per-phone and first-order rules count the checkout once.
+ * @param {Array<{ promotionId: object }>} discounts
+ * @returns {Promise<string[]>} The promotion IDs.
+ */
+const findPlatformPromotionIds = async (discounts) => {
+  if (!discounts?.length) return [];
+  const promotions = await Promotion.find(
+    { _id: { $in: discounts.map((discount) => discount.promotionId) }, storeId: null },
+    '_id'
+  ).lean();
+  return promotions.map((promotion) => promotion._id.toString());
+};
+
+/**
+ * Gives back redemptions taken by `redeemPromotions` (order failed or cancelled).
+ * @param {Array<{ promotionId: object }>} discounts - The order's discounts.
+ * @param {string} [phone] - The order's phone number, whose per-phone uses are given back too.
+ * @returns {Promise<void>}
+ */
+const releasePromotions = async (discounts, phone) => {
+  if (!discounts?.length) return;
+  const promotionIds = discounts.map((discount) => discount.promotionId);
+  const customerPhone = toPromotionPhone(phone);
+  await Promise.all([
+    Promotion.updateMany({ _id: { $in: promotionIds }, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }),
+    customerPhone
+      ? PromotionRedemption.updateMany(
+        { promotionId: { $in: promotionIds }, phone: customerPhone, uses: { $gt: 0 } },
+        { $inc: { uses: -1 } }
+      )
+      : null,
+  ]);
+};
+
+/**
+ * Takes one of a phone number's uses of a promotion with per-phone rules. The
+ * increment is guarded by the limit, so two orders placed at once can't both
+ * take the last use (or both count as the customer's first order).
+ * @param {import('mongoose').Document} promotion - Needs firstOrderOnly and maxUsesPerPhone.
+ * @param {string | null} phone
+ * @returns {Promise<boolean>} False if the phone has no uses left.
+ */
+const redeemForPhone = async (promotion, phone) => {
+  const limits = [promotion.firstOrderOnly ? 1 : null, promotion.maxUsesPerPhone].filter((limit) => limit !== null);
+  if (limits.length === 0) return true;
+  if (!phone) return false;
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await PromotionRedemption.updateOne(
+        { promotionId: promotion._id, phone, uses: { $lt: Math.min(...limits) } },
+        { $inc: { uses: 1 } },
+        { upsert: true }
+      );
+      return true;
+    } catch (err) {
+      // A used-up counter doesn't match the filter, so the upsert collides with it.
+      // So does the loser of two first redemptions racing, which the retry then counts.
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return false;
+};
+
+/**
+ * Counts one redemption per applied promotion. Each increment is guarded by
+ * the promotion's total-use cap, so two orders can't both take the last one,
+ * and by its per-phone limits (see redeemForPhone).
+ * @param {Array<{ promotionId: object, name: string }>} discounts - Discounts about to be stored on an order.
+ * @param {string} [phone] - The order's phone number.
+ * @returns {Promise<void>}
+ * @throws {AppError} 409 if a promotion ran out or the phone used up its uses meanwhile;
+ *   nothing stays redeemed.
+ */
+const redeemPromotions = async (discounts, phone) => {
+  const customerPhone = toPromotionPhone(phone);
+  const redeemed = [];
+  for (const discount of discounts) {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: discount.promotionId,
+        $or: [{ maxTotalUses: null }, { $expr: { $lt: ['$usageCount', '$maxTotalUses'] } }],
+      },
+      { $inc: { usageCount: 1 } },
+      { projection: 'firstOrderOnly maxUsesPerPhone' }
+    );
+    if (!promotion) {
+      await releasePromotions(redeemed, customerPhone);
+      throw new AppError(`The offer "${discount.name}" has just been fully redeemed. Please review your order.`, 409);
+    }
+    if (!(await redeemForPhone(promotion, customerPhone))) {
+      await Promise.all([
+        releasePromotions(redeemed, customerPhone),
+        Promotion.updateOne({ _id: promotion._id, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } }),
+      ]);
+      throw new AppError(`You have already used the offer "${discount.name}" on another order. Please review your order.`, 409);
+    }
+    redeemed.push(discount);
+  }
+};
+
+export { applyPromotions, findPlatformPromotionIds, redeemPromotions, releasePromotions };
@@ -0,0 +1,153 @@
+// backend/services/riderService.js
+// Delivery assignment. A store's orders are delivered by its own riders (see
+// models/Rider.js): the store picks a rider for an order, or has the nearest
+// idle one picked for it. The rider accepts the job, marks the order picked
+// up and completes it with the code shown on the customer's order page, so an
+// order can't be marked delivered without the customer.
+import Order from '../models/Order.js';
+import Rider from '../models/Rider.js';
+import { AppError } from '../utils/backendUtils.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+import { DELIVERY_OTP_LENGTH, isValidDeliveryOtp } from './orderTrackingService.js';
+
+// Orders a rider is still working on; a rider with none of these is idle
+const ACTIVE_DELIVERY_STATUSES = ['placed', 'accepted', 'out_for_delivery'];
+// Orders that may be given to (or taken from) a rider: not yet on their way
+const ASSIGNABLE_STATUSES = ['placed', 'accepted'];
+// Wrong delivery codes allowed before the order is locked for a while
+const MAX_DELIVERY_OTP_ATTEMPTS = 5;
+const DELIVERY_OTP_LOCKOUT_MINUTES = 15;
+
+/**
+ * How many active orders each rider is carrying.
+ * @param {Array<import('mongoose').Types.ObjectId>} riderIds
+ * @returns {Promise<Map<string, number>>} Keyed by rider ID; riders with none are absent.
+ */
+const countActiveDeliveries = async (riderIds) => {
+  const counts = await Order.aggregate([
+    { $match: { 'delivery.riderId': { $in: riderIds }, status: { $in: ACTIVE_DELIVERY_STATUSES } } },
+    { $group: { _id: '$delivery.riderId', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * The store's nearest idle rider: active, available and with no active
+ * orders. Riders who haven't shared a location (or a store without one) come
+ * after those who have, longest-idle first.
+ * @param {import('mongoose').Document} store - Needs `_id` and `location`.
+ * @returns {Promise<import('mongoose').Document | null>} The Rider, or null if every rider is busy or offline.
+ */
+const findNearestIdleRider = async (store) => {
+  const riders = await Rider.find({ storeId: store._id, isActive: true, availability: 'available' });
+  const activeCounts = await countActiveDeliveries(riders.map((rider) => rider._id));
+  const idle = riders.filter((rider) => !activeCounts.has(rider._id.toString()));
+
+  const distanceFromStore = (rider) =>
+    store.location && rider.location
+      ? haversineDistanceKm(store.location.coordinates, rider.location.coordinates)
+      : Infinity;
+  idle.sort((a, b) => distanceFromStore(a) - distanceFromStore(b) || a.updatedAt - b.updatedAt);
+  return idle[0] ?? null;
+};
+
+/**
+ * Gives the order to `rider`, replacing any earlier assignment. The rider
+ * still has to accept it. The order is not saved.
+ * @param {import('mongoose').Document} order
+ * @param {import('mongoose').Document} rider
+ * @param {'store' | 'auto'} assignedBy
+ * @returns {void}
+ * @throws {AppError} 409 if the order is past the point of reassignment; 400 if the rider can't take it.
+ */
+const assignRider = (order, rider, assignedBy) => {
+  if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`A rider can't be assigned once an order is '${order.status}'`, 409);
+  }
+  if (!rider.storeId.equals(order.storeId) || !rider.isActive) {
+    throw new AppError('That rider does not deliver for this store.', 400);
+  }
+  order.delivery = {
+    riderId: rider._id,
+    riderName: rider.name,
+    riderPhone: rider.phone,
+    assignedBy,
+    assignedAt: new Date(),
+  };
+};
+
+/**
+ * Takes the order away from its rider. The order is not saved.
+ * @param {import('mongoose').Document} order
+ * @returns {void}
+ * @throws {AppError} 409 if nobody is assigned or the rider already has the order.
+ */
+const unassignRider = (order) => {
+  if (!order.delivery) {
+    throw new AppError('No rider is assigned to this order.', 409);
+  }
+  if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`The rider can't be removed once an order is '${order.status}'`, 409);
+  }
+  order.delivery = undefined;
+};
+
+/**
+ * Checks the delivery code the customer gave the rider (or the store).
+ * Every attempt is counted before it is checked, so parallel guesses can't
+ * get past the limit; once it is reached the order is locked for a while.
+ * @param {import('mongoose').Document} order
+ * @param {unknown} otp
+ * @returns {Promise<void>} Resolves if the code is correct.
+ * @throws {AppError} 400 if the code is missing or wrong; 429 while the order is locked.
+ */
+const verifyDeliveryOtp = async (order, otp) => {
+  const code = String(otp ?? '').trim();
+  if (!new RegExp(`^\\d{${DELIVERY_OTP_LENGTH}}$`).test(code)) {
+    throw new AppError(`Enter the ${DELIVERY_OTP_LENGTH}-digit delivery code shown on the customer's order page`, 400);
+  }
+
+  const now = new Date();
+  const counted = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      'deliveryOtpCheck.attempts': { $not: { $gte: MAX_DELIVERY_OTP_ATTEMPTS } },
+      'deliveryOtpCheck.lockedUntil': { $not: { $gt: now } },
+    },
+    { $inc: { 'deliveryOtpCheck.attempts': 1 } },
+    { new: true, projection: 'deliveryOtpCheck' }
+  );
+  if (!counted) {
+    throw new AppError(`Too many incorrect codes. Please try again in ${DELIVERY_OTP_LOCKOUT_MINUTES} minutes.`, 429);
+  }
+  if (isValidDeliveryOtp(order._id, code)) {
+    await Order.updateOne({ _id: order._id }, { $set: { 'deliveryOtpCheck.attempts': 0 } });
+    return;
+  }
+
+  const remaining = MAX_DELIVERY_OTP_ATTEMPTS - counted.deliveryOtpCheck.attempts;
+  if (remaining <= 0) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: {
+        'deliveryOtpCheck.attempts': 0,
+        'deliveryOtpCheck.lockedUntil': new Date(now.getTime() + DELIVERY_OTP_LOCKOUT_MINUTES * 60 * 1000),
+      } }
+    );
+    throw new AppError(`Incorrect delivery code. Too many wrong codes have been entered; please try again in ${DELIVERY_OTP_LOCKOUT_MINUTES} minutes.`, 429);
+  }
+  throw new AppError(
+    `Incorrect delivery code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`,
+    400,
+    { attemptsRemaining: remaining }
+  );
+};
+
+export {
+  ACTIVE_DELIVERY_STATUSES,
+  countActiveDeliveries,
+  findNearestIdleRider,
+  assignRider,
+  unassignRider,
+  verifyDeliveryOtp,
+};
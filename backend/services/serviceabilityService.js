@@ -0,0 +1,67 @@
+// backend/services/serviceabilityService.js
+// Whether a store delivers to an address. When both the store and the address
+// have coordinates, the store's delivery radius decides. Otherwise the address
+// must be in the store's own pincode or one of its serviceablePincodes.
+import { DEFAULT_DELIVERY_RADIUS_KM } from '../models/Store.js';
+import { AppError } from '../utils/backendUtils.js';
+import { haversineDistanceKm } from '../utils/geo.js';
+
+/**
+ * @typedef {object} Serviceability
+ * @property {boolean} serviceable
+ * @property {'distance' | 'pincode'} basis - Which rule decided.
+ * @property {number | null} distanceKm - Set when decided by distance.
+ * @property {string} message - Explanation for the customer.
+ */
+
+/**
+ * Checks whether `store` delivers to `address`.
+ * @param {object} store - Store document or lean object (needs address, serviceablePincodes,
+ *   location and deliveryRadiusKm).
+ * @param {{ pincode: string, location?: { coordinates: [number, number] } }} address
+ * @returns {Serviceability}
+ */
+const checkServiceability = (store, address) => {
+  const storeCoordinates = store.location?.coordinates;
+  const addressCoordinates = address.location?.coordinates;
+
+  if (storeCoordinates?.length === 2 && addressCoordinates?.length === 2) {
+    const radiusKm = store.deliveryRadiusKm ?? DEFAULT_DELIVERY_RADIUS_KM;
+    const distanceKm = Math.round(haversineDistanceKm(storeCoordinates, addressCoordinates) * 100) / 100;
+    const serviceable = distanceKm <= radiusKm;
+    return {
+      serviceable,
+      basis: 'distance',
+      distanceKm,
+      message: serviceable
+        ? `Delivers here (${distanceKm} km away).`
+        : `This store only delivers within ${radiusKm} km; this address is ${distanceKm} km away.`,
+    };
+  }
+
+  const pincodes = [store.address?.pincode, ...(store.serviceablePincodes ?? [])].filter(Boolean);
+  const serviceable = pincodes.includes(address.pincode);
+  return {
+    serviceable,
+    basis: 'pincode',
+    distanceKm: null,
+    message: serviceable ? 'Delivers to this pincode.' : `This store does not deliver to pincode ${address.pincode}.`,
+  };
+};
+
+/**
+ * Throws unless `store` delivers to `address`.
+ * @param {object} store - See checkServiceability.
+ * @param {{ pincode: string, location?: { coordinates: [number, number] } }} address
+ * @returns {Serviceability} The passing check.
+ * @throws {AppError} 400 with `details.serviceability` if the address is outside the delivery area.
+ */
+const assertServiceable = (store, address) => {
+  const serviceability = checkServiceability(store, address);
+  if (!serviceability.serviceable) {
+    throw new AppError(serviceability.message, 400, { serviceability });
+  }
+  return serviceability;
+};
+
+export { checkServiceability, assertServiceable };
@@ -0,0 +1,157 @@
+// backend/services/slaService.js
+// Delivery promises and how well a store keeps them. Each order is promised
+// by a time worked out when it is placed: the store's preparation time, the
+// riding time for the distance to the customer, and a buffer (the store's
+// deliveryTimes), or the end of its delivery slot if the customer booked one.
+// The order itself reports whether it is on track, at risk or
+// has breached the promise (Order#getDeliveryEstimate); this service sums that
+// up per store for the dashboard.
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { DEFAULT_DELIVERY_RADIUS_KM } from '../models/Store.js';
+import { ACTIVE_DELIVERY_STATUSES } from './riderService.js';
+import { roundCurrency } from './pricingService.js';
+
+// Used when a store document predates the delivery time settings (e.g. lean queries)
+const DEFAULT_DELIVERY_TIMES = Object.freeze({
+  prepMinutes: 10,
+  minutesPerKm: 3,
+  bufferMinutes: 5,
+});
+
+// How far back the dashboard's delivery metrics look by default, and at most
+const DEFAULT_METRICS_DAYS = 7;
+const MAX_METRICS_DAYS = 90;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * The store's delivery time settings with defaults filled in.
+ * @param {{ deliveryTimes?: object }} store
+ * @returns {typeof DEFAULT_DELIVERY_TIMES}
+ */
+const getStoreDeliveryTimes = (store) => {
+  const configured = typeof store.deliveryTimes?.toObject === 'function' ? store.deliveryTimes.toObject() : store.deliveryTimes;
+  return { ...DEFAULT_DELIVERY_TIMES, ...(configured ?? {}) };
+};
+
+/**
+ * The delivery time to promise for an order placed now.
+ * @param {{ deliveryTimes?: object, deliveryRadiusKm?: number }} store
+ * @param {number | null} distanceKm - From the store to the customer; null if the customer shared no
+ *   location, in which case the far edge of the store's delivery radius is assumed.
+ * @param {object} [options]
+ * @param {Date} [options.placedAt]
+ * @param {{ endsAt: Date } | null} [options.deliverySlot] - The slot booked for the order, which is
+ *   promised by the time the slot ends.
+ * @returns {{ promisedAt: Date, prepMinutes: number, travelMinutes: number, distanceKm: number | null }}
+ *   In the shape of Order#promise.
+ */
+const estimateDeliveryPromise = (store, distanceKm, { placedAt = new Date(), deliverySlot = null } = {}) => {
+  const { prepMinutes, minutesPerKm, bufferMinutes } = getStoreDeliveryTimes(store);
+  const travelKm = distanceKm ?? store.deliveryRadiusKm ?? DEFAULT_DELIVERY_RADIUS_KM;
+  const travelMinutes = Math.ceil(travelKm * minutesPerKm);
+  return {
+    promisedAt: deliverySlot
+      ? deliverySlot.endsAt
+      : new Date(placedAt.getTime() + (prepMinutes + travelMinutes + bufferMinutes) * MINUTE_MS),
+    prepMinutes,
+    travelMinutes,
+    distanceKm,
+  };
+};
+
+/**
+ * Reads the `days` query parameter for the metrics window.
+ * @param {unknown} value
+ * @returns {number | null} Whole days, DEFAULT_METRICS_DAYS if absent, or null if invalid.
+ */
+const parseMetricsDays = (value) => {
+  if (value === undefined) return DEFAULT_METRICS_DAYS;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= MAX_METRICS_DAYS ? days : null;
+};
+
+/**
+ * A store's delivery promise metrics: how many orders delivered in the last
+ * `days` days kept their promise, and how its open orders stand right now.
+ * Orders placed before delivery promises are left out. Delivery time is
+ * counted from placing the order, or from the start of its delivery slot.
+ * @param {string | import('mongoose').Types.ObjectId} storeId
+ * @param {{ days?: number, now?: Date }} [options]
+ * @returns {Promise<{
+ *   days: number,
+ *   delivered: { total: number, onTime: number, breached: number, onTimeRate: number | null,
+ *     averageDeliveryMinutes: number | null, averageDelayMinutes: number | null },
+ *   open: { onTrack: number, atRisk: number, breached: number, atRiskOrderIds: string[], breachedOrderIds: string[] },
+ * }>} onTimeRate is a percentage; averageDelayMinutes is over breached orders only.
+ */
+const getStoreSlaMetrics = async (storeId, { days = DEFAULT_METRICS_DAYS, now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - days * 24 * 60 * MINUTE_MS);
+  const [[delivered], openOrders] = await Promise.all([
+    Order.aggregate([
+      {
+        $match: {
+          storeId: new mongoose.Types.ObjectId(String(storeId)),
+          status: 'delivered',
+          'statusTimestamps.delivered': { $gte: since },
+          'promise.promisedAt': { $exists: true },
+        },
+      },
+      {
+        $project: {
+          deliveryMs: {
+            $subtract: ['$statusTimestamps.delivered', { $ifNull: ['$deliverySlot.startsAt', '$createdAt'] }],
+          },
+          delayMs: { $subtract: ['$statusTimestamps.delivered', '$promise.promisedAt'] },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          breached: { $sum: { $cond: [{ $gt: ['$delayMs', 0] }, 1, 0] } },
+          averageDeliveryMs: { $avg: '$deliveryMs' },
+          // $avg skips the nulls, so this averages breached orders only
+          averageDelayMs: { $avg: { $cond: [{ $gt: ['$delayMs', 0] }, '$delayMs', null] } },
+        },
+      },
+    ]),
+    Order.find(
+      { storeId, status: { $in: ACTIVE_DELIVERY_STATUSES }, 'promise.promisedAt': { $exists: true } },
+      'status createdAt promise deliverySlot statusTimestamps statusHistory'
+    ),
+  ]);
+
+  const open = { onTrack: 0, atRisk: 0, breached: 0, atRiskOrderIds: [], breachedOrderIds: [] };
+  openOrders.forEach((order) => {
+    const { slaStatus } = order.getDeliveryEstimate(now);
+    if (slaStatus === 'breached') {
+      open.breached += 1;
+      open.breachedOrderIds.push(order._id.toString());
+    } else if (slaStatus === 'at_risk') {
+      open.atRisk += 1;
+      open.atRiskOrderIds.push(order._id.toString());
+    } else {
+      open.onTrack += 1;
+    }
+  });
+
+  const total = delivered?.total ?? 0;
+  const breached = delivered?.breached ?? 0;
+  const toMinutes = (ms) => (typeof ms === 'number' ? roundCurrency(ms / MINUTE_MS) : null);
+  return {
+    days,
+    delivered: {
+      total,
+      onTime: total - breached,
+      breached,
+      onTimeRate: total > 0 ? roundCurrency(((total - breached) / total) * 100) : null,
+      averageDeliveryMinutes: toMinutes(delivered?.averageDeliveryMs),
+      averageDelayMinutes: toMinutes(delivered?.averageDelayMs),
+    },
+    open,
+  };
+};
+
+export { DEFAULT_DELIVERY_TIMES, MAX_METRICS_DAYS, estimateDeliveryPromise, parseMetricsDays, getStoreSlaMetrics };
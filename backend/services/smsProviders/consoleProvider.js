@@ -0,0 +1,20 @@
+// backend/services/smsProviders/consoleProvider.js
+// Development SMS provider: prints each message to the server log instead of
+// sending it, so login codes can be read straight off the console.
+
+/**
+ * "Sends" a text message by logging it.
+ * @param {{ to: string, message: string }} sms
+ * @returns {Promise<{ messageId: string }>}
+ */
+const sendSms = async ({ to, message }) => {
+  console.log(`[SMS to ${to}] ${message}`);
+  return { messageId: `console-${Date.now()}` };
+};
+
+const consoleProvider = Object.freeze({
+  name: 'console',
+  sendSms,
+});
+
+export default consoleProvider;
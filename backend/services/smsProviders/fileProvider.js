@@ -0,0 +1,26 @@
+// backend/services/smsProviders/fileProvider.js
+// Development SMS provider: appends each message as a JSON line to an outbox
+// file (SMS_OUTBOX_FILE, default ./sms-outbox.log), handy when the server log
+// is noisy or when scripts need to read the codes.
+import { appendFile } from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/**
+ * Appends a text message to the outbox file.
+ * @param {{ to: string, message: string }} sms
+ * @returns {Promise<{ messageId: string }>}
+ */
+const sendSms = async ({ to, message }) => {
+  const outboxFile = path.resolve(process.env.SMS_OUTBOX_FILE || 'sms-outbox.log');
+  const messageId = `file-${crypto.randomBytes(8).toString('hex')}`;
+  await appendFile(outboxFile, `${JSON.stringify({ messageId, to, message, sentAt: new Date().toISOString() })}\n`);
+  return { messageId };
+};
+
+const fileProvider = Object.freeze({
+  name: 'file',
+  sendSms,
+});
+
+export default fileProvider;
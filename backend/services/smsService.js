@@ -0,0 +1,49 @@
+// backend/services/smsService.js
+// Text messages to customers. Callers use sendSms; the message is handed to a
+// provider adapter chosen with the SMS_PROVIDER environment variable (default:
+// 'console', which only logs). A real SMS gateway is added as another adapter.
+import consoleProvider from './smsProviders/consoleProvider.js';
+import fileProvider from './smsProviders/fileProvider.js';
+
+/**
+ * What an SMS provider adapter must implement.
+ * @typedef {object} SmsProvider
+ * @property {string} name - e.g. 'console'.
+ * @property {(sms: { to: string, message: string }) => Promise<{ messageId: string }>} sendSms
+ *   Delivers one message to a 10-digit Indian mobile number. Rejects if the provider refuses it.
+ */
+
+/** @type {Record<string, SmsProvider>} */
+const PROVIDERS = {
+  console: consoleProvider,
+  file: fileProvider,
+};
+
+/**
+ * Returns the configured provider adapter. Read lazily because dotenv is
+ * loaded by server.js after this module has been imported.
+ * @returns {SmsProvider}
+ * @throws {Error} If SMS_PROVIDER names an adapter that doesn't exist.
+ */
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Sends a text message through the configured provider.
+ * @param {string} to - 10-digit mobile number.
+ * @param {string} message
+ * @returns {Promise<{ provider: string, messageId: string }>}
+ */
+const sendSms = async (to, message) => {
+  const provider = getSmsProvider();
+  const { messageId } = await provider.sendSms({ to, message });
+  return { provider: provider.name, messageId };
+};
+
+export { getSmsProvider, sendSms };
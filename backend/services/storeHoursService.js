@@ -0,0 +1,152 @@
+// backend/services/storeHoursService.js
+// Works out whether a store is open right now from its weekly hours, holiday
+// closures and the owner's pause switch. All store times are Asia/Kolkata.
+
+const STORE_TIMEZONE = 'Asia/Kolkata';
+
+// India has no daylight saving, so local store time is always UTC+05:30
+const STORE_UTC_OFFSET_MINUTES = 330;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// How far ahead to look for the next opening before giving up (covers long holiday runs)
+const NEXT_OPENING_LOOKAHEAD_DAYS = 14;
+
+const storeTimeFormatter = new Intl.DateTimeFormat('en-IN', {
+  timeZone: STORE_TIMEZONE,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+/**
+ * Converts "HH:mm" (or "24:00") to minutes after midnight.
+ * @param {string} time - The time of day.
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Returns the store-local calendar date and weekday for an instant.
+ * @param {Date} date - The instant.
+ * @returns {{ dateKey: string, day: number }} `dateKey` is YYYY-MM-DD, `day` is 0 (Sunday) to 6.
+ */
+const toStoreDate = (date) => {
+  const local = new Date(date.getTime() + STORE_UTC_OFFSET_MINUTES * MS_PER_MINUTE);
+  return { dateKey: local.toISOString().slice(0, 10), day: local.getUTCDay() };
+};
+
+/**
+ * Returns the instant at which a store-local date and time of day occurs.
+ * @param {string} dateKey - Store-local date, YYYY-MM-DD.
+ * @param {number} minutes - Minutes after store-local midnight (1440 = next midnight).
+ * @returns {Date}
+ */
+const fromStoreTime = (dateKey, minutes) =>
+  new Date(Date.parse(`${dateKey}T00:00:00Z`) + (minutes - STORE_UTC_OFFSET_MINUTES) * MS_PER_MINUTE);
+
+/**
+ * Finds the first opening window that is still running at or after `from`,
+ * skipping holidays. A store with no hours configured is open all day, every day.
+ * @param {object} store - Store document or lean object.
+ * @param {Date} from - Earliest instant to consider.
+ * @returns {{ opensAt: Date, closesAt: Date } | null} null if nothing opens within the lookahead.
+ */
+const findNextOpeningWindow = (store, from) => {
+  const holidayDates = new Set((store.holidays ?? []).map((holiday) => holiday.date));
+  const hours = store.openingHours ?? [];
+
+  for (let offset = 0; offset <= NEXT_OPENING_LOOKAHEAD_DAYS; offset += 1) {
+    const { dateKey, day } = toStoreDate(new Date(from.getTime() + offset * MS_PER_DAY));
+    if (holidayDates.has(dateKey)) continue;
+
+    const windows = hours.length === 0
+      ? [{ opens: '00:00', closes: '24:00' }]
+      : hours.filter((entry) => entry.day === day).sort((a, b) => a.opens.localeCompare(b.opens));
+
+    for (const window of windows) {
+      const opensAt = fromStoreTime(dateKey, toMinutes(window.opens));
+      const closesAt = fromStoreTime(dateKey, toMinutes(window.closes));
+      if (closesAt > from) {
+        return { opensAt: opensAt > from ? opensAt : from, closesAt };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Works out whether a store is taking orders at `now`.
+ *
+ * `reason` says why: 'open', 'inactive' (deactivated by the platform),
+ * 'paused' (owner's switch), 'holiday' or 'closed' (outside opening hours).
+ * `closesAt` is set while open, unless the store has no hours configured;
+ * `nextOpenAt` is set while closed if a reopening is known.
+ *
+ * @param {object} store - Store document or lean object (needs isActive, openingHours,
+ *   holidays and the ordersPaused fields).
+ * @param {Date} [now=new Date()] - The instant to evaluate.
+ * @returns {{ isOpen: boolean, reason: string, closesAt: Date | null, nextOpenAt: Date | null, pauseReason?: string }}
+ */
+const getStoreOpenStatus = (store, now = new Date()) => {
+  if (store.isActive === false) {
+    return { isOpen: false, reason: 'inactive', closesAt: null, nextOpenAt: null };
+  }
+
+  const pausedUntil = store.ordersPausedUntil ? new Date(store.ordersPausedUntil) : null;
+  const isPaused = Boolean(store.ordersPaused) && (!pausedUntil || pausedUntil > now);
+  if (isPaused) {
+    // An open-ended pause has no known reopening time
+    const window = pausedUntil ? findNextOpeningWindow(store, pausedUntil) : null;
+    return {
+      isOpen: false,
+      reason: 'paused',
+      closesAt: null,
+      nextOpenAt: window?.opensAt ?? null,
+      ...(store.ordersPausedReason ? { pauseReason: store.ordersPausedReason } : {}),
+    };
+  }
+
+  const window = findNextOpeningWindow(store, now);
+  if (window && window.opensAt <= now) {
+    const hasHours = (store.openingHours ?? []).length > 0;
+    return { isOpen: true, reason: 'open', closesAt: hasHours ? window.closesAt : null, nextOpenAt: null };
+  }
+
+  const isHolidayToday = (store.holidays ?? []).some((holiday) => holiday.date === toStoreDate(now).dateKey);
+  return {
+    isOpen: false,
+    reason: isHolidayToday ? 'holiday' : 'closed',
+    closesAt: null,
+    nextOpenAt: window?.opensAt ?? null,
+  };
+};
+
+/**
+ * Builds a customer-facing sentence explaining why a store can't take orders.
+ * @param {ReturnType<typeof getStoreOpenStatus>} status - A closed status.
+ * @returns {string}
+ */
+const describeClosedStatus = (status) => {
+  const reopening = status.nextOpenAt
+    ? ` It opens again ${storeTimeFormatter.format(status.nextOpenAt)}.`
+    : '';
+  switch (status.reason) {
+    case 'inactive':
+      return 'This store is not currently accepting orders.';
+    case 'paused':
+      return `This store has paused new orders${status.pauseReason ? ` (${status.pauseReason})` : ''}.${reopening}`;
+    case 'holiday':
+      return `This store is closed today for a holiday.${reopening}`;
+    default:
+      return `This store is closed right now.${reopening}`;
+  }
+};
+
+export { STORE_TIMEZONE, toMinutes, toStoreDate, fromStoreTime, getStoreOpenStatus, describeClosedStatus };
@@ -0,0 +1,90 @@
+// backend/utils/address.js
+// Reading structured delivery addresses from client input and presenting them.
+// Addresses are checked here before serviceability is worked out, so a bad
+// pincode is reported as such rather than as "not delivered here".
+import { PINCODE_REGEX } from '../models/Store.js';
+import { AppError } from './backendUtils.js';
+import { parseLatLng, toGeoPoint } from './geo.js';
+
+// Free-text parts of an address, with their length limits (same as the Customer model)
+const ADDRESS_TEXT_FIELDS = { label: 30, house: 200, street: 200, landmark: 200, city: 100 };
+
+/**
+ * Validates an address from a request body.
+ * @param {unknown} raw - { label?, house, street?, landmark?, city, pincode, lat?, lng? }.
+ * @returns {{ label?: string, house: string, street?: string, landmark?: string, city: string,
+ *   pincode: string, location?: { type: 'Point', coordinates: [number, number] } }}
+ *   Trimmed fields, with blank optional ones left out.
+ * @throws {AppError} 400 naming the first problem found.
+ */
+const parseAddressInput = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new AppError('Address must be an object with house, city and pincode', 400);
+  }
+
+  const address = {};
+  Object.entries(ADDRESS_TEXT_FIELDS).forEach(([field, maxLength]) => {
+    const value = raw[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') {
+      throw new AppError(`Address ${field} must be a string`, 400);
+    }
+    if (value.trim().length > maxLength) {
+      throw new AppError(`Address ${field} cannot exceed ${maxLength} characters`, 400);
+    }
+    if (value.trim()) address[field] = value.trim();
+  });
+  if (!address.house) {
+    throw new AppError('Address needs a house or flat number', 400);
+  }
+  if (!address.city) {
+    throw new AppError('Address needs a city', 400);
+  }
+
+  const pincode = typeof raw.pincode === 'string' ? raw.pincode.trim() : String(raw.pincode ?? '');
+  if (!PINCODE_REGEX.test(pincode)) {
+    throw new AppError('Please provide a valid 6-digit Indian pincode', 400);
+  }
+  address.pincode = pincode;
+
+  if (raw.lat !== undefined || raw.lng !== undefined) {
+    const location = parseLatLng(raw);
+    if (!location) {
+      throw new AppError('Address lat and lng must be valid coordinates', 400);
+    }
+    address.location = toGeoPoint(location);
+  }
+  return address;
+};
+
+/**
+ * The address on one line, e.g. 'Flat 4B, MG Road, Near Metro, Delhi - 110001'.
+ * @param {{ house: string, street?: string, landmark?: string, city: string, pincode: string }} address
+ * @returns {string}
+ */
+const formatAddress = (address) =>
+  `${[address.house, address.street, address.landmark, address.city].filter(Boolean).join(', ')} - ${address.pincode}`;
+
+/**
+ * Shapes an address-book entry for API responses, with coordinates as lat/lng.
+ * @param {import('mongoose').Types.Subdocument} address
+ * @returns {{ id: string, label: string | null, house: string, street: string | null, landmark: string | null,
+ *   city: string, pincode: string, lat: number | null, lng: number | null, lastUsedAt: Date | null }}
+ */
+const toAddressResponse = (address) => {
+  const [lng, lat] = address.location?.coordinates ?? [null, null];
+  return {
+    id: address._id.toString(),
+    label: address.label ?? null,
+    house: address.house,
+    street: address.street ?? null,
+    landmark: address.landmark ?? null,
+    city: address.city,
+    pincode: address.pincode,
+    lat,
+    lng,
+    lastUsedAt: address.lastUsedAt ?? null,
+  };
+};
+
+export { parseAddressInput, formatAddress, toAddressResponse };
@@ -1,5 +1,3 @@
-<?xml version="1.0" encoding="UTF-8"?>
-```javascript
 // backend/utils/backendUtils.js
 // Using ES Modules syntax as specified in backend/package.json ("type": "module")
 
@@ -13,8 +11,9 @@ class AppError extends Error {
    * Creates an instance of AppError.
    * @param {string} message - The error message.
    * @param {number} statusCode - The HTTP status code (e.g., 400, 404, 500).
+   * @param {object} [details] - Optional structured data the client can act on (sent with the message).
    */
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     // Call the parent Error constructor with the message
     super(message);
 
@@ -27,6 +26,11 @@ class AppError extends Error {
     // Mark this error as operational (trusted error, predictable)
     this.isOperational = true;
 
+    // Machine-readable context, e.g. which cart items are out of stock
+    if (details !== undefined) {
+      this.details = details;
+    }
+
     // Capture the stack trace, excluding the constructor call from it
     Error.captureStackTrace(this, this.constructor);
   }
@@ -48,6 +52,61 @@ const catchAsync = (fn) => {
   };
 };
 
+/**
+ * Returns a shallow copy of `source` containing only the whitelisted keys that are
+ * actually present. Used to stop clients from mass-assigning protected fields.
+ *
+ * @param {object} source - The raw input object (typically req.body).
+ * @param {string[]} allowedFields - Keys that may be copied across.
+ * @returns {object} A new object with only the allowed keys.
+ */
+const pickFields = (source, allowedFields) => {
+  const picked = {};
+  if (!source || typeof source !== 'object') return picked;
+  allowedFields.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(source, field)) {
+      picked[field] = source[field];
+    }
+  });
+  return picked;
+};
+
+// --- Pagination Helpers ---
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses `page` and `limit` query parameters into safe, bounded values.
+ * Non-numeric or out-of-range values fall back to sensible defaults.
+ *
+ * @param {object} query - The Express request query object (req.query).
+ * @returns {{ page: number, limit: number, skip: number }} Pagination values ready for Mongoose.
+ */
+const getPaginationParams = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Builds the standard envelope returned by paginated list endpoints.
+ *
+ * @param {Array<object>} results - The documents for the current page.
+ * @param {number} total - Total number of documents matching the filter.
+ * @param {{ page: number, limit: number }} pagination - The values from getPaginationParams.
+ * @returns {{ results: Array<object>, pagination: { page: number, limit: number, total: number, totalPages: number } }}
+ */
+const buildPaginatedResponse = (results, total, { page, limit }) => ({
+  results,
+  pagination: {
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  },
+});
+
 // --- Production Error Handling Helpers ---
 
 /**
@@ -74,6 +133,18 @@ const handleValidationErrorDB = (err) => {
   return new AppError(message, 400); // 400 Bad Request
 };
 
+/**
+ * Handles an invalid or tampered JWT.
+ * @returns {AppError} A new AppError instance for Unauthorized (401).
+ */
+const handleJWTError = () => new AppError('Invalid token. Please log in again.', 401);
+
+/**
+ * Handles an expired JWT.
+ * @returns {AppError} A new AppError instance for Unauthorized (401).
+ */
+const handleJWTExpiredError = () => new AppError('Your session has expired. Please log in again.', 401);
+
 // --- Development/Production Response Sending Functions ---
 
 /**
@@ -87,6 +158,7 @@ const sendErrorDev = (err, res) => {
     status: err.status || 'error',
     error: err, // Include the full error object for debugging
     message: err.message,
+    ...(err.details !== undefined && { details: err.details }),
     stack: err.stack, // Include the stack trace
   });
 };
@@ -103,6 +175,7 @@ const sendErrorProd = (err, res) => {
     return res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      ...(err.details !== undefined && { details: err.details }),
     });
   }
 
@@ -143,7 +216,11 @@ const globalErrorHandler = (err, req, res, next) => {
 
   // --- Development Environment Error Response ---
   if (nodeEnv === 'development') {
-    sendErrorDev(err, res);
+    // Token errors still need a 401 in development so the frontend can drop the stale session
+    let error = err;
+    if (error.name === 'JsonWebTokenError') error = handleJWTError();
+    if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
+    sendErrorDev(error, res);
   }
   // --- Production Environment Error Response ---
   else if (nodeEnv === 'production') {
@@ -154,10 +231,10 @@ const globalErrorHandler = (err, req, res, next) => {
     // so sendErrorProd can handle them gracefully.
     if (error.name === 'CastError') error = handleCastErrorDB(error);
     if (error.name === 'ValidationError') error = handleValidationErrorDB(error);
+    if (error.name === 'JsonWebTokenError') error = handleJWTError();
+    if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
     // Potential future handlers:
     // if (error.code === 11000) error = handleDuplicateFieldsDB(error); // MongoDB duplicate key
-    // if (error.name === 'JsonWebTokenError') error = handleJWTError();
-    // if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
 
     // Send the processed error response for production
     sendErrorProd(error, res);
@@ -169,9 +246,18 @@ const globalErrorHandler = (err, req, res, next) => {
     let error = err;
     if (error.name === 'CastError') error = handleCastErrorDB(error);
     if (error.name === 'ValidationError') error = handleValidationErrorDB(error);
+    if (error.name === 'JsonWebTokenError') error = handleJWTError();
+    if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
     sendErrorProd(error, res);
   }
 };
 
 // Export the utilities for use in other backend modules
-export { AppError, catchAsync, globalErrorHandler };
\ No newline at end of file
+export {
+  AppError,
+  catchAsync,
+  pickFields,
+  getPaginationParams,
+  buildPaginatedResponse,
+  globalErrorHandler,
+};
\ No newline at end of file
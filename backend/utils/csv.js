@@ -0,0 +1,104 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV reader/writer, enough for spreadsheet price lists
+// (quoted fields, embedded commas/quotes/newlines, CRLF or LF line endings).
+
+/**
+ * Parses CSV text into an array of row arrays.
+ * @param {string} text - Raw CSV text.
+ * @returns {string[][]} Rows of raw cell values. Fully blank lines are dropped.
+ * @throws {Error} If a quoted field is never closed.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark, which Excel adds to "CSV UTF-8" exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'; // Escaped quote
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unclosed quoted field');
+  }
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+/**
+ * Parses CSV text with a header row into objects keyed by the (trimmed,
+ * lower-cased) header names.
+ * @param {string} text - Raw CSV text.
+ * @returns {Array<Record<string, string>>} One object per data row.
+ */
+const parseCsvRecords = (text) => {
+  const [header, ...dataRows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((cell) => cell.trim().toLowerCase());
+  return dataRows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? '').trim()]))
+  );
+};
+
+/**
+ * Quotes a single value for CSV output when needed.
+ * Values starting with =, +, - or @ are prefixed with a quote so spreadsheets
+ * don't evaluate them as formulas.
+ * @param {unknown} value - The cell value.
+ * @returns {string} The escaped cell.
+ */
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let cell = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Serialises objects to CSV with the given columns as the header row.
+ * @param {string[]} columns - Column keys, in order.
+ * @param {Array<object>} records - The rows to write.
+ * @returns {string} CSV text with CRLF line endings.
+ */
+const toCsv = (columns, records) =>
+  [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((cells) => cells.map(escapeCsvCell).join(','))
+    .join('\r\n');
+
+export { parseCsv, parseCsvRecords, toCsv };
@@ -0,0 +1,45 @@
+// backend/utils/geo.js
+// Small geometry helpers shared by store discovery, pricing and delivery code.
+// Points follow GeoJSON order: [longitude, latitude].
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points.
+ * @param {[number, number]} from - [lng, lat].
+ * @param {[number, number]} to - [lng, lat].
+ * @returns {number} Distance in kilometres.
+ */
+const haversineDistanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Reads `{ lat, lng }` from client input (numbers or numeric strings).
+ * @param {unknown} value - e.g. req.body.deliveryLocation or req.query.
+ * @returns {{ lat: number, lng: number } | null} The coordinates, or null if missing or out of range.
+ */
+const parseLatLng = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  if (value.lat === undefined || value.lng === undefined || value.lat === '' || value.lng === '') return null;
+  const lat = Number(value.lat);
+  const lng = Number(value.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return { lat, lng };
+};
+
+/**
+ * Converts `{ lat, lng }` to a GeoJSON Point.
+ * @param {{ lat: number, lng: number }} location
+ * @returns {{ type: 'Point', coordinates: [number, number] }}
+ */
+const toGeoPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+export { haversineDistanceKm, parseLatLng, toGeoPoint };
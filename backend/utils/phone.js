@@ -0,0 +1,28 @@
+// backend/utils/phone.js
+// Indian mobile number helpers shared by customer login and order tracking.
+
+// A 10-digit Indian mobile number (they start with 6-9)
+const MOBILE_NUMBER_REGEX = /^[6-9]\d{9}$/;
+
+/**
+ * Reduces a phone number to its last 10 digits, so "+91 98765 43210",
+ * "09876543210" and "9876543210" compare equal.
+ * @param {unknown} phone
+ * @returns {string} The digits, or '' if there aren't 10 of them.
+ */
+const normalisePhone = (phone) => {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+};
+
+/**
+ * The normalised mobile number, or null if `phone` isn't one.
+ * @param {unknown} phone
+ * @returns {string | null}
+ */
+const parseMobileNumber = (phone) => {
+  const normalised = normalisePhone(phone);
+  return MOBILE_NUMBER_REGEX.test(normalised) ? normalised : null;
+};
+
+export { MOBILE_NUMBER_REGEX, normalisePhone, parseMobileNumber };
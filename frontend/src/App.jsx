@@ -1,9 +1,9 @@
-<?xml version="1.0" encoding="UTF-8"?>
-<code language="javascript">
 // frontend/src/App.jsx
 import React, { Component, Suspense } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { Container, Title, Text, Alert, Loader, Center } from '@mantine/core';
+import { CustomerAuthProvider } from './context/CustomerAuthContext.jsx';
+import CartAccountSync from './components/CartAccountSync.jsx';
 
 // --- Page Component Imports ---
 // Using React.lazy for potential code splitting, though not strictly required for MVP.
@@ -11,7 +11,12 @@ import { Container, Title, Text, Alert, Loader, Center } from '@mantine/core';
 const HomePage = React.lazy(() => import('./pages/HomePage.jsx'));
 const StorePage = React.lazy(() => import('./pages/StorePage.jsx'));
 const CheckoutPage = React.lazy(() => import('./pages/CheckoutPage.jsx'));
+const OrderPage = React.lazy(() => import('./pages/OrderPage.jsx'));
+const OrderGroupPage = React.lazy(() => import('./pages/OrderGroupPage.jsx'));
+const OrderHistoryPage = React.lazy(() => import('./pages/OrderHistoryPage.jsx'));
 const StoreAdminPage = React.lazy(() => import('./pages/StoreAdminPage.jsx'));
+const StoreLoginPage = React.lazy(() => import('./pages/StoreLoginPage.jsx'));
+const RiderPage = React.lazy(() => import('./pages/RiderPage.jsx'));
 
 // --- Basic ErrorBoundary Placeholder ---
 // A real implementation would use componentDidCatch or getDerivedStateFromError
@@ -89,28 +94,48 @@ function App() {
     <Container size="xl" py="md">
       {/* Wrap routes in ErrorBoundary to catch rendering errors */}
       <ErrorBoundary>
-        {/* Suspense is needed for React.lazy components */}
-        <Suspense fallback={<LoadingFallback />}>
-          {/* Routes component manages the rendering based on URL path */}
-          <Routes>
-            {/* Route for the Home Page */}
-            <Route path="/" element={<HomePage />} />
-
-            {/* Route for viewing a specific Store's details and products */}
-            {/* :storeId is a dynamic parameter captured by React Router */}
-            <Route path="/store/:storeId" element={<StorePage />} />
-
-            {/* Route for the Checkout Page */}
-            <Route path="/checkout" element={<CheckoutPage />} />
-
-            {/* Route for the Store Administration Page */}
-            {/* :storeId is a dynamic parameter captured by React Router */}
-            <Route path="/admin/store/:storeId" element={<StoreAdminPage />} />
-
-            {/* Catch-all route for handling undefined paths (404 Not Found) */}
-            <Route path="*" element={<NotFoundPage />} />
-          </Routes>
-        </Suspense>
+        {/* Logged-in customer (phone OTP), shared by checkout and order pages */}
+        <CustomerAuthProvider>
+          {/* Keeps a logged-in customer's cart saved to their account */}
+          <CartAccountSync />
+          {/* Suspense is needed for React.lazy components */}
+          <Suspense fallback={<LoadingFallback />}>
+            {/* Routes component manages the rendering based on URL path */}
+            <Routes>
+              {/* Route for the Home Page */}
+              <Route path="/" element={<HomePage />} />
+
+              {/* Route for viewing a specific Store's details and products */}
+              {/* :storeId is a dynamic parameter captured by React Router */}
+              <Route path="/store/:storeId" element={<StorePage />} />
+
+              {/* Route for the Checkout Page */}
+              <Route path="/checkout" element={<CheckoutPage />} />
+
+              {/* Route for a customer viewing an order they placed */}
+              <Route path="/order/:orderId" element={<OrderPage />} />
+
+              {/* Route for orders placed from several stores in one checkout */}
+              <Route path="/order-group/:groupId" element={<OrderGroupPage />} />
+
+              {/* Route for the logged-in customer's order history */}
+              <Route path="/orders" element={<OrderHistoryPage />} />
+
+              {/* Route for the Store Owner Login Page */}
+              <Route path="/admin/login" element={<StoreLoginPage />} />
+
+              {/* Route for the Store Administration Page (requires store owner login) */}
+              {/* :storeId is a dynamic parameter captured by React Router */}
+              <Route path="/admin/store/:storeId" element={<StoreAdminPage />} />
+
+              {/* Route for delivery partners: login and assigned deliveries */}
+              <Route path="/rider" element={<RiderPage />} />
+
+              {/* Catch-all route for handling undefined paths (404 Not Found) */}
+              <Route path="*" element={<NotFoundPage />} />
+            </Routes>
+          </Suspense>
+        </CustomerAuthProvider>
       </ErrorBoundary>
     </Container>
   );
@@ -118,5 +143,3 @@ function App() {
 
 // Export the App component as the default export
 export default App;
-
-</code>
\ No newline at end of file
@@ -0,0 +1,80 @@
+// frontend/src/components/CartAccountSync.jsx
+import { useState, useEffect, useRef } from 'react';
+
+import { useCart } from '../context/CartContext.jsx';
+import { useCustomerAuth } from '../context/CustomerAuthContext.jsx';
+import { fetchSavedCart, saveCart } from '../services/apiService.js';
+
+// How long the cart must stay unchanged before it is saved to the account
+const SAVE_DELAY_MS = 1500;
+
+/**
+ * What the server keeps of a cart, as a string for cheap comparison.
+ * @param {Array<{ storeId: string, productId: string, quantity: number }>} items
+ * @returns {string}
+ */
+const toSyncKey = (items) =>
+  JSON.stringify(items.map(({ storeId, productId, quantity }) => [storeId, productId, quantity]));
+
+/**
+ * CartAccountSync Component
+ * Makes the cart follow a logged-in customer between devices. On login the
+ * cart saved to the account is loaded and replaces this device's cart if that
+ * one is empty or older. From then on, changes here are saved to the account
+ * shortly after the customer stops editing. Renders nothing; must sit inside
+ * both CartProvider and CustomerAuthProvider.
+ */
+function CartAccountSync() {
+  const { customer } = useCustomerAuth();
+  const { items, updatedAt, replaceCart } = useCart();
+  const customerId = customer?.id ?? null;
+
+  // The customer whose saved cart has been loaded; nothing is saved before that
+  const [syncedCustomerId, setSyncedCustomerId] = useState(null);
+  // The cart as last read from or written to the account
+  const lastSyncedKeyRef = useRef(null);
+  // The local cart when the saved one arrives, without reloading it on every edit
+  const localCartRef = useRef({ items, updatedAt });
+  localCartRef.current = { items, updatedAt };
+
+  useEffect(() => {
+    setSyncedCustomerId(null);
+    lastSyncedKeyRef.current = null;
+    if (!customerId) return undefined;
+
+    let isCurrent = true;
+    fetchSavedCart()
+      .then((savedCart) => {
+        if (!isCurrent) return;
+        const local = localCartRef.current;
+        const savedAt = savedCart ? Date.parse(savedCart.updatedAt) : 0;
+        if (savedCart && (local.items.length === 0 || savedAt > (local.updatedAt ?? 0))) {
+          replaceCart({ ...savedCart, updatedAt: savedAt });
+        }
+        lastSyncedKeyRef.current = toSyncKey(savedCart?.items ?? []);
+        setSyncedCustomerId(customerId);
+      })
+      .catch((err) => {
+        // Without the saved cart we can't tell which is newer, so leave the account alone until the next visit
+        console.warn('[CartAccountSync] Could not load the saved cart:', err);
+      });
+    return () => { isCurrent = false; };
+  }, [customerId, replaceCart]);
+
+  useEffect(() => {
+    if (!customerId || syncedCustomerId !== customerId) return undefined;
+    const key = toSyncKey(items);
+    if (key === lastSyncedKeyRef.current) return undefined;
+
+    const timer = setTimeout(() => {
+      saveCart({ items })
+        .then(() => { lastSyncedKeyRef.current = key; })
+        .catch((err) => console.warn('[CartAccountSync] Could not save the cart:', err));
+    }, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [customerId, syncedCustomerId, items]);
+
+  return null;
+}
+
+export default CartAccountSync;
@@ -1,9 +1,40 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/src/components/CartView.jsx
-import React, { useMemo } from 'react';
-import { Box, Table, Text, Group, NumberInput, ActionIcon, Alert, Title } from '@mantine/core';
-import { IconTrash, IconShoppingCart } from '@tabler/icons-react'; // Assuming @tabler/icons-react is used
+import React, { useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Box, Stack, Table, Text, Group, NumberInput, ActionIcon, Alert, Title, Loader, Paper, Badge, Button } from '@mantine/core';
+import { IconTrash, IconShoppingCart, IconAlertCircle, IconBuildingStore } from '@tabler/icons-react'; // Assuming @tabler/icons-react is used
 import { useCart } from '../context/CartContext.jsx';
+import OrderPriceBreakdown from './OrderPriceBreakdown.jsx';
+import { formatCurrency } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').CatalogCheckItem} CatalogCheckItem
+ */
+
+// Badge shown on a cart line the store has changed since it was added
+const CHANGE_BADGES = {
+  price_changed: { color: 'orange', label: 'Price changed' },
+  out_of_stock: { color: 'red', label: 'Out of stock' },
+  unavailable: { color: 'gray', label: 'No longer sold' },
+};
+
+/**
+ * Explains what changed about a cart line, e.g. "Was ₹30.00, now ₹35.00".
+ * @param {CatalogCheckItem} check
+ * @returns {string | null} Null if nothing changed.
+ */
+const describeChange = (check) => {
+  switch (check.status) {
+    case 'unavailable':
+      return 'The store no longer sells this. It will be removed.';
+    case 'out_of_stock':
+      return 'Out of stock. It will be removed.';
+    case 'price_changed':
+      return `Was ${formatCurrency(check.previousPrice)}, now ${formatCurrency(check.price)}`;
+    default:
+      return check.quantity < check.requestedQuantity ? `Only ${check.quantity} left in stock` : null;
+  }
+};
 
 // Optional: Define a simple inline currency formatter if helpers.js is not guaranteed
 // const formatCurrency = (amount) => {
@@ -12,15 +43,41 @@ import { useCart } from '../context/CartContext.jsx';
 // };
 
 /**
- * Displays the current contents of the shopping cart, allows quantity adjustments,
- * item removal, and shows the total price. Handles empty cart state.
- * Relies on CartContext for data and actions.
+ * One store's part of the cart: its lines, catalog changes and price breakdown.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../context/CartContext.jsx').CartItem[]} props.items - The store's lines.
+ * @param {import('../services/apiService.js').OrderQuote | null} props.quote
+ * @param {Error | null} props.quoteError
+ * @param {import('../services/apiService.js').CartValidation | null} props.cartValidation
+ * @param {boolean} props.isQuoteLoading
+ * @param {boolean} props.isValidating
+ * @param {boolean} props.isOneOfSeveral - Whether the cart holds other stores too, so the store can be removed on its own.
  */
-function CartView() {
-  // Consume the cart state and actions from the context
-  const { items, removeItem, updateQuantity } = useCart();
+function CartStoreSection({ items, quote, quoteError, cartValidation, isQuoteLoading, isValidating, isOneOfSeveral }) {
+  const { items: cartItems, removeItem, removeStoreItems, updateQuantity, replaceCart } = useCart();
+  const { storeId } = items[0];
+
+  // Catalog check for each of the store's lines, by product ID
+  const checksByProduct = useMemo(
+    () => new Map((cartValidation?.items ?? []).map((check) => [check.productId, check])),
+    [cartValidation]
+  );
 
-  // Calculate the total price of items in the cart
+  // Takes the store's current prices and stock: changed prices are updated, quantities
+  // are capped to what's left, and lines that can't be bought are removed.
+  // Other stores' lines are left as they are.
+  const handleAcceptChanges = useCallback(() => {
+    const updatedItems = cartItems.flatMap((item) => {
+      const check = item.storeId === storeId ? checksByProduct.get(item.productId) : null;
+      if (!check) return [item];
+      if (check.quantity === 0 || check.price === null) return [];
+      return [{ ...item, name: check.name, price: check.price, quantity: Math.min(item.quantity, check.quantity) }];
+    });
+    replaceCart({ items: updatedItems, updatedAt: Date.now() });
+  }, [cartItems, storeId, checksByProduct, replaceCart]);
+
+  // Calculate the total price of the store's items
   // Memoize the calculation to avoid recomputing on every render unless items change
   const totalPrice = useMemo(() => {
     return items.reduce((sum, item) => {
@@ -31,33 +88,24 @@ function CartView() {
     }, 0);
   }, [items]); // Dependency array: recalculate only when items change
 
-  // Handle the empty cart scenario
-  if (items.length === 0) {
-    return (
-      <Alert
-        icon={<IconShoppingCart size={18} />}
-        title="Cart Empty"
-        color="blue"
-        radius="md"
-        mt="md"
-        variant="light"
-      >
-        Your shopping cart is currently empty. Add some items from a store!
-      </Alert>
-    );
-  }
-
-  // Generate table rows from cart items
+  // Generate table rows from the store's items
   const rows = items.map((item) => {
      // Calculate item subtotal safely
      const itemPrice = typeof item.price === 'number' && !isNaN(item.price) ? item.price : 0;
      const itemQuantity = typeof item.quantity === 'number' && Number.isInteger(item.quantity) ? item.quantity : 0;
      const itemTotal = itemPrice * itemQuantity;
+     const check = checksByProduct.get(item.productId);
+     const change = check ? describeChange(check) : null;
+     const badge = check ? CHANGE_BADGES[check.status] : null;
 
     return (
       <Table.Tr key={item.productId}>
         <Table.Td>
-          <Text size="sm" fw={500}>{item.name || 'N/A'}</Text>
+          <Group gap={6} wrap="nowrap">
+            <Text size="sm" fw={500} td={check && check.quantity === 0 ? 'line-through' : undefined}>{item.name || 'N/A'}</Text>
+            {badge && <Badge size="xs" variant="light" color={badge.color}>{badge.label}</Badge>}
+          </Group>
+          {change && <Text size="xs" c="dimmed">{change}</Text>}
         </Table.Td>
         <Table.Td ta="right">
           {/* Basic price formatting */}
@@ -97,10 +145,46 @@ function CartView() {
     );
   });
 
-  // Render the cart table and total
+  const storeName = cartValidation?.storeName || 'Store';
+
   return (
-    <Box mt="md">
-      <Title order={4} mb="sm">Shopping Cart</Title>
+    <Box>
+      <Group justify="space-between" mb="xs">
+        <Group gap={6}>
+          <IconBuildingStore size={18} />
+          <Text fw={600}>{storeName}</Text>
+        </Group>
+        {isOneOfSeveral && (
+          <Button variant="subtle" color="red" size="xs" onClick={() => removeStoreItems(storeId)}>
+            Remove store
+          </Button>
+        )}
+      </Group>
+
+      {cartValidation?.storeMessage && (
+        <Alert
+          icon={<IconBuildingStore size={18} />}
+          color={cartValidation.isStoreActive ? 'orange' : 'red'}
+          variant="light"
+          radius="md"
+          mb="md"
+          title={cartValidation.isStoreActive ? 'Store Closed' : 'Store Unavailable'}
+        >
+          {cartValidation.storeMessage}
+        </Alert>
+      )}
+
+      {cartValidation?.hasChanges && (
+        <Alert icon={<IconAlertCircle size={18} />} color="orange" variant="light" radius="md" mb="md" title="Your Cart Has Changed">
+          <Text size="sm">
+            The store has changed some prices or run out of items since you added them. Review the changes below
+            and update your cart to continue.
+          </Text>
+          <Button size="xs" mt="sm" onClick={handleAcceptChanges} disabled={isValidating}>
+            Update Cart
+          </Button>
+        </Alert>
+      )}
       <Table striped highlightOnHover withTableBorder withColumnBorders>
         <Table.Thead>
           <Table.Tr>
@@ -113,18 +197,166 @@ function CartView() {
         </Table.Thead>
         <Table.Tbody>{rows}</Table.Tbody>
       </Table>
-      <Group justify="flex-end" mt="lg">
-        <Text size="lg" fw={700}>
-          Grand Total: ₹{totalPrice.toFixed(2)}
+
+      {quoteError && (
+        <Alert icon={<IconAlertCircle size={18} />} color="red" variant="light" radius="md" mt="md">
+          {quoteError.message || 'Could not calculate your order total.'}
+        </Alert>
+      )}
+
+      {quote ? (
+        <Group justify="flex-end" mt="lg">
+          <Paper withBorder radius="md" p="md" miw={320} pos="relative">
+            {isQuoteLoading && <Loader size="xs" pos="absolute" top={8} right={8} />}
+            <OrderPriceBreakdown pricing={quote.pricing} discounts={quote.discounts} />
+            {!quote.meetsMinimumOrder && (
+              <Text size="sm" c="orange" mt="sm">
+                Add {formatCurrency(quote.amountToMinimumOrder)} more to reach this store&apos;s minimum order of {formatCurrency(quote.minimumOrderValue)}.
+              </Text>
+            )}
+            {quote.pricing.deliveryFee > 0 && quote.amountToFreeDelivery > 0 && (
+              <Text size="sm" c="dimmed" mt="sm">
+                Add {formatCurrency(quote.amountToFreeDelivery)} more for free delivery.
+              </Text>
+            )}
+          </Paper>
+        </Group>
+      ) : (
+        <Group justify="flex-end" mt="lg" gap="xs">
+          {isQuoteLoading && <Loader size="xs" />}
+          <Text size="lg" fw={700}>
+            Item Subtotal: ₹{totalPrice.toFixed(2)}
+          </Text>
+        </Group>
+      )}
+    </Box>
+  );
+}
+
+const quotePropType = PropTypes.shape({
+  pricing: PropTypes.object.isRequired,
+  meetsMinimumOrder: PropTypes.bool,
+  minimumOrderValue: PropTypes.number,
+  amountToMinimumOrder: PropTypes.number,
+  amountToFreeDelivery: PropTypes.number,
+});
+
+const cartValidationPropType = PropTypes.shape({
+  storeName: PropTypes.string,
+  isStoreActive: PropTypes.bool.isRequired,
+  storeMessage: PropTypes.string,
+  hasChanges: PropTypes.bool.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    productId: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+  })).isRequired,
+});
+
+CartStoreSection.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({ storeId: PropTypes.string.isRequired })).isRequired,
+  quote: quotePropType,
+  quoteError: PropTypes.instanceOf(Error),
+  cartValidation: cartValidationPropType,
+  isQuoteLoading: PropTypes.bool.isRequired,
+  isValidating: PropTypes.bool.isRequired,
+  isOneOfSeveral: PropTypes.bool.isRequired,
+};
+
+/**
+ * Displays the current contents of the shopping cart, allows quantity adjustments,
+ * item removal, and shows the total price. Handles empty cart state.
+ * Relies on CartContext for data and actions.
+ *
+ * The cart is grouped by store, since each store gets its own order. When a
+ * backend quote is passed in for a store, its breakdown (delivery fee, GST,
+ * grand total) replaces the locally summed total, which is only an estimate.
+ * With several stores, the combined total of all their quotes is shown last.
+ *
+ * When the cart has been checked against a store's catalog, lines whose price,
+ * availability or stock changed are flagged and the customer can update that
+ * store's items to match in one go. A closed store is shown above its items.
+ *
+ * @param {object} props - Component props.
+ * @param {Record<string, import('../services/apiService.js').OrderQuote>} [props.quotes] - Backend quote for
+ *   each store's part of the cart, by store ID.
+ * @param {boolean} [props.isQuoteLoading=false] - True while the quotes are being refreshed.
+ * @param {Record<string, Error>} [props.quoteErrors] - Why a store's part couldn't be priced, by store ID.
+ * @param {Record<string, import('../services/apiService.js').CartValidation>} [props.cartValidations] - Each
+ *   store's part checked against its current catalog and status, by store ID.
+ * @param {boolean} [props.isValidating=false] - True while the cart is being checked.
+ */
+function CartView({ quotes = {}, isQuoteLoading = false, quoteErrors = {}, cartValidations = {}, isValidating = false }) {
+  // Consume the cart state from the context
+  const { items, storeIds } = useCart();
+
+  // Handle the empty cart scenario
+  if (items.length === 0) {
+    return (
+      <Alert
+        icon={<IconShoppingCart size={18} />}
+        title="Cart Empty"
+        color="blue"
+        radius="md"
+        mt="md"
+        variant="light"
+      >
+        Your shopping cart is currently empty. Add some items from a store!
+      </Alert>
+    );
+  }
+
+  const isMultiStore = storeIds.length > 1;
+  const isFullyQuoted = storeIds.every((storeId) => quotes[storeId]);
+  const combinedTotal = storeIds.reduce((sum, storeId) => sum + (quotes[storeId]?.pricing.grandTotal ?? 0), 0);
+
+  // Render each store's part of the cart, then the combined total
+  return (
+    <Box mt="md">
+      <Title order={4} mb="sm">Shopping Cart</Title>
+      {isMultiStore && (
+        <Text size="sm" c="dimmed" mb="md">
+          Your cart has items from {storeIds.length} stores. Each store delivers its own order; you check out once.
         </Text>
-      </Group>
+      )}
+
+      <Stack gap="xl">
+        {storeIds.map((storeId) => (
+          <CartStoreSection
+            key={storeId}
+            items={items.filter((item) => item.storeId === storeId)}
+            quote={quotes[storeId] ?? null}
+            quoteError={quoteErrors[storeId] ?? null}
+            cartValidation={cartValidations[storeId] ?? null}
+            isQuoteLoading={isQuoteLoading}
+            isValidating={isValidating}
+            isOneOfSeveral={isMultiStore}
+          />
+        ))}
+      </Stack>
+
+      {isMultiStore && isFullyQuoted && (
+        <Group justify="flex-end" mt="lg">
+          <Paper withBorder radius="md" p="md" miw={320}>
+            <Group justify="space-between">
+              <Text fw={700}>Total for {storeIds.length} stores</Text>
+              <Text fw={700}>{formatCurrency(combinedTotal)}</Text>
+            </Group>
+          </Paper>
+        </Group>
+      )}
     </Box>
   );
 }
 
+CartView.propTypes = {
+  quotes: PropTypes.objectOf(quotePropType),
+  isQuoteLoading: PropTypes.bool,
+  quoteErrors: PropTypes.objectOf(PropTypes.instanceOf(Error)),
+  cartValidations: PropTypes.objectOf(cartValidationPropType),
+  isValidating: PropTypes.bool,
+};
+
 // Using React.memo for potential performance optimization if parent re-renders often,
 // though likely not strictly necessary given context usage usually handles this.
 // However, demonstrating best practice for potentially expensive components.
 export default React.memo(CartView);
-
-</code>
\ No newline at end of file
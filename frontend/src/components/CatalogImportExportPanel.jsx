@@ -0,0 +1,255 @@
+// frontend/src/components/CatalogImportExportPanel.jsx
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Stack,
+  Group,
+  Title,
+  Text,
+  Button,
+  FileInput,
+  SegmentedControl,
+  Alert,
+  Table,
+  ScrollArea,
+  Divider,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import {
+  IconUpload,
+  IconDownload,
+  IconFileSpreadsheet,
+  IconAlertCircle,
+  IconCheck,
+  IconX,
+} from '@tabler/icons-react';
+import { importStoreProducts, exportStoreProducts } from '../services/apiService.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Product} Product
+ * @typedef {import('../services/apiService.js').CatalogImportReport} CatalogImportReport
+ */
+
+const MODE_OPTIONS = [
+  { value: 'upsert', label: 'Add & update' },
+  { value: 'replace', label: 'Replace catalog' },
+];
+
+/**
+ * Works out the import format from the file name, defaulting to CSV.
+ * @param {File} file - The selected file.
+ * @returns {'csv' | 'json'}
+ */
+const detectFormat = (file) => (file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+
+/**
+ * Saves a Blob to the user's downloads folder.
+ * @param {Blob} blob - File contents.
+ * @param {string} filename - Suggested file name.
+ */
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Bulk catalog tools for the store admin dashboard: upload a CSV or JSON
+ * price list (with a dry run to preview row errors) and download the
+ * current catalog in the same format.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {string} props.storeId - The store being managed.
+ * @param {(products: Product[]) => void} props.onProductsChange - Called with the catalog after a successful import.
+ */
+function CatalogImportExportPanel({ storeId, onProductsChange }) {
+  /** @type {[File | null, Function]} */
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('upsert');
+  /** @type {[CatalogImportReport | null, Function]} */
+  const [report, setReport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  /** @type {['csv' | 'json' | null, Function]} */
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  const handleFileChange = useCallback((selected) => {
+    setFile(selected);
+    setReport(null); // A report only describes the file it was run against
+  }, []);
+
+  const runImport = useCallback(async (dryRun) => {
+    if (!file) return;
+    if (!dryRun && mode === 'replace' &&
+      !window.confirm('Replace your whole catalog with this file? Products not in the file will be removed.')) {
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      const content = await file.text();
+      const result = await importStoreProducts(storeId, { content, format: detectFormat(file), mode, dryRun });
+      setReport(result);
+      if (result.applied) {
+        onProductsChange(result.products || []);
+        notifications.show({
+          title: 'Catalog Updated',
+          message: `${result.summary.created} added, ${result.summary.updated} updated, ${result.summary.removed} removed.`,
+          color: 'green',
+          icon: <IconCheck size={18} />,
+        });
+      }
+    } catch (err) {
+      // A rejected import carries the full row-level report in `details`
+      if (err?.details?.errors) {
+        setReport(err.details);
+      } else {
+        notifications.show({
+          title: 'Import Failed',
+          message: err?.message || 'An unexpected error occurred. Please try again.',
+          color: 'red',
+          icon: <IconX size={18} />,
+        });
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  }, [file, mode, storeId, onProductsChange]);
+
+  const handleExport = useCallback(async (format) => {
+    setExportingFormat(format);
+    try {
+      const blob = await exportStoreProducts(storeId, format);
+      downloadBlob(blob, `products-${storeId}.${format}`);
+    } catch (err) {
+      notifications.show({
+        title: 'Export Failed',
+        message: err?.message || 'An unexpected error occurred. Please try again.',
+        color: 'red',
+        icon: <IconX size={18} />,
+      });
+    } finally {
+      setExportingFormat(null);
+    }
+  }, [storeId]);
+
+  const summary = report?.summary;
+
+  return (
+    <Stack gap="md">
+      <Title order={4}>Import Products</Title>
+      <Text size="sm" c="dimmed">
+        Upload a CSV with the columns id, name, category, price and stock, or a JSON list of products.
+        Rows without an id are matched by name. Leave stock blank for products you don&apos;t track.
+      </Text>
+
+      <Group align="flex-end" gap="md">
+        <FileInput
+          label="Catalog file"
+          placeholder="Choose a .csv or .json file"
+          accept=".csv,.json,text/csv,application/json"
+          leftSection={<IconFileSpreadsheet size={16} />}
+          value={file}
+          onChange={handleFileChange}
+          clearable
+          style={{ flex: 1, minWidth: 240 }}
+        />
+        <SegmentedControl data={MODE_OPTIONS} value={mode} onChange={setMode} />
+      </Group>
+
+      <Group gap="sm">
+        <Button variant="default" disabled={!file} loading={isImporting} onClick={() => runImport(true)}>
+          Check File
+        </Button>
+        <Button
+          leftSection={<IconUpload size={16} />}
+          color={mode === 'replace' ? 'red' : undefined}
+          disabled={!file}
+          loading={isImporting}
+          onClick={() => runImport(false)}
+        >
+          Import
+        </Button>
+      </Group>
+
+      {summary && (
+        <Alert
+          color={summary.failed > 0 ? 'red' : report.applied ? 'green' : 'blue'}
+          icon={summary.failed > 0 ? <IconAlertCircle /> : <IconCheck />}
+          title={
+            summary.failed > 0
+              ? `${summary.failed} of ${summary.totalRows} row(s) need fixing. Nothing was saved.`
+              : report.applied
+                ? 'Import complete'
+                : 'File looks good'
+          }
+        >
+          {report.applied ? 'Imported' : 'Would import'}: {summary.created} new, {summary.updated} updated
+          {report.mode === 'replace' ? `, ${summary.removed} removed` : ''}.
+        </Alert>
+      )}
+
+      {report?.errors?.length > 0 && (
+        <ScrollArea h={300}>
+          <Table striped withTableBorder verticalSpacing="xs">
+            <Table.Thead>
+              <Table.Tr>
+                <Table.Th>Row</Table.Th>
+                <Table.Th>Product</Table.Th>
+                <Table.Th>Problem</Table.Th>
+              </Table.Tr>
+            </Table.Thead>
+            <Table.Tbody>
+              {report.errors.map((rowError) => (
+                <Table.Tr key={rowError.row}>
+                  <Table.Td>{rowError.row}</Table.Td>
+                  <Table.Td>{rowError.name || '—'}</Table.Td>
+                  <Table.Td>{rowError.messages.join('; ')}</Table.Td>
+                </Table.Tr>
+              ))}
+            </Table.Tbody>
+          </Table>
+        </ScrollArea>
+      )}
+
+      <Divider />
+
+      <Title order={4}>Export Products</Title>
+      <Text size="sm" c="dimmed">
+        Download your catalog, edit it in a spreadsheet, and import it back.
+      </Text>
+      <Group gap="sm">
+        <Button
+          variant="light"
+          leftSection={<IconDownload size={16} />}
+          loading={exportingFormat === 'csv'}
+          disabled={exportingFormat !== null}
+          onClick={() => handleExport('csv')}
+        >
+          Download CSV
+        </Button>
+        <Button
+          variant="light"
+          leftSection={<IconDownload size={16} />}
+          loading={exportingFormat === 'json'}
+          disabled={exportingFormat !== null}
+          onClick={() => handleExport('json')}
+        >
+          Download JSON
+        </Button>
+      </Group>
+    </Stack>
+  );
+}
+
+CatalogImportExportPanel.propTypes = {
+  storeId: PropTypes.string.isRequired,
+  onProductsChange: PropTypes.func.isRequired,
+};
+
+export default CatalogImportExportPanel;
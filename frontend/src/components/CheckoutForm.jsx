@@ -1,55 +1,364 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/src/components/CheckoutForm.jsx
-import React, { useState, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
 import {
   Box,
   TextInput,
-  Textarea,
   Button,
+  Checkbox,
   Group,
   LoadingOverlay,
   Stack,
+  Text,
+  Radio,
+  Paper,
+  Anchor,
 } from '@mantine/core';
 import { useForm } from '@mantine/form';
+import { useNavigate } from 'react-router-dom';
 import { notifications } from '@mantine/notifications'; // Assuming provider is setup
-import { IconCheck, IconX } from '@tabler/icons-react'; // Optional icons for notifications
+import { IconCheck, IconX, IconCurrentLocation, IconTicket, IconUserCircle } from '@tabler/icons-react'; // Optional icons for notifications
 
 import { useCart } from '../context/CartContext.jsx';
-import { createOrder } from '../services/apiService.js';
+import { useCustomerAuth } from '../context/CustomerAuthContext.jsx';
+import { createOrder, createOrderGroup, checkStoreServiceability } from '../services/apiService.js';
+import { PINCODE_REGEX, formatCurrency, formatAddress } from '../utils/helpers.js';
+import OnlinePaymentModal from './OnlinePaymentModal.jsx';
+import CustomerLoginModal from './CustomerLoginModal.jsx';
+import DeliverySlotPicker from './DeliverySlotPicker.jsx';
+
+// addressId form value for "a new address" rather than a saved one
+const NEW_ADDRESS = 'new';
+
+/**
+ * The address typed into the form, as sent to the backend.
+ * @param {object} values - Form values.
+ * @returns {import('../services/apiService.js').AddressInput}
+ */
+const toAddressInput = (values) => ({
+  label: values.label.trim(),
+  house: values.house.trim(),
+  street: values.street.trim(),
+  landmark: values.landmark.trim(),
+  city: values.city.trim(),
+  pincode: values.pincode.trim(),
+});
+
+/**
+ * Where to show the customer what they just ordered.
+ * @param {{ orderId: string } | { orderGroupId: string }} placed
+ * @returns {string}
+ */
+const toPlacedPath = (placed) =>
+  (placed.orderGroupId ? `/order-group/${placed.orderGroupId}` : `/order/${placed.orderId}`);
 
 /**
- * Renders a form for guest users to enter delivery details and submit their order.
+ * A cart line as sent to the backend.
+ * @param {import('../context/CartContext.jsx').CartItem} item
+ * @returns {import('../services/apiService.js').CartItemPayload}
+ */
+const toItemPayload = (item) => ({
+  productId: item.productId,
+  name: item.name,
+  price: item.price,
+  quantity: item.quantity,
+});
+
+/**
+ * Checks whether each store delivers to an address.
+ * @param {string[]} storeIds
+ * @param {object} address - Saved address, or { pincode }, plus any shared location.
+ * @returns {Promise<Record<string, import('../services/apiService.js').Serviceability>>} By store ID; stores
+ *   that couldn't be checked are left out, so the quote decides for them.
+ */
+const checkEveryStore = async (storeIds, address) => {
+  const entries = await Promise.all(storeIds.map((storeId) =>
+    checkStoreServiceability(storeId, address)
+      .then((result) => [storeId, result])
+      .catch(() => [storeId, null]) // Unknown: leave it to the quote
+  ));
+  return Object.fromEntries(entries.filter(([, result]) => result));
+};
+
+/**
+ * One answer for an address across the stores in the cart: the first store
+ * that doesn't deliver there, otherwise any store's result.
+ * @param {Record<string, import('../services/apiService.js').Serviceability> | null | undefined} byStore
+ * @param {Record<string, string>} [storeNames] - Names to put in front of the message, by store ID.
+ * @returns {import('../services/apiService.js').Serviceability | null} Null if no store could be checked.
+ */
+const summariseServiceability = (byStore, storeNames = {}) => {
+  const entries = Object.entries(byStore ?? {});
+  if (entries.length === 0) return null;
+  const failing = entries.find(([, result]) => !result.serviceable);
+  if (!failing) return entries[0][1];
+  const [storeId, result] = failing;
+  return storeNames[storeId] ? { ...result, message: `${storeNames[storeId]}: ${result.message}` } : result;
+};
+
+/**
+ * Renders a form for the shopper to enter delivery details and submit their order.
  * Handles form state, validation, API interaction, and user feedback.
+ * Shoppers can check out as guests or log in with their phone number, which
+ * fills in their saved details and links the order to their account.
+ * The delivery address is picked from the customer's address book or entered
+ * as a new (optionally saved) structured address. Addresses the store doesn't
+ * deliver to are flagged before the order is placed.
+ * The shopper can share their location so stores that charge delivery by
+ * distance can price the order. Ordering is blocked until the cart has a
+ * valid quote that meets the store's minimum order.
+ * A coupon code is checked by re-quoting the cart on the server, and sent with
+ * the order so the server checks it again before charging.
+ * The shopper pays cash on delivery or online; online orders open the payment
+ * step once the order has been placed.
+ * A cart with several stores is placed as an order group: one order per store,
+ * all to the same address, paid together, and every store must deliver there.
+ * Coupons are only offered for single-store carts.
+ * Stores that offer delivery slots let the shopper book one instead of having
+ * the order delivered straight away; a closed store can still be ordered from
+ * for a slot.
+ *
+ * @param {object} props - Component props.
+ * @param {Record<string, import('../services/apiService.js').OrderQuote>} props.quotes - Current backend quote
+ *   for each store's part of the cart, by store ID.
+ * @param {boolean} [props.isQuoteLoading=false] - True while the quotes are being refreshed.
+ * @param {Record<string, import('../services/apiService.js').CartValidation>} [props.cartValidations] - Each
+ *   store's part checked against its catalog, by store ID; the order can't be placed while any reports changes
+ *   or a closed store without a booked delivery slot.
+ * @param {boolean} [props.isValidating=false] - True while the cart is being checked.
+ * @param {{ lat: number, lng: number } | null} props.deliveryLocation - Shared location, if any.
+ * @param {(location: { lat: number, lng: number } | null) => void} props.onDeliveryLocationChange - Updates the shared location.
+ * @param {(address: { addressId: string } | { deliveryAddress: object } | null) => void} props.onDeliveryAddressChange -
+ *   Reports the chosen address so the quote checks it, or null while a new one is incomplete.
+ * @param {string} props.couponCode - The coupon currently applied to the quote ('' for none).
+ * @param {(code: string) => void} props.onCouponCodeChange - Applies or removes a coupon.
+ * @param {(phone: string) => void} props.onCustomerPhoneChange - Reports a valid mobile number ('' otherwise),
+ *   so first-order and per-customer offers can be checked.
  */
-function CheckoutForm() {
+function CheckoutForm({
+  quotes,
+  isQuoteLoading = false,
+  cartValidations = {},
+  isValidating = false,
+  deliveryLocation,
+  onDeliveryLocationChange,
+  onDeliveryAddressChange,
+  couponCode,
+  onCouponCodeChange,
+  onCustomerPhoneChange,
+}) {
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const { items, storeId, clearCart } = useCart();
+  const [isLocating, setIsLocating] = useState(false);
+  const [couponInput, setCouponInput] = useState(couponCode);
+  // Set while the payment modal is open for a just-placed online order or order group
+  /** @type {[{ orderId: string } | { orderGroupId: string } | null, Function]} */
+  const [paying, setPaying] = useState(null);
+  const [isLoginOpen, setIsLoginOpen] = useState(false);
+  /** @type {[Record<string, Record<string, import('../services/apiService.js').Serviceability>>, Function]} */
+  const [savedServiceability, setSavedServiceability] = useState({}); // By saved address ID, then store ID
+  /** @type {[Record<string, import('../services/apiService.js').Serviceability> | null, Function]} */
+  const [newAddressServiceability, setNewAddressServiceability] = useState(null); // By store ID
+  /** @type {[Record<string, import('./DeliverySlotPicker.jsx').DeliverySlotChoice>, Function]} */
+  const [deliverySlots, setDeliverySlots] = useState({}); // By store ID; absent or null = as soon as possible
+  const { items, storeIds, clearCart } = useCart();
+  const { customer, logout, refresh: refreshCustomer } = useCustomerAuth();
+  const savedAddresses = useMemo(() => customer?.addresses ?? [], [customer]);
+  const navigate = useNavigate();
+
+  // Changes only when a store joins or leaves the cart, not on every quantity edit
+  const storeKey = storeIds.join(',');
+  const isMultiStore = storeIds.length > 1;
+  const storeQuotes = storeIds.map((storeId) => quotes[storeId]);
+  const isFullyQuoted = storeQuotes.every(Boolean);
+  const grandTotal = isFullyQuoted ? storeQuotes.reduce((sum, storeQuote) => sum + storeQuote.pricing.grandTotal, 0) : null;
+  const meetsMinimumOrder = isFullyQuoted && storeQuotes.every((storeQuote) => storeQuote.meetsMinimumOrder);
+  const schedulableStoreIds = storeIds.filter((storeId) => cartValidations[storeId]?.canSchedule);
+  // Only stores that take bookings offer slots; a choice left from any other store is ignored
+  const chosenSlots = useMemo(() => Object.fromEntries(
+    storeIds
+      .filter((storeId) => cartValidations[storeId]?.canSchedule && deliverySlots[storeId])
+      .map((storeId) => [storeId, deliverySlots[storeId]])
+  ), [storeIds, cartValidations, deliverySlots]);
+  const isSlotIncomplete = Object.values(chosenSlots).some((choice) => !choice.slotId);
+  // A closed store's part can still be ordered for a slot
+  const isCartBlocked = storeIds.some((storeId) =>
+    cartValidations[storeId]?.canCheckout === false && !chosenSlots[storeId]?.slotId);
+  // Serviceability problems name the store once there are several to tell apart
+  const storeNames = useMemo(() => (isMultiStore
+    ? Object.fromEntries(Object.values(cartValidations).map((validation) => [validation.storeId, validation.storeName]))
+    : {}), [isMultiStore, cartValidations]);
+
+  const quote = isMultiStore ? null : storeQuotes[0] ?? null;
+  const couponResult = quote?.coupon ?? null;
+  const hasRejectedCoupon = Boolean(couponCode) && couponResult !== null && !couponResult.applied;
+
+  const handleApplyCoupon = useCallback(() => {
+    onCouponCodeChange(couponInput.trim().toUpperCase());
+  }, [couponInput, onCouponCodeChange]);
+
+  const handleRemoveCoupon = useCallback(() => {
+    setCouponInput('');
+    onCouponCodeChange('');
+  }, [onCouponCodeChange]);
+
+  const handleSlotChange = useCallback((storeId, choice) => {
+    setDeliverySlots((current) => ({ ...current, [storeId]: choice }));
+  }, []);
+
+  /**
+   * Asks the browser for the shopper's position to price distance-based delivery.
+   */
+  const handleShareLocation = useCallback(() => {
+    if (!('geolocation' in navigator)) {
+      notifications.show({
+        title: 'Location Unavailable',
+        message: 'Your browser cannot share your location.',
+        color: 'orange',
+        icon: <IconX size={18} />,
+      });
+      return;
+    }
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setIsLocating(false);
+        onDeliveryLocationChange({ lat: position.coords.latitude, lng: position.coords.longitude });
+      },
+      () => {
+        setIsLocating(false);
+        notifications.show({
+          title: 'Location Unavailable',
+          message: 'We could not get your location. Check your browser permissions and try again.',
+          color: 'orange',
+          icon: <IconX size={18} />,
+        });
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  }, [onDeliveryLocationChange]);
 
   // Initialize Mantine form hook
   const form = useForm({
     initialValues: {
       name: '',
       phone: '',
-      address: '',
+      addressId: NEW_ADDRESS,
+      house: '',
+      street: '',
+      landmark: '',
+      city: '',
+      pincode: '',
+      label: '',
+      saveAddress: true,
+      paymentMethod: 'cod',
     },
     validateInputOnBlur: true, // Validate fields when they lose focus
+    // Offers limited to a customer's first order (or N uses) need the number to re-quote
+    onValuesChange: (values, previous) => {
+      if (values.phone !== previous.phone) {
+        onCustomerPhoneChange(/^[6-9]\d{9}$/.test(values.phone.trim()) ? values.phone.trim() : '');
+      }
+    },
     validate: {
       name: (value) => (value.trim().length > 0 ? null : 'Name is required'),
       phone: (value) =>
         /^[6-9]\d{9}$/.test(value)
           ? null
           : 'Please enter a valid 10-digit Indian mobile number',
-      address: (value) =>
-        value.trim().length > 0 ? null : 'Delivery address is required',
+      // The address fields only apply when entering a new address
+      house: (value, values) =>
+        values.addressId !== NEW_ADDRESS || value.trim().length > 0 ? null : 'House or flat number is required',
+      city: (value, values) =>
+        values.addressId !== NEW_ADDRESS || value.trim().length > 0 ? null : 'City is required',
+      pincode: (value, values) =>
+        values.addressId !== NEW_ADDRESS || PINCODE_REGEX.test(value.trim()) ? null : 'Please enter a valid 6-digit pincode',
     },
   });
 
+  // The form's methods change identity on every render, so effects that only
+  // need to update the form reach it through this ref instead of depending on it
+  const formRef = useRef(form);
+  useEffect(() => {
+    formRef.current = form;
+  });
+
+  // Fill in a logged-in customer's saved details, keeping anything already typed.
+  // Their phone number is the verified login, so it replaces whatever was entered.
+  // Their most recently used address is picked unless they have started a new one.
+  useEffect(() => {
+    if (!customer) {
+      formRef.current.setFieldValue('addressId', NEW_ADDRESS); // Saved addresses leave with the account
+      return;
+    }
+    formRef.current.setValues((current) => ({
+      name: current.name || customer.name || '',
+      phone: customer.phone,
+      addressId: customer.addresses.some((address) => address.id === current.addressId)
+        ? current.addressId
+        : (!current.house && customer.addresses[0]?.id) || NEW_ADDRESS,
+    }));
+  }, [customer]);
+
+  // Flag saved addresses a store in the cart doesn't deliver to. The server decides with the
+  // shared location when there is one, so the check does too.
+  useEffect(() => {
+    if (!storeKey || savedAddresses.length === 0) {
+      setSavedServiceability({});
+      return undefined;
+    }
+    let isCurrent = true;
+    const cartStoreIds = storeKey.split(',');
+    Promise.all(savedAddresses.map((address) =>
+      checkEveryStore(cartStoreIds, { ...address, ...deliveryLocation }).then((byStore) => [address.id, byStore])
+    )).then((entries) => {
+      if (!isCurrent) return;
+      const results = Object.fromEntries(entries);
+      setSavedServiceability(results);
+      // Move off a selected address a store can't deliver to, if another one works
+      const selected = formRef.current.getValues().addressId;
+      if (summariseServiceability(results[selected])?.serviceable === false) {
+        const usable = savedAddresses.find((address) => summariseServiceability(results[address.id])?.serviceable);
+        if (usable) formRef.current.setFieldValue('addressId', usable.id);
+      }
+    });
+    return () => { isCurrent = false; };
+  }, [storeKey, savedAddresses, deliveryLocation]);
+
+  const { addressId, house, street, landmark, city, pincode, label } = form.values;
+  const isNewAddress = addressId === NEW_ADDRESS;
+  const newPincode = isNewAddress && PINCODE_REGEX.test(pincode.trim()) ? pincode.trim() : '';
+
+  // Check a new address's pincode as soon as it is complete
+  useEffect(() => {
+    setNewAddressServiceability(null);
+    if (!storeKey || !newPincode) return undefined;
+    let isCurrent = true;
+    checkEveryStore(storeKey.split(','), { pincode: newPincode, ...deliveryLocation })
+      .then((byStore) => { if (isCurrent) setNewAddressServiceability(byStore); });
+    return () => { isCurrent = false; };
+  }, [storeKey, newPincode, deliveryLocation]);
+
+  // The address the quote is checked against; a new one only once it is complete
+  const addressSelection = useMemo(() => {
+    if (!isNewAddress) return { addressId };
+    if (!house.trim() || !city.trim() || !newPincode) return null;
+    return { deliveryAddress: toAddressInput({ house, street, landmark, city, pincode, label }) };
+  }, [isNewAddress, addressId, house, street, landmark, city, pincode, label, newPincode]);
+
+  useEffect(() => {
+    onDeliveryAddressChange(addressSelection);
+  }, [addressSelection, onDeliveryAddressChange]);
+
+  const newAddressResult = summariseServiceability(newAddressServiceability, storeNames);
+  const selectedServiceability = isNewAddress ? newAddressResult : summariseServiceability(savedServiceability[addressId]);
+  const isUnserviceable = selectedServiceability?.serviceable === false;
+
   // Memoized form submission handler
   const handleSubmit = useCallback(
     async (values) => {
       // Note: `values` directly comes from `form.values` on submit
       // Check cart state before proceeding
-      if (items.length === 0 || !storeId) {
+      if (items.length === 0) {
         notifications.show({
           title: 'Cannot Place Order',
           message: 'Your cart is empty or the store context is invalid. Please add items to your cart.',
@@ -61,31 +370,60 @@ function CheckoutForm() {
 
       setIsSubmitting(true);
 
-      // Construct the payload conforming to apiService.OrderPayload
-      const orderData = {
-        storeId: storeId,
+      // The details shared by every order, conforming to apiService.OrderPayload
+      const sharedDetails = {
         customerDetails: {
           name: values.name.trim(),
           phone: values.phone.trim(),
-          address: values.address.trim(),
         },
-        // Map cart items to the required structure for the backend
-        items: items.map((item) => ({
-          productId: item.productId, // Ensure CartContext uses the correct ID field
-          name: item.name,
-          price: item.price,
-          quantity: item.quantity,
-        })),
+        ...(values.addressId === NEW_ADDRESS
+          ? { deliveryAddress: toAddressInput(values), saveAddress: Boolean(customer) && values.saveAddress }
+          : { addressId: values.addressId }),
+        ...(deliveryLocation ? { deliveryLocation } : {}),
+        paymentMethod: values.paymentMethod,
       };
 
       try {
-        // Call the API service to create the order
-        await createOrder(orderData);
+        // One store is a plain order; several become an order group, placed all together or not at all
+        let placed;
+        if (isMultiStore) {
+          const group = await createOrderGroup({
+            ...sharedDetails,
+            stores: storeIds.map((storeId) => ({
+              storeId,
+              items: items.filter((item) => item.storeId === storeId).map(toItemPayload),
+              ...(chosenSlots[storeId] ? { deliverySlot: chosenSlots[storeId] } : {}),
+            })),
+          });
+          placed = { orderGroupId: group._id };
+        } else {
+          const order = await createOrder({
+            ...sharedDetails,
+            storeId: storeIds[0],
+            items: items.map(toItemPayload),
+            ...(couponCode ? { couponCode } : {}),
+            ...(chosenSlots[storeIds[0]] ? { deliverySlot: chosenSlots[storeIds[0]] } : {}),
+          });
+          placed = { orderId: order._id };
+        }
+        if (customer) {
+          // Picks up a newly saved address and which address was used last
+          refreshCustomer().catch((err) => console.warn('[CheckoutForm] Could not refresh the customer profile:', err));
+        }
+
+        if (values.paymentMethod === 'online') {
+          // The order exists now; the payment modal takes it from here. The cart is
+          // cleared when the modal closes, as emptying it unmounts this form.
+          setPaying(placed);
+          return;
+        }
 
         // SUCCESS: Show notification, clear cart, reset form
         notifications.show({
-          title: 'Order Placed Successfully!',
-          message: 'Your order has been received and is being processed.',
+          title: isMultiStore ? 'Orders Placed Successfully!' : 'Order Placed Successfully!',
+          message: isMultiStore
+            ? `Your orders from ${storeIds.length} stores have been received and are being processed. Please pay in cash on delivery.`
+            : 'Your order has been received and is being processed. Please pay in cash on delivery.',
           color: 'green',
           icon: <IconCheck size={18} />,
           autoClose: 5000, // Close after 5 seconds
@@ -93,6 +431,9 @@ function CheckoutForm() {
 
         clearCart(); // Clear the cart context state
         form.reset(); // Reset form fields to initial values
+        setDeliverySlots({});
+        handleRemoveCoupon();
+        navigate(toPlacedPath(placed)); // Show the customer their order(s)
 
       } catch (error) {
         // FAILURE: Show error notification
@@ -111,9 +452,44 @@ function CheckoutForm() {
         setIsSubmitting(false);
       }
     },
-    [items, storeId, clearCart, form] // Dependencies for useCallback
+    [items, storeIds, isMultiStore, deliveryLocation, couponCode, chosenSlots, customer, refreshCustomer, clearCart, form, handleRemoveCoupon, navigate] // Dependencies for useCallback
   );
 
+  /**
+   * Reports how the online payment ended once the payment modal is closed.
+   * @param {'pending' | 'paid' | 'failed'} paymentStatus
+   */
+  const handlePaymentClosed = useCallback((paymentStatus) => {
+    const placed = paying;
+    const isGroup = Boolean(placed.orderGroupId);
+    setPaying(null);
+    clearCart();
+    form.reset();
+    setDeliverySlots({});
+    handleRemoveCoupon();
+    navigate(toPlacedPath(placed));
+    notifications.show(
+      paymentStatus === 'paid'
+        ? {
+            title: isGroup ? 'Orders Placed Successfully!' : 'Order Placed Successfully!',
+            message: isGroup
+              ? 'Your payment was received and your orders are being processed.'
+              : 'Your payment was received and your order is being processed.',
+            color: 'green',
+            icon: <IconCheck size={18} />,
+            autoClose: 5000,
+          }
+        : {
+            title: isGroup ? 'Orders Placed, Payment Pending' : 'Order Placed, Payment Pending',
+            message: isGroup
+              ? 'Your orders were placed but have not been paid yet. You can pay from your orders page.'
+              : 'Your order was placed but has not been paid yet. You can pay from your order page.',
+            color: 'orange',
+            icon: <IconX size={18} />,
+          }
+    );
+  }, [paying, clearCart, form, handleRemoveCoupon, navigate]);
+
   return (
     <Box pos="relative" mt="lg"> {/* Use margin-top instead of embedding in parent */}
       {/* Loading overlay covers the form during submission */}
@@ -126,6 +502,25 @@ function CheckoutForm() {
       {/* Form element triggering the handleSubmit callback */}
       <form onSubmit={form.onSubmit(handleSubmit)}>
         <Stack gap="md"> {/* Vertical spacing for form elements */}
+          <Paper withBorder radius="sm" p="xs">
+            <Group gap="xs" wrap="nowrap">
+              <IconUserCircle size={20} />
+              {customer ? (
+                <Text size="sm">
+                  Ordering as <strong>{customer.name || customer.phone}</strong>.{' '}
+                  <Anchor component="button" type="button" size="sm" onClick={logout}>Log out</Anchor>
+                </Text>
+              ) : (
+                <Text size="sm">
+                  <Anchor component="button" type="button" size="sm" onClick={() => setIsLoginOpen(true)}>
+                    Log in with your phone
+                  </Anchor>{' '}
+                  to fill in your saved details and keep track of your orders.
+                </Text>
+              )}
+            </Group>
+          </Paper>
+
           <TextInput
             withAsterisk
             label="Full Name"
@@ -138,29 +533,202 @@ function CheckoutForm() {
             label="Mobile Number"
             placeholder="Enter your 10-digit mobile number"
             type="tel" // Use 'tel' type for semantic meaning and potential mobile features
+            readOnly={Boolean(customer)} // A logged-in customer's number is their verified login
+            description={customer ? 'Verified. Log out to order with a different number.' : undefined}
             {...form.getInputProps('phone')}
           />
 
-          <Textarea
-            withAsterisk
-            label="Delivery Address"
-            placeholder="Enter your full delivery address (including house/flat no., street, landmark, etc.)"
-            minRows={3} // Suggest a minimum height
-            autosize // Allow automatic resizing if needed
-            {...form.getInputProps('address')}
-          />
+          <Stack gap="xs">
+            <Text size="sm" fw={500}>Delivery Address</Text>
+            {savedAddresses.length > 0 && (
+              <Radio.Group {...form.getInputProps('addressId')}>
+                <Stack gap="xs">
+                  {savedAddresses.map((address) => {
+                    const result = summariseServiceability(savedServiceability[address.id], storeNames);
+                    return (
+                      <Radio
+                        key={address.id}
+                        value={address.id}
+                        label={address.label || 'Saved address'}
+                        description={formatAddress(address)}
+                        disabled={result?.serviceable === false}
+                        error={result?.serviceable === false ? result.message : undefined}
+                      />
+                    );
+                  })}
+                  <Radio value={NEW_ADDRESS} label="A new address" />
+                </Stack>
+              </Radio.Group>
+            )}
+
+            {isNewAddress && (
+              <>
+                <TextInput
+                  withAsterisk
+                  label="House / Flat"
+                  placeholder="e.g. Flat 4B, Lotus Apartments"
+                  {...form.getInputProps('house')}
+                />
+                <TextInput label="Street / Area" placeholder="e.g. MG Road" {...form.getInputProps('street')} />
+                <TextInput label="Landmark" placeholder="e.g. Near the metro station" {...form.getInputProps('landmark')} />
+                <Group grow align="flex-start">
+                  <TextInput withAsterisk label="City" {...form.getInputProps('city')} />
+                  <TextInput
+                    withAsterisk
+                    label="Pincode"
+                    placeholder="6-digit pincode"
+                    inputMode="numeric"
+                    maxLength={6}
+                    {...form.getInputProps('pincode')}
+                    error={form.errors.pincode || (newAddressResult?.serviceable === false && newAddressResult.message)}
+                  />
+                </Group>
+                {customer && (
+                  <Group grow align="flex-end">
+                    <TextInput label="Label" placeholder="Home, Work..." {...form.getInputProps('label')} />
+                    <Checkbox
+                      label="Save to my addresses"
+                      {...form.getInputProps('saveAddress', { type: 'checkbox' })}
+                    />
+                  </Group>
+                )}
+              </>
+            )}
+          </Stack>
+
+          <Group gap="sm">
+            <Button
+              variant="light"
+              size="xs"
+              leftSection={<IconCurrentLocation size={14} />}
+              loading={isLocating}
+              onClick={handleShareLocation}
+            >
+              {deliveryLocation ? 'Update My Location' : 'Share My Location'}
+            </Button>
+            <Text size="xs" c="dimmed">
+              {deliveryLocation
+                ? `Location shared. Your delivery fee is based on your distance from the ${isMultiStore ? 'stores' : 'store'}.`
+                : 'Helps the store find you. Some stores need it to work out the delivery fee.'}
+            </Text>
+          </Group>
+
+          {schedulableStoreIds.map((storeId) => (
+            <DeliverySlotPicker
+              key={storeId}
+              storeId={storeId}
+              storeName={isMultiStore ? storeNames[storeId] ?? undefined : undefined}
+              canDeliverNow={Boolean(cartValidations[storeId].openStatus?.isOpen)}
+              value={deliverySlots[storeId] ?? null}
+              onChange={(choice) => handleSlotChange(storeId, choice)}
+            />
+          ))}
+
+          {isMultiStore ? (
+            <Text size="xs" c="dimmed">
+              <IconTicket size={14} style={{ verticalAlign: 'middle' }} /> Coupons can be used when ordering from a single store.
+            </Text>
+          ) : (
+            <Stack gap={4}>
+              <Group gap="sm" align="flex-end">
+                <TextInput
+                  label="Coupon Code"
+                  placeholder="Have a coupon?"
+                  leftSection={<IconTicket size={16} />}
+                  value={couponInput}
+                  onChange={(event) => setCouponInput(event.currentTarget.value)}
+                  onKeyDown={(event) => {
+                    // Enter applies the coupon instead of submitting the order
+                    if (event.key === 'Enter') {
+                      event.preventDefault();
+                      handleApplyCoupon();
+                    }
+                  }}
+                  disabled={Boolean(couponCode)}
+                  style={{ flex: 1 }}
+                />
+                {couponCode ? (
+                  <Button variant="default" onClick={handleRemoveCoupon}>
+                    Remove
+                  </Button>
+                ) : (
+                  <Button variant="light" onClick={handleApplyCoupon} disabled={!couponInput.trim()}>
+                    Apply
+                  </Button>
+                )}
+              </Group>
+              {couponCode && couponResult && !isQuoteLoading && (
+                <Text size="sm" c={couponResult.applied ? 'green' : 'red'}>
+                  {couponResult.message}
+                </Text>
+              )}
+            </Stack>
+          )}
+
+          <Radio.Group label="Payment Method" withAsterisk {...form.getInputProps('paymentMethod')}>
+            <Stack gap="xs" mt="xs">
+              <Radio value="cod" label="Cash on Delivery" />
+              <Radio value="online" label="Pay Online (UPI / Card)" />
+            </Stack>
+          </Radio.Group>
 
           {/* Submit button group */}
           <Group justify="flex-end" mt="md">
-            <Button type="submit" loading={isSubmitting}>
-              Place Order
+            <Button
+              type="submit"
+              loading={isSubmitting}
+              disabled={
+                !isFullyQuoted || isQuoteLoading || !meetsMinimumOrder || hasRejectedCoupon || isUnserviceable
+                || isValidating || isCartBlocked || isSlotIncomplete
+              }
+            >
+              {form.values.paymentMethod === 'online' ? 'Place Order & Pay' : 'Place Order'}
+              {isMultiStore ? ` (${storeIds.length} stores)` : ''}
+              {grandTotal !== null ? ` · ${formatCurrency(grandTotal)}` : ''}
             </Button>
           </Group>
         </Stack>
       </form>
+
+      <OnlinePaymentModal
+        orderId={paying?.orderId ?? null}
+        orderGroupId={paying?.orderGroupId ?? null}
+        onClose={handlePaymentClosed}
+      />
+      <CustomerLoginModal
+        opened={isLoginOpen}
+        onClose={() => setIsLoginOpen(false)}
+        initialPhone={/^[6-9]\d{9}$/.test(form.values.phone.trim()) ? form.values.phone.trim() : ''}
+      />
     </Box>
   );
 }
 
+CheckoutForm.propTypes = {
+  quotes: PropTypes.objectOf(PropTypes.shape({
+    pricing: PropTypes.shape({ grandTotal: PropTypes.number.isRequired }).isRequired,
+    meetsMinimumOrder: PropTypes.bool.isRequired,
+    coupon: PropTypes.shape({
+      code: PropTypes.string.isRequired,
+      applied: PropTypes.bool.isRequired,
+      message: PropTypes.string.isRequired,
+    }),
+  })).isRequired,
+  isQuoteLoading: PropTypes.bool,
+  cartValidations: PropTypes.objectOf(PropTypes.shape({
+    storeId: PropTypes.string.isRequired,
+    storeName: PropTypes.string,
+    openStatus: PropTypes.shape({ isOpen: PropTypes.bool.isRequired }),
+    canCheckout: PropTypes.bool.isRequired,
+    canSchedule: PropTypes.bool,
+  })),
+  isValidating: PropTypes.bool,
+  deliveryLocation: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number }),
+  onDeliveryLocationChange: PropTypes.func.isRequired,
+  onDeliveryAddressChange: PropTypes.func.isRequired,
+  couponCode: PropTypes.string.isRequired,
+  onCouponCodeChange: PropTypes.func.isRequired,
+  onCustomerPhoneChange: PropTypes.func.isRequired,
+};
+
 export default CheckoutForm;
-</code>
\ No newline at end of file
@@ -0,0 +1,165 @@
+// frontend/src/components/CustomerLoginModal.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Stack, Text, TextInput, PinInput, Button, Group, Alert, Anchor } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconCheck, IconAlertCircle } from '@tabler/icons-react';
+import { requestCustomerOtp } from '../services/apiService.js';
+import { useCustomerAuth } from '../context/CustomerAuthContext.jsx';
+
+const OTP_LENGTH = 6;
+const MOBILE_NUMBER_REGEX = /^[6-9]\d{9}$/;
+
+/**
+ * Phone number login for customers: the number gets a one-time code by SMS,
+ * and entering it logs the customer in (creating the account the first time).
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {boolean} props.opened
+ * @param {() => void} props.onClose
+ * @param {string} [props.initialPhone] - Prefills the number, e.g. from the checkout form.
+ */
+function CustomerLoginModal({ opened, onClose, initialPhone = '' }) {
+  const { login } = useCustomerAuth();
+  /** @type {['phone' | 'code', Function]} */
+  const [step, setStep] = useState('phone');
+  const [phone, setPhone] = useState(initialPhone);
+  const [code, setCode] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  /** @type {[string | null, Function]} */
+  const [error, setError] = useState(null);
+  const [resendIn, setResendIn] = useState(0); // Seconds until another code may be requested
+
+  // Start over every time the modal opens
+  useEffect(() => {
+    if (opened) {
+      setStep('phone');
+      setPhone(initialPhone);
+      setCode('');
+      setError(null);
+    }
+  }, [opened, initialPhone]);
+
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const sendCode = useCallback(async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const { resendAfterSeconds } = await requestCustomerOtp(phone.trim());
+      setStep('code');
+      setCode('');
+      setResendIn(resendAfterSeconds);
+    } catch (err) {
+      setError(err?.message || 'Could not send the code. Please try again.');
+      if (err?.details?.retryAfterSeconds) setResendIn(err.details.retryAfterSeconds);
+    } finally {
+      setIsBusy(false);
+    }
+  }, [phone]);
+
+  const verifyCode = useCallback(async (value) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const { customer, isNewCustomer } = await login(phone.trim(), value);
+      notifications.show({
+        title: isNewCustomer ? 'Welcome to Dillidash!' : 'Welcome Back!',
+        message: `You're logged in as ${customer.phone}.`,
+        color: 'green',
+        icon: <IconCheck size={18} />,
+      });
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Could not verify the code. Please try again.');
+      setCode('');
+    } finally {
+      setIsBusy(false);
+    }
+  }, [phone, login, onClose]);
+
+  return (
+    <Modal opened={opened} onClose={onClose} title="Log in with your phone" size="sm">
+      <Stack gap="md">
+        {error && (
+          <Alert color="red" variant="light" icon={<IconAlertCircle size={18} />}>
+            {error}
+          </Alert>
+        )}
+
+        {step === 'phone' ? (
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              sendCode();
+            }}
+          >
+            <Stack gap="md">
+              <Text size="sm" c="dimmed">
+                We&apos;ll text you a {OTP_LENGTH}-digit code. Your details and orders are saved to your number.
+              </Text>
+              <TextInput
+                label="Mobile Number"
+                placeholder="10-digit mobile number"
+                type="tel"
+                value={phone}
+                onChange={(event) => {
+                  setPhone(event.currentTarget.value);
+                  setResendIn(0); // The wait applies to the number the last code went to
+                }}
+                data-autofocus
+              />
+              <Button
+                type="submit"
+                loading={isBusy}
+                disabled={!MOBILE_NUMBER_REGEX.test(phone.trim()) || resendIn > 0}
+              >
+                {resendIn > 0 ? `Send Code (${resendIn}s)` : 'Send Code'}
+              </Button>
+            </Stack>
+          </form>
+        ) : (
+          <Stack gap="md">
+            <Text size="sm">
+              Enter the code sent to <strong>{phone.trim()}</strong>.{' '}
+              <Anchor component="button" size="sm" onClick={() => setStep('phone')}>Change number</Anchor>
+            </Text>
+            <Group justify="center">
+              <PinInput
+                length={OTP_LENGTH}
+                type="number"
+                oneTimeCode
+                value={code}
+                onChange={setCode}
+                onComplete={verifyCode}
+                disabled={isBusy}
+                autoFocus
+              />
+            </Group>
+            <Group justify="space-between">
+              <Button variant="subtle" size="xs" onClick={sendCode} disabled={resendIn > 0 || isBusy}>
+                {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+              </Button>
+              <Button onClick={() => verifyCode(code)} loading={isBusy} disabled={code.length !== OTP_LENGTH}>
+                Verify
+              </Button>
+            </Group>
+          </Stack>
+        )}
+      </Stack>
+    </Modal>
+  );
+}
+
+CustomerLoginModal.propTypes = {
+  opened: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  initialPhone: PropTypes.string,
+};
+
+export default CustomerLoginModal;
@@ -0,0 +1,160 @@
+// frontend/src/components/DeliveryBatchPanel.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Paper, Stack, Group, Title, Text, Badge, Button, Menu, SimpleGrid } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconX, IconBike, IconWand, IconRoute } from '@tabler/icons-react';
+import { fetchDeliveryBatches, createDeliveryBatch, dissolveDeliveryBatch } from '../services/apiService.js';
+import DeliveryBatchRoute from './DeliveryBatchRoute.jsx';
+import { RIDER_STATUS_BADGES } from './OrderRiderControl.jsx';
+
+/**
+ * @typedef {import('../services/apiService.js').Order} Order
+ * @typedef {import('../services/apiService.js').StoreRider} StoreRider
+ * @typedef {import('../services/apiService.js').DeliveryBatch} DeliveryBatch
+ */
+
+/**
+ * The store dashboard's delivery batches: accepted orders going to nearby
+ * addresses that one rider could take in a single trip, each with a planned
+ * route, and the batches already out with riders. Hidden while there are
+ * neither.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {string} props.storeId
+ * @param {Order[]} props.orders - The dashboard's orders; batches are reloaded whenever they change.
+ * @param {StoreRider[]} props.riders - The store's riders.
+ * @param {() => void} props.onRidersChange - Called after riders were given or relieved of a batch.
+ */
+function DeliveryBatchPanel({ storeId, orders, riders, onRidersChange }) {
+  /** @type {[{ batches: DeliveryBatch[], suggestions: DeliveryBatch[] }, Function]} */
+  const [data, setData] = useState({ batches: [], suggestions: [] });
+  /** @type {[string | null, Function]} */
+  const [savingKey, setSavingKey] = useState(null); // The batch (or suggestion) being changed
+
+  const loadBatches = useCallback(async () => {
+    try {
+      setData(await fetchDeliveryBatches(storeId));
+    } catch (err) {
+      console.error('[DeliveryBatchPanel] Failed to fetch delivery batches:', err);
+    }
+  }, [storeId]);
+
+  useEffect(() => {
+    if (storeId) loadBatches();
+  }, [storeId, orders, loadBatches]);
+
+  const runChange = useCallback(async (key, change, failureTitle) => {
+    setSavingKey(key);
+    try {
+      await change();
+      await loadBatches();
+      onRidersChange();
+    } catch (err) {
+      notifications.show({
+        title: failureTitle,
+        message: err?.message || 'An unexpected error occurred. Please try again.',
+        color: 'red',
+        icon: <IconX size={18} />,
+      });
+    } finally {
+      setSavingKey(null);
+    }
+  }, [loadBatches, onRidersChange]);
+
+  if (data.batches.length === 0 && data.suggestions.length === 0) {
+    return null;
+  }
+
+  const assign = (suggestion, assignment) => {
+    const orderIds = suggestion.stops.map((stop) => stop.orderId);
+    runChange(orderIds.join(','), () => createDeliveryBatch(storeId, orderIds, assignment), 'Could Not Assign Batch');
+  };
+
+  return (
+    <Paper withBorder radius="md" p="md">
+      <Group gap="xs" mb="sm">
+        <IconRoute size={18} />
+        <Title order={5}>Delivery Batches</Title>
+      </Group>
+      <SimpleGrid cols={{ base: 1, md: 2, lg: 3 }} spacing="md">
+        {data.suggestions.map((suggestion) => {
+          const key = suggestion.stops.map((stop) => stop.orderId).join(',');
+          return (
+            <Paper key={key} withBorder radius="md" p="sm" bg="var(--mantine-color-gray-0)">
+              <Stack gap="sm">
+                <Group justify="space-between">
+                  <Badge variant="light" color="grape">Suggested · {suggestion.stops.length} orders</Badge>
+                  <Menu shadow="md" position="bottom-end" withinPortal>
+                    <Menu.Target>
+                      <Button size="compact-xs" variant="light" leftSection={<IconBike size={14} />} loading={savingKey === key}>
+                        Assign
+                      </Button>
+                    </Menu.Target>
+                    <Menu.Dropdown>
+                      <Menu.Item leftSection={<IconWand size={14} />} onClick={() => assign(suggestion, { auto: true })}>
+                        Nearest idle rider
+                      </Menu.Item>
+                      <Menu.Divider />
+                      {riders.length === 0 && <Menu.Label>No riders set up for this store</Menu.Label>}
+                      {riders.map((rider) => (
+                        <Menu.Item
+                          key={rider.id}
+                          onClick={() => assign(suggestion, { riderId: rider.id })}
+                          rightSection={(
+                            <Badge size="xs" variant="light" color={RIDER_STATUS_BADGES[rider.status]?.color}>
+                              {RIDER_STATUS_BADGES[rider.status]?.label ?? rider.status}
+                            </Badge>
+                          )}
+                        >
+                          {rider.name}
+                        </Menu.Item>
+                      ))}
+                    </Menu.Dropdown>
+                  </Menu>
+                </Group>
+                <DeliveryBatchRoute batch={suggestion} />
+              </Stack>
+            </Paper>
+          );
+        })}
+        {data.batches.map((batch) => (
+          <Paper key={batch._id} withBorder radius="md" p="sm">
+            <Stack gap="sm">
+              <Group justify="space-between">
+                <Group gap={6}>
+                  <IconBike size={16} />
+                  <Text size="sm" fw={600}>{batch.riderName ?? 'Rider'}</Text>
+                </Group>
+                <Button
+                  size="compact-xs"
+                  variant="subtle"
+                  color="red"
+                  loading={savingKey === batch._id}
+                  onClick={() => runChange(batch._id, () => dissolveDeliveryBatch(storeId, batch._id), 'Could Not Break Up Batch')}
+                >
+                  Break up
+                </Button>
+              </Group>
+              <DeliveryBatchRoute batch={batch} />
+            </Stack>
+          </Paper>
+        ))}
+      </SimpleGrid>
+    </Paper>
+  );
+}
+
+DeliveryBatchPanel.propTypes = {
+  storeId: PropTypes.string.isRequired,
+  orders: PropTypes.array.isRequired,
+  riders: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+  })).isRequired,
+  onRidersChange: PropTypes.func.isRequired,
+};
+
+export default DeliveryBatchPanel;
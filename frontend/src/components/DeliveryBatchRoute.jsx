@@ -0,0 +1,77 @@
+// frontend/src/components/DeliveryBatchRoute.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Timeline, Text, Group, Badge } from '@mantine/core';
+import { IconBuildingStore, IconCircleCheck, IconCircleX } from '@tabler/icons-react';
+import { formatDistance, formatStoreTime } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').DeliveryBatch} DeliveryBatch
+ */
+
+/**
+ * A delivery batch's route as a timeline from the store through each stop,
+ * with the distance and ETA of each. Shared by the store dashboard and the
+ * rider's app.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {DeliveryBatch} props.batch
+ */
+function DeliveryBatchRoute({ batch }) {
+  const doneCount = batch.stops.filter((stop) => stop.status === 'delivered' || stop.status === 'cancelled').length;
+
+  return (
+    <Timeline active={doneCount} bulletSize={22} lineWidth={2}>
+      <Timeline.Item title="Store" bullet={<IconBuildingStore size={14} />}>
+        <Text size="xs" c="dimmed">
+          {formatDistance(batch.totalDistanceKm)} in all
+          {batch.estimatedCompletionAt ? ` · done by ${formatStoreTime(batch.estimatedCompletionAt)}` : ''}
+        </Text>
+      </Timeline.Item>
+      {batch.stops.map((stop) => (
+        <Timeline.Item
+          key={stop.orderId}
+          title={`${stop.sequence}. ${stop.customerName} · #${stop.orderId.slice(-6)}`}
+          color={stop.status === 'cancelled' ? 'red' : 'blue'}
+          bullet={
+            stop.status === 'delivered' ? <IconCircleCheck size={14} />
+              : stop.status === 'cancelled' ? <IconCircleX size={14} />
+                : <Text size="xs" fw={700}>{stop.sequence}</Text>
+          }
+        >
+          <Text size="xs" c="dimmed">{stop.address}</Text>
+          <Group gap={6} mt={2}>
+            <Text size="xs">+{formatDistance(stop.legDistanceKm)}</Text>
+            {stop.status === 'delivered' && <Text size="xs" c="green">Delivered {formatStoreTime(stop.estimatedArrivalAt)}</Text>}
+            {stop.status === 'cancelled' && <Text size="xs" c="red">Cancelled</Text>}
+            {stop.status !== 'delivered' && stop.estimatedArrivalAt && (
+              <Text size="xs">ETA {formatStoreTime(stop.estimatedArrivalAt)}</Text>
+            )}
+            {stop.isLate && <Badge size="xs" color="red" variant="light">Due {formatStoreTime(stop.dueAt)}</Badge>}
+          </Group>
+        </Timeline.Item>
+      ))}
+    </Timeline>
+  );
+}
+
+DeliveryBatchRoute.propTypes = {
+  batch: PropTypes.shape({
+    totalDistanceKm: PropTypes.number.isRequired,
+    estimatedCompletionAt: PropTypes.string,
+    stops: PropTypes.arrayOf(PropTypes.shape({
+      sequence: PropTypes.number.isRequired,
+      orderId: PropTypes.string.isRequired,
+      status: PropTypes.string.isRequired,
+      customerName: PropTypes.string.isRequired,
+      address: PropTypes.string,
+      legDistanceKm: PropTypes.number.isRequired,
+      estimatedArrivalAt: PropTypes.string,
+      dueAt: PropTypes.string.isRequired,
+      isLate: PropTypes.bool.isRequired,
+    })).isRequired,
+  }).isRequired,
+};
+
+export default DeliveryBatchRoute;
@@ -0,0 +1,139 @@
+// frontend/src/components/DeliverySlotPicker.jsx
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { Stack, Text, SegmentedControl, Select, Radio, Loader } from '@mantine/core';
+import { fetchDeliverySlots } from '../services/apiService.js';
+import { getStoreDates } from '../utils/helpers.js';
+
+// Today and the week after it, as far ahead as the backend takes bookings (MAX_SLOT_DAYS_AHEAD)
+const SLOT_BOOKING_DAYS = 8;
+
+/**
+ * The delivery time chosen for one store's order: null for as soon as
+ * possible, or a date with the slot picked on it (null until one is).
+ * @typedef {{ date: string, slotId: string | null } | null} DeliverySlotChoice
+ */
+
+/**
+ * Lets the shopper have a store's order delivered straight away or book one
+ * of its delivery slots, e.g. tomorrow 7–9 am. Slots that are full or whose
+ * bookings have closed are shown but can't be picked. A store that is closed
+ * right now can only be booked for a slot.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {string} props.storeId
+ * @param {string} [props.storeName] - Shown when the cart has several stores.
+ * @param {boolean} props.canDeliverNow - False while the store is closed.
+ * @param {DeliverySlotChoice} props.value
+ * @param {(value: DeliverySlotChoice) => void} props.onChange
+ */
+function DeliverySlotPicker({ storeId, storeName, canDeliverNow, value, onChange }) {
+  const dates = useMemo(() => getStoreDates(SLOT_BOOKING_DAYS), []);
+  /** @type {[import('../services/apiService.js').DeliverySlot[] | null, Function]} */
+  const [slots, setSlots] = useState(null); // null while loading
+  const [loadError, setLoadError] = useState(null);
+  const date = value?.date ?? null;
+
+  // The parent passes a new onChange on every render; the effects below call the latest one
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  // A closed store only takes scheduled orders
+  useEffect(() => {
+    if (!canDeliverNow && !value) onChangeRef.current({ date: dates[0].value, slotId: null });
+  }, [canDeliverNow, value, dates]);
+
+  useEffect(() => {
+    if (!date) return undefined;
+    let isCurrent = true;
+    setSlots(null);
+    setLoadError(null);
+    fetchDeliverySlots(storeId, date)
+      .then((result) => { if (isCurrent) setSlots(result.slots); })
+      .catch((err) => {
+        if (!isCurrent) return;
+        setSlots([]);
+        setLoadError(err?.message || 'Could not load delivery slots.');
+      });
+    return () => { isCurrent = false; };
+  }, [storeId, date]);
+
+  // Drop a picked slot that has filled up or closed since
+  useEffect(() => {
+    if (value?.slotId && slots && !slots.some((slot) => slot.slotId === value.slotId && slot.isAvailable)) {
+      onChangeRef.current({ ...value, slotId: null });
+    }
+  }, [slots, value]);
+
+  let slotList;
+  if (slots === null) {
+    slotList = <Loader size="xs" />;
+  } else if (loadError) {
+    slotList = <Text size="xs" c="red">{loadError}</Text>;
+  } else if (slots.length === 0) {
+    slotList = <Text size="xs" c="dimmed">No delivery slots on this day. Try another one.</Text>;
+  } else {
+    slotList = (
+      <Radio.Group value={value.slotId ?? ''} onChange={(slotId) => onChange({ ...value, slotId })}>
+        <Stack gap={6}>
+          {slots.map((slot) => {
+            let description = `${slot.remaining} left`;
+            if (slot.remaining === 0) description = 'Full';
+            else if (!slot.isAvailable) description = 'No longer taking bookings';
+            return (
+              <Radio
+                key={slot.slotId}
+                value={slot.slotId}
+                label={`${slot.starts} – ${slot.ends}`}
+                description={description}
+                disabled={!slot.isAvailable}
+              />
+            );
+          })}
+        </Stack>
+      </Radio.Group>
+    );
+  }
+
+  return (
+    <Stack gap="xs">
+      <Text size="sm" fw={500}>{storeName ? `Delivery from ${storeName}` : 'Delivery Time'}</Text>
+      <SegmentedControl
+        value={value ? 'scheduled' : 'now'}
+        onChange={(mode) => onChange(mode === 'scheduled' ? { date: dates[0].value, slotId: null } : null)}
+        data={[
+          { value: 'now', label: 'As soon as possible', disabled: !canDeliverNow },
+          { value: 'scheduled', label: 'Schedule a slot' },
+        ]}
+      />
+      {value && (
+        <>
+          <Select
+            label="Day"
+            data={dates}
+            value={value.date}
+            onChange={(nextDate) => onChange({ date: nextDate, slotId: null })}
+            allowDeselect={false}
+          />
+          {slotList}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+DeliverySlotPicker.propTypes = {
+  storeId: PropTypes.string.isRequired,
+  storeName: PropTypes.string,
+  canDeliverNow: PropTypes.bool.isRequired,
+  value: PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    slotId: PropTypes.string,
+  }),
+  onChange: PropTypes.func.isRequired,
+};
+
+export default DeliverySlotPicker;
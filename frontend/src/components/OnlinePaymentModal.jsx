@@ -0,0 +1,152 @@
+// frontend/src/components/OnlinePaymentModal.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Stack, Text, Group, Button, Loader, Alert, Center } from '@mantine/core';
+import { IconCheck, IconAlertCircle, IconCreditCard } from '@tabler/icons-react';
+import { createPaymentIntent, createOrderGroupPaymentIntent, completeMockPayment } from '../services/apiService.js';
+import { formatCurrency } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').PaymentIntent} PaymentIntent
+ */
+
+/**
+ * Takes the customer through paying for an order placed with online payment.
+ * It starts a payment intent, then completes it on the provider's side. The
+ * only provider so far is the backend's mock gateway, which this renders as
+ * a pay / decline choice. A failed payment can be retried with a fresh intent.
+ * Given an order group instead of an order, one payment covers every order
+ * in the group that is still unpaid.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {string | null} [props.orderId] - The order to pay for; the modal is open while set.
+ * @param {string | null} [props.orderGroupId] - Or the order group to pay for.
+ * @param {(paymentStatus: 'pending' | 'paid' | 'failed') => void} props.onClose - Called with the
+ *   payment status when the customer closes the modal.
+ */
+function OnlinePaymentModal({ orderId = null, orderGroupId = null, onClose }) {
+  /** @type {[PaymentIntent | null, Function]} */
+  const [intent, setIntent] = useState(null);
+  /** @type {['starting' | 'ready' | 'processing' | 'paid' | 'failed', Function]} */
+  const [phase, setPhase] = useState('starting');
+  const [message, setMessage] = useState('');
+
+  const startPayment = useCallback(async () => {
+    setPhase('starting');
+    setMessage('');
+    try {
+      setIntent(await (orderGroupId ? createOrderGroupPaymentIntent(orderGroupId) : createPaymentIntent(orderId)));
+      setPhase('ready');
+    } catch (err) {
+      setPhase('failed');
+      setMessage(err?.message || 'Could not start the payment. Please try again.');
+    }
+  }, [orderId, orderGroupId]);
+
+  const isOpen = Boolean(orderId || orderGroupId);
+  useEffect(() => {
+    if (isOpen) {
+      startPayment();
+    } else {
+      setIntent(null);
+    }
+  }, [isOpen, startPayment]);
+
+  const completePayment = useCallback(async (outcome) => {
+    setPhase('processing');
+    try {
+      const result = await completeMockPayment(intent.intentId, intent.clientSecret, outcome);
+      if (result.paymentStatus === 'paid') {
+        setPhase('paid');
+      } else {
+        setPhase('failed');
+        // A group's orders share the payment, and so its failure reason
+        const payment = result.orders ? result.orders[0].payment : result.payment;
+        setMessage(payment?.failureReason || 'The payment did not go through.');
+      }
+    } catch (err) {
+      setPhase('failed');
+      setMessage(err?.message || 'The payment did not go through.');
+    }
+  }, [intent]);
+
+  const handleClose = () => {
+    if (phase === 'processing') return; // Don't lose track of a payment mid-flight
+    onClose(phase === 'paid' ? 'paid' : phase === 'failed' ? 'failed' : 'pending');
+  };
+
+  return (
+    <Modal opened={isOpen} onClose={handleClose} title="Pay Online" centered>
+      {(phase === 'starting' || phase === 'processing') && (
+        <Center py="lg">
+          <Loader type="bars" />
+          <Text ml="sm">{phase === 'starting' ? 'Starting payment...' : 'Processing payment...'}</Text>
+        </Center>
+      )}
+
+      {phase === 'ready' && intent && (
+        <Stack gap="md">
+          <Text>
+            Amount due: <Text span fw={700}>{formatCurrency(intent.amount)}</Text>
+          </Text>
+          {intent.provider === 'mock' ? (
+            <>
+              <Text size="sm" c="dimmed">
+                Test payment gateway: no money is taken. Choose how the payment should turn out.
+              </Text>
+              <Group justify="flex-end">
+                <Button variant="default" color="red" onClick={() => completePayment('failure')}>
+                  Decline
+                </Button>
+                <Button leftSection={<IconCreditCard size={16} />} onClick={() => completePayment('success')}>
+                  Pay {formatCurrency(intent.amount)}
+                </Button>
+              </Group>
+            </>
+          ) : (
+            <Alert color="orange" icon={<IconAlertCircle size={18} />}>
+              The payment provider &quot;{intent.provider}&quot; is not supported by this app yet.
+            </Alert>
+          )}
+        </Stack>
+      )}
+
+      {phase === 'paid' && (
+        <Stack gap="md">
+          <Alert color="green" icon={<IconCheck size={18} />} title="Payment Successful">
+            {orderGroupId
+              ? 'Your orders are paid. The stores will start preparing them shortly.'
+              : 'Your order is paid. The store will start preparing it shortly.'}
+          </Alert>
+          <Group justify="flex-end">
+            <Button onClick={handleClose}>Done</Button>
+          </Group>
+        </Stack>
+      )}
+
+      {phase === 'failed' && (
+        <Stack gap="md">
+          <Alert color="red" icon={<IconAlertCircle size={18} />} title="Payment Failed">
+            {message}
+          </Alert>
+          <Text size="sm" c="dimmed">
+            {orderGroupId ? 'Your orders have been placed.' : 'Your order has been placed.'} You can try paying again now.
+          </Text>
+          <Group justify="flex-end">
+            <Button variant="default" onClick={handleClose}>Close</Button>
+            <Button onClick={startPayment}>Try Again</Button>
+          </Group>
+        </Stack>
+      )}
+    </Modal>
+  );
+}
+
+OnlinePaymentModal.propTypes = {
+  orderId: PropTypes.string,
+  orderGroupId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default OnlinePaymentModal;
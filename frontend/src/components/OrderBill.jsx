@@ -0,0 +1,147 @@
+// frontend/src/components/OrderBill.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Stack, Group, Text, Table, Divider, Badge } from '@mantine/core';
+import OrderPriceBreakdown from './OrderPriceBreakdown.jsx';
+import { formatCurrency, formatDate } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Order} Order
+ */
+
+/** Badge color for each refund status. */
+const REFUND_STATUS_COLORS = {
+  pending: 'yellow',
+  processing: 'yellow',
+  processed: 'green',
+  failed: 'red',
+};
+
+/** Customer-facing wording for each payment status. */
+const PAYMENT_STATUS_LABELS = {
+  pending: 'Not paid yet',
+  paid: 'Paid',
+  failed: 'Payment failed',
+  partially_refunded: 'Paid · partly refunded',
+  refunded: 'Refunded',
+};
+
+/**
+ * The customer's bill for a placed order, reflecting any changes the store
+ * made afterwards: removed items are shown struck through with the store's
+ * reason, the totals are the re-priced ones and refunds are listed.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {Order} props.order
+ */
+function OrderBill({ order }) {
+  const refunds = order.refunds ?? [];
+
+  return (
+    <Stack gap="md">
+      <Table verticalSpacing="xs">
+        <Table.Thead>
+          <Table.Tr>
+            <Table.Th>Item</Table.Th>
+            <Table.Th ta="center">Qty</Table.Th>
+            <Table.Th ta="right">Amount</Table.Th>
+          </Table.Tr>
+        </Table.Thead>
+        <Table.Tbody>
+          {order.items.map((item) => {
+            const isUnavailable = item.quantity === 0;
+            return (
+              <Table.Tr key={item.productId}>
+                <Table.Td>
+                  <Text size="sm" td={isUnavailable ? 'line-through' : undefined} c={isUnavailable ? 'dimmed' : undefined}>
+                    {item.name}
+                  </Text>
+                  {item.cancelledQuantity > 0 && (
+                    <Text size="xs" c="orange">
+                      {isUnavailable ? 'Unavailable' : `${item.cancelledQuantity} removed by the store`}
+                      {item.cancellationReason ? ` · ${item.cancellationReason}` : ''}
+                    </Text>
+                  )}
+                </Table.Td>
+                <Table.Td ta="center">
+                  <Text size="sm">
+                    {item.cancelledQuantity > 0 ? `${item.quantity} of ${item.quantity + item.cancelledQuantity}` : item.quantity}
+                  </Text>
+                </Table.Td>
+                <Table.Td ta="right">
+                  <Text size="sm">{formatCurrency(item.price * item.quantity)}</Text>
+                </Table.Td>
+              </Table.Tr>
+            );
+          })}
+        </Table.Tbody>
+      </Table>
+
+      {order.pricing ? (
+        <OrderPriceBreakdown pricing={order.pricing} discounts={order.discounts} />
+      ) : (
+        <Group justify="space-between">
+          <Text size="lg" fw={700}>Total</Text>
+          <Text size="lg" fw={700}>{formatCurrency(order.totalAmount)}</Text>
+        </Group>
+      )}
+
+      <Group justify="space-between">
+        <Text size="sm" c="dimmed">
+          Payment: {order.paymentMethod === 'online' ? 'Online' : 'Cash on delivery'}
+        </Text>
+        <Text size="sm" fw={500}>{PAYMENT_STATUS_LABELS[order.paymentStatus] ?? order.paymentStatus}</Text>
+      </Group>
+
+      {refunds.length > 0 && (
+        <>
+          <Divider label="Refunds" labelPosition="left" />
+          {refunds.map((refund) => (
+            <Group key={refund._id} justify="space-between" wrap="nowrap">
+              <Stack gap={0}>
+                <Text size="sm">{refund.reason}</Text>
+                <Text size="xs" c="dimmed">
+                  {formatDate(refund.createdAt)} · to your original payment method
+                </Text>
+              </Stack>
+              <Group gap="xs" wrap="nowrap">
+                <Badge size="sm" variant="light" color={REFUND_STATUS_COLORS[refund.status] ?? 'gray'}>
+                  {refund.status}
+                </Badge>
+                <Text size="sm" fw={500}>{formatCurrency(refund.amount)}</Text>
+              </Group>
+            </Group>
+          ))}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+OrderBill.propTypes = {
+  order: PropTypes.shape({
+    items: PropTypes.arrayOf(PropTypes.shape({
+      productId: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      quantity: PropTypes.number.isRequired,
+      cancelledQuantity: PropTypes.number,
+      cancellationReason: PropTypes.string,
+    })).isRequired,
+    pricing: PropTypes.object,
+    discounts: PropTypes.array,
+    totalAmount: PropTypes.number.isRequired,
+    paymentMethod: PropTypes.string,
+    paymentStatus: PropTypes.string,
+    refunds: PropTypes.arrayOf(PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      amount: PropTypes.number.isRequired,
+      reason: PropTypes.string.isRequired,
+      status: PropTypes.string.isRequired,
+      createdAt: PropTypes.string,
+    })),
+  }).isRequired,
+};
+
+export default OrderBill;
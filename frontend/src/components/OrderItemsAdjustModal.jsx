@@ -0,0 +1,196 @@
+// frontend/src/components/OrderItemsAdjustModal.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Stack, Table, Text, Group, Button, NumberInput, TextInput, Alert } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconCheck, IconX, IconInfoCircle } from '@tabler/icons-react';
+import { adjustOrderItems } from '../services/apiService.js';
+import { formatCurrency } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Order} Order
+ */
+
+// Statuses in which the backend still accepts item changes
+const ADJUSTABLE_STATUSES = ['placed', 'accepted'];
+
+/**
+ * Lets a store owner mark lines of an order unavailable or reduce their
+ * quantity. Each change is sent on its own with the shared reason, and the
+ * re-priced order (with any refund) is passed back up.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {Order | null} props.order - The order being edited; the modal is open while set.
+ * @param {() => void} props.onClose
+ * @param {(order: Order) => void} props.onOrderUpdated - Receives the order as returned by the backend.
+ */
+function OrderItemsAdjustModal({ order, onClose, onOrderUpdated }) {
+  const [reason, setReason] = useState('');
+  /** @type {[Record<string, number>, Function]} */
+  const [quantities, setQuantities] = useState({});
+  /** @type {[string | null, Function]} */
+  const [savingProductId, setSavingProductId] = useState(null);
+
+  // Start from the order's current quantities whenever a different order is opened
+  useEffect(() => {
+    setReason('');
+    setQuantities(Object.fromEntries((order?.items ?? []).map((item) => [item.productId, item.quantity])));
+  }, [order]);
+
+  const applyChange = useCallback(async (item, quantity) => {
+    setSavingProductId(item.productId);
+    try {
+      const updatedOrder = await adjustOrderItems(order._id, [{ productId: item.productId, quantity }], reason.trim());
+      onOrderUpdated(updatedOrder);
+      const refund = updatedOrder.refunds?.[updatedOrder.refunds.length - 1];
+      notifications.show({
+        title: quantity === 0 ? 'Item Marked Unavailable' : 'Quantity Reduced',
+        message: refund && refund.items.some((line) => line.productId === item.productId)
+          ? `${formatCurrency(refund.amount)} refund ${refund.status === 'processed' ? 'sent' : refund.status}.`
+          : `New order total: ${formatCurrency(updatedOrder.totalAmount)}.`,
+        color: 'green',
+        icon: <IconCheck size={18} />,
+      });
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Update Items',
+        message: err?.message || 'An unexpected error occurred while updating the order.',
+        color: 'red',
+        icon: <IconX size={18} />,
+      });
+    } finally {
+      setSavingProductId(null);
+    }
+  }, [order, reason, onOrderUpdated]);
+
+  if (!order) {
+    return <Modal opened={false} onClose={onClose} />;
+  }
+
+  const isAdjustable = ADJUSTABLE_STATUSES.includes(order.status);
+  const activeLines = order.items.filter((item) => item.quantity > 0).length;
+  const hasReason = reason.trim().length > 0;
+
+  return (
+    <Modal opened onClose={onClose} title={`Order ${order._id.slice(-6)} · Items`} size="lg">
+      <Stack gap="md">
+        {isAdjustable ? (
+          <TextInput
+            withAsterisk
+            label="Reason (shown to the customer)"
+            placeholder="e.g. Out of stock"
+            value={reason}
+            onChange={(event) => setReason(event.currentTarget.value)}
+          />
+        ) : (
+          <Alert color="gray" icon={<IconInfoCircle size={18} />}>
+            Items can only be changed while an order is placed or accepted.
+          </Alert>
+        )}
+
+        <Table verticalSpacing="xs">
+          <Table.Thead>
+            <Table.Tr>
+              <Table.Th>Item</Table.Th>
+              <Table.Th ta="right">Price</Table.Th>
+              <Table.Th>Quantity</Table.Th>
+              {isAdjustable && <Table.Th />}
+            </Table.Tr>
+          </Table.Thead>
+          <Table.Tbody>
+            {order.items.map((item) => {
+              const newQuantity = quantities[item.productId] ?? item.quantity;
+              const isUnavailable = item.quantity === 0;
+              // The last remaining line can't be removed; that is a cancellation
+              const canRemove = isAdjustable && !isUnavailable && activeLines > 1;
+              return (
+                <Table.Tr key={item.productId}>
+                  <Table.Td>
+                    <Text size="sm" td={isUnavailable ? 'line-through' : undefined}>{item.name}</Text>
+                    {item.cancelledQuantity > 0 && (
+                      <Text size="xs" c="dimmed">
+                        {item.cancelledQuantity} removed{item.cancellationReason ? `: ${item.cancellationReason}` : ''}
+                      </Text>
+                    )}
+                  </Table.Td>
+                  <Table.Td ta="right"><Text size="sm">{formatCurrency(item.price)}</Text></Table.Td>
+                  <Table.Td>
+                    {isAdjustable && !isUnavailable ? (
+                      <NumberInput
+                        size="xs"
+                        w={80}
+                        min={activeLines > 1 ? 0 : 1}
+                        max={item.quantity}
+                        allowDecimal={false}
+                        value={newQuantity}
+                        onChange={(value) => setQuantities((current) => ({ ...current, [item.productId]: Number(value) || 0 }))}
+                      />
+                    ) : (
+                      <Text size="sm">{item.quantity}</Text>
+                    )}
+                  </Table.Td>
+                  {isAdjustable && (
+                    <Table.Td>
+                      <Group gap={4} wrap="nowrap" justify="flex-end">
+                        <Button
+                          size="compact-xs"
+                          variant="light"
+                          disabled={!hasReason || newQuantity >= item.quantity || newQuantity < 0 || savingProductId !== null}
+                          loading={savingProductId === item.productId}
+                          onClick={() => applyChange(item, newQuantity)}
+                        >
+                          Reduce
+                        </Button>
+                        <Button
+                          size="compact-xs"
+                          variant="subtle"
+                          color="red"
+                          disabled={!hasReason || !canRemove || savingProductId !== null}
+                          onClick={() => applyChange(item, 0)}
+                        >
+                          Mark Unavailable
+                        </Button>
+                      </Group>
+                    </Table.Td>
+                  )}
+                </Table.Tr>
+              );
+            })}
+          </Table.Tbody>
+        </Table>
+
+        <Group justify="space-between">
+          <Text size="sm" c="dimmed">
+            {order.paymentMethod === 'online' && ['paid', 'partially_refunded'].includes(order.paymentStatus)
+              ? 'Paid online: removed items are refunded automatically.'
+              : 'The customer will be charged the new total.'}
+          </Text>
+          <Text fw={600}>Total: {formatCurrency(order.totalAmount)}</Text>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+OrderItemsAdjustModal.propTypes = {
+  order: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    items: PropTypes.arrayOf(PropTypes.shape({
+      productId: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      quantity: PropTypes.number.isRequired,
+      cancelledQuantity: PropTypes.number,
+      cancellationReason: PropTypes.string,
+    })).isRequired,
+    totalAmount: PropTypes.number.isRequired,
+    paymentMethod: PropTypes.string,
+    paymentStatus: PropTypes.string,
+  }),
+  onClose: PropTypes.func.isRequired,
+  onOrderUpdated: PropTypes.func.isRequired,
+};
+
+export default OrderItemsAdjustModal;
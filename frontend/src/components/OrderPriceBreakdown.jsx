@@ -0,0 +1,97 @@
+// frontend/src/components/OrderPriceBreakdown.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Stack, Group, Text, Divider } from '@mantine/core';
+import { formatCurrency, formatDistance } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').OrderPricing} OrderPricing
+ * @typedef {import('../services/apiService.js').OrderDiscount} OrderDiscount
+ */
+
+/**
+ * One label/amount row of the breakdown.
+ */
+function BreakdownRow({ label, value, hint, strong = false, color }) {
+  return (
+    <Group justify="space-between" wrap="nowrap" gap="md">
+      <Stack gap={0}>
+        <Text size={strong ? 'lg' : 'sm'} fw={strong ? 700 : 400}>{label}</Text>
+        {hint && <Text size="xs" c="dimmed">{hint}</Text>}
+      </Stack>
+      <Text size={strong ? 'lg' : 'sm'} fw={strong ? 700 : 500} c={color}>{value}</Text>
+    </Group>
+  );
+}
+
+BreakdownRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  hint: PropTypes.string,
+  strong: PropTypes.bool,
+  color: PropTypes.string,
+};
+
+/**
+ * Shows an order's price breakdown: item subtotal, delivery fee, discounts,
+ * GST and the grand total. Used with a checkout quote and with stored order pricing, so
+ * both render identically.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {OrderPricing} props.pricing - The breakdown from the backend.
+ * @param {OrderDiscount[]} [props.discounts=[]] - Promotions applied, one row each.
+ */
+function OrderPriceBreakdown({ pricing, discounts = [] }) {
+  const distance = typeof pricing.distanceKm === 'number' ? formatDistance(pricing.distanceKm) : '';
+  const taxLabel = `GST (${pricing.taxRatePercent}%)`;
+
+  return (
+    <Stack gap="xs">
+      <BreakdownRow label="Item Subtotal" value={formatCurrency(pricing.itemSubtotal)} />
+      <BreakdownRow
+        label="Delivery Fee"
+        value={pricing.deliveryFee === 0 ? 'Free' : formatCurrency(pricing.deliveryFee)}
+        hint={distance ? `${distance} from the store` : undefined}
+      />
+      {discounts.map((discount) => (
+        <BreakdownRow
+          key={discount.promotionId}
+          label={discount.code ? `Coupon ${discount.code}` : discount.name}
+          value={`− ${formatCurrency(discount.amount)}`}
+          hint={discount.code ? discount.name : undefined}
+          color="green"
+        />
+      ))}
+      {pricing.taxRatePercent > 0 && (
+        <BreakdownRow
+          label={taxLabel}
+          value={formatCurrency(pricing.taxAmount)}
+          hint={pricing.pricesIncludeTax ? 'Included in item prices' : undefined}
+        />
+      )}
+      <Divider />
+      <BreakdownRow label="Grand Total" value={formatCurrency(pricing.grandTotal)} strong />
+    </Stack>
+  );
+}
+
+OrderPriceBreakdown.propTypes = {
+  pricing: PropTypes.shape({
+    itemSubtotal: PropTypes.number.isRequired,
+    deliveryFee: PropTypes.number.isRequired,
+    distanceKm: PropTypes.number,
+    taxRatePercent: PropTypes.number.isRequired,
+    taxAmount: PropTypes.number.isRequired,
+    pricesIncludeTax: PropTypes.bool.isRequired,
+    grandTotal: PropTypes.number.isRequired,
+  }).isRequired,
+  discounts: PropTypes.arrayOf(PropTypes.shape({
+    promotionId: PropTypes.string.isRequired,
+    code: PropTypes.string,
+    name: PropTypes.string.isRequired,
+    amount: PropTypes.number.isRequired,
+  })),
+};
+
+export default OrderPriceBreakdown;
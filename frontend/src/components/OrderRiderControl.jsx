@@ -0,0 +1,152 @@
+// frontend/src/components/OrderRiderControl.jsx
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Group, Stack, Text, Badge, Button, Menu, ActionIcon } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconX, IconBike, IconWand } from '@tabler/icons-react';
+import { assignOrderRider, unassignOrderRider } from '../services/apiService.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Order} Order
+ * @typedef {import('../services/apiService.js').StoreRider} StoreRider
+ */
+
+// Orders a rider can still be given to or taken from (mirrors the backend's riderService)
+const ASSIGNABLE_STATUSES = ['placed', 'accepted'];
+
+/** How each rider is shown in the picker. */
+export const RIDER_STATUS_BADGES = {
+  idle: { label: 'Idle', color: 'green' },
+  busy: { label: 'Busy', color: 'orange' },
+  offline: { label: 'Offline', color: 'gray' },
+};
+
+/**
+ * Where the assigned rider has got to with the order.
+ * @param {Order} order
+ * @returns {{ label: string, color: string }}
+ */
+const getDeliveryBadge = ({ delivery }) => {
+  if (delivery.deliveredAt) return { label: 'Delivered', color: 'green' };
+  if (delivery.pickedUpAt) return { label: 'Picked up', color: 'orange' };
+  if (delivery.acceptedAt) return { label: 'Accepted', color: 'blue' };
+  return { label: 'Awaiting rider', color: 'gray' };
+};
+
+/**
+ * The store dashboard's rider cell for one order: who is delivering it, and
+ * until it is picked up, a menu to pick a rider, auto-assign the nearest idle
+ * one, or take the order back.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {Order} props.order
+ * @param {StoreRider[]} props.riders - The store's riders.
+ * @param {(order: Order) => void} props.onOrderUpdated - Called with the order after a change.
+ */
+function OrderRiderControl({ order, riders, onOrderUpdated }) {
+  const [isSaving, setIsSaving] = useState(false);
+
+  const runChange = useCallback(async (change) => {
+    setIsSaving(true);
+    try {
+      onOrderUpdated(await change());
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Update Rider',
+        message: err?.message || 'An unexpected error occurred. Please try again.',
+        color: 'red',
+        icon: <IconX size={18} />,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  }, [onOrderUpdated]);
+
+  const isAssignable = ASSIGNABLE_STATUSES.includes(order.status);
+
+  if (order.delivery) {
+    const badge = getDeliveryBadge(order);
+    return (
+      <Group gap={4} wrap="nowrap">
+        <Stack gap={2}>
+          <Text size="sm">{order.delivery.riderName}</Text>
+          <Badge size="xs" variant="light" color={badge.color}>{badge.label}</Badge>
+        </Stack>
+        {isAssignable && (
+          <ActionIcon
+            variant="subtle"
+            color="red"
+            size="sm"
+            loading={isSaving}
+            onClick={() => runChange(() => unassignOrderRider(order._id))}
+            aria-label={`Remove ${order.delivery.riderName} from order ${order._id}`}
+            title="Remove rider"
+          >
+            <IconX size={14} />
+          </ActionIcon>
+        )}
+      </Group>
+    );
+  }
+
+  if (!isAssignable) {
+    return <Text size="sm" c="dimmed">—</Text>;
+  }
+
+  return (
+    <Menu shadow="md" position="bottom-start" withinPortal>
+      <Menu.Target>
+        <Button size="compact-xs" variant="light" leftSection={<IconBike size={14} />} loading={isSaving}>
+          Assign
+        </Button>
+      </Menu.Target>
+      <Menu.Dropdown>
+        <Menu.Item
+          leftSection={<IconWand size={14} />}
+          onClick={() => runChange(() => assignOrderRider(order._id, { auto: true }))}
+        >
+          Nearest idle rider
+        </Menu.Item>
+        <Menu.Divider />
+        {riders.length === 0 && <Menu.Label>No riders set up for this store</Menu.Label>}
+        {riders.map((rider) => (
+          <Menu.Item
+            key={rider.id}
+            onClick={() => runChange(() => assignOrderRider(order._id, { riderId: rider.id }))}
+            rightSection={(
+              <Badge size="xs" variant="light" color={RIDER_STATUS_BADGES[rider.status]?.color}>
+                {RIDER_STATUS_BADGES[rider.status]?.label ?? rider.status}
+                {rider.activeDeliveries > 0 ? ` · ${rider.activeDeliveries}` : ''}
+              </Badge>
+            )}
+          >
+            {rider.name}
+          </Menu.Item>
+        ))}
+      </Menu.Dropdown>
+    </Menu>
+  );
+}
+
+OrderRiderControl.propTypes = {
+  order: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    delivery: PropTypes.shape({
+      riderName: PropTypes.string,
+      acceptedAt: PropTypes.string,
+      pickedUpAt: PropTypes.string,
+      deliveredAt: PropTypes.string,
+    }),
+  }).isRequired,
+  riders: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    activeDeliveries: PropTypes.number,
+  })).isRequired,
+  onOrderUpdated: PropTypes.func.isRequired,
+};
+
+export default OrderRiderControl;
@@ -0,0 +1,77 @@
+// frontend/src/components/OrderStatusTimeline.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Timeline, Text } from '@mantine/core';
+import { IconCircleCheck, IconCircleX } from '@tabler/icons-react';
+
+/**
+ * @typedef {import('../services/apiService.js').StatusHistoryEntry} StatusHistoryEntry
+ */
+
+/**
+ * Human-readable labels for order statuses.
+ * @type {Record<string, string>}
+ */
+export const ORDER_STATUS_LABELS = {
+  placed: 'Placed',
+  accepted: 'Accepted',
+  out_for_delivery: 'Out for Delivery',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+};
+
+/**
+ * Formats a timestamp with both date and time, since several status changes
+ * usually happen on the same day.
+ * @param {string} value - ISO date string.
+ * @returns {string} e.g. "28/07/2024, 10:30 am" or 'N/A'.
+ */
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return 'N/A';
+  return date.toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' });
+};
+
+/**
+ * Renders an order's statusHistory as a vertical timeline, oldest first.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {StatusHistoryEntry[]} props.history - The order's status history.
+ */
+function OrderStatusTimeline({ history }) {
+  if (!Array.isArray(history) || history.length === 0) {
+    return <Text c="dimmed" size="sm">No status history recorded for this order.</Text>;
+  }
+
+  return (
+    <Timeline active={history.length - 1} bulletSize={22} lineWidth={2}>
+      {history.map((entry, index) => (
+        <Timeline.Item
+          key={`${entry.status}-${entry.changedAt}-${index}`}
+          title={ORDER_STATUS_LABELS[entry.status] || entry.status}
+          color={entry.status === 'cancelled' ? 'red' : 'blue'}
+          bullet={entry.status === 'cancelled' ? <IconCircleX size={14} /> : <IconCircleCheck size={14} />}
+        >
+          <Text size="xs" c="dimmed">
+            {formatDateTime(entry.changedAt)} · by {entry.actor || 'unknown'}
+          </Text>
+          {entry.reason && <Text size="sm" mt={4}>{entry.reason}</Text>}
+        </Timeline.Item>
+      ))}
+    </Timeline>
+  );
+}
+
+OrderStatusTimeline.propTypes = {
+  history: PropTypes.arrayOf(
+    PropTypes.shape({
+      status: PropTypes.string.isRequired,
+      changedAt: PropTypes.string,
+      actor: PropTypes.string,
+      reason: PropTypes.string,
+    })
+  ),
+};
+
+export default OrderStatusTimeline;
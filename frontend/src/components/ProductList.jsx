@@ -1,4 +1,3 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/src/components/ProductList.jsx
 import React, { useMemo, useCallback } from 'react';
 import PropTypes from 'prop-types';
@@ -16,11 +15,15 @@ import {
   Box
 } from '@mantine/core';
 import { IconAlertCircle, IconShoppingCartPlus } from '@tabler/icons-react';
-import { useCart } from '../context/CartContext.jsx';
+import { useCart, MAX_CART_STORES } from '../context/CartContext.jsx';
+
+// Show an "Only N left" hint at or below this many units
+const LOW_STOCK_THRESHOLD = 5;
 
 /**
  * Renders a grid of product cards based on data received via props.
- * Handles loading, error, and empty states. Allows adding products to the cart.
+ * Handles loading, error, and empty states. Allows adding products to the cart,
+ * unless the cart is already full with items from MAX_CART_STORES other stores.
  *
  * @component
  * @param {object} props - Component props.
@@ -30,7 +33,8 @@ import { useCart } from '../context/CartContext.jsx';
  * @param {object | null} [props.error=null] - An error object if fetching products failed.
  */
 function ProductList({ products, storeId, isLoading = false, error = null }) {
-  const { addItem } = useCart();
+  const { addItem, storeIds: cartStoreIds } = useCart();
+  const isCartFull = cartStoreIds.length >= MAX_CART_STORES && !cartStoreIds.includes(storeId);
 
   // Development-only warnings for required props
   if (process.env.NODE_ENV === 'development') {
@@ -111,6 +115,10 @@ function ProductList({ products, storeId, isLoading = false, error = null }) {
 
     const isValidPrice = !isNaN(product.price) && product.price >= 0;
     const formattedPrice = isValidPrice ? `₹${product.price.toFixed(2)}` : 'N/A';
+    // stock is null/undefined when the store doesn't track inventory for this product
+    const isStockTracked = typeof product.stock === 'number';
+    const isOutOfStock = isStockTracked && product.stock <= 0;
+    const isLowStock = isStockTracked && product.stock > 0 && product.stock <= LOW_STOCK_THRESHOLD;
 
     return (
       <Card key={product._id} shadow="sm" padding="lg" radius="md" withBorder>
@@ -140,10 +148,18 @@ function ProductList({ products, storeId, isLoading = false, error = null }) {
         </Group>
 
         {/* Product Price */}
-        <Text size="md" c="blue" fw={600} mb="md">
+        <Text size="md" c="blue" fw={600} mb={isOutOfStock || isLowStock ? 'xs' : 'md'}>
           {formattedPrice}
         </Text>
 
+        {/* Availability */}
+        {isOutOfStock && (
+          <Badge color="gray" variant="filled" size="sm">Out of stock</Badge>
+        )}
+        {isLowStock && (
+          <Text size="xs" c="orange">Only {product.stock} left</Text>
+        )}
+
         {/* Add to Cart Button */}
         <Button
           color="blue"
@@ -152,10 +168,10 @@ function ProductList({ products, storeId, isLoading = false, error = null }) {
           radius="md"
           leftSection={<IconShoppingCartPlus size={16} />}
           onClick={() => handleAddToCart(product)}
-          disabled={!isValidPrice} // Disable if price is invalid
-          aria-label={`Add ${product.name} to cart`}
+          disabled={!isValidPrice || isOutOfStock || isCartFull} // Disable if price is invalid, nothing left to sell or no room for another store
+          aria-label={isOutOfStock ? `${product.name} is unavailable` : `Add ${product.name} to cart`}
         >
-          Add to Cart
+          {isOutOfStock ? 'Unavailable' : 'Add to Cart'}
         </Button>
       </Card>
     );
@@ -163,6 +179,12 @@ function ProductList({ products, storeId, isLoading = false, error = null }) {
 
   return (
     <Box mt="lg"> {/* Added margin top for spacing */}
+      {isCartFull && (
+        <Alert icon={<IconAlertCircle size={18} />} color="yellow" variant="light" radius="md" mb="lg">
+          Your cart already has items from {MAX_CART_STORES} stores, the most one checkout can order from.
+          Check out or remove a store&apos;s items to shop here.
+        </Alert>
+      )}
       <SimpleGrid
         cols={{ base: 1, xs: 2, sm: 3, md: 4, lg: 5 }} // Responsive grid columns
         spacing="lg" // Spacing between grid items
@@ -182,6 +204,7 @@ ProductList.propTypes = {
       name: PropTypes.string.isRequired,
       price: PropTypes.number.isRequired,
       category: PropTypes.string,
+      stock: PropTypes.number, // null/absent when inventory isn't tracked
       // Add other expected product fields here if necessary
     })
   ).isRequired,
@@ -198,5 +221,3 @@ ProductList.defaultProps = {
 
 // Export with React.memo for performance optimization
 export default React.memo(ProductList);
-
-</code>
\ No newline at end of file
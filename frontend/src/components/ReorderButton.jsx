@@ -0,0 +1,187 @@
+// frontend/src/components/ReorderButton.jsx
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import { Button, Modal, Stack, Group, Text, Badge, Alert } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconRepeat, IconAlertCircle, IconCheck } from '@tabler/icons-react';
+
+import { useCart, MAX_CART_STORES } from '../context/CartContext.jsx';
+import { fetchReorderItems } from '../services/apiService.js';
+import { formatCurrency } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').CatalogCheckItem} CatalogCheckItem
+ */
+
+/** Badge shown for a line that can't be reordered exactly as before. */
+const STATUS_BADGES = {
+  price_changed: { color: 'orange', label: 'Price changed' },
+  out_of_stock: { color: 'red', label: 'Out of stock' },
+  unavailable: { color: 'gray', label: 'No longer sold' },
+};
+
+/**
+ * Whether a line differs from last time in a way the customer should see before it goes in the cart.
+ * @param {CatalogCheckItem} item
+ * @returns {boolean}
+ */
+const hasChanged = (item) => item.status !== 'available' || item.quantity < item.requestedQuantity;
+
+/**
+ * Whether the cart has no room for one more store.
+ * @param {string[]} cartStoreIds
+ * @param {string} storeId
+ * @returns {boolean}
+ */
+const isCartFullFor = (cartStoreIds, storeId) =>
+  cartStoreIds.length >= MAX_CART_STORES && !cartStoreIds.includes(storeId);
+
+/**
+ * ReorderButton Component
+ * Puts an earlier order's items back in the cart at today's prices and goes to
+ * checkout. The items are checked against the store's current catalog first;
+ * if anything is no longer sold, out of (or short on) stock or has a new
+ * price, or the cart already has items from that store, the customer sees
+ * what changed and confirms. Otherwise it's one tap. Items from other stores
+ * stay in the cart.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.orderId - The order to repeat.
+ * Any other props (e.g. size, variant) are passed to the button.
+ */
+function ReorderButton({ orderId, ...buttonProps }) {
+  const { items: cartItems, storeIds: cartStoreIds, addItem, removeStoreItems } = useCart();
+  const navigate = useNavigate();
+  const [isChecking, setIsChecking] = useState(false);
+  /** @type {[Awaited<ReturnType<typeof fetchReorderItems>> | null, Function]} */
+  const [preview, setPreview] = useState(null);
+
+  /**
+   * Replaces the store's items in the cart with the lines that can be ordered now.
+   * @param {Awaited<ReturnType<typeof fetchReorderItems>>} reorder
+   */
+  const fillCart = useCallback((reorder) => {
+    const addable = reorder.items.filter((item) => item.quantity > 0);
+    removeStoreItems(reorder.storeId);
+    addable.forEach(({ productId, name, price, quantity }) => {
+      addItem({ productId, name, price }, reorder.storeId, quantity);
+    });
+    setPreview(null);
+    notifications.show({
+      title: 'Added to Cart',
+      message: `${addable.length} item${addable.length === 1 ? '' : 's'} from ${reorder.storeName || 'the store'} ${addable.length === 1 ? 'is' : 'are'} in your cart.`,
+      color: 'green',
+      icon: <IconCheck size={18} />,
+    });
+    navigate('/checkout');
+  }, [addItem, removeStoreItems, navigate]);
+
+  const handleReorder = useCallback(async () => {
+    setIsChecking(true);
+    try {
+      const reorder = await fetchReorderItems(orderId);
+      const canFillCart = reorder.isStoreActive && reorder.items.some((item) => item.quantity > 0)
+        && !isCartFullFor(cartStoreIds, reorder.storeId);
+      const hasStoreItems = cartItems.some((item) => item.storeId === reorder.storeId);
+      if (canFillCart && !hasStoreItems && !reorder.items.some(hasChanged)) {
+        fillCart(reorder);
+      } else {
+        setPreview(reorder);
+      }
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Reorder',
+        message: err?.message || 'Please try again.',
+        color: 'red',
+        icon: <IconAlertCircle size={18} />,
+      });
+    } finally {
+      setIsChecking(false);
+    }
+  }, [orderId, cartItems, cartStoreIds, fillCart]);
+
+  const addableCount = preview?.items.filter((item) => item.quantity > 0).length ?? 0;
+  const isCartFull = Boolean(preview) && isCartFullFor(cartStoreIds, preview.storeId);
+  const canConfirm = Boolean(preview?.isStoreActive) && addableCount > 0 && !isCartFull;
+  const storeItemCount = preview ? cartItems.filter((item) => item.storeId === preview.storeId).length : 0;
+
+  return (
+    <>
+      <Button leftSection={<IconRepeat size={16} />} loading={isChecking} onClick={handleReorder} {...buttonProps}>
+        Reorder
+      </Button>
+
+      <Modal opened={preview !== null} onClose={() => setPreview(null)} title={`Reorder from ${preview?.storeName || 'this store'}`}>
+        {preview && (
+          <Stack gap="md">
+            {!preview.isStoreActive && (
+              <Alert color="red" variant="light" icon={<IconAlertCircle size={18} />}>
+                This store is no longer taking orders.
+              </Alert>
+            )}
+            {preview.isStoreActive && addableCount === 0 && (
+              <Alert color="orange" variant="light" icon={<IconAlertCircle size={18} />}>
+                None of these items can be ordered right now.
+              </Alert>
+            )}
+            {preview.isStoreActive && isCartFull && (
+              <Alert color="orange" variant="light" icon={<IconAlertCircle size={18} />}>
+                Your cart already has items from {MAX_CART_STORES} other stores. Check out or remove one of them first.
+              </Alert>
+            )}
+            {canConfirm && storeItemCount > 0 && (
+              <Alert color="yellow" variant="light">
+                This replaces the {storeItemCount} item{storeItemCount === 1 ? '' : 's'} from this store currently in your cart.
+              </Alert>
+            )}
+
+            <Stack gap="xs">
+              {preview.items.map((item) => {
+                const badge = STATUS_BADGES[item.status];
+                const isShort = item.quantity > 0 && item.quantity < item.requestedQuantity;
+                return (
+                  <Group key={item.productId} justify="space-between" wrap="nowrap" align="flex-start">
+                    <Stack gap={2}>
+                      <Text size="sm" td={item.quantity === 0 ? 'line-through' : undefined}>
+                        {item.name} × {item.quantity > 0 ? item.quantity : item.requestedQuantity}
+                      </Text>
+                      {item.status === 'price_changed' && (
+                        <Text size="xs" c="dimmed">
+                          Was {formatCurrency(item.previousPrice)}, now {formatCurrency(item.price)}
+                        </Text>
+                      )}
+                      {isShort && (
+                        <Text size="xs" c="dimmed">
+                          Only {item.quantity} of the {item.requestedQuantity} you ordered last time are in stock
+                        </Text>
+                      )}
+                    </Stack>
+                    <Group gap={4} wrap="nowrap">
+                      {badge && <Badge size="sm" variant="light" color={badge.color}>{badge.label}</Badge>}
+                      {isShort && <Badge size="sm" variant="light" color="yellow">Low stock</Badge>}
+                      {item.price !== null && <Text size="sm">{formatCurrency(item.price)}</Text>}
+                    </Group>
+                  </Group>
+                );
+              })}
+            </Stack>
+
+            <Group justify="flex-end">
+              <Button variant="default" onClick={() => setPreview(null)}>Cancel</Button>
+              <Button onClick={() => fillCart(preview)} disabled={!canConfirm}>
+                Add {addableCount} item{addableCount === 1 ? '' : 's'} to cart
+              </Button>
+            </Group>
+          </Stack>
+        )}
+      </Modal>
+    </>
+  );
+}
+
+ReorderButton.propTypes = {
+  orderId: PropTypes.string.isRequired,
+};
+
+export default ReorderButton;
@@ -1,6 +1,5 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/src/components/StoreAdminDashboard.jsx
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import {
   Box,
@@ -15,20 +14,60 @@ import {
   Center,
   Stack,
   ScrollArea,
+  Button,
+  ActionIcon,
+  Modal,
+  Textarea,
+  PinInput,
+  Switch,
 } from '@mantine/core';
+import { notifications } from '@mantine/notifications';
 import {
   IconAlertCircle,
   IconClipboardList,
   IconPackage,
+  IconFileSpreadsheet,
+  IconTimeline,
+  IconListDetails,
+  IconX,
+  IconBell,
+  IconBellOff,
+  IconShoppingBag,
+  IconCalendar,
   // IconReceipt is imported but not used in MVP, kept for potential future use
 } from '@tabler/icons-react';
-import { fetchStoreOrders, fetchStoreProducts } from '../services/apiService.js';
+import {
+  fetchStoreOrders,
+  fetchStoreProducts,
+  fetchStoreRiders,
+  fetchStoreSla,
+  updateOrderStatus,
+  subscribeToStoreOrders,
+} from '../services/apiService.js';
+import OrderStatusTimeline, { ORDER_STATUS_LABELS } from './OrderStatusTimeline.jsx';
+import StoreProductManager from './StoreProductManager.jsx';
+import CatalogImportExportPanel from './CatalogImportExportPanel.jsx';
+import StoreOrderPauseControl from './StoreOrderPauseControl.jsx';
+import OrderItemsAdjustModal from './OrderItemsAdjustModal.jsx';
+import OrderRiderControl from './OrderRiderControl.jsx';
+import DeliveryBatchPanel from './DeliveryBatchPanel.jsx';
+import StoreSlaSummary from './StoreSlaSummary.jsx';
+import { formatStoreTime, formatDeliverySlot } from '../utils/helpers.js';
 
 /**
  * @typedef {import('../services/apiService.js').Order} Order
  * @typedef {import('../services/apiService.js').Product} Product
+ * @typedef {import('../services/apiService.js').StoreRider} StoreRider
+ * @typedef {import('../services/apiService.js').StoreSlaMetrics} StoreSlaMetrics
  */
 
+// Digits in the code the customer gives to confirm delivery
+const DELIVERY_OTP_LENGTH = 4;
+// Open orders drift from on track to late with the clock, so the metrics are refreshed this often
+const SLA_REFRESH_MS = 60 * 1000;
+// Orders loaded at a time, newest first; older ones are loaded on request
+const ORDERS_PAGE_SIZE = 50;
+
 /**
  * Maps order status strings to Mantine Badge colors for visual consistency.
  * @param {string} status - The order status string.
@@ -51,6 +90,121 @@ const getStatusColor = (status) => {
   }
 };
 
+/**
+ * Payment badge text and color. COD orders are 'pending' until delivered.
+ * @param {Order} order
+ * @returns {{ label: string, color: string }}
+ */
+const getPaymentBadge = (order) => {
+  const method = order.paymentMethod === 'online' ? 'Online' : 'COD';
+  switch (order.paymentStatus) {
+    case 'paid':
+      return { label: `${method} · Paid`, color: 'green' };
+    case 'failed':
+      return { label: `${method} · Failed`, color: 'red' };
+    case 'partially_refunded':
+      return { label: `${method} · Part Refunded`, color: 'teal' };
+    case 'refunded':
+      return { label: `${method} · Refunded`, color: 'violet' };
+    default:
+      return { label: order.paymentMethod === 'online' ? 'Online · Awaiting' : 'COD · To collect', color: 'gray' };
+  }
+};
+
+/**
+ * Badge for an order that is late or at risk of being late against its
+ * promised delivery time. Open orders are judged by the latest metrics, which
+ * are refreshed with the clock; delivered ones by their own slaStatus.
+ * @param {Order} order
+ * @param {StoreSlaMetrics | null} slaMetrics
+ * @returns {{ label: string, color: string } | null} null when there is nothing to flag.
+ */
+const getSlaBadge = (order, slaMetrics) => {
+  if (order.status === 'delivered') {
+    return order.slaStatus === 'breached' ? { label: 'Late', color: 'red' } : null;
+  }
+  if (slaMetrics?.open.breachedOrderIds.includes(order._id)) return { label: 'Late', color: 'red' };
+  if (slaMetrics?.open.atRiskOrderIds.includes(order._id)) return { label: 'At risk', color: 'orange' };
+  return null;
+};
+
+/**
+ * Splits the order list by delivery slot for the "Group by slot" view: orders
+ * to deliver straight away first, then each booked slot, earliest first.
+ * Orders keep their list order within a group.
+ * @param {Order[]} orders
+ * @returns {Array<{ key: string, label: string, orders: Order[] }>} Empty groups are left out.
+ */
+const groupOrdersBySlot = (orders) => {
+  const now = { key: 'now', label: 'Deliver now', orders: [] };
+  const bySlot = new Map();
+  orders.forEach((order) => {
+    if (!order.deliverySlot) {
+      now.orders.push(order);
+      return;
+    }
+    const key = `${order.deliverySlot.date}|${order.deliverySlot.slotId}`;
+    if (!bySlot.has(key)) {
+      bySlot.set(key, { key, label: formatDeliverySlot(order.deliverySlot), startsAt: order.deliverySlot.startsAt, orders: [] });
+    }
+    bySlot.get(key).orders.push(order);
+  });
+  const slotGroups = [...bySlot.values()]
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+    .map(({ startsAt, ...group }) => group);
+  return [now, ...slotGroups].filter((group) => group.orders.length > 0);
+};
+
+/**
+ * Button labels for moving an order *into* a given status.
+ * Only statuses listed in an order's `nextStatuses` are offered.
+ */
+const STATUS_ACTION_LABELS = {
+  accepted: 'Accept',
+  out_for_delivery: 'Send Out',
+  delivered: 'Mark Delivered',
+  cancelled: 'Cancel',
+};
+
+/** Badge for the live order feed's connection state. */
+const FEED_STATE_BADGES = {
+  connecting: { label: 'Connecting…', color: 'gray' },
+  live: { label: 'Live', color: 'green' },
+  reconnecting: { label: 'Reconnecting…', color: 'orange' },
+  closed: { label: 'Offline', color: 'gray' },
+};
+
+/**
+ * Plays a short two-tone chime for a new order. Browsers only allow audio
+ * after the user has interacted with the page, so this can silently do nothing.
+ * @param {React.MutableRefObject<AudioContext | null>} audioContextRef - Reused across alerts.
+ */
+const playNewOrderAlert = (audioContextRef) => {
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    audioContextRef.current = audioContextRef.current ?? new AudioContextClass();
+    const context = audioContextRef.current;
+    if (context.state === 'suspended') context.resume();
+
+    [880, 1320].forEach((frequency, index) => {
+      const start = context.currentTime + index * 0.18;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.001, start);
+      gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.16);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.17);
+    });
+  } catch (err) {
+    console.warn('[StoreAdminDashboard] Could not play the new order alert:', err);
+  }
+};
+
 /**
  * Formats a number as Indian Rupees (₹).
  * Handles null or undefined values gracefully.
@@ -93,6 +247,9 @@ const formatDate = (dateString) => {
 function StoreAdminDashboard({ storeId }) {
   /** @type {[Order[], React.Dispatch<React.SetStateAction<Order[]>>]} */
   const [orders, setOrders] = useState([]);
+  /** @type {[{ page: number, totalPages: number } | null, Function]} */
+  const [ordersPagination, setOrdersPagination] = useState(null); // The last page of orders loaded
+  const [isLoadingMoreOrders, setIsLoadingMoreOrders] = useState(false);
   /** @type {[Product[], React.Dispatch<React.SetStateAction<Product[]>>]} */
   const [products, setProducts] = useState([]);
   /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
@@ -101,6 +258,169 @@ function StoreAdminDashboard({ storeId }) {
   const [error, setError] = useState(null);
   /** @type {[string, React.Dispatch<React.SetStateAction<string>>]} */
   const [activeTab, setActiveTab] = useState('orders');
+  /** @type {[Order | null, React.Dispatch<React.SetStateAction<Order | null>>]} */
+  const [historyOrder, setHistoryOrder] = useState(null); // Order whose timeline is open
+  /** @type {[Order | null, React.Dispatch<React.SetStateAction<Order | null>>]} */
+  const [itemsOrder, setItemsOrder] = useState(null); // Order whose line items are being edited
+  /** @type {[Order | null, React.Dispatch<React.SetStateAction<Order | null>>]} */
+  const [cancelOrder, setCancelOrder] = useState(null); // Order awaiting a cancellation reason
+  const [cancelReason, setCancelReason] = useState('');
+  /** @type {[Order | null, React.Dispatch<React.SetStateAction<Order | null>>]} */
+  const [deliverOrder, setDeliverOrder] = useState(null); // Order awaiting the customer's delivery code
+  const [deliveryOtp, setDeliveryOtp] = useState('');
+  /** @type {[StoreRider[], React.Dispatch<React.SetStateAction<StoreRider[]>>]} */
+  const [riders, setRiders] = useState([]);
+  /** @type {[StoreSlaMetrics | null, React.Dispatch<React.SetStateAction<StoreSlaMetrics | null>>]} */
+  const [slaMetrics, setSlaMetrics] = useState(null);
+  /** @type {[string | null, React.Dispatch<React.SetStateAction<string | null>>]} */
+  const [updatingOrderId, setUpdatingOrderId] = useState(null);
+  /** @type {['connecting' | 'live' | 'reconnecting' | 'closed', Function]} */
+  const [feedState, setFeedState] = useState('connecting');
+  const [isAlertSoundOn, setIsAlertSoundOn] = useState(true);
+  const [isGroupedBySlot, setIsGroupedBySlot] = useState(false);
+  const alertSoundOnRef = useRef(isAlertSoundOn);
+  const audioContextRef = useRef(null);
+  const ordersRef = useRef(orders); // Lets the feed handler see the current list
+
+  useEffect(() => {
+    alertSoundOnRef.current = isAlertSoundOn;
+  }, [isAlertSoundOn]);
+
+  useEffect(() => {
+    ordersRef.current = orders;
+  }, [orders]);
+
+  /**
+   * Swaps a changed order into the list and into any modal showing it.
+   * @param {Order} updatedOrder
+   */
+  const replaceOrder = useCallback((updatedOrder) => {
+    setOrders((current) => current.map((o) => (o._id === updatedOrder._id ? updatedOrder : o)));
+    setItemsOrder((current) => (current?._id === updatedOrder._id ? updatedOrder : current));
+    setHistoryOrder((current) => (current?._id === updatedOrder._id ? updatedOrder : current));
+  }, []);
+
+  // Riders' idle/busy status changes with every assignment and delivery, so it is reloaded after order changes
+  const loadRiders = useCallback(async () => {
+    try {
+      setRiders(await fetchStoreRiders(storeId));
+    } catch (err) {
+      console.error('[StoreAdminDashboard] Failed to fetch riders:', err);
+    }
+  }, [storeId]);
+
+  useEffect(() => {
+    if (storeId) loadRiders();
+  }, [storeId, loadRiders]);
+
+  // Delivery promise metrics: reloaded whenever an order changes, and on a timer
+  useEffect(() => {
+    if (!storeId) return undefined;
+    const loadSlaMetrics = async () => {
+      try {
+        setSlaMetrics(await fetchStoreSla(storeId));
+      } catch (err) {
+        console.error('[StoreAdminDashboard] Failed to fetch delivery metrics:', err);
+      }
+    };
+    loadSlaMetrics();
+    const timer = setInterval(loadSlaMetrics, SLA_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [storeId, orders]);
+
+  // The next page of older orders. New orders arriving meanwhile shift the pages,
+  // so one already listed can come round again; it is kept once.
+  const loadMoreOrders = useCallback(async () => {
+    if (!ordersPagination) return;
+    setIsLoadingMoreOrders(true);
+    try {
+      const nextPage = await fetchStoreOrders(storeId, { page: ordersPagination.page + 1, limit: ORDERS_PAGE_SIZE });
+      setOrders((current) => [
+        ...current,
+        ...nextPage.results.filter((order) => !current.some((o) => o._id === order._id)),
+      ]);
+      setOrdersPagination(nextPage.pagination);
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Load Orders',
+        message: err?.message || 'An unexpected error occurred while loading older orders.',
+        color: 'red',
+        icon: <IconX size={18} />,
+      });
+    } finally {
+      setIsLoadingMoreOrders(false);
+    }
+  }, [storeId, ordersPagination]);
+
+  const handleRiderChange = useCallback((updatedOrder) => {
+    replaceOrder(updatedOrder);
+    loadRiders();
+  }, [replaceOrder, loadRiders]);
+
+  /**
+   * Sends a status change to the backend and swaps the returned order into state.
+   * @param {Order} order - The order to update.
+   * @param {string} status - The new status (must be one of order.nextStatuses).
+   * @param {string} [reason] - Reason for the change (required for cancellation).
+   * @param {string} [otp] - The customer's delivery code (required to mark delivered).
+   * @returns {Promise<boolean>} True if the update succeeded.
+   */
+  const handleStatusChange = useCallback(async (order, status, reason, otp) => {
+    setUpdatingOrderId(order._id);
+    try {
+      const updatedOrder = await updateOrderStatus(order._id, status, reason, otp);
+      replaceOrder(updatedOrder);
+      return true;
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Update Order',
+        message: err?.message || 'An unexpected error occurred while updating the order.',
+        color: 'red',
+        icon: <IconX size={18} />,
+      });
+      return false;
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  }, [replaceOrder]);
+
+  /**
+   * Handles a click on one of the status action buttons. Cancellation opens
+   * a modal to collect a reason and delivery one to enter the customer's
+   * code; every other transition is sent immediately.
+   */
+  const handleActionClick = useCallback((order, status) => {
+    if (status === 'cancelled') {
+      setCancelReason('');
+      setCancelOrder(order);
+      return;
+    }
+    if (status === 'delivered') {
+      setDeliveryOtp('');
+      setDeliverOrder(order);
+      return;
+    }
+    handleStatusChange(order, status);
+  }, [handleStatusChange]);
+
+  const handleConfirmDelivered = useCallback(async () => {
+    if (!deliverOrder || deliveryOtp.length !== DELIVERY_OTP_LENGTH) return;
+    const succeeded = await handleStatusChange(deliverOrder, 'delivered', undefined, deliveryOtp);
+    if (succeeded) {
+      setDeliverOrder(null);
+      loadRiders();
+    } else {
+      setDeliveryOtp('');
+    }
+  }, [deliverOrder, deliveryOtp, handleStatusChange, loadRiders]);
+
+  const handleConfirmCancel = useCallback(async () => {
+    if (!cancelOrder || !cancelReason.trim()) return;
+    const succeeded = await handleStatusChange(cancelOrder, 'cancelled', cancelReason.trim());
+    if (succeeded) {
+      setCancelOrder(null);
+    }
+  }, [cancelOrder, cancelReason, handleStatusChange]);
 
   // Fetch data when storeId changes
   useEffect(() => {
@@ -113,6 +433,7 @@ function StoreAdminDashboard({ storeId }) {
         setError(new Error('Store ID is missing or invalid. Cannot load dashboard.'));
         setIsLoading(false);
         setOrders([]); // Clear any previous data
+        setOrdersPagination(null);
         setProducts([]);
         return;
       }
@@ -120,12 +441,13 @@ function StoreAdminDashboard({ storeId }) {
       setIsLoading(true);
       setError(null);
       setOrders([]); // Clear previous data on new fetch
+      setOrdersPagination(null);
       setProducts([]);
 
       try {
         // Fetch orders and products concurrently
         const results = await Promise.allSettled([
-          fetchStoreOrders(storeId),
+          fetchStoreOrders(storeId, { limit: ORDERS_PAGE_SIZE }),
           fetchStoreProducts(storeId),
         ]);
 
@@ -135,7 +457,8 @@ function StoreAdminDashboard({ storeId }) {
 
         // Process order results
         if (orderResult.status === 'fulfilled') {
-          setOrders(orderResult.value || []);
+          setOrders(orderResult.value.results);
+          setOrdersPagination(orderResult.value.pagination);
         } else {
           console.error('[StoreAdminDashboard] Failed to fetch orders:', orderResult.reason);
           collectedErrors.push(`Orders: ${orderResult.reason?.message || 'Unknown error'}`);
@@ -167,6 +490,48 @@ function StoreAdminDashboard({ storeId }) {
     fetchData();
   }, [storeId]); // Dependency array ensures effect runs when storeId changes
 
+  // Live order feed: new orders appear at the top with a chime, changes made
+  // elsewhere (another tab, a payment webhook) are swapped in as they happen.
+  useEffect(() => {
+    if (!storeId) return undefined;
+
+    const handleOrderEvent = (type, order) => {
+      if (type !== 'order.created') {
+        replaceOrder(order);
+        // A rider may have been assigned, or finished a delivery
+        if (order.delivery || type === 'order.status_changed') loadRiders();
+        return;
+      }
+      // Already loaded, or replayed after a reconnect
+      if (ordersRef.current.some((o) => o._id === order._id)) return;
+      setOrders((current) => (current.some((o) => o._id === order._id) ? current : [order, ...current]));
+      if (alertSoundOnRef.current) playNewOrderAlert(audioContextRef);
+      notifications.show({
+        title: 'New Order',
+        message: `${order.customerDetails?.name || 'A customer'} · ${formatCurrency(order.totalAmount)}`,
+        color: 'blue',
+        icon: <IconShoppingBag size={18} />,
+      });
+    };
+
+    // Too much was missed to replay; reload the newest orders instead
+    const handleResync = async () => {
+      try {
+        const firstPage = await fetchStoreOrders(storeId, { limit: ORDERS_PAGE_SIZE });
+        setOrders(firstPage.results);
+        setOrdersPagination(firstPage.pagination);
+      } catch (err) {
+        console.error('[StoreAdminDashboard] Failed to reload orders after reconnecting:', err);
+      }
+    };
+
+    return subscribeToStoreOrders(storeId, {
+      onOrderEvent: handleOrderEvent,
+      onResync: handleResync,
+      onConnectionChange: setFeedState,
+    });
+  }, [storeId, replaceOrder, loadRiders]);
+
   // Render loading state
   if (isLoading) {
     return (
@@ -194,37 +559,110 @@ function StoreAdminDashboard({ storeId }) {
   }
 
   // Generate rows for the Orders table
-  const orderRows = orders.map((order) => (
-    <Table.Tr key={order._id}>
-      <Table.Td><Text size="xs" title={order._id}>{order._id ? order._id.slice(-6) : 'N/A'}</Text></Table.Td>
-      <Table.Td><Text size="sm">{order.customerDetails?.name || 'N/A'}</Text></Table.Td>
-      <Table.Td><Text size="sm">{order.customerDetails?.phone || 'N/A'}</Text></Table.Td>
-      <Table.Td ta="center"><Text size="sm">{order.items?.length || 0}</Text></Table.Td>
-      <Table.Td ta="right"><Text size="sm" fw={500}>{formatCurrency(order.totalAmount)}</Text></Table.Td>
-      <Table.Td>
-        <Badge color={getStatusColor(order.status)} variant="light" radius="sm">
-          {order.status || 'Unknown'}
-        </Badge>
-      </Table.Td>
-      <Table.Td><Text size="xs">{formatDate(order.createdAt)}</Text></Table.Td>
-    </Table.Tr>
-  ));
-
-  // Generate rows for the Products table
-  const productRows = products.map((product, index) => (
-    // Using index as key is acceptable here if products don't have unique stable IDs (though _id should exist if fetched properly)
-    // Prefer using product._id if available and guaranteed unique within the list fetched
-    <Table.Tr key={product._id || `product-${index}`}>
-      <Table.Td><Text size="sm">{product.name || 'N/A'}</Text></Table.Td>
-      <Table.Td><Text size="sm">{product.category || 'N/A'}</Text></Table.Td>
-      <Table.Td ta="right"><Text size="sm" fw={500}>{formatCurrency(product.price)}</Text></Table.Td>
-    </Table.Tr>
-  ));
+  const renderOrderRow = (order) => {
+    const slaBadge = getSlaBadge(order, slaMetrics);
+    const isOpen = !['delivered', 'cancelled'].includes(order.status);
+    return (
+      <Table.Tr key={order._id}>
+        <Table.Td><Text size="xs" title={order._id}>{order._id ? order._id.slice(-6) : 'N/A'}</Text></Table.Td>
+        <Table.Td><Text size="sm">{order.customerDetails?.name || 'N/A'}</Text></Table.Td>
+        <Table.Td><Text size="sm">{order.customerDetails?.phone || 'N/A'}</Text></Table.Td>
+        <Table.Td ta="center">
+          <Group gap={4} wrap="nowrap" justify="center">
+            <Text size="sm">{order.items?.length || 0}</Text>
+            <ActionIcon
+              variant="subtle"
+              size="sm"
+              onClick={() => setItemsOrder(order)}
+              aria-label={`View items for order ${order._id}`}
+              title="Items (mark unavailable)"
+            >
+              <IconListDetails size={14} />
+            </ActionIcon>
+          </Group>
+        </Table.Td>
+        <Table.Td ta="right">
+          <Stack gap={2} align="flex-end">
+            <Text size="sm" fw={500}>{formatCurrency(order.totalAmount)}</Text>
+            <Badge size="xs" variant="light" color={getPaymentBadge(order).color}>
+              {getPaymentBadge(order).label}
+            </Badge>
+          </Stack>
+        </Table.Td>
+        <Table.Td>
+          <Group gap={4} wrap="nowrap">
+            <Badge color={getStatusColor(order.status)} variant="light" radius="sm">
+              {ORDER_STATUS_LABELS[order.status] || order.status || 'Unknown'}
+            </Badge>
+            {slaBadge && (
+              <Badge size="xs" color={slaBadge.color} variant="filled">{slaBadge.label}</Badge>
+            )}
+            <ActionIcon
+              variant="subtle"
+              size="sm"
+              onClick={() => setHistoryOrder(order)}
+              aria-label={`View status history for order ${order._id}`}
+              title="Status history"
+            >
+              <IconTimeline size={14} />
+            </ActionIcon>
+          </Group>
+        </Table.Td>
+        <Table.Td>
+          <OrderRiderControl order={order} riders={riders} onOrderUpdated={handleRiderChange} />
+        </Table.Td>
+        <Table.Td>
+          <Text size="xs">{formatDate(order.createdAt)}</Text>
+          {isOpen && order.deliverySlot && (
+            <Text size="xs" c="grape">Slot {formatDeliverySlot(order.deliverySlot)}</Text>
+          )}
+          {isOpen && !order.deliverySlot && order.promise && (
+            <Text size="xs" c="dimmed">Due {formatStoreTime(order.promise.promisedAt)}</Text>
+          )}
+        </Table.Td>
+        <Table.Td>
+          {/* Only the transitions the backend reports as legal are offered */}
+          <Group gap={4} wrap="nowrap">
+            {(order.nextStatuses || []).map((nextStatus) => (
+              <Button
+                key={nextStatus}
+                size="compact-xs"
+                variant={nextStatus === 'cancelled' ? 'subtle' : 'light'}
+                color={nextStatus === 'cancelled' ? 'red' : getStatusColor(nextStatus)}
+                loading={updatingOrderId === order._id}
+                disabled={updatingOrderId !== null && updatingOrderId !== order._id}
+                onClick={() => handleActionClick(order, nextStatus)}
+              >
+                {STATUS_ACTION_LABELS[nextStatus] || nextStatus}
+              </Button>
+            ))}
+          </Group>
+        </Table.Td>
+      </Table.Tr>
+    );
+  };
+  const orderRows = isGroupedBySlot
+    ? groupOrdersBySlot(orders).flatMap((group) => [
+      <Table.Tr key={`slot-${group.key}`}>
+        <Table.Td colSpan={9} bg="var(--mantine-color-gray-1)">
+          <Group gap="xs">
+            <IconCalendar size={14} />
+            <Text size="sm" fw={600}>{group.label}</Text>
+            <Badge size="xs" variant="light">{group.orders.length} {group.orders.length === 1 ? 'order' : 'orders'}</Badge>
+          </Group>
+        </Table.Td>
+      </Table.Tr>,
+      ...group.orders.map(renderOrderRow),
+    ])
+    : orders.map(renderOrderRow);
 
   // Render the main dashboard content with Tabs
   return (
     <Box mt="md">
-      <Title order={2} mb="lg">Store Dashboard</Title>
+      <Group justify="space-between" align="flex-start" mb="lg">
+        <Title order={2}>Store Dashboard</Title>
+        <StoreOrderPauseControl storeId={storeId} />
+      </Group>
       <Tabs value={activeTab} onChange={setActiveTab} variant="outline" radius="md">
         <Tabs.List>
           <Tabs.Tab value="orders" leftSection={<IconClipboardList size={16} />}>
@@ -233,11 +671,40 @@ function StoreAdminDashboard({ storeId }) {
           <Tabs.Tab value="products" leftSection={<IconPackage size={16} />}>
             Products ({products.length})
           </Tabs.Tab>
+          <Tabs.Tab value="catalog" leftSection={<IconFileSpreadsheet size={16} />}>
+            Import / Export
+          </Tabs.Tab>
         </Tabs.List>
 
         <Tabs.Panel value="orders" pt="lg">
           <Stack gap="md">
-            <Title order={4}>Incoming Orders</Title>
+            <Group justify="space-between">
+              <Group gap="xs">
+                <Title order={4}>Incoming Orders</Title>
+                <Badge size="sm" variant="dot" color={FEED_STATE_BADGES[feedState].color}>
+                  {FEED_STATE_BADGES[feedState].label}
+                </Badge>
+              </Group>
+              <Group gap="md">
+                <Switch
+                  size="xs"
+                  label="Group by slot"
+                  checked={isGroupedBySlot}
+                  onChange={(event) => setIsGroupedBySlot(event.currentTarget.checked)}
+                />
+                <ActionIcon
+                  variant="subtle"
+                  color={isAlertSoundOn ? 'blue' : 'gray'}
+                  onClick={() => setIsAlertSoundOn((current) => !current)}
+                  aria-label={isAlertSoundOn ? 'Mute new order alerts' : 'Unmute new order alerts'}
+                  title={isAlertSoundOn ? 'New order sound on' : 'New order sound off'}
+                >
+                  {isAlertSoundOn ? <IconBell size={18} /> : <IconBellOff size={18} />}
+                </ActionIcon>
+              </Group>
+            </Group>
+            <StoreSlaSummary metrics={slaMetrics} />
+            <DeliveryBatchPanel storeId={storeId} orders={orders} riders={riders} onRidersChange={loadRiders} />
             {orders.length === 0 ? (
               <Text c="dimmed">No orders found for this store.</Text>
             ) : (
@@ -251,40 +718,117 @@ function StoreAdminDashboard({ storeId }) {
                       <Table.Th ta="center">Items</Table.Th>
                       <Table.Th ta="right">Total</Table.Th>
                       <Table.Th>Status</Table.Th>
+                      <Table.Th>Rider</Table.Th>
                       <Table.Th>Date</Table.Th>
+                      <Table.Th>Actions</Table.Th>
                     </Table.Tr>
                   </Table.Thead>
                   <Table.Tbody>{orderRows}</Table.Tbody>
                 </Table>
               </ScrollArea>
             )}
+            {ordersPagination && ordersPagination.page < ordersPagination.totalPages && (
+              <Center>
+                <Button variant="light" size="xs" loading={isLoadingMoreOrders} onClick={loadMoreOrders}>
+                  Load older orders
+                </Button>
+              </Center>
+            )}
           </Stack>
         </Tabs.Panel>
 
         <Tabs.Panel value="products" pt="lg">
-          <Stack gap="md">
-            <Title order={4}>Product Listings</Title>
-            {products.length === 0 ? (
-              <Text c="dimmed">No products listed for this store.</Text>
-            ) : (
-              <ScrollArea h={500}>
-                <Table striped highlightOnHover withTableBorder withColumnBorders verticalSpacing="xs">
-                  <Table.Thead>
-                    <Table.Tr>
-                      <Table.Th>Name</Table.Th>
-                      <Table.Th>Category</Table.Th>
-                      <Table.Th ta="right">Price</Table.Th>
-                    </Table.Tr>
-                  </Table.Thead>
-                  <Table.Tbody>{productRows}</Table.Tbody>
-                </Table>
-              </ScrollArea>
-            )}
-            {/* Placeholder for Add/Edit Product controls - Post-MVP */}
-             {/* <Group justify="flex-end" mt="md"><Button size="sm">Add New Product</Button></Group> */}
-          </Stack>
+          <StoreProductManager storeId={storeId} products={products} onProductsChange={setProducts} />
+        </Tabs.Panel>
+
+        <Tabs.Panel value="catalog" pt="lg">
+          <CatalogImportExportPanel storeId={storeId} onProductsChange={setProducts} />
         </Tabs.Panel>
       </Tabs>
+
+      {/* Status history timeline for a single order */}
+      <Modal
+        opened={historyOrder !== null}
+        onClose={() => setHistoryOrder(null)}
+        title={historyOrder ? `Order ${historyOrder._id.slice(-6)} · Status History` : 'Status History'}
+      >
+        <OrderStatusTimeline history={historyOrder?.statusHistory} />
+      </Modal>
+
+      {/* Per-line changes: mark items unavailable or reduce their quantity */}
+      <OrderItemsAdjustModal
+        order={itemsOrder}
+        onClose={() => setItemsOrder(null)}
+        onOrderUpdated={replaceOrder}
+      />
+
+      {/* Cancellation requires a reason, which is shown to the customer in the timeline */}
+      <Modal
+        opened={cancelOrder !== null}
+        onClose={() => setCancelOrder(null)}
+        title="Cancel Order"
+      >
+        <Stack gap="md">
+          <Textarea
+            withAsterisk
+            label="Reason for cancellation"
+            placeholder="e.g. Items out of stock"
+            value={cancelReason}
+            onChange={(event) => setCancelReason(event.currentTarget.value)}
+            minRows={2}
+            autosize
+          />
+          <Group justify="flex-end">
+            <Button variant="default" onClick={() => setCancelOrder(null)}>
+              Keep Order
+            </Button>
+            <Button
+              color="red"
+              onClick={handleConfirmCancel}
+              loading={cancelOrder !== null && updatingOrderId === cancelOrder._id}
+              disabled={!cancelReason.trim()}
+            >
+              Cancel Order
+            </Button>
+          </Group>
+        </Stack>
+      </Modal>
+
+      {/* Delivery is confirmed with the code shown on the customer's order page */}
+      <Modal
+        opened={deliverOrder !== null}
+        onClose={() => setDeliverOrder(null)}
+        title="Confirm Delivery"
+      >
+        <Stack gap="md">
+          <Text size="sm">
+            Ask the customer for the {DELIVERY_OTP_LENGTH}-digit delivery code shown on their order page.
+          </Text>
+          <Center>
+            <PinInput
+              length={DELIVERY_OTP_LENGTH}
+              type="number"
+              oneTimeCode
+              value={deliveryOtp}
+              onChange={setDeliveryOtp}
+              aria-label="Delivery code"
+            />
+          </Center>
+          <Group justify="flex-end">
+            <Button variant="default" onClick={() => setDeliverOrder(null)}>
+              Back
+            </Button>
+            <Button
+              color="green"
+              onClick={handleConfirmDelivered}
+              loading={deliverOrder !== null && updatingOrderId === deliverOrder._id}
+              disabled={deliveryOtp.length !== DELIVERY_OTP_LENGTH}
+            >
+              Mark Delivered
+            </Button>
+          </Group>
+        </Stack>
+      </Modal>
     </Box>
   );
 }
@@ -295,4 +839,3 @@ StoreAdminDashboard.propTypes = {
 };
 
 export default StoreAdminDashboard;
-</code>
\ No newline at end of file
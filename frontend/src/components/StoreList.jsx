@@ -1,4 +1,3 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/src/components/StoreList.jsx
 import React from 'react';
 import PropTypes from 'prop-types';
@@ -12,10 +11,15 @@ import {
   Center,
   Box, // Added for consistent outer spacing
 } from '@mantine/core';
+import { IconMapPin } from '@tabler/icons-react';
+import { formatDistance } from '../utils/helpers.js';
+import StoreOpenBadge from './StoreOpenBadge.jsx';
 
 /**
  * Renders a responsive grid of store cards based on an array of store data.
  * Each card links to the specific store's detail page. Handles the empty state.
+ * Cards show whether the store is open now; stores from a location search
+ * also show how far away they are.
  * Assumes loading and error states are handled by the parent component.
  *
  * @component
@@ -87,11 +91,26 @@ function StoreList({ stores }) {
           {store.name}
         </Text>
 
+        {/* Open / closed status */}
+        {store.openStatus && (
+          <Box mb="xs">
+            <StoreOpenBadge status={store.openStatus} size="xs" />
+          </Box>
+        )}
+
         {/* Address Info */}
-        <Text size="sm" c="dimmed" mb="md">
+        <Text size="sm" c="dimmed" mb={typeof store.distanceKm === 'number' ? 4 : 'md'}>
           {addressString}
         </Text>
 
+        {/* Distance (location searches only) */}
+        {typeof store.distanceKm === 'number' && (
+          <Group gap={4} mb="md">
+            <IconMapPin size={14} />
+            <Text size="sm">{formatDistance(store.distanceKm)} away</Text>
+          </Group>
+        )}
+
         {/* Categories Badges */}
         {Array.isArray(store.categories) && store.categories.length > 0 && (
           <Group gap="xs" wrap="wrap">
@@ -134,6 +153,8 @@ StoreList.propTypes = {
         // street is not required for display here based on MVP needs
       }).isRequired,
       categories: PropTypes.arrayOf(PropTypes.string), // Optional categories
+      distanceKm: PropTypes.number, // Set by nearby-store search only
+      openStatus: PropTypes.object, // Live open/closed status, see StoreOpenBadge
       // Other store fields might exist but are not used in this component
     })
   ).isRequired,
@@ -142,4 +163,3 @@ StoreList.propTypes = {
 // Export with React.memo for potential performance optimization,
 // though its effectiveness depends on how the parent manages the `stores` prop.
 export default React.memo(StoreList);
-</code>
\ No newline at end of file
@@ -0,0 +1,66 @@
+// frontend/src/components/StoreOpenBadge.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Badge, Group, Text } from '@mantine/core';
+import { formatStoreTime } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').StoreOpenStatus} StoreOpenStatus
+ */
+
+// Badge label and colour for each StoreOpenStatus reason
+const STATUS_BADGES = {
+  open: { label: 'Open', color: 'green' },
+  closed: { label: 'Closed', color: 'red' },
+  holiday: { label: 'Closed Today', color: 'red' },
+  paused: { label: 'Not Taking Orders', color: 'orange' },
+  inactive: { label: 'Unavailable', color: 'gray' },
+};
+
+/**
+ * Builds the hint shown next to the badge, e.g. "Closes 9:30 pm" or "Opens Mon 9:00 am".
+ * @param {StoreOpenStatus} status - The store's live status.
+ * @returns {string}
+ */
+const describeTiming = (status) => {
+  if (status.isOpen) {
+    return status.closesAt ? `Closes ${formatStoreTime(status.closesAt)}` : '';
+  }
+  return status.nextOpenAt ? `Opens ${formatStoreTime(status.nextOpenAt)}` : '';
+};
+
+/**
+ * Shows whether a store is open right now, with its closing or next opening
+ * time. Renders nothing if the backend didn't send a status.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {StoreOpenStatus} [props.status] - The store's `openStatus`.
+ * @param {'xs' | 'sm' | 'md'} [props.size='sm'] - Badge and text size.
+ */
+function StoreOpenBadge({ status, size = 'sm' }) {
+  if (!status) return null;
+
+  const badge = STATUS_BADGES[status.reason] || STATUS_BADGES.closed;
+  const timing = describeTiming(status);
+
+  return (
+    <Group gap={6} wrap="nowrap">
+      <Badge color={badge.color} variant="light" size={size}>{badge.label}</Badge>
+      {timing && <Text size={size} c="dimmed">{timing}</Text>}
+    </Group>
+  );
+}
+
+StoreOpenBadge.propTypes = {
+  status: PropTypes.shape({
+    isOpen: PropTypes.bool.isRequired,
+    reason: PropTypes.string.isRequired,
+    closesAt: PropTypes.string,
+    nextOpenAt: PropTypes.string,
+    pauseReason: PropTypes.string,
+  }),
+  size: PropTypes.oneOf(['xs', 'sm', 'md']),
+};
+
+export default StoreOpenBadge;
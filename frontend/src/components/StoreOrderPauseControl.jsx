@@ -0,0 +1,151 @@
+// frontend/src/components/StoreOrderPauseControl.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Paper,
+  Group,
+  Stack,
+  Text,
+  Switch,
+  Modal,
+  TextInput,
+  Select,
+  Button,
+  Loader,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconX } from '@tabler/icons-react';
+import { fetchStoreDetails, updateStore } from '../services/apiService.js';
+import StoreOpenBadge from './StoreOpenBadge.jsx';
+import { formatStoreTime } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Store} Store
+ */
+
+// How long a pause lasts; '' keeps the store paused until the owner switches it back
+const PAUSE_DURATION_OPTIONS = [
+  { value: '30', label: '30 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '120', label: '2 hours' },
+  { value: '', label: 'Until I turn orders back on' },
+];
+
+/**
+ * Store owner's "pause orders" switch with the store's live open status.
+ * Pausing asks for an optional reason (shown to shoppers) and duration.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {string} props.storeId - The store being managed.
+ */
+function StoreOrderPauseControl({ storeId }) {
+  /** @type {[Store | null, Function]} */
+  const [store, setStore] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isPauseFormOpen, setIsPauseFormOpen] = useState(false);
+  const [pauseReason, setPauseReason] = useState('');
+  const [pauseDuration, setPauseDuration] = useState('30');
+
+  useEffect(() => {
+    let isCurrent = true;
+    fetchStoreDetails(storeId)
+      .then((details) => { if (isCurrent) setStore(details); })
+      .catch((err) => console.error('[StoreOrderPauseControl] Failed to fetch store:', err));
+    return () => { isCurrent = false; };
+  }, [storeId]);
+
+  const saveSettings = useCallback(async (updates) => {
+    setIsSaving(true);
+    try {
+      setStore(await updateStore(storeId, updates));
+      return true;
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Update Store',
+        message: err?.message || 'An unexpected error occurred. Please try again.',
+        color: 'red',
+        icon: <IconX size={18} />,
+      });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [storeId]);
+
+  const handleToggle = useCallback((event) => {
+    if (event.currentTarget.checked) {
+      setPauseReason('');
+      setPauseDuration('30');
+      setIsPauseFormOpen(true);
+    } else {
+      saveSettings({ ordersPaused: false, ordersPausedReason: '', ordersPausedUntil: null });
+    }
+  }, [saveSettings]);
+
+  const handleConfirmPause = useCallback(async () => {
+    const minutes = Number(pauseDuration);
+    const succeeded = await saveSettings({
+      ordersPaused: true,
+      ordersPausedReason: pauseReason.trim(),
+      ordersPausedUntil: minutes ? new Date(Date.now() + minutes * 60000).toISOString() : null,
+    });
+    if (succeeded) setIsPauseFormOpen(false);
+  }, [pauseDuration, pauseReason, saveSettings]);
+
+  if (!store) {
+    return <Loader size="sm" />;
+  }
+
+  // A pause with an end time that has passed is no longer in effect
+  const isPaused = store.openStatus?.reason === 'paused';
+
+  return (
+    <Paper withBorder radius="md" p="sm">
+      <Group justify="space-between" wrap="wrap">
+        <Stack gap={2}>
+          <StoreOpenBadge status={store.openStatus} />
+          {isPaused && store.ordersPausedUntil && (
+            <Text size="xs" c="dimmed">Orders resume automatically at {formatStoreTime(store.ordersPausedUntil)}</Text>
+          )}
+        </Stack>
+        <Switch
+          label="Pause new orders"
+          checked={isPaused}
+          onChange={handleToggle}
+          disabled={isSaving}
+        />
+      </Group>
+
+      <Modal opened={isPauseFormOpen} onClose={() => setIsPauseFormOpen(false)} title="Pause New Orders">
+        <Stack gap="md">
+          <Text size="sm">Shoppers can still browse your store but can&apos;t place orders while paused.</Text>
+          <TextInput
+            label="Reason (shown to shoppers)"
+            placeholder="e.g. Stock-taking"
+            maxLength={200}
+            value={pauseReason}
+            onChange={(event) => setPauseReason(event.currentTarget.value)}
+          />
+          <Select
+            label="Pause for"
+            data={PAUSE_DURATION_OPTIONS}
+            value={pauseDuration}
+            onChange={(value) => setPauseDuration(value ?? '')}
+            allowDeselect={false}
+          />
+          <Group justify="flex-end">
+            <Button variant="default" onClick={() => setIsPauseFormOpen(false)}>Cancel</Button>
+            <Button color="orange" loading={isSaving} onClick={handleConfirmPause}>Pause Orders</Button>
+          </Group>
+        </Stack>
+      </Modal>
+    </Paper>
+  );
+}
+
+StoreOrderPauseControl.propTypes = {
+  storeId: PropTypes.string.isRequired,
+};
+
+export default StoreOrderPauseControl;
@@ -0,0 +1,312 @@
+// frontend/src/components/StoreProductManager.jsx
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Table,
+  Text,
+  Group,
+  Button,
+  ActionIcon,
+  Modal,
+  Stack,
+  TextInput,
+  NumberInput,
+  Switch,
+  ScrollArea,
+  Title,
+} from '@mantine/core';
+import { useForm } from '@mantine/form';
+import { notifications } from '@mantine/notifications';
+import {
+  IconPlus,
+  IconPencil,
+  IconTrash,
+  IconArrowUp,
+  IconArrowDown,
+  IconX,
+} from '@tabler/icons-react';
+import {
+  addStoreProduct,
+  updateStoreProduct,
+  deleteStoreProduct,
+  reorderStoreProducts,
+} from '../services/apiService.js';
+import { formatCurrency } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Product} Product
+ */
+
+const EMPTY_PRODUCT_VALUES = {
+  name: '',
+  category: '',
+  price: 0,
+  trackStock: false,
+  stock: 0,
+};
+
+/**
+ * Shows an error notification for a failed catalog operation.
+ * @param {string} title - Notification title.
+ * @param {Error} err - The error thrown by apiService.
+ */
+const notifyError = (title, err) => {
+  notifications.show({
+    title,
+    message: err?.message || 'An unexpected error occurred. Please try again.',
+    color: 'red',
+    icon: <IconX size={18} />,
+  });
+};
+
+/**
+ * Editable product catalog for the store admin dashboard: add, edit,
+ * reprice, reorder and remove products. The parent owns the product list;
+ * every successful API call reports the new list through `onProductsChange`.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {string} props.storeId - The store being managed.
+ * @param {Product[]} props.products - The store's products, in display order.
+ * @param {(products: Product[]) => void} props.onProductsChange - Called with the updated list.
+ */
+function StoreProductManager({ storeId, products, onProductsChange }) {
+  /** @type {[Product | null, Function]} */
+  const [editingProduct, setEditingProduct] = useState(null); // null + isFormOpen = adding
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  /** @type {[string | null, Function]} */
+  const [busyProductId, setBusyProductId] = useState(null);
+
+  const form = useForm({
+    initialValues: EMPTY_PRODUCT_VALUES,
+    validate: {
+      name: (value) => (value.trim().length > 0 ? null : 'Product name is required'),
+      price: (value) => (typeof value === 'number' && value >= 0 ? null : 'Price must be 0 or more'),
+      stock: (value, values) =>
+        !values.trackStock || (Number.isInteger(value) && value >= 0) ? null : 'Stock must be a whole number, 0 or more',
+    },
+  });
+
+  const openAddForm = useCallback(() => {
+    setEditingProduct(null);
+    form.setValues(EMPTY_PRODUCT_VALUES);
+    form.resetDirty();
+    setIsFormOpen(true);
+  }, [form]);
+
+  const openEditForm = useCallback((product) => {
+    setEditingProduct(product);
+    form.setValues({
+      name: product.name,
+      category: product.category || '',
+      price: product.price,
+      trackStock: typeof product.stock === 'number',
+      stock: typeof product.stock === 'number' ? product.stock : 0,
+    });
+    form.resetDirty();
+    setIsFormOpen(true);
+  }, [form]);
+
+  const handleSubmit = useCallback(async (values) => {
+    const payload = {
+      name: values.name.trim(),
+      category: values.category.trim(),
+      price: values.price,
+      stock: values.trackStock ? values.stock : null,
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingProduct) {
+        const updated = await updateStoreProduct(storeId, editingProduct._id, payload);
+        onProductsChange(products.map((p) => (p._id === updated._id ? updated : p)));
+      } else {
+        const created = await addStoreProduct(storeId, payload);
+        onProductsChange([...products, created]);
+      }
+      setIsFormOpen(false);
+    } catch (err) {
+      notifyError(editingProduct ? 'Could Not Update Product' : 'Could Not Add Product', err);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [editingProduct, storeId, products, onProductsChange]);
+
+  const handleDelete = useCallback(async (product) => {
+    if (!window.confirm(`Remove "${product.name}" from your store? Past orders are not affected.`)) return;
+    setBusyProductId(product._id);
+    try {
+      await deleteStoreProduct(storeId, product._id);
+      onProductsChange(products.filter((p) => p._id !== product._id));
+    } catch (err) {
+      notifyError('Could Not Remove Product', err);
+    } finally {
+      setBusyProductId(null);
+    }
+  }, [storeId, products, onProductsChange]);
+
+  const handleMove = useCallback(async (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= products.length) return;
+
+    const reordered = [...products];
+    [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+
+    setBusyProductId(products[index]._id);
+    try {
+      const saved = await reorderStoreProducts(storeId, reordered.map((p) => p._id));
+      onProductsChange(saved);
+    } catch (err) {
+      notifyError('Could Not Reorder Products', err);
+    } finally {
+      setBusyProductId(null);
+    }
+  }, [storeId, products, onProductsChange]);
+
+  const rows = products.map((product, index) => (
+    <Table.Tr key={product._id}>
+      <Table.Td>
+        <Group gap={2} wrap="nowrap">
+          <ActionIcon
+            variant="subtle"
+            size="sm"
+            disabled={index === 0 || busyProductId !== null}
+            onClick={() => handleMove(index, -1)}
+            aria-label={`Move ${product.name} up`}
+          >
+            <IconArrowUp size={14} />
+          </ActionIcon>
+          <ActionIcon
+            variant="subtle"
+            size="sm"
+            disabled={index === products.length - 1 || busyProductId !== null}
+            onClick={() => handleMove(index, 1)}
+            aria-label={`Move ${product.name} down`}
+          >
+            <IconArrowDown size={14} />
+          </ActionIcon>
+        </Group>
+      </Table.Td>
+      <Table.Td><Text size="sm">{product.name}</Text></Table.Td>
+      <Table.Td><Text size="sm">{product.category || 'N/A'}</Text></Table.Td>
+      <Table.Td ta="right"><Text size="sm" fw={500}>{formatCurrency(product.price)}</Text></Table.Td>
+      <Table.Td ta="right">
+        {typeof product.stock === 'number' ? (
+          <Text size="sm" c={product.stock === 0 ? 'red' : undefined}>{product.stock}</Text>
+        ) : (
+          <Text size="sm" c="dimmed">Not tracked</Text>
+        )}
+      </Table.Td>
+      <Table.Td>
+        <Group gap={4} wrap="nowrap">
+          <ActionIcon
+            variant="subtle"
+            onClick={() => openEditForm(product)}
+            disabled={busyProductId !== null}
+            aria-label={`Edit ${product.name}`}
+            title="Edit"
+          >
+            <IconPencil size={16} />
+          </ActionIcon>
+          <ActionIcon
+            variant="subtle"
+            color="red"
+            onClick={() => handleDelete(product)}
+            loading={busyProductId === product._id}
+            disabled={busyProductId !== null && busyProductId !== product._id}
+            aria-label={`Remove ${product.name}`}
+            title="Remove"
+          >
+            <IconTrash size={16} />
+          </ActionIcon>
+        </Group>
+      </Table.Td>
+    </Table.Tr>
+  ));
+
+  return (
+    <Stack gap="md">
+      <Group justify="space-between">
+        <Title order={4}>Product Listings</Title>
+        <Button size="sm" leftSection={<IconPlus size={16} />} onClick={openAddForm}>
+          Add Product
+        </Button>
+      </Group>
+
+      {products.length === 0 ? (
+        <Text c="dimmed">No products listed for this store.</Text>
+      ) : (
+        <ScrollArea h={500}>
+          <Table striped highlightOnHover withTableBorder withColumnBorders verticalSpacing="xs">
+            <Table.Thead>
+              <Table.Tr>
+                <Table.Th>Order</Table.Th>
+                <Table.Th>Name</Table.Th>
+                <Table.Th>Category</Table.Th>
+                <Table.Th ta="right">Price</Table.Th>
+                <Table.Th ta="right">Stock</Table.Th>
+                <Table.Th>Actions</Table.Th>
+              </Table.Tr>
+            </Table.Thead>
+            <Table.Tbody>{rows}</Table.Tbody>
+          </Table>
+        </ScrollArea>
+      )}
+
+      <Modal
+        opened={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        title={editingProduct ? `Edit ${editingProduct.name}` : 'Add Product'}
+      >
+        <form onSubmit={form.onSubmit(handleSubmit)}>
+          <Stack gap="md">
+            <TextInput withAsterisk label="Name" {...form.getInputProps('name')} />
+            <TextInput label="Category" placeholder="e.g. Dairy" {...form.getInputProps('category')} />
+            <NumberInput
+              withAsterisk
+              label="Price (₹)"
+              min={0}
+              decimalScale={2}
+              {...form.getInputProps('price')}
+            />
+            <Switch
+              label="Track stock for this product"
+              {...form.getInputProps('trackStock', { type: 'checkbox' })}
+            />
+            {form.values.trackStock && (
+              <NumberInput
+                label="Units in stock"
+                min={0}
+                allowDecimal={false}
+                {...form.getInputProps('stock')}
+              />
+            )}
+            <Group justify="flex-end" mt="sm">
+              <Button variant="default" onClick={() => setIsFormOpen(false)}>Cancel</Button>
+              <Button type="submit" loading={isSaving}>
+                {editingProduct ? 'Save Changes' : 'Add Product'}
+              </Button>
+            </Group>
+          </Stack>
+        </form>
+      </Modal>
+    </Stack>
+  );
+}
+
+StoreProductManager.propTypes = {
+  storeId: PropTypes.string.isRequired,
+  products: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      price: PropTypes.number.isRequired,
+      category: PropTypes.string,
+      stock: PropTypes.number,
+    })
+  ).isRequired,
+  onProductsChange: PropTypes.func.isRequired,
+};
+
+export default StoreProductManager;
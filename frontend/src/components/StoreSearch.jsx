@@ -1,27 +1,42 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/src/components/StoreSearch.jsx
 import React, { useState, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { TextInput, Button, Group, Box } from '@mantine/core';
-import { IconSearch } from '@tabler/icons-react';
+import { TextInput, Button, Group, Box, Text } from '@mantine/core';
+import { IconSearch, IconCurrentLocation } from '@tabler/icons-react';
 
-// Regular expression for validating a 6-digit Indian pincode
-const PINCODE_REGEX = /^\d{6}$/;
+import { PINCODE_REGEX } from '../utils/helpers.js';
+
+// Options for the browser location lookup. A cached fix up to a minute old is fine for finding shops.
+const GEOLOCATION_OPTIONS = { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 };
+
+// User-facing messages for GeolocationPositionError codes
+const GEOLOCATION_ERROR_MESSAGES = {
+  1: 'Location access was denied. Allow it in your browser settings or search by pincode.',
+  2: 'Your location is unavailable right now. Please search by pincode.',
+  3: 'Finding your location took too long. Please try again or search by pincode.',
+};
 
 /**
  * Renders a controlled input field for users to enter a 6-digit Indian pincode
  * and a button to initiate a search. It validates the input and calls the
  * `onSearch` callback with the valid pincode upon clicking the search button.
+ * A second button looks up the browser's location and calls `onLocationSearch`
+ * with the coordinates, so shoppers near a pincode boundary still find stores.
  * Reflects a loading state to disable interaction during search operations.
  *
  * @component
  * @param {object} props - Component props.
  * @param {(pincode: string) => void} props.onSearch - Callback function invoked with the validated 6-digit pincode when the search is triggered.
+ * @param {(location: { lat: number, lng: number }) => void} [props.onLocationSearch] - Callback invoked with the shopper's coordinates. The location button is hidden when omitted.
  * @param {boolean} [props.isLoading=false] - Indicates if a search is currently in progress, disabling the input and button.
  */
-function StoreSearch({ onSearch, isLoading = false }) {
+function StoreSearch({ onSearch, onLocationSearch, isLoading = false }) {
   const [pincode, setPincode] = useState('');
   const [error, setError] = useState(null); // State to hold validation error message
+  const [locationError, setLocationError] = useState(null); // Geolocation failures, shown under the buttons
+  const [isLocating, setIsLocating] = useState(false); // Waiting on the browser for a position fix
+  const canUseLocation = typeof onLocationSearch === 'function' &&
+    typeof navigator !== 'undefined' && 'geolocation' in navigator;
 
   /**
    * Handles changes to the pincode input field.
@@ -72,6 +87,29 @@ function StoreSearch({ onSearch, isLoading = false }) {
     }
   }, [pincode, isLoading, onSearch, validatePincode]); // Dependencies for the handler
 
+  /**
+   * Asks the browser for the shopper's position and searches around it.
+   * The browser shows its own permission prompt the first time.
+   */
+  const handleLocationSearch = useCallback(() => {
+    if (isLoading || isLocating || !canUseLocation) return;
+
+    setIsLocating(true);
+    setLocationError(null);
+    setError(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setIsLocating(false);
+        onLocationSearch({ lat: position.coords.latitude, lng: position.coords.longitude });
+      },
+      (geoError) => {
+        setIsLocating(false);
+        setLocationError(GEOLOCATION_ERROR_MESSAGES[geoError.code] || 'Could not get your location. Please search by pincode.');
+      },
+      GEOLOCATION_OPTIONS
+    );
+  }, [isLoading, isLocating, canUseLocation, onLocationSearch]);
+
   return (
     // Using Box and onSubmit for form behavior (including Enter key submission)
     <Box component="form" onSubmit={handleSearchSubmit} mb="lg">
@@ -85,7 +123,7 @@ function StoreSearch({ onSearch, isLoading = false }) {
           maxLength={6} // Restrict input length
           inputMode="numeric" // Hint for numeric keyboard on mobile
           pattern="[0-9]*" // Further hint for numeric input
-          disabled={isLoading} // Disable input when loading
+          disabled={isLoading || isLocating} // Disable input when loading
           required // Indicate field is required semantically
           style={{ flexGrow: 1 }} // Allow input to take available space
           aria-describedby={error ? 'pincode-error' : undefined}
@@ -101,7 +139,23 @@ function StoreSearch({ onSearch, isLoading = false }) {
         >
           Search
         </Button>
+
+        {canUseLocation && (
+          <Button
+            variant="light"
+            onClick={handleLocationSearch}
+            loading={isLocating}
+            disabled={isLoading || isLocating}
+            leftSection={<IconCurrentLocation size={16} />}
+            aria-label="Search for stores near your current location"
+          >
+            Use My Location
+          </Button>
+        )}
       </Group>
+      {locationError && (
+        <Text c="red" size="sm" mt="xs" role="alert">{locationError}</Text>
+      )}
     </Box>
   );
 }
@@ -112,6 +166,10 @@ StoreSearch.propTypes = {
    * Callback function invoked with the validated 6-digit pincode when search is triggered.
    */
   onSearch: PropTypes.func.isRequired,
+  /**
+   * Callback invoked with { lat, lng } when the shopper searches by their location.
+   */
+  onLocationSearch: PropTypes.func,
   /**
    * If true, indicates a search is in progress, disabling the input and button.
    */
@@ -126,5 +184,3 @@ StoreSearch.defaultProps = {
 // Export with React.memo for potential performance optimization.
 // This prevents re-renders if props (onSearch, isLoading) haven't changed.
 export default React.memo(StoreSearch);
-
-</code>
\ No newline at end of file
@@ -0,0 +1,117 @@
+// frontend/src/components/StoreSlaSummary.jsx
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Paper, SimpleGrid, Stack, Text, Group } from '@mantine/core';
+import { IconClock } from '@tabler/icons-react';
+
+/**
+ * @typedef {import('../services/apiService.js').StoreSlaMetrics} StoreSlaMetrics
+ */
+
+/**
+ * One figure in the summary.
+ * @param {object} props
+ * @param {string} props.label
+ * @param {string} props.value
+ * @param {string} [props.hint]
+ * @param {string} [props.color] - Mantine color for the value.
+ */
+function SlaFigure({ label, value, hint, color }) {
+  return (
+    <Stack gap={0}>
+      <Text size="xs" c="dimmed" tt="uppercase" fw={600}>{label}</Text>
+      <Text size="xl" fw={700} c={color}>{value}</Text>
+      {hint && <Text size="xs" c="dimmed">{hint}</Text>}
+    </Stack>
+  );
+}
+
+SlaFigure.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  hint: PropTypes.string,
+  color: PropTypes.string,
+};
+
+/**
+ * How the store is keeping its delivery promises: on-time rate and delivery
+ * times over the last few days, and its open orders that are at risk of
+ * arriving late or already are.
+ *
+ * @component
+ * @param {object} props - Component props.
+ * @param {StoreSlaMetrics | null} props.metrics - Null while loading; nothing is shown.
+ */
+function StoreSlaSummary({ metrics }) {
+  if (!metrics) return null;
+  const { delivered, open } = metrics;
+
+  let onTimeColor;
+  if (delivered.onTimeRate !== null) {
+    if (delivered.onTimeRate >= 90) onTimeColor = 'green';
+    else if (delivered.onTimeRate >= 75) onTimeColor = 'orange';
+    else onTimeColor = 'red';
+  }
+
+  return (
+    <Paper withBorder radius="md" p="md">
+      <Group gap="xs" mb="sm">
+        <IconClock size={18} />
+        <Text fw={600}>Delivery Promises</Text>
+        <Text size="xs" c="dimmed">last {metrics.days} days</Text>
+      </Group>
+      <SimpleGrid cols={{ base: 2, sm: 5 }} spacing="md">
+        <SlaFigure
+          label="On time"
+          value={delivered.onTimeRate === null ? '—' : `${delivered.onTimeRate}%`}
+          hint={`${delivered.onTime} of ${delivered.total} delivered`}
+          color={onTimeColor}
+        />
+        <SlaFigure
+          label="Delivered late"
+          value={String(delivered.breached)}
+          hint={delivered.averageDelayMinutes === null ? undefined : `${Math.round(delivered.averageDelayMinutes)} min late on average`}
+          color={delivered.breached > 0 ? 'red' : undefined}
+        />
+        <SlaFigure
+          label="Avg. delivery"
+          value={delivered.averageDeliveryMinutes === null ? '—' : `${Math.round(delivered.averageDeliveryMinutes)} min`}
+          hint="placed (or slot start) to delivered"
+        />
+        <SlaFigure
+          label="Open · at risk"
+          value={String(open.atRisk)}
+          hint={`${open.onTrack} on track`}
+          color={open.atRisk > 0 ? 'orange' : undefined}
+        />
+        <SlaFigure
+          label="Open · late"
+          value={String(open.breached)}
+          hint="past their promised time"
+          color={open.breached > 0 ? 'red' : undefined}
+        />
+      </SimpleGrid>
+    </Paper>
+  );
+}
+
+StoreSlaSummary.propTypes = {
+  metrics: PropTypes.shape({
+    days: PropTypes.number.isRequired,
+    delivered: PropTypes.shape({
+      total: PropTypes.number.isRequired,
+      onTime: PropTypes.number.isRequired,
+      breached: PropTypes.number.isRequired,
+      onTimeRate: PropTypes.number,
+      averageDeliveryMinutes: PropTypes.number,
+      averageDelayMinutes: PropTypes.number,
+    }).isRequired,
+    open: PropTypes.shape({
+      onTrack: PropTypes.number.isRequired,
+      atRisk: PropTypes.number.isRequired,
+      breached: PropTypes.number.isRequired,
+    }).isRequired,
+  }),
+};
+
+export default StoreSlaSummary;
@@ -1,7 +1,5 @@
-<?xml version="1.0" encoding="UTF-8"?>
-<code language="javascript">
 // frontend/src/context/CartContext.jsx
-import React, { createContext, useContext, useReducer, useMemo, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect } from 'react';
 import PropTypes from 'prop-types';
 
 // --- Types (Conceptual for JSDoc) ---
@@ -9,6 +7,7 @@ import PropTypes from 'prop-types';
 /**
  * Represents a single item within the shopping cart.
  * @typedef {object} CartItem
+ * @property {string} storeId - The store the product is ordered from.
  * @property {string} productId - Unique identifier for the product (ensure this matches the identifier used elsewhere, likely `_id` from MongoDB).
  * @property {string} name - Name of the product.
  * @property {number} price - Price of a single unit of the product.
@@ -18,8 +17,17 @@ import PropTypes from 'prop-types';
 /**
  * Represents the overall state of the shopping cart.
  * @typedef {object} CartState
- * @property {string | null} storeId - The ID of the store items are currently being added from. Null if the cart is empty.
- * @property {CartItem[]} items - An array of items currently in the cart.
+ * @property {CartItem[]} items - An array of items currently in the cart, from one or more stores.
+ * @property {number | null} updatedAt - When the cart last changed (ms since epoch), used to tell which of two copies
+ *   (another tab, the customer's saved cart) is newer. Null for a cart that has never been touched.
+ */
+
+/**
+ * The cart as saved in localStorage.
+ * @typedef {object} StoredCart
+ * @property {number} version - CART_SCHEMA_VERSION when it was written.
+ * @property {CartItem[]} items
+ * @property {number | null} updatedAt
  */
 
 // --- Initial State ---
@@ -29,15 +37,133 @@ import PropTypes from 'prop-types';
  * @type {CartState}
  */
 const initialCartState = {
-  storeId: null,
   items: [],
+  updatedAt: null,
+};
+
+// --- Persistence ---
+
+// localStorage key holding the cart, so it survives reloads and is shared by open tabs
+const CART_STORAGE_KEY = 'dillidash.cart';
+
+// Bump when the stored shape changes, and add a migration from the previous version below
+const CART_SCHEMA_VERSION = 2;
+
+// Most stores one cart may hold; the backend places at most this many orders in one checkout
+export const MAX_CART_STORES = 5;
+
+/**
+ * Upgrades a stored cart by one version, keyed by the version it upgrades from.
+ * A cart from a version with no migration path (or from a newer build) is discarded.
+ * @type {Record<number, (stored: object) => object>}
+ */
+const CART_MIGRATIONS = {
+  // v1 held a single store, named once for the whole cart
+  1: ({ storeId, items, updatedAt }) => ({
+    items: Array.isArray(items) ? items.map((item) => ({ ...item, storeId })) : [],
+    updatedAt,
+  }),
+};
+
+/**
+ * The stores in a cart, in the order their first item was added.
+ * @param {CartItem[]} items
+ * @returns {string[]}
+ */
+const getCartStoreIds = (items) => [...new Set(items.map((item) => item.storeId))];
+
+/**
+ * Keeps only well-formed items from an untrusted cart (storage, another tab, the server).
+ * Duplicate lines for a product are merged, and items beyond MAX_CART_STORES stores are dropped.
+ * @param {unknown} raw - { items, updatedAt? }.
+ * @returns {CartState} The clean cart; empty if nothing usable is left.
+ */
+const sanitizeCart = (raw) => {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.items)) {
+    return initialCartState;
+  }
+  const items = [];
+  raw.items.forEach((item) => {
+    const { storeId, productId, name, price, quantity } = item ?? {};
+    if (typeof storeId !== 'string' || !storeId || typeof productId !== 'string' || !productId
+      || typeof name !== 'string' || !name
+      || typeof price !== 'number' || !Number.isFinite(price) || price < 0 || !Number.isInteger(quantity) || quantity < 1) {
+      return;
+    }
+    const existing = items.find((line) => line.productId === productId && line.storeId === storeId);
+    if (existing) {
+      existing.quantity += quantity;
+    } else if (getCartStoreIds(items).length < MAX_CART_STORES || items.some((line) => line.storeId === storeId)) {
+      items.push({ storeId, productId, name, price, quantity });
+    }
+  });
+  if (items.length === 0) return initialCartState;
+  return {
+    items,
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : null,
+  };
+};
+
+/**
+ * The cart as it is written to storage. Also used to skip writes that would change nothing,
+ * which keeps tabs from echoing each other's updates back and forth.
+ * @param {CartState} state
+ * @returns {string | null} JSON, or null for an empty cart (nothing is stored).
+ */
+const serializeCart = (state) => {
+  if (state.items.length === 0) return null;
+  /** @type {StoredCart} */
+  const stored = { version: CART_SCHEMA_VERSION, ...sanitizeCart(state) };
+  return JSON.stringify(stored);
+};
+
+/**
+ * Reads the saved cart, migrating it from an older schema version if needed.
+ * @returns {CartState} The saved cart, or an empty one if there is none or it can't be used.
+ */
+const readStoredCart = () => {
+  try {
+    const raw = window.localStorage.getItem(CART_STORAGE_KEY);
+    let stored = raw ? JSON.parse(raw) : null;
+    if (!stored || !Number.isInteger(stored.version)) return initialCartState;
+    while (stored.version < CART_SCHEMA_VERSION) {
+      const migrate = CART_MIGRATIONS[stored.version];
+      if (!migrate) return initialCartState;
+      stored = { ...migrate(stored), version: stored.version + 1 };
+    }
+    return stored.version === CART_SCHEMA_VERSION ? sanitizeCart(stored) : initialCartState;
+  } catch {
+    return initialCartState; // Corrupt JSON or storage disabled: start with an empty cart
+  }
+};
+
+/**
+ * Saves the cart, or removes the saved one once it is empty. Skipped when storage
+ * already holds exactly this cart.
+ * @param {CartState} state
+ * @returns {void}
+ */
+const writeStoredCart = (state) => {
+  try {
+    const serialized = serializeCart(state);
+    if (serialized === window.localStorage.getItem(CART_STORAGE_KEY)) return;
+    if (serialized === null) {
+      window.localStorage.removeItem(CART_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(CART_STORAGE_KEY, serialized);
+    }
+  } catch {
+    // Storage full or disabled; the cart only lasts until the page is closed
+  }
 };
 
 // --- Reducer Function ---
 
 /**
  * Pure function to handle cart state transitions based on dispatched actions.
- * Enforces the single-store rule for adding items.
+ * Items from different stores live side by side, up to MAX_CART_STORES stores;
+ * an item from one more store is refused. Product IDs are unique across
+ * stores, so lines are looked up by productId alone.
  * @param {CartState} state - The current state of the cart.
  * @param {object} action - The action object dispatched to modify the state.
  * @param {string} action.type - The type of action to perform.
@@ -46,18 +172,22 @@ const initialCartState = {
  * @throws {Error} If an unhandled action type is received.
  *
  * @example Action Payloads:
- * // ADD_ITEM: { item: { productId: string, name: string, price: number }, storeId: string }
+ * // ADD_ITEM: { item: { productId: string, name: string, price: number }, storeId: string, quantity?: number }
  * // REMOVE_ITEM: { productId: string }
+ * // REMOVE_STORE_ITEMS: { storeId: string }
  * // UPDATE_QUANTITY: { productId: string, quantity: number }
  * // CLEAR_CART: (no payload)
+ * // REPLACE_CART: { items: CartItem[], updatedAt?: number | null }
  *
  * @tests Unit tests should cover:
  * - Adding the first item to an empty cart.
  * - Adding a new item from the same store.
  * - Adding an existing item (incrementing quantity) from the same store.
- * - Adding an item from a different store (clearing previous cart).
+ * - Adding an item from a different store (kept alongside the first store's items).
+ * - Adding an item from one store more than MAX_CART_STORES (refused, state unchanged).
  * - Removing an item, leaving other items.
- * - Removing the last item (clearing cart and storeId).
+ * - Removing the last item (empty cart).
+ * - Removing one store's items, leaving the other stores'.
  * - Updating quantity to a positive value.
  * - Updating quantity to 0 or less (removing the item).
  * - Updating quantity for a non-existent item (should not change state).
@@ -69,26 +199,19 @@ const cartReducer = (state, action) => {
   switch (action.type) {
     case 'ADD_ITEM': {
       // Validate payload
-      const { item, storeId } = action.payload ?? {};
-      if (!item || typeof item.productId !== 'string' || !item.productId || typeof item.name !== 'string' || !item.name || typeof item.price !== 'number' || isNaN(item.price) || item.price < 0 || typeof storeId !== 'string' || !storeId) {
+      const { item, storeId, quantity = 1 } = action.payload ?? {};
+      if (!item || typeof item.productId !== 'string' || !item.productId || typeof item.name !== 'string' || !item.name || typeof item.price !== 'number' || isNaN(item.price) || item.price < 0 || typeof storeId !== 'string' || !storeId || !Number.isInteger(quantity) || quantity < 1) {
         console.warn('[CartContext] Invalid ADD_ITEM payload:', action.payload);
         return state;
       }
 
-      // Single-Store Logic Enforcement
-      if (state.storeId !== null && state.storeId !== storeId) {
-        if (process.env.NODE_ENV === 'development') {
-          console.warn(`[CartContext] Adding item from different store (${storeId}). Clearing cart from store ${state.storeId}.`);
-        }
-        // Replace the cart with the new item from the new store
-        return {
-          storeId: storeId,
-          items: [{ ...item, quantity: 1 }],
-        };
+      // One checkout can only order from so many stores
+      const storeIds = getCartStoreIds(state.items);
+      if (!storeIds.includes(storeId) && storeIds.length >= MAX_CART_STORES) {
+        console.warn(`[CartContext] The cart already holds items from ${MAX_CART_STORES} stores; not adding from store ${storeId}.`);
+        return state;
       }
 
-      // Same store or initially empty cart
-      const newStoreId = state.storeId ?? storeId;
       const existingItemIndex = state.items.findIndex(
         (cartItem) => cartItem.productId === item.productId
       );
@@ -98,18 +221,15 @@ const cartReducer = (state, action) => {
         // Item exists, increment quantity
         newItemsArray = state.items.map((cartItem, index) =>
           index === existingItemIndex
-            ? { ...cartItem, quantity: cartItem.quantity + 1 }
+            ? { ...cartItem, quantity: cartItem.quantity + quantity }
             : cartItem
         );
       } else {
-        // Item does not exist, add it with quantity 1
-        newItemsArray = [...state.items, { ...item, quantity: 1 }];
+        // Item does not exist, add it with the requested quantity
+        newItemsArray = [...state.items, { ...item, storeId, quantity }];
       }
 
-      return {
-        storeId: newStoreId,
-        items: newItemsArray,
-      };
+      return { ...state, items: newItemsArray };
     }
 
     case 'REMOVE_ITEM': {
@@ -122,7 +242,7 @@ const cartReducer = (state, action) => {
 
       const newItems = state.items.filter((item) => item.productId !== productId);
 
-      // If removing the item makes the cart empty, reset storeId
+      // If removing the item makes the cart empty, reset it
       if (newItems.length === 0) {
         return initialCartState;
       } else {
@@ -130,6 +250,18 @@ const cartReducer = (state, action) => {
       }
     }
 
+    case 'REMOVE_STORE_ITEMS': {
+      const { storeId } = action.payload ?? {};
+      if (typeof storeId !== 'string' || !storeId) {
+        console.warn('[CartContext] Invalid REMOVE_STORE_ITEMS payload:', action.payload);
+        return state;
+      }
+
+      const newItems = state.items.filter((item) => item.storeId !== storeId);
+      if (newItems.length === state.items.length) return state;
+      return newItems.length === 0 ? initialCartState : { ...state, items: newItems };
+    }
+
     case 'UPDATE_QUANTITY': {
       // Validate payload
       const { productId, quantity } = action.payload ?? {};
@@ -175,6 +307,11 @@ const cartReducer = (state, action) => {
       return initialCartState;
     }
 
+    case 'REPLACE_CART': {
+      // The whole cart from elsewhere (another tab, the customer's saved cart), keeping its timestamp
+      return sanitizeCart(action.payload);
+    }
+
     default: {
       // Throw for unhandled actions to catch errors during development
       throw new Error(`[CartContext] Unhandled action type: ${action.type}`);
@@ -182,12 +319,27 @@ const cartReducer = (state, action) => {
   }
 };
 
+/**
+ * Wraps cartReducer to record when the cart changed. Every action except
+ * REPLACE_CART carries an `updatedAt` set by the action creator, which keeps
+ * the reducer pure. Actions that change nothing keep the old timestamp.
+ * @param {CartState} state
+ * @param {{ type: string, payload?: object, updatedAt?: number }} action
+ * @returns {CartState}
+ */
+const timestampedCartReducer = (state, action) => {
+  const nextState = cartReducer(state, action);
+  if (nextState === state || action.type === 'REPLACE_CART') return nextState;
+  return { ...nextState, updatedAt: action.updatedAt ?? null };
+};
+
 // --- Context Definition ---
 
 /**
  * React Context object for the shopping cart.
  * Provides access to cart state and action dispatchers.
- * @type {React.Context<CartState & { addItem: Function, removeItem: Function, updateQuantity: Function, clearCart: Function } | undefined>}
+ * @type {React.Context<CartState & { storeIds: string[], addItem: Function, removeItem: Function, removeStoreItems: Function,
+ *   updateQuantity: Function, clearCart: Function, replaceCart: Function } | undefined>}
  */
 const CartContext = createContext(undefined);
 
@@ -196,24 +348,40 @@ const CartContext = createContext(undefined);
 /**
  * Provides the CartContext to its children components.
  * Manages the cart state using a reducer and exposes state and action dispatchers.
+ * The cart is saved to localStorage, restored on load and kept in step with
+ * other open tabs through the `storage` event.
  *
  * @param {object} props - Component props.
  * @param {React.ReactNode} props.children - The child components that will consume the context.
  * @returns {JSX.Element} The CartContext Provider wrapping the children.
  */
 export const CartProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(cartReducer, initialCartState);
+  const [state, dispatch] = useReducer(timestampedCartReducer, undefined, readStoredCart);
+
+  useEffect(() => {
+    writeStoredCart(state);
+  }, [state]);
+
+  // Another tab changed the cart (or storage was cleared): take its copy
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== CART_STORAGE_KEY && event.key !== null) return;
+      dispatch({ type: 'REPLACE_CART', payload: readStoredCart() });
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
 
   /**
-   * Adds an item to the cart. If the item is from a different store
-   * than the items currently in the cart, the cart will be cleared
-   * and the new item will be added. If the item already exists in the
-   * cart (from the same store), its quantity will be incremented.
+   * Adds an item to the cart, alongside any items from other stores. If the
+   * item is already in the cart, its quantity will be incremented. Nothing is
+   * added from a new store once the cart holds MAX_CART_STORES stores.
    * @param {{productId: string, name: string, price: number}} item - The item details to add.
    * @param {string} storeId - The ID of the store the item belongs to.
+   * @param {number} [quantity=1] - How many units to add, e.g. when reordering.
    * @returns {void}
    */
-  const addItem = useCallback((item, storeId) => {
+  const addItem = useCallback((item, storeId, quantity = 1) => {
     // Basic validation before dispatching
     if (!item || typeof item.productId !== 'string' || typeof item.name !== 'string' || typeof item.price !== 'number' || typeof storeId !== 'string' || !storeId) {
         console.error("Invalid item or storeId passed to addItem", { item, storeId });
@@ -223,7 +391,11 @@ export const CartProvider = ({ children }) => {
         console.error("Item price cannot be negative", { item });
         return;
      }
-    dispatch({ type: 'ADD_ITEM', payload: { item, storeId } });
+     if (!Number.isInteger(quantity) || quantity < 1) {
+        console.error("Quantity to add must be a whole number of at least 1", { item, quantity });
+        return;
+     }
+    dispatch({ type: 'ADD_ITEM', payload: { item, storeId, quantity }, updatedAt: Date.now() });
   }, []); // No dependencies, dispatch is stable
 
   /**
@@ -236,7 +408,20 @@ export const CartProvider = ({ children }) => {
         console.error("Invalid productId passed to removeItem", productId);
         return;
      }
-    dispatch({ type: 'REMOVE_ITEM', payload: { productId } });
+    dispatch({ type: 'REMOVE_ITEM', payload: { productId }, updatedAt: Date.now() });
+  }, []);
+
+  /**
+   * Removes every item of one store, e.g. one the customer no longer wants to order from.
+   * @param {string} storeId
+   * @returns {void}
+   */
+  const removeStoreItems = useCallback((storeId) => {
+    if (typeof storeId !== 'string' || !storeId) {
+      console.error("Invalid storeId passed to removeStoreItems", storeId);
+      return;
+    }
+    dispatch({ type: 'REMOVE_STORE_ITEMS', payload: { storeId }, updatedAt: Date.now() });
   }, []);
 
   /**
@@ -252,27 +437,40 @@ export const CartProvider = ({ children }) => {
       return;
     }
     // Reducer handles the logic for quantity <= 0
-    dispatch({ type: 'UPDATE_QUANTITY', payload: { productId, quantity } });
+    dispatch({ type: 'UPDATE_QUANTITY', payload: { productId, quantity }, updatedAt: Date.now() });
   }, []);
 
   /**
-   * Removes all items from the cart and resets the storeId.
+   * Removes all items from the cart.
    * @returns {void}
    */
   const clearCart = useCallback(() => {
-    dispatch({ type: 'CLEAR_CART' });
+    dispatch({ type: 'CLEAR_CART', updatedAt: Date.now() });
+  }, []);
+
+  /**
+   * Replaces the whole cart, e.g. with the cart saved to the customer's account.
+   * Malformed items are dropped.
+   * @param {{ items: CartItem[], updatedAt?: number | null }} cart
+   * @returns {void}
+   */
+  const replaceCart = useCallback((cart) => {
+    dispatch({ type: 'REPLACE_CART', payload: cart });
   }, []);
 
   // Memoize the context value to prevent unnecessary re-renders of consumers
-  // unless the state (storeId, items) or the action functions change (which they won't due to useCallback).
+  // unless the state (items, updatedAt) or the action functions change (which they won't due to useCallback).
   const contextValue = useMemo(() => ({
-    storeId: state.storeId,
+    storeIds: getCartStoreIds(state.items),
     items: state.items,
+    updatedAt: state.updatedAt,
     addItem,
     removeItem,
+    removeStoreItems,
     updateQuantity,
     clearCart,
-  }), [state.storeId, state.items, addItem, removeItem, updateQuantity, clearCart]);
+    replaceCart,
+  }), [state.items, state.updatedAt, addItem, removeItem, removeStoreItems, updateQuantity, clearCart, replaceCart]);
 
   return (
     <CartContext.Provider value={contextValue}>
@@ -291,7 +489,9 @@ CartProvider.propTypes = {
 /**
  * Custom hook to easily access the CartContext value (state and actions).
  * Ensures the hook is used within a component wrapped by CartProvider.
- * @returns {{storeId: string | null, items: CartItem[], addItem: Function, removeItem: Function, updateQuantity: Function, clearCart: Function}} The cart context value.
+ * @returns {{storeIds: string[], items: CartItem[], updatedAt: number | null, addItem: Function, removeItem: Function,
+ *   removeStoreItems: Function, updateQuantity: Function, clearCart: Function, replaceCart: Function}} The cart context
+ *   value. `storeIds` lists the stores in the cart, in the order they were added.
  * @throws {Error} If used outside of a CartProvider.
  *
  * @test Ensure hook throws error when used outside provider.
@@ -304,5 +504,3 @@ export const useCart = () => {
   }
   return context;
 };
-
-</code>
\ No newline at end of file
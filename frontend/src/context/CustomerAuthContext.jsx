@@ -0,0 +1,106 @@
+// frontend/src/context/CustomerAuthContext.jsx
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+import {
+  CUSTOMER_SESSION_EVENT,
+  getStoredCustomerSession,
+  clearStoredCustomerSession,
+  loginCustomer,
+  fetchCurrentCustomer,
+} from '../services/apiService.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Customer} Customer
+ */
+
+// --- Context Creation ---
+
+const CustomerAuthContext = createContext(undefined);
+
+// --- Provider Component ---
+
+/**
+ * Provides the logged-in customer (phone OTP login) to the app.
+ * The session itself lives in apiService's storage; this keeps React in step
+ * with it, including logins and logouts in other tabs and sessions dropped
+ * because the backend rejected the token.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children
+ * @returns {JSX.Element}
+ */
+export const CustomerAuthProvider = ({ children }) => {
+  /** @type {[Customer | null, React.Dispatch<React.SetStateAction<Customer | null>>]} */
+  const [customer, setCustomer] = useState(() => getStoredCustomerSession()?.customer ?? null);
+
+  useEffect(() => {
+    const syncFromStorage = () => setCustomer(getStoredCustomerSession()?.customer ?? null);
+    // Same tab: apiService's event. Other tabs: the storage event.
+    window.addEventListener(CUSTOMER_SESSION_EVENT, syncFromStorage);
+    window.addEventListener('storage', syncFromStorage);
+    return () => {
+      window.removeEventListener(CUSTOMER_SESSION_EVENT, syncFromStorage);
+      window.removeEventListener('storage', syncFromStorage);
+    };
+  }, []);
+
+  // Refresh the saved profile once per visit; an expired token logs the customer out
+  useEffect(() => {
+    if (!getStoredCustomerSession()) return;
+    fetchCurrentCustomer().catch((err) => {
+      console.warn('[CustomerAuthContext] Could not refresh the customer profile:', err);
+    });
+  }, []);
+
+  /**
+   * Logs in with the code texted to `phone`.
+   * @param {string} phone
+   * @param {string} code
+   * @returns {Promise<{ customer: Customer, isNewCustomer: boolean }>}
+   */
+  const login = useCallback((phone, code) => loginCustomer(phone, code), []);
+
+  const logout = useCallback(() => clearStoredCustomerSession(), []);
+
+  /**
+   * Reloads the profile, e.g. after an order added to the address book.
+   * @returns {Promise<Customer>}
+   */
+  const refresh = useCallback(() => fetchCurrentCustomer(), []);
+
+  const contextValue = useMemo(() => ({
+    customer,
+    isLoggedIn: customer !== null,
+    login,
+    logout,
+    refresh,
+  }), [customer, login, logout, refresh]);
+
+  return (
+    <CustomerAuthContext.Provider value={contextValue}>
+      {children}
+    </CustomerAuthContext.Provider>
+  );
+};
+
+CustomerAuthProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+// --- Custom Hook ---
+
+/**
+ * Access the logged-in customer and the login/logout actions.
+ * @returns {{ customer: Customer | null, isLoggedIn: boolean,
+ *   login: (phone: string, code: string) => Promise<{ customer: Customer, isNewCustomer: boolean }>,
+ *   logout: () => void, refresh: () => Promise<Customer> }}
+ * @throws {Error} If used outside of a CustomerAuthProvider.
+ */
+export const useCustomerAuth = () => {
+  const context = useContext(CustomerAuthContext);
+  if (context === undefined) {
+    throw new Error('useCustomerAuth must be used within a CustomerAuthProvider');
+  }
+  return context;
+};
@@ -1,11 +1,12 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/src/main.jsx
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import { MantineProvider } from '@mantine/core';
+import { Notifications } from '@mantine/notifications';
 // Import global styles required by Mantine
 import '@mantine/core/styles.css';
+import '@mantine/notifications/styles.css';
 
 import App from './App.jsx'; // The root application component
 import { CartProvider } from './context/CartContext.jsx'; // Global cart state provider
@@ -26,15 +27,14 @@ const root = ReactDOM.createRoot(rootElement);
 // CartProvider should be inside MantineProvider if its components use Mantine, but generally can be either inside or outside Mantine.
 // StrictMode helps catch potential problems in development.
 root.render(
-  &lt;React.StrictMode&gt;
-    &lt;BrowserRouter&gt;
-      &lt;MantineProvider /* defaultTheme */ &gt; {/* Applies Mantine theme and styles globally */}
-        &lt;CartProvider&gt; {/* Provides global cart state */}
-          &lt;App /&gt; {/* The main application component with routing */}
-        &lt;/CartProvider&gt;
-      &lt;/MantineProvider&gt;
-    &lt;/BrowserRouter&gt;
-  &lt;/React.StrictMode&gt;
+  <React.StrictMode>
+    <BrowserRouter>
+      <MantineProvider /* defaultTheme */ > {/* Applies Mantine theme and styles globally */}
+        <Notifications position="top-right" /> {/* Shows notifications.show() toasts from anywhere in the app */}
+        <CartProvider> {/* Provides global cart state */}
+          <App /> {/* The main application component with routing */}
+        </CartProvider>
+      </MantineProvider>
+    </BrowserRouter>
+  </React.StrictMode>
 );
-
-</code>
\ No newline at end of file
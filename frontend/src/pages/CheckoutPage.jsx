@@ -1,5 +1,5 @@
 // frontend/src/pages/CheckoutPage.jsx
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Container, Title, Stack, Alert, Text, Divider, Button } from '@mantine/core';
 import { IconShoppingCartOff } from '@tabler/icons-react';
 import { Link } from 'react-router-dom';
@@ -7,15 +7,139 @@ import { Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext.jsx';
 import CartView from '../components/CartView.jsx';
 import CheckoutForm from '../components/CheckoutForm.jsx';
+import { fetchOrderQuote, validateCart } from '../services/apiService.js';
+
+/**
+ * @typedef {import('../services/apiService.js').OrderQuote} OrderQuote
+ * @typedef {import('../services/apiService.js').CartValidation} CartValidation
+ */
+
+// Wait for quantity edits to settle before re-pricing the cart
+const QUOTE_DEBOUNCE_MS = 300;
+
+/**
+ * Runs one request per store in the cart, keeping each store's result or error.
+ * @template T
+ * @param {Array<{ storeId: string, items: object[] }>} storeCarts
+ * @param {(storeCart: { storeId: string, items: object[] }) => Promise<T>} request
+ * @returns {Promise<{ results: Record<string, T>, errors: Record<string, Error> }>}
+ */
+const requestPerStore = async (storeCarts, request) => {
+  const outcomes = await Promise.all(storeCarts.map((storeCart) =>
+    request(storeCart)
+      .then((result) => ({ storeId: storeCart.storeId, result }))
+      .catch((error) => ({ storeId: storeCart.storeId, error }))
+  ));
+  const results = {};
+  const errors = {};
+  outcomes.forEach(({ storeId, result, error }) => {
+    if (error) {
+      errors[storeId] = error instanceof Error ? error : new Error('Could not reach the store. Please try again.');
+    } else {
+      results[storeId] = result;
+    }
+  });
+  return { results, errors };
+};
 
 /**
  * CheckoutPage Component
  * Serves as the container for the checkout process.
  * Conditionally displays either an empty cart message or the cart summary and checkout form.
+ * The page prices the cart through the backend quote endpoint and hands the
+ * same quote to CartView and CheckoutForm, so the total shown is the total charged.
+ * Coupon and phone changes re-quote the cart, so discounts are always server-checked,
+ * and so do address changes, so the quote fails for an address the store doesn't serve.
+ * The cart is also checked against the store's current catalog: price changes,
+ * products no longer sold, short stock and a closed store are shown in the
+ * cart, and the order can't be placed until the customer has seen them.
+ * A cart holding several stores is quoted and checked store by store, since
+ * each store gets its own order; coupons only apply to single-store carts.
  */
 function CheckoutPage() {
   // Retrieve cart items from the CartContext
-  const { items } = useCart();
+  const { items, storeIds } = useCart();
+  const storeCarts = useMemo(
+    () => storeIds.map((storeId) => ({ storeId, items: items.filter((item) => item.storeId === storeId) })),
+    [storeIds, items]
+  );
+
+  /** @type {[{ lat: number, lng: number } | null, Function]} */
+  const [deliveryLocation, setDeliveryLocation] = useState(null);
+  /** @type {[{ addressId: string } | { deliveryAddress: object } | null, Function]} */
+  const [deliveryAddress, setDeliveryAddress] = useState(null);
+  const [couponCode, setCouponCode] = useState('');
+  const [customerPhone, setCustomerPhone] = useState('');
+  /** @type {[Record<string, OrderQuote>, Function]} */
+  const [quotes, setQuotes] = useState({}); // By store ID
+  /** @type {[Record<string, Error>, Function]} */
+  const [quoteErrors, setQuoteErrors] = useState({}); // By store ID
+  const [isQuoteLoading, setIsQuoteLoading] = useState(false);
+  /** @type {[Record<string, CartValidation>, Function]} */
+  const [cartValidations, setCartValidations] = useState({}); // By store ID
+  const [isValidating, setIsValidating] = useState(false);
+
+  // Coupons are for orders from a single store
+  const appliedCouponCode = storeCarts.length === 1 ? couponCode : '';
+
+  // Re-check the cart against each store's catalog whenever it changes
+  useEffect(() => {
+    if (storeCarts.length === 0) {
+      setCartValidations({});
+      setIsValidating(false);
+      return undefined;
+    }
+
+    let isCurrent = true;
+    setIsValidating(true);
+    const timer = setTimeout(async () => {
+      const { results, errors } = await requestPerStore(storeCarts, validateCart);
+      // The quote reports the same problems as an error, so checkout still can't go ahead on a bad cart
+      Object.entries(errors).forEach(([storeId, err]) => console.warn(`[CheckoutPage] Could not check the cart for store ${storeId}:`, err));
+      if (isCurrent) {
+        setCartValidations(results);
+        setIsValidating(false);
+      }
+    }, QUOTE_DEBOUNCE_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [storeCarts]);
+
+  // Re-price whenever the cart, delivery location or address, coupon or customer changes
+  useEffect(() => {
+    if (storeCarts.length === 0) {
+      setQuotes({});
+      setQuoteErrors({});
+      setIsQuoteLoading(false);
+      return undefined;
+    }
+
+    let isCurrent = true; // Ignore responses for a cart that has since changed
+    setIsQuoteLoading(true);
+    const timer = setTimeout(async () => {
+      const { results, errors } = await requestPerStore(storeCarts, ({ storeId, items: storeItems }) => fetchOrderQuote({
+        storeId,
+        items: storeItems,
+        deliveryLocation: deliveryLocation ?? undefined,
+        address: deliveryAddress ?? undefined,
+        couponCode: appliedCouponCode,
+        phone: customerPhone,
+      }));
+      if (isCurrent) {
+        setQuotes(results);
+        setQuoteErrors(errors);
+        setIsQuoteLoading(false);
+      }
+    }, QUOTE_DEBOUNCE_MS);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [storeCarts, deliveryLocation, deliveryAddress, appliedCouponCode, customerPhone]);
 
   // Conditional rendering based on cart content
   if (items.length === 0) {
@@ -52,18 +176,35 @@ function CheckoutPage() {
           Checkout
         </Title>
 
-        {/* Display the cart summary */}
-        <CartView />
+        {/* Display the cart summary with the backend-computed price breakdown */}
+        <CartView
+          quotes={quotes}
+          isQuoteLoading={isQuoteLoading}
+          quoteErrors={quoteErrors}
+          cartValidations={cartValidations}
+          isValidating={isValidating}
+        />
 
         {/* Visual separation */}
         <Divider my="lg" />
 
         {/* Display the guest details and submission form */}
-        <CheckoutForm />
+        <CheckoutForm
+          quotes={quotes}
+          isQuoteLoading={isQuoteLoading}
+          cartValidations={cartValidations}
+          isValidating={isValidating}
+          deliveryLocation={deliveryLocation}
+          onDeliveryLocationChange={setDeliveryLocation}
+          onDeliveryAddressChange={setDeliveryAddress}
+          couponCode={appliedCouponCode}
+          onCouponCodeChange={setCouponCode}
+          onCustomerPhoneChange={setCustomerPhone}
+        />
       </Stack>
     );
   }
 }
 
 // Export the component, wrapped with React.memo for potential performance optimization
-export default React.memo(CheckoutPage);
\ No newline at end of file
+export default React.memo(CheckoutPage);
@@ -1,11 +1,13 @@
 // frontend/src/pages/HomePage.jsx
 import React, { useState, useCallback, memo } from 'react';
-import { Container, Title, Stack, LoadingOverlay, Alert, Box } from '@mantine/core';
-import { IconAlertCircle } from '@tabler/icons-react';
+import { Link } from 'react-router-dom';
+import { Container, Title, Stack, LoadingOverlay, Alert, Box, Group, Button } from '@mantine/core';
+import { IconAlertCircle, IconReceipt } from '@tabler/icons-react';
 
 import StoreSearch from '../components/StoreSearch.jsx';
 import StoreList from '../components/StoreList.jsx';
-import { fetchStoresByPincode } from '../services/apiService.js';
+import { fetchStoresByPincode, fetchNearbyStores } from '../services/apiService.js';
+import { useCustomerAuth } from '../context/CustomerAuthContext.jsx';
 
 /**
  * @typedef {import('../services/apiService.js').Store} Store
@@ -14,9 +16,13 @@ import { fetchStoresByPincode } from '../services/apiService.js';
 /**
  * HomePage Component
  * Serves as the main landing page for users to search for local stores via pincode
- * and view the corresponding list of stores. Manages search state and results display.
+ * or their current location and view the corresponding list of stores. Location
+ * results only include stores that deliver to the shopper, nearest first.
+ * Manages search state and results display.
+ * Logged-in customers get a link to their past orders.
  */
 function HomePage() {
+  const { isLoggedIn } = useCustomerAuth();
   /** @type {[Store[], React.Dispatch<React.SetStateAction<Store[]>>]} */
   const [stores, setStores] = useState([]);
   /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
@@ -54,14 +60,44 @@ function HomePage() {
     }
   }, []); // No dependencies needed as fetchStoresByPincode is stable
 
+  /**
+   * Handles a search by the shopper's current location.
+   * @param {{ lat: number, lng: number }} location - Coordinates from the browser.
+   * @returns {Promise<void>}
+   */
+  const handleLocationSearch = useCallback(async (location) => {
+    setIsLoading(true);
+    setError(null);
+    setStores([]);
+
+    try {
+      const fetchedStores = await fetchNearbyStores(location);
+      setStores(Array.isArray(fetchedStores) ? fetchedStores : []);
+    } catch (err) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error('[HomePage] Failed to fetch nearby stores:', err);
+      }
+      setError(err instanceof Error ? err : new Error('An unknown error occurred during search.'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
   return (
     <Stack gap="lg"> {/* Use Stack for vertical arrangement and spacing */}
+      {isLoggedIn && (
+        <Group justify="flex-end">
+          <Button component={Link} to="/orders" variant="subtle" size="xs" leftSection={<IconReceipt size={14} />}>
+            Your Orders
+          </Button>
+        </Group>
+      )}
       <Title order={1} ta="center"> {/* Main page title */}
         Find Local Stores Near You
       </Title>
 
       {/* Store Search Component */}
-      <StoreSearch onSearch={handleSearch} isLoading={isLoading} />
+      <StoreSearch onSearch={handleSearch} onLocationSearch={handleLocationSearch} isLoading={isLoading} />
 
       {/* Results Area: Loading Overlay, Error Alert, and Store List */}
       <Box pos="relative" mt="md"> {/* Relative position for overlay */}
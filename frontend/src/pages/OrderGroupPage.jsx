@@ -0,0 +1,255 @@
+// frontend/src/pages/OrderGroupPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import {
+  Stack,
+  Title,
+  Text,
+  Alert,
+  Loader,
+  Center,
+  Group,
+  Badge,
+  Paper,
+  Button,
+  TextInput,
+  CopyButton,
+  Divider,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconAlertCircle, IconLock, IconBuildingStore } from '@tabler/icons-react';
+
+import {
+  fetchOrderGroup,
+  getOrderTrackingToken,
+  saveOrderTrackingToken,
+  requestOrderGroupTrackingToken,
+} from '../services/apiService.js';
+import OnlinePaymentModal from '../components/OnlinePaymentModal.jsx';
+import { ORDER_STATUS_LABELS } from '../components/OrderStatusTimeline.jsx';
+import { formatCurrency, formatDate } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').OrderGroup} OrderGroup
+ */
+
+/** Lines of the combined bill, in the order they are shown. */
+const SUMMARY_LINES = [
+  { field: 'itemSubtotal', label: 'Items' },
+  { field: 'deliveryFee', label: 'Delivery' },
+  { field: 'discountTotal', label: 'Discounts', isDeduction: true },
+  { field: 'taxAmount', label: 'GST' },
+];
+
+/**
+ * OrderGroupPage Component
+ * The customer's view of a checkout that ordered from several stores: each
+ * store's order with its status and a link to follow it, and the combined
+ * bill. Whatever is still unpaid online can be paid here in one go.
+ *
+ * Like OrderPage, it needs the group's tracking token (saved on the device
+ * that placed the orders, or carried in the link as `?token=`), or the
+ * customer confirms the phone number the orders were placed with.
+ */
+function OrderGroupPage() {
+  const { groupId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  /** @type {[OrderGroup | null, Function]} */
+  const [group, setGroup] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  /** @type {[Error | null, Function]} */
+  const [error, setError] = useState(null);
+  const [isPaying, setIsPaying] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0); // Bumped to fetch the group again
+  const [phone, setPhone] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  // A shared link carries the token in the URL: keep it, then tidy the address bar
+  const linkToken = searchParams.get('token');
+  useEffect(() => {
+    if (linkToken) {
+      saveOrderTrackingToken(groupId, linkToken);
+      setSearchParams({}, { replace: true });
+    }
+  }, [groupId, linkToken, setSearchParams]);
+
+  useEffect(() => {
+    if (linkToken) return undefined; // Wait until the link's token is saved
+    let isCurrent = true;
+    setIsLoading(true);
+    setError(null);
+    fetchOrderGroup(groupId)
+      .then((details) => { if (isCurrent) setGroup(details); })
+      .catch((err) => {
+        if (isCurrent) setError(err instanceof Error ? err : new Error('Could not load these orders.'));
+      })
+      .finally(() => { if (isCurrent) setIsLoading(false); });
+    return () => { isCurrent = false; };
+  }, [groupId, linkToken, reloadCount]);
+
+  // Reload after a payment attempt so every order shows its new payment status
+  const handlePaymentClosed = useCallback(() => {
+    setIsPaying(false);
+    setReloadCount((count) => count + 1);
+  }, []);
+
+  const handleVerifyPhone = useCallback(async (event) => {
+    event.preventDefault();
+    setIsVerifying(true);
+    try {
+      await requestOrderGroupTrackingToken(groupId, phone.trim());
+      setReloadCount((count) => count + 1);
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Verify',
+        message: err?.message || 'Please check the number and try again.',
+        color: 'red',
+        icon: <IconAlertCircle size={18} />,
+      });
+    } finally {
+      setIsVerifying(false);
+    }
+  }, [groupId, phone]);
+
+  if (isLoading && !group) {
+    return (
+      <Center style={{ padding: '40px 0' }}>
+        <Loader color="blue" type="bars" />
+        <Text ml="sm">Loading your orders...</Text>
+      </Center>
+    );
+  }
+
+  // No valid tracking token on this device: confirm the orders' phone number instead
+  if (error?.statusCode === 403 && !group) {
+    return (
+      <Paper withBorder radius="md" p="lg" maw={420} mx="auto">
+        <form onSubmit={handleVerifyPhone}>
+          <Stack gap="md">
+            <Group gap="xs">
+              <IconLock size={20} />
+              <Title order={3}>Track Your Orders</Title>
+            </Group>
+            <Text size="sm" c="dimmed">
+              Enter the mobile number you placed these orders with to see their status.
+            </Text>
+            <TextInput
+              label="Mobile number"
+              placeholder="10-digit mobile number"
+              inputMode="tel"
+              value={phone}
+              onChange={(event) => setPhone(event.currentTarget.value)}
+            />
+            <Button type="submit" loading={isVerifying} disabled={phone.trim().length < 10}>
+              View Orders
+            </Button>
+          </Stack>
+        </form>
+      </Paper>
+    );
+  }
+
+  if (!group) {
+    return (
+      <Alert icon={<IconAlertCircle size={18} />} title="Orders Not Available" color="red" radius="md" variant="light">
+        {error?.message || 'We could not find these orders.'}
+        <Button component={Link} to="/" variant="light" mt="md" display="block">
+          Back to Home
+        </Button>
+      </Alert>
+    );
+  }
+
+  const { summary } = group;
+  const trackingToken = getOrderTrackingToken(group._id);
+
+  return (
+    <Stack gap="lg">
+      <Stack gap={0}>
+        <Title order={2}>Your Orders from {group.orders.length} Stores</Title>
+        <Text size="sm" c="dimmed">Placed on {formatDate(group.createdAt)}</Text>
+      </Stack>
+
+      <Text size="sm" c="dimmed">
+        Each store prepares and delivers its own order. Open an order to follow it live.
+      </Text>
+
+      {group.orders.map((order) => (
+        <Paper key={order._id} withBorder radius="md" p="md">
+          <Group justify="space-between" align="flex-start" wrap="nowrap">
+            <Stack gap={4}>
+              <Group gap={6}>
+                <IconBuildingStore size={18} />
+                <Text fw={600}>{order.storeName || 'Store'}</Text>
+              </Group>
+              <Text size="sm" c="dimmed">
+                Order #{order._id.slice(-6)} · {order.items.filter((item) => item.quantity > 0).length} item(s)
+              </Text>
+            </Stack>
+            <Stack gap={4} align="flex-end">
+              <Badge variant="light" color={order.status === 'cancelled' ? 'red' : 'blue'}>
+                {ORDER_STATUS_LABELS[order.status] || order.status}
+              </Badge>
+              <Text fw={600} td={order.status === 'cancelled' ? 'line-through' : undefined}>
+                {formatCurrency(order.totalAmount)}
+              </Text>
+            </Stack>
+          </Group>
+          <Group justify="flex-end" mt="sm">
+            <Button component={Link} to={`/order/${order._id}`} variant="default" size="xs">
+              View Order
+            </Button>
+          </Group>
+        </Paper>
+      ))}
+
+      <Paper withBorder radius="md" p="md">
+        <Title order={4} mb="sm">Combined Bill</Title>
+        <Stack gap={4}>
+          {SUMMARY_LINES.filter(({ field, isDeduction }) => !isDeduction || summary[field] > 0).map(({ field, label, isDeduction }) => (
+            <Group key={field} justify="space-between">
+              <Text size="sm">{label}</Text>
+              <Text size="sm" c={isDeduction ? 'green' : undefined}>
+                {isDeduction ? '−' : ''}{formatCurrency(summary[field])}
+              </Text>
+            </Group>
+          ))}
+          <Divider my={4} />
+          <Group justify="space-between">
+            <Text fw={700}>Total</Text>
+            <Text fw={700}>{formatCurrency(summary.totalAmount)}</Text>
+          </Group>
+          {group.orders.some((order) => order.status === 'cancelled') && (
+            <Text size="xs" c="dimmed">Cancelled orders are not included.</Text>
+          )}
+        </Stack>
+        {summary.amountDue > 0 && (
+          <Group justify="space-between" mt="md">
+            <Text size="sm" c="orange">{formatCurrency(summary.amountDue)} still to pay</Text>
+            <Button onClick={() => setIsPaying(true)}>Pay Now</Button>
+          </Group>
+        )}
+        {group.paymentMethod === 'cod' && (
+          <Text size="sm" c="dimmed" mt="md">Pay each store in cash when its order is delivered.</Text>
+        )}
+      </Paper>
+
+      {trackingToken && (
+        <Group justify="center">
+          <CopyButton value={`${window.location.origin}/order-group/${group._id}?token=${trackingToken}`}>
+            {({ copied, copy }) => (
+              <Button variant="subtle" size="xs" color={copied ? 'teal' : 'blue'} onClick={copy}>
+                {copied ? 'Tracking link copied' : 'Copy tracking link'}
+              </Button>
+            )}
+          </CopyButton>
+        </Group>
+      )}
+
+      <OnlinePaymentModal orderGroupId={isPaying ? group._id : null} onClose={handlePaymentClosed} />
+    </Stack>
+  );
+}
+
+export default OrderGroupPage;
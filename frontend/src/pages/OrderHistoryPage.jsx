@@ -0,0 +1,163 @@
+// frontend/src/pages/OrderHistoryPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Stack,
+  Title,
+  Text,
+  Alert,
+  Loader,
+  Center,
+  Group,
+  Badge,
+  Paper,
+  Button,
+  Pagination,
+} from '@mantine/core';
+import { IconAlertCircle, IconReceipt } from '@tabler/icons-react';
+
+import { useCustomerAuth } from '../context/CustomerAuthContext.jsx';
+import { fetchCustomerOrders } from '../services/apiService.js';
+import CustomerLoginModal from '../components/CustomerLoginModal.jsx';
+import ReorderButton from '../components/ReorderButton.jsx';
+import { ORDER_STATUS_LABELS } from '../components/OrderStatusTimeline.jsx';
+import { formatCurrency, formatDate } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').OrderHistoryEntry} OrderHistoryEntry
+ */
+
+const ORDERS_PER_PAGE = 10;
+// Item names shown on each order card before "+N more"
+const SUMMARY_ITEM_COUNT = 3;
+
+/**
+ * Lists an order's items on one line, e.g. "Milk × 2, Bread × 1 +3 more".
+ * Lines the store removed entirely are left out.
+ * @param {OrderHistoryEntry} order
+ * @returns {string}
+ */
+const summariseItems = (order) => {
+  const lines = order.items.filter((item) => item.quantity > 0);
+  const shown = lines.slice(0, SUMMARY_ITEM_COUNT).map((item) => `${item.name} × ${item.quantity}`).join(', ');
+  const more = lines.length - SUMMARY_ITEM_COUNT;
+  return more > 0 ? `${shown} +${more} more` : shown;
+};
+
+/**
+ * OrderHistoryPage Component
+ * The logged-in customer's past orders, newest first, each with a link to the
+ * order and a one-tap reorder. Guests are asked to log in; orders they placed
+ * as a guest with the same number show up once they do.
+ */
+function OrderHistoryPage() {
+  const { customer } = useCustomerAuth();
+  const customerId = customer?.id ?? null;
+
+  const [page, setPage] = useState(1);
+  /** @type {[OrderHistoryEntry[], Function]} */
+  const [orders, setOrders] = useState([]);
+  const [totalPages, setTotalPages] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  /** @type {[Error | null, Function]} */
+  const [error, setError] = useState(null);
+  const [isLoginOpen, setIsLoginOpen] = useState(false);
+
+  useEffect(() => {
+    if (!customerId) {
+      setOrders([]);
+      return undefined;
+    }
+    let isCurrent = true;
+    setIsLoading(true);
+    setError(null);
+    fetchCustomerOrders({ page, limit: ORDERS_PER_PAGE })
+      .then(({ results, pagination }) => {
+        if (!isCurrent) return;
+        setOrders(results);
+        setTotalPages(pagination.totalPages);
+      })
+      .catch((err) => {
+        if (isCurrent) setError(err instanceof Error ? err : new Error('Could not load your orders.'));
+      })
+      .finally(() => { if (isCurrent) setIsLoading(false); });
+    return () => { isCurrent = false; };
+  }, [customerId, page]);
+
+  if (!customerId) {
+    return (
+      <Paper withBorder radius="md" p="lg" maw={420} mx="auto">
+        <Stack gap="md">
+          <Group gap="xs">
+            <IconReceipt size={20} />
+            <Title order={3}>Your Orders</Title>
+          </Group>
+          <Text size="sm" c="dimmed">
+            Log in with your phone number to see the orders you have placed and order them again.
+          </Text>
+          <Button onClick={() => setIsLoginOpen(true)}>Log In</Button>
+        </Stack>
+        <CustomerLoginModal opened={isLoginOpen} onClose={() => setIsLoginOpen(false)} />
+      </Paper>
+    );
+  }
+
+  return (
+    <Stack gap="lg">
+      <Title order={2}>Your Orders</Title>
+
+      {error && (
+        <Alert icon={<IconAlertCircle size={18} />} color="red" variant="light" title="Could Not Load Orders">
+          {error.message}
+        </Alert>
+      )}
+
+      {isLoading && orders.length === 0 && (
+        <Center py="xl">
+          <Loader color="blue" type="bars" />
+        </Center>
+      )}
+
+      {!isLoading && !error && orders.length === 0 && (
+        <Stack align="center" gap="sm" py="xl">
+          <Text c="dimmed">You haven&apos;t placed any orders yet.</Text>
+          <Button component={Link} to="/" variant="light">Find a Store</Button>
+        </Stack>
+      )}
+
+      {orders.map((order) => (
+        <Paper key={order._id} withBorder radius="md" p="md">
+          <Group justify="space-between" align="flex-start" wrap="nowrap">
+            <Stack gap={4}>
+              <Text fw={600}>{order.storeName || 'Store'}</Text>
+              <Text size="sm" c="dimmed">
+                {formatDate(order.createdAt)} · Order #{order._id.slice(-6)}
+              </Text>
+              <Text size="sm">{summariseItems(order)}</Text>
+            </Stack>
+            <Stack gap={4} align="flex-end">
+              <Badge variant="light" color={order.status === 'cancelled' ? 'red' : 'blue'}>
+                {ORDER_STATUS_LABELS[order.status] || order.status}
+              </Badge>
+              <Text fw={600}>{formatCurrency(order.totalAmount)}</Text>
+            </Stack>
+          </Group>
+          <Group justify="flex-end" gap="xs" mt="sm">
+            <Button component={Link} to={`/order/${order._id}`} variant="default" size="xs">
+              View Order
+            </Button>
+            <ReorderButton orderId={order._id} size="xs" variant="light" />
+          </Group>
+        </Paper>
+      ))}
+
+      {totalPages > 1 && (
+        <Center>
+          <Pagination total={totalPages} value={page} onChange={setPage} />
+        </Center>
+      )}
+    </Stack>
+  );
+}
+
+export default OrderHistoryPage;
@@ -0,0 +1,327 @@
+// frontend/src/pages/OrderPage.jsx
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import {
+  Stack,
+  Title,
+  Text,
+  Alert,
+  Loader,
+  Center,
+  Group,
+  Badge,
+  Paper,
+  Button,
+  TextInput,
+  CopyButton,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import { IconAlertCircle, IconLock, IconTruckDelivery, IconBike, IconPhone, IconClock } from '@tabler/icons-react';
+
+import {
+  fetchOrderDetails,
+  getOrderTrackingToken,
+  saveOrderTrackingToken,
+  requestOrderTrackingToken,
+  subscribeToOrderUpdates,
+} from '../services/apiService.js';
+import OrderBill from '../components/OrderBill.jsx';
+import OnlinePaymentModal from '../components/OnlinePaymentModal.jsx';
+import OrderStatusTimeline, { ORDER_STATUS_LABELS } from '../components/OrderStatusTimeline.jsx';
+import ReorderButton from '../components/ReorderButton.jsx';
+import { formatDate, formatStoreTime, formatDeliverySlot } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Order} Order
+ */
+
+/** What the customer is told when the store moves their order along. */
+const STATUS_UPDATE_MESSAGES = {
+  accepted: 'The store has accepted your order and is packing it.',
+  out_for_delivery: 'Your order is on its way!',
+  delivered: 'Your order has been delivered. Enjoy!',
+  cancelled: 'Your order was cancelled by the store.',
+};
+
+/**
+ * OrderPage Component
+ * The customer's view of an order they placed: its status history and the
+ * current bill, including items the store removed and any refunds. An unpaid
+ * online order can be paid (or a failed payment retried) from here.
+ *
+ * Opening an order needs its tracking token, which is saved on the device the
+ * order was placed from and carried in the shareable tracking link
+ * (`?token=`). Without it the customer confirms the order's phone number.
+ * The page follows the order live while it is open. Until it arrives the
+ * page shows when it was promised by, or the delivery slot the customer
+ * booked (and a later estimate if it is running late), the delivery code the customer gives the rider, and who the rider is
+ * once one is assigned. A finished order can be reordered from here.
+ */
+function OrderPage() {
+  const { orderId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  /** @type {[Order | null, React.Dispatch<React.SetStateAction<Order | null>>]} */
+  const [order, setOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  /** @type {[Error | null, React.Dispatch<React.SetStateAction<Error | null>>]} */
+  const [error, setError] = useState(null);
+  const [isPaying, setIsPaying] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0); // Bumped to fetch the order again
+  const [phone, setPhone] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  /** @type {['connecting' | 'live' | 'reconnecting' | 'closed', Function]} */
+  const [feedState, setFeedState] = useState('connecting');
+
+  // A tracking link carries the token in the URL: keep it, then tidy the address bar
+  const linkToken = searchParams.get('token');
+  useEffect(() => {
+    if (linkToken) {
+      saveOrderTrackingToken(orderId, linkToken);
+      setSearchParams({}, { replace: true });
+    }
+  }, [orderId, linkToken, setSearchParams]);
+
+  useEffect(() => {
+    if (linkToken) return undefined; // Wait until the link's token is saved
+    let isCurrent = true;
+    setIsLoading(true);
+    setError(null);
+    fetchOrderDetails(orderId)
+      .then((details) => { if (isCurrent) setOrder(details); })
+      .catch((err) => {
+        if (isCurrent) setError(err instanceof Error ? err : new Error('Could not load this order.'));
+      })
+      .finally(() => { if (isCurrent) setIsLoading(false); });
+    return () => { isCurrent = false; };
+  }, [orderId, linkToken, reloadCount]);
+
+  // Lets the live feed tell whether an event actually moved the order on
+  const statusRef = useRef(null);
+  useEffect(() => {
+    statusRef.current = order?.status ?? null;
+  }, [order?.status]);
+
+  // Follow the order live once it has loaded
+  const hasOrder = order !== null;
+  useEffect(() => {
+    if (!hasOrder) return undefined;
+    return subscribeToOrderUpdates(orderId, {
+      onOrderEvent: (type, updatedOrder) => {
+        if (type === 'order.status_changed' && statusRef.current !== updatedOrder.status) {
+          notifications.show({
+            title: ORDER_STATUS_LABELS[updatedOrder.status] || 'Order Updated',
+            message: STATUS_UPDATE_MESSAGES[updatedOrder.status] || 'Your order has been updated.',
+            color: updatedOrder.status === 'cancelled' ? 'red' : 'blue',
+            icon: <IconTruckDelivery size={18} />,
+          });
+        }
+        setOrder(updatedOrder);
+      },
+      onResync: () => setReloadCount((count) => count + 1),
+      onConnectionChange: setFeedState,
+    });
+  }, [orderId, hasOrder]);
+
+  // Reload the order after a payment attempt so the bill shows the new payment status
+  const handlePaymentClosed = useCallback(async () => {
+    setIsPaying(false);
+    try {
+      setOrder(await fetchOrderDetails(orderId));
+    } catch (err) {
+      console.error('[OrderPage] Failed to refresh order after payment:', err);
+    }
+  }, [orderId]);
+
+  const handleVerifyPhone = useCallback(async (event) => {
+    event.preventDefault();
+    setIsVerifying(true);
+    try {
+      await requestOrderTrackingToken(orderId, phone.trim());
+      setReloadCount((count) => count + 1);
+    } catch (err) {
+      notifications.show({
+        title: 'Could Not Verify',
+        message: err?.message || 'Please check the number and try again.',
+        color: 'red',
+        icon: <IconAlertCircle size={18} />,
+      });
+    } finally {
+      setIsVerifying(false);
+    }
+  }, [orderId, phone]);
+
+  // Reloads after a resync keep showing the order already on screen
+  if (isLoading && !order) {
+    return (
+      <Center style={{ padding: '40px 0' }}>
+        <Loader color="blue" type="bars" />
+        <Text ml="sm">Loading your order...</Text>
+      </Center>
+    );
+  }
+
+  // No valid tracking token on this device: confirm the order's phone number instead
+  if (error?.statusCode === 403 && !order) {
+    return (
+      <Paper withBorder radius="md" p="lg" maw={420} mx="auto">
+        <form onSubmit={handleVerifyPhone}>
+          <Stack gap="md">
+            <Group gap="xs">
+              <IconLock size={20} />
+              <Title order={3}>Track Your Order</Title>
+            </Group>
+            <Text size="sm" c="dimmed">
+              Enter the mobile number you placed this order with to see its status.
+            </Text>
+            <TextInput
+              label="Mobile number"
+              placeholder="10-digit mobile number"
+              inputMode="tel"
+              value={phone}
+              onChange={(event) => setPhone(event.currentTarget.value)}
+            />
+            <Button type="submit" loading={isVerifying} disabled={phone.trim().length < 10}>
+              View Order
+            </Button>
+          </Stack>
+        </form>
+      </Paper>
+    );
+  }
+
+  if (!order) {
+    return (
+      <Alert icon={<IconAlertCircle size={18} />} title="Order Not Available" color="red" radius="md" variant="light">
+        {error?.message || 'We could not find this order.'}
+        <Button component={Link} to="/" variant="light" mt="md" display="block">
+          Back to Home
+        </Button>
+      </Alert>
+    );
+  }
+
+  const canPay = order.paymentMethod === 'online'
+    && ['pending', 'failed'].includes(order.paymentStatus)
+    && order.status !== 'cancelled';
+  const isFinished = ['delivered', 'cancelled'].includes(order.status);
+  const trackingToken = getOrderTrackingToken(order._id);
+  // The live estimate only matters once it slips past the promise
+  const isRunningLate = Boolean(order.promise && order.estimatedDeliveryAt)
+    && new Date(order.estimatedDeliveryAt) > new Date(order.promise.promisedAt);
+
+  return (
+    <Stack gap="lg">
+      <Group justify="space-between" align="flex-end">
+        <Stack gap={0}>
+          <Title order={2}>Order #{order._id.slice(-6)}</Title>
+          <Text size="sm" c="dimmed">Placed on {formatDate(order.createdAt)}</Text>
+        </Stack>
+        <Group gap="xs">
+          {!isFinished && feedState === 'live' && (
+            <Badge size="sm" variant="dot" color="green">Live</Badge>
+          )}
+          <Badge size="lg" variant="light" color={order.status === 'cancelled' ? 'red' : 'blue'}>
+            {ORDER_STATUS_LABELS[order.status] || order.status}
+          </Badge>
+        </Group>
+      </Group>
+
+      {!isFinished && STATUS_UPDATE_MESSAGES[order.status] && (
+        <Alert color="blue" variant="light" icon={<IconTruckDelivery size={18} />}>
+          {STATUS_UPDATE_MESSAGES[order.status]}
+        </Alert>
+      )}
+
+      {!isFinished && order.promise && (
+        <Paper withBorder radius="md" p="md">
+          <Group gap="sm" wrap="nowrap">
+            <IconClock size={22} />
+            <Stack gap={0}>
+              <Text fw={600}>
+                {order.deliverySlot
+                  ? `Delivery slot: ${formatDeliverySlot(order.deliverySlot)}`
+                  : `Arriving by ${formatStoreTime(order.promise.promisedAt)}`}
+              </Text>
+              {isRunningLate && (
+                <Text size="sm" c="orange">
+                  Running late, sorry! Now expected around {formatStoreTime(order.estimatedDeliveryAt)}.
+                </Text>
+              )}
+            </Stack>
+          </Group>
+        </Paper>
+      )}
+
+      {order.deliveryOtp && (
+        <Paper withBorder radius="md" p="md">
+          <Group justify="space-between" align="flex-start">
+            <Stack gap={4}>
+              <Text fw={600}>Delivery code</Text>
+              <Text size="sm" c="dimmed">Share it with the rider only when you receive your order.</Text>
+            </Stack>
+            <Text fz={28} fw={700} ff="monospace" style={{ letterSpacing: '0.3em' }}>{order.deliveryOtp}</Text>
+          </Group>
+          {order.delivery && (
+            <Group justify="space-between" mt="md">
+              <Group gap={6}>
+                <IconBike size={18} />
+                <Text size="sm">
+                  {order.delivery.riderName} {order.delivery.pickedUpAt ? 'is bringing your order' : 'will deliver your order'}
+                </Text>
+              </Group>
+              <Button
+                component="a"
+                href={`tel:${order.delivery.riderPhone}`}
+                variant="light"
+                size="xs"
+                leftSection={<IconPhone size={14} />}
+              >
+                Call rider
+              </Button>
+            </Group>
+          )}
+        </Paper>
+      )}
+
+      <Paper withBorder radius="md" p="md">
+        <Title order={4} mb="sm">Your Bill</Title>
+        <OrderBill order={order} />
+        {canPay && (
+          <Group justify="flex-end" mt="md">
+            <Button onClick={() => setIsPaying(true)}>
+              {order.paymentStatus === 'failed' ? 'Retry Payment' : 'Pay Now'}
+            </Button>
+          </Group>
+        )}
+      </Paper>
+
+      <Paper withBorder radius="md" p="md">
+        <Title order={4} mb="sm">Order Updates</Title>
+        <OrderStatusTimeline history={order.statusHistory} />
+      </Paper>
+
+      {isFinished && (
+        <Group justify="center">
+          <ReorderButton orderId={order._id} variant="light" />
+        </Group>
+      )}
+
+      {trackingToken && (
+        <Group justify="center">
+          <CopyButton value={`${window.location.origin}/order/${order._id}?token=${trackingToken}`}>
+            {({ copied, copy }) => (
+              <Button variant="subtle" size="xs" color={copied ? 'teal' : 'blue'} onClick={copy}>
+                {copied ? 'Tracking link copied' : 'Copy tracking link'}
+              </Button>
+            )}
+          </CopyButton>
+        </Group>
+      )}
+
+      <OnlinePaymentModal orderId={isPaying ? order._id : null} onClose={handlePaymentClosed} />
+    </Stack>
+  );
+}
+
+export default OrderPage;
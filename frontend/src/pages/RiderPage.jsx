@@ -0,0 +1,455 @@
+// frontend/src/pages/RiderPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Stack,
+  Title,
+  Text,
+  Alert,
+  Loader,
+  Center,
+  Group,
+  Badge,
+  Paper,
+  Button,
+  TextInput,
+  PinInput,
+  Switch,
+  Divider,
+  Anchor,
+} from '@mantine/core';
+import { notifications } from '@mantine/notifications';
+import {
+  IconAlertCircle,
+  IconBuildingStore,
+  IconMapPin,
+  IconCurrentLocation,
+  IconLogout,
+  IconX,
+  IconCheck,
+} from '@tabler/icons-react';
+
+import {
+  getStoredRiderSession,
+  clearStoredRiderSession,
+  requestRiderOtp,
+  loginRider,
+  updateCurrentRider,
+  fetchRiderDeliveries,
+  updateRiderDelivery,
+} from '../services/apiService.js';
+import DeliveryBatchRoute from '../components/DeliveryBatchRoute.jsx';
+import { formatCurrency } from '../utils/helpers.js';
+
+/**
+ * @typedef {import('../services/apiService.js').Rider} Rider
+ * @typedef {import('../services/apiService.js').RiderDelivery} RiderDelivery
+ * @typedef {import('../services/apiService.js').DeliveryBatch} DeliveryBatch
+ */
+
+const LOGIN_OTP_LENGTH = 6;
+const DELIVERY_OTP_LENGTH = 4;
+const MOBILE_NUMBER_REGEX = /^[6-9]\d{9}$/;
+// How often the delivery list is refreshed while the page is open
+const DELIVERIES_REFRESH_MS = 30 * 1000;
+
+/**
+ * Shows a red notification for a failed request.
+ * @param {string} title
+ * @param {unknown} err
+ */
+const notifyError = (title, err) => {
+  notifications.show({
+    title,
+    message: err?.message || 'An unexpected error occurred. Please try again.',
+    color: 'red',
+    icon: <IconX size={18} />,
+  });
+};
+
+/**
+ * Phone number login for riders: request a code, then enter it.
+ * @param {object} props
+ * @param {(rider: Rider) => void} props.onLoggedIn
+ */
+function RiderLogin({ onLoggedIn }) {
+  /** @type {['phone' | 'code', Function]} */
+  const [step, setStep] = useState('phone');
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  /** @type {[string | null, Function]} */
+  const [error, setError] = useState(null);
+
+  const sendCode = useCallback(async (event) => {
+    event.preventDefault();
+    setIsBusy(true);
+    setError(null);
+    try {
+      await requestRiderOtp(phone.trim());
+      setStep('code');
+      setCode('');
+    } catch (err) {
+      setError(err?.message || 'Could not send the code. Please try again.');
+    } finally {
+      setIsBusy(false);
+    }
+  }, [phone]);
+
+  const verifyCode = useCallback(async (value) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      onLoggedIn(await loginRider(phone.trim(), value));
+    } catch (err) {
+      setError(err?.message || 'Could not verify the code. Please try again.');
+      setCode('');
+    } finally {
+      setIsBusy(false);
+    }
+  }, [phone, onLoggedIn]);
+
+  return (
+    <Paper withBorder shadow="sm" p="xl" radius="md" maw={420} mx="auto" mt="xl">
+      <Title order={2} mb="xs">Rider Login</Title>
+      <Text size="sm" c="dimmed" mb="lg">
+        Log in with the mobile number your store registered you with.
+      </Text>
+      <Stack gap="md">
+        {error && (
+          <Alert color="red" variant="light" icon={<IconAlertCircle size={18} />}>
+            {error}
+          </Alert>
+        )}
+        {step === 'phone' ? (
+          <form onSubmit={sendCode}>
+            <Stack gap="md">
+              <TextInput
+                label="Mobile Number"
+                placeholder="10-digit mobile number"
+                type="tel"
+                value={phone}
+                onChange={(event) => setPhone(event.currentTarget.value)}
+              />
+              <Button type="submit" loading={isBusy} disabled={!MOBILE_NUMBER_REGEX.test(phone.trim())}>
+                Send Code
+              </Button>
+            </Stack>
+          </form>
+        ) : (
+          <Stack gap="md">
+            <Text size="sm">
+              Enter the code sent to <strong>{phone.trim()}</strong>.{' '}
+              <Anchor component="button" size="sm" onClick={() => setStep('phone')}>Change number</Anchor>
+            </Text>
+            <Center>
+              <PinInput
+                length={LOGIN_OTP_LENGTH}
+                type="number"
+                oneTimeCode
+                value={code}
+                onChange={setCode}
+                onComplete={verifyCode}
+                disabled={isBusy}
+              />
+            </Center>
+          </Stack>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
+
+RiderLogin.propTypes = {
+  onLoggedIn: PropTypes.func.isRequired,
+};
+
+/**
+ * One assigned order and the next thing the rider can do with it.
+ * @param {object} props
+ * @param {RiderDelivery} props.delivery
+ * @param {(orderId: string, action: string, body?: object) => Promise<boolean>} props.onAction
+ */
+function RiderDeliveryCard({ delivery, onAction }) {
+  const [otp, setOtp] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const run = async (action, body) => {
+    setPendingAction(action);
+    const succeeded = await onAction(delivery._id, action, body);
+    setPendingAction(null);
+    if (!succeeded) setOtp('');
+  };
+
+  const { store, customerDetails, items, amountToCollect } = delivery;
+  const isAccepted = Boolean(delivery.delivery?.acceptedAt);
+
+  return (
+    <Paper withBorder radius="md" p="md">
+      <Group justify="space-between" mb="xs">
+        <Text fw={600}>Order #{delivery._id.slice(-6)}</Text>
+        <Badge variant="light" color={delivery.status === 'out_for_delivery' ? 'orange' : 'blue'}>
+          {delivery.status === 'out_for_delivery' ? 'On the way' : 'To pick up'}
+        </Badge>
+      </Group>
+      <Stack gap={6}>
+        {store && (
+          <Group gap={6} wrap="nowrap" align="flex-start">
+            <IconBuildingStore size={16} />
+            <Text size="sm">
+              {store.name}{store.address ? ` · ${[store.address.street, store.address.city].filter(Boolean).join(', ')}` : ''}
+            </Text>
+          </Group>
+        )}
+        <Group gap={6} wrap="nowrap" align="flex-start">
+          <IconMapPin size={16} />
+          <Text size="sm">
+            {customerDetails.name} · {customerDetails.address}{' '}
+            <Anchor href={`tel:${customerDetails.phone}`} size="sm">{customerDetails.phone}</Anchor>
+          </Text>
+        </Group>
+        <Text size="sm" c="dimmed">
+          {items.map((item) => `${item.name} × ${item.quantity}`).join(', ')}
+        </Text>
+        <Text size="sm" fw={600} c={amountToCollect > 0 ? 'orange' : 'green'}>
+          {amountToCollect > 0 ? `Collect ${formatCurrency(amountToCollect)} in cash` : 'Paid online'}
+        </Text>
+      </Stack>
+      <Divider my="sm" />
+
+      {!isAccepted && delivery.status !== 'out_for_delivery' && (
+        <Group justify="flex-end">
+          <Button variant="default" size="xs" loading={pendingAction === 'decline'} onClick={() => run('decline')}>
+            Decline
+          </Button>
+          <Button size="xs" loading={pendingAction === 'accept'} onClick={() => run('accept')}>
+            Accept
+          </Button>
+        </Group>
+      )}
+      {isAccepted && delivery.status !== 'out_for_delivery' && (
+        <Group justify="space-between">
+          <Text size="xs" c="dimmed">
+            {delivery.status === 'placed' ? 'Waiting for the store to accept the order.' : 'Ready to collect from the store.'}
+          </Text>
+          <Button
+            size="xs"
+            loading={pendingAction === 'pickup'}
+            disabled={delivery.status !== 'accepted'}
+            onClick={() => run('pickup')}
+          >
+            Picked Up
+          </Button>
+        </Group>
+      )}
+      {delivery.status === 'out_for_delivery' && (
+        <Stack gap="xs">
+          <Text size="sm">Ask the customer for the delivery code on their order page.</Text>
+          <Group justify="space-between">
+            <PinInput length={DELIVERY_OTP_LENGTH} type="number" value={otp} onChange={setOtp} aria-label="Delivery code" />
+            <Button
+              color="green"
+              size="xs"
+              loading={pendingAction === 'complete'}
+              disabled={otp.length !== DELIVERY_OTP_LENGTH}
+              onClick={() => run('complete', { otp })}
+            >
+              Delivered
+            </Button>
+          </Group>
+        </Stack>
+      )}
+    </Paper>
+  );
+}
+
+RiderDeliveryCard.propTypes = {
+  delivery: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    store: PropTypes.object,
+    customerDetails: PropTypes.object.isRequired,
+    items: PropTypes.array.isRequired,
+    amountToCollect: PropTypes.number.isRequired,
+    delivery: PropTypes.object,
+  }).isRequired,
+  onAction: PropTypes.func.isRequired,
+};
+
+/**
+ * RiderPage Component
+ * The delivery partner's app: log in with a texted code, go on or off shift,
+ * share a location (the store's auto-assign picks the nearest idle rider) and
+ * work through assigned orders: accept or decline, mark picked up, and
+ * complete with the customer's delivery code. Orders the store batched into
+ * one trip are listed in route order under the trip's route and ETAs.
+ */
+function RiderPage() {
+  /** @type {[Rider | null, Function]} */
+  const [rider, setRider] = useState(() => getStoredRiderSession()?.rider ?? null);
+  /** @type {[RiderDelivery[] | null, Function]} */
+  const [deliveries, setDeliveries] = useState(null);
+  /** @type {[DeliveryBatch[], Function]} */
+  const [batches, setBatches] = useState([]);
+  /** @type {[Error | null, Function]} */
+  const [error, setError] = useState(null);
+  const [isUpdatingShift, setIsUpdatingShift] = useState(false);
+  const [isLocating, setIsLocating] = useState(false);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      const result = await fetchRiderDeliveries();
+      setDeliveries(result.deliveries);
+      setBatches(result.batches ?? []);
+      setError(null);
+    } catch (err) {
+      if (!getStoredRiderSession()) {
+        setRider(null); // The session was rejected and cleared
+        return;
+      }
+      setError(err instanceof Error ? err : new Error('Could not load your deliveries.'));
+    }
+  }, []);
+
+  const riderId = rider?.id ?? null;
+  useEffect(() => {
+    if (!riderId) return undefined;
+    loadDeliveries();
+    const timer = setInterval(loadDeliveries, DELIVERIES_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [riderId, loadDeliveries]);
+
+  const handleShiftToggle = useCallback(async (event) => {
+    const availability = event.currentTarget.checked ? 'available' : 'offline';
+    setIsUpdatingShift(true);
+    try {
+      setRider(await updateCurrentRider({ availability }));
+    } catch (err) {
+      notifyError('Could Not Update Shift', err);
+    } finally {
+      setIsUpdatingShift(false);
+    }
+  }, []);
+
+  const handleShareLocation = useCallback(() => {
+    if (!navigator.geolocation) {
+      notifyError('Location Unavailable', new Error('This device cannot share its location.'));
+      return;
+    }
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      async ({ coords }) => {
+        try {
+          setRider(await updateCurrentRider({ location: { lat: coords.latitude, lng: coords.longitude } }));
+        } catch (err) {
+          notifyError('Could Not Update Location', err);
+        } finally {
+          setIsLocating(false);
+        }
+      },
+      (geoError) => {
+        setIsLocating(false);
+        notifyError('Location Unavailable', new Error(geoError.message || 'Please allow location access.'));
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  }, []);
+
+  const handleDeliveryAction = useCallback(async (orderId, action, body) => {
+    try {
+      const updated = await updateRiderDelivery(orderId, action, body);
+      if (action === 'complete') {
+        notifications.show({
+          title: 'Delivered',
+          message: `Order #${orderId.slice(-6)} is complete.`,
+          color: 'green',
+          icon: <IconCheck size={18} />,
+        });
+      }
+      setDeliveries((current) => (current ?? [])
+        .map((delivery) => (delivery._id === orderId ? updated : delivery))
+        .filter((delivery) => delivery && delivery.status !== 'delivered'));
+      // Progress along a trip moves the ETAs of its remaining stops
+      if (updated?.delivery?.batchId || action === 'decline') loadDeliveries();
+      return true;
+    } catch (err) {
+      notifyError('Could Not Update Delivery', err);
+      return false;
+    }
+  }, [loadDeliveries]);
+
+  const handleLogout = useCallback(() => {
+    clearStoredRiderSession();
+    setRider(null);
+    setDeliveries(null);
+    setBatches([]);
+  }, []);
+
+  if (!rider) {
+    return <RiderLogin onLoggedIn={setRider} />;
+  }
+
+  return (
+    <Stack gap="lg">
+      <Group justify="space-between" align="flex-end">
+        <Stack gap={0}>
+          <Title order={2}>Hi, {rider.name}</Title>
+          <Text size="sm" c="dimmed">{rider.phone}</Text>
+        </Stack>
+        <Button variant="subtle" size="xs" leftSection={<IconLogout size={14} />} onClick={handleLogout}>
+          Log out
+        </Button>
+      </Group>
+
+      <Paper withBorder radius="md" p="md">
+        <Group justify="space-between">
+          <Switch
+            label={rider.availability === 'available' ? 'On shift: taking deliveries' : 'Off shift'}
+            checked={rider.availability === 'available'}
+            onChange={handleShiftToggle}
+            disabled={isUpdatingShift}
+          />
+          <Button
+            variant="light"
+            size="xs"
+            leftSection={<IconCurrentLocation size={14} />}
+            loading={isLocating}
+            onClick={handleShareLocation}
+          >
+            {rider.location ? 'Update location' : 'Share location'}
+          </Button>
+        </Group>
+      </Paper>
+
+      <Group justify="space-between">
+        <Title order={4}>Your Deliveries</Title>
+        <Button variant="subtle" size="xs" onClick={loadDeliveries}>Refresh</Button>
+      </Group>
+
+      {error && (
+        <Alert color="red" variant="light" icon={<IconAlertCircle size={18} />}>
+          {error.message}
+        </Alert>
+      )}
+      {deliveries === null && !error && (
+        <Center style={{ padding: '20px 0' }}>
+          <Loader color="blue" type="bars" />
+        </Center>
+      )}
+      {batches.map((batch) => (
+        <Paper key={batch._id} withBorder radius="md" p="md">
+          <Text fw={600} mb="sm">Trip of {batch.stops.length} orders</Text>
+          <DeliveryBatchRoute batch={batch} />
+        </Paper>
+      ))}
+      {deliveries?.length === 0 && (
+        <Text c="dimmed">Nothing assigned to you right now.</Text>
+      )}
+      {deliveries?.map((delivery) => (
+        <RiderDeliveryCard key={delivery._id} delivery={delivery} onAction={handleDeliveryAction} />
+      ))}
+    </Stack>
+  );
+}
+
+export default RiderPage;
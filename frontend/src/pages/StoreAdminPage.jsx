@@ -1,11 +1,12 @@
 // frontend/src/pages/StoreAdminPage.jsx
-import React, { memo } from 'react';
-import { useParams } from 'react-router-dom';
-import { Container, Title, Alert, Box } from '@mantine/core';
-import { IconAlertCircle } from '@tabler/icons-react';
+import React, { memo, useCallback } from 'react';
+import { useParams, useNavigate, Navigate } from 'react-router-dom';
+import { Container, Title, Alert, Box, Group, Button, Text } from '@mantine/core';
+import { IconAlertCircle, IconLogout } from '@tabler/icons-react';
 
 // Import the dashboard component
 import StoreAdminDashboard from '../components/StoreAdminDashboard.jsx';
+import { getStoredSession, clearStoredSession } from '../services/apiService.js';
 
 /**
  * StoreAdminPage Component
@@ -14,10 +15,23 @@ import StoreAdminDashboard from '../components/StoreAdminDashboard.jsx';
  * It retrieves the store ID from the URL parameters and renders the
  * administrative dashboard for that specific store. Handles cases where
  * the store ID might be missing or invalid from the URL.
+ * Requires a logged-in owner of this store; everyone else is sent to the login page.
  */
 function StoreAdminPage() {
   // Extract the dynamic storeId parameter from the URL using React Router's hook
   const { storeId } = useParams();
+  const navigate = useNavigate();
+  const session = getStoredSession();
+
+  const handleLogout = useCallback(() => {
+    clearStoredSession();
+    navigate('/admin/login', { replace: true });
+  }, [navigate]);
+
+  // Not logged in (or the session was dropped after a 401): go to the login screen
+  if (!session) {
+    return <Navigate to="/admin/login" replace />;
+  }
 
   // Validate the storeId extracted from the URL parameters.
   // It must be present and a non-empty string.
@@ -26,10 +40,17 @@ function StoreAdminPage() {
   return (
     // Use Box for consistent layout structure, similar to other pages
     <Box>
-      {/* Optional Title for the page */}
-      <Title order={2} mb="lg">
-        Store Administration
-      </Title>
+      <Group justify="space-between" mb="lg">
+        <Title order={2}>
+          Store Administration
+        </Title>
+        <Group gap="sm">
+          <Text size="sm" c="dimmed">{session.owner.email}</Text>
+          <Button variant="subtle" size="xs" leftSection={<IconLogout size={14} />} onClick={handleLogout}>
+            Log Out
+          </Button>
+        </Group>
+      </Group>
 
       {/* Conditional Rendering based on storeId validity */}
       {!isStoreIdValid ? (
@@ -44,6 +65,21 @@ function StoreAdminPage() {
         >
           The store ID is missing or invalid in the URL. Cannot load the dashboard.
         </Alert>
+      ) : session.owner.storeId !== storeId ? (
+        // Logged in, but as the owner of a different store
+        <Alert
+          icon={<IconAlertCircle size={18} />}
+          title="Access Denied"
+          color="red"
+          radius="md"
+          mt="md"
+          variant="light"
+        >
+          Your account does not manage this store.{' '}
+          <Button variant="subtle" size="compact-sm" onClick={() => navigate(`/admin/store/${session.owner.storeId}`)}>
+            Go to your store
+          </Button>
+        </Alert>
       ) : (
         // Render the StoreAdminDashboard component if the storeId is valid,
         // passing the validated storeId as a prop.
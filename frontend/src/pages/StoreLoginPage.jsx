@@ -0,0 +1,91 @@
+// frontend/src/pages/StoreLoginPage.jsx
+import React, { useState, useCallback, memo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Paper, Title, TextInput, PasswordInput, Button, Stack, Alert, Text } from '@mantine/core';
+import { useForm } from '@mantine/form';
+import { IconAlertCircle } from '@tabler/icons-react';
+
+import { loginStoreOwner } from '../services/apiService.js';
+
+/**
+ * StoreLoginPage Component
+ * Login screen for store owners. On success the session is stored by
+ * apiService and the owner is sent to their own store's dashboard.
+ */
+function StoreLoginPage() {
+  const navigate = useNavigate();
+  /** @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]} */
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  /** @type {[Error | null, React.Dispatch<React.SetStateAction<Error | null>>]} */
+  const [error, setError] = useState(null);
+
+  const form = useForm({
+    initialValues: {
+      email: '',
+      password: '',
+    },
+    validate: {
+      email: (value) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()) ? null : 'Please enter a valid email'),
+      password: (value) => (value.length > 0 ? null : 'Password is required'),
+    },
+  });
+
+  const handleSubmit = useCallback(async (values) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const owner = await loginStoreOwner(values.email, values.password);
+      navigate(`/admin/store/${owner.storeId}`, { replace: true });
+    } catch (err) {
+      setError(err instanceof Error ? err : new Error('Login failed. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [navigate]);
+
+  return (
+    <Paper withBorder shadow="sm" p="xl" radius="md" maw={420} mx="auto" mt="xl">
+      <Title order={2} mb="xs">Store Owner Login</Title>
+      <Text size="sm" c="dimmed" mb="lg">
+        Sign in to manage your store&apos;s orders and products.
+      </Text>
+
+      {error && (
+        <Alert
+          icon={<IconAlertCircle size={18} />}
+          title="Login Failed"
+          color="red"
+          radius="md"
+          variant="light"
+          mb="md"
+        >
+          {error.message || 'An unexpected error occurred.'}
+        </Alert>
+      )}
+
+      <form onSubmit={form.onSubmit(handleSubmit)}>
+        <Stack gap="md">
+          <TextInput
+            withAsterisk
+            label="Email"
+            placeholder="you@example.com"
+            type="email"
+            autoComplete="username"
+            {...form.getInputProps('email')}
+          />
+          <PasswordInput
+            withAsterisk
+            label="Password"
+            autoComplete="current-password"
+            {...form.getInputProps('password')}
+          />
+          <Button type="submit" loading={isSubmitting} fullWidth mt="sm">
+            Log In
+          </Button>
+        </Stack>
+      </form>
+    </Paper>
+  );
+}
+
+export default memo(StoreLoginPage);
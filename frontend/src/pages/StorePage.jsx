@@ -13,10 +13,12 @@ import {
   Box,
   Divider,
 } from '@mantine/core';
-import { IconAlertCircle } from '@tabler/icons-react';
+import { IconAlertCircle, IconClock } from '@tabler/icons-react';
 
 import { fetchStoreDetails, fetchStoreProducts } from '../services/apiService.js';
 import ProductList from '../components/ProductList.jsx';
+import StoreOpenBadge from '../components/StoreOpenBadge.jsx';
+import { formatStoreTime } from '../utils/helpers.js';
 
 /**
  * @typedef {import('../services/apiService.js').Store} Store
@@ -25,8 +27,9 @@ import ProductList from '../components/ProductList.jsx';
 
 /**
  * StorePage Component
- * Displays detailed information about a single store (name, address) and
- * lists its available products using the ProductList component.
+ * Displays detailed information about a single store (name, address, open
+ * status) and lists its available products using the ProductList component.
+ * Shoppers can still browse a closed store; the backend refuses the order.
  * Retrieves the store ID from the URL and fetches data using apiService.
  */
 function StorePage() {
@@ -168,7 +171,24 @@ function StorePage() {
             {/* Optional: Add more details like street if available and needed */}
             {/* {storeInfo.address?.street && `, ${storeInfo.address.street}`} */}
           </Text>
-          {/* Potential place for other store details like phone, categories etc. */}
+          <Box mt="xs">
+            <StoreOpenBadge status={storeInfo.openStatus} />
+          </Box>
+          {storeInfo.openStatus && !storeInfo.openStatus.isOpen && (
+            <Alert
+              icon={<IconClock size={18} />}
+              title="This store is closed right now"
+              color="orange"
+              radius="md"
+              variant="light"
+              mt="md"
+            >
+              {storeInfo.openStatus.pauseReason && <>{storeInfo.openStatus.pauseReason}. </>}
+              {storeInfo.openStatus.nextOpenAt
+                ? `You can browse now and order from ${formatStoreTime(storeInfo.openStatus.nextOpenAt)}.`
+                : 'You can browse the catalog, but orders are not being accepted at the moment.'}
+            </Alert>
+          )}
         </Box>
       ) : (
         // Render a message if storeInfo failed to load even if products didn't error out
@@ -1,6 +1,8 @@
 // frontend/src/services/apiService.js
 import axios from 'axios';
 
+import { PINCODE_REGEX } from '../utils/helpers.js';
+
 // --- Axios Instance Configuration ---
 
 // Fetch the base URL from environment variables provided by Vite
@@ -24,6 +26,237 @@ const apiClient = axios.create({
   },
 });
 
+// --- Store Owner Session Handling ---
+
+// localStorage key holding the logged-in store owner's { token, owner } session
+const SESSION_STORAGE_KEY = 'dillidash.storeOwnerSession';
+
+/**
+ * Reads the saved store owner session, if any.
+ * @returns {StoreOwnerSession | null} The session, or null if logged out or storage is unreadable.
+ */
+const getStoredSession = () => {
+  try {
+    const raw = window.localStorage.getItem(SESSION_STORAGE_KEY);
+    const session = raw ? JSON.parse(raw) : null;
+    return session && typeof session.token === 'string' && session.owner ? session : null;
+  } catch {
+    return null; // Corrupt JSON or storage disabled: treat as logged out
+  }
+};
+
+/**
+ * Removes the saved store owner session (logout).
+ * @returns {void}
+ */
+const clearStoredSession = () => {
+  try {
+    window.localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch {
+    // Storage disabled; nothing to clear
+  }
+};
+
+// --- Customer Session Handling ---
+
+// localStorage key holding the logged-in customer's { token, customer } session
+const CUSTOMER_SESSION_STORAGE_KEY = 'dillidash.customerSession';
+// Window event fired whenever the customer session is saved or cleared in this tab
+const CUSTOMER_SESSION_EVENT = 'dillidash:customer-session';
+
+/**
+ * Reads the saved customer session, if any.
+ * @returns {CustomerSession | null} The session, or null if logged out or storage is unreadable.
+ */
+const getStoredCustomerSession = () => {
+  try {
+    const raw = window.localStorage.getItem(CUSTOMER_SESSION_STORAGE_KEY);
+    const session = raw ? JSON.parse(raw) : null;
+    return session && typeof session.token === 'string' && session.customer ? session : null;
+  } catch {
+    return null; // Corrupt JSON or storage disabled: treat as logged out
+  }
+};
+
+/**
+ * Saves (or, with null, removes) the customer session and tells listeners.
+ * @param {CustomerSession | null} session
+ * @returns {void}
+ */
+const storeCustomerSession = (session) => {
+  try {
+    if (session) {
+      window.localStorage.setItem(CUSTOMER_SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(CUSTOMER_SESSION_STORAGE_KEY);
+    }
+  } catch {
+    // Storage disabled; the session only lasts until the page is closed
+  }
+  window.dispatchEvent(new Event(CUSTOMER_SESSION_EVENT));
+};
+
+/**
+ * Removes the saved customer session (logout).
+ * @returns {void}
+ */
+const clearStoredCustomerSession = () => storeCustomerSession(null);
+
+/**
+ * Authorization header for requests made on the customer's behalf. It takes
+ * precedence over a store owner session in the same browser.
+ * @returns {Record<string, string>} Empty when no customer is logged in.
+ */
+const customerAuthHeaders = () => {
+  const session = getStoredCustomerSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+// --- Rider Session Handling ---
+
+// localStorage key holding the logged-in rider's { token, rider } session
+const RIDER_SESSION_STORAGE_KEY = 'dillidash.riderSession';
+
+/**
+ * Reads the saved rider session, if any.
+ * @returns {RiderSession | null} The session, or null if logged out or storage is unreadable.
+ */
+const getStoredRiderSession = () => {
+  try {
+    const raw = window.localStorage.getItem(RIDER_SESSION_STORAGE_KEY);
+    const session = raw ? JSON.parse(raw) : null;
+    return session && typeof session.token === 'string' && session.rider ? session : null;
+  } catch {
+    return null; // Corrupt JSON or storage disabled: treat as logged out
+  }
+};
+
+/**
+ * Saves (or, with null, removes) the rider session.
+ * @param {RiderSession | null} session
+ * @returns {void}
+ */
+const storeRiderSession = (session) => {
+  try {
+    if (session) {
+      window.localStorage.setItem(RIDER_SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(RIDER_SESSION_STORAGE_KEY);
+    }
+  } catch {
+    // Storage disabled; the session only lasts until the page is closed
+  }
+};
+
+/**
+ * Removes the saved rider session (logout).
+ * @returns {void}
+ */
+const clearStoredRiderSession = () => storeRiderSession(null);
+
+/**
+ * Authorization header for the rider's own requests.
+ * @returns {Record<string, string>} Empty when no rider is logged in.
+ */
+const riderAuthHeaders = () => {
+  const session = getStoredRiderSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+};
+
+// --- Customer Order Tracking Tokens ---
+
+// localStorage key holding { [orderId]: trackingToken } for orders placed or opened on this device
+const TRACKING_TOKENS_STORAGE_KEY = 'dillidash.orderTrackingTokens';
+
+/**
+ * Reads all saved order tracking tokens.
+ * @returns {Record<string, string>}
+ */
+const readTrackingTokens = () => {
+  try {
+    const tokens = JSON.parse(window.localStorage.getItem(TRACKING_TOKENS_STORAGE_KEY) || '{}');
+    return tokens && typeof tokens === 'object' ? tokens : {};
+  } catch {
+    return {}; // Corrupt JSON or storage disabled
+  }
+};
+
+/**
+ * The saved tracking token for an order, if this device has one.
+ * @param {string} orderId
+ * @returns {string | null}
+ */
+const getOrderTrackingToken = (orderId) => {
+  const token = readTrackingTokens()[orderId];
+  return typeof token === 'string' ? token : null;
+};
+
+/**
+ * Saves an order's tracking token so the customer can reopen the order later.
+ * @param {string} orderId
+ * @param {string} token
+ * @returns {void}
+ */
+const saveOrderTrackingToken = (orderId, token) => {
+  try {
+    window.localStorage.setItem(
+      TRACKING_TOKENS_STORAGE_KEY,
+      JSON.stringify({ ...readTrackingTokens(), [orderId]: token })
+    );
+  } catch {
+    // Storage disabled: the token only lives in the tracking link
+  }
+};
+
+/**
+ * Headers that let the customer see an order: their login and/or the order's saved tracking token.
+ * @param {string} orderId
+ * @returns {Record<string, string>} Empty if there is neither.
+ */
+const orderViewerHeaders = (orderId) => {
+  const token = getOrderTrackingToken(orderId);
+  return { ...customerAuthHeaders(), ...(token ? { 'X-Order-Token': token } : {}) };
+};
+
+// Attach the store owner's token to every request while logged in, unless the
+// request already carries a customer's token (see customerAuthHeaders)
+apiClient.interceptors.request.use((config) => {
+  const session = getStoredSession();
+  if (session && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
+
+/**
+ * Logs out whichever session (customer, rider or store owner) a rejected token belonged to.
+ * @param {string} authorization - The Authorization header that was sent.
+ * @returns {void}
+ */
+const clearSessionForAuthorization = (authorization) => {
+  const customerSession = getStoredCustomerSession();
+  const riderSession = getStoredRiderSession();
+  if (customerSession && authorization === `Bearer ${customerSession.token}`) {
+    clearStoredCustomerSession();
+  } else if (riderSession && authorization === `Bearer ${riderSession.token}`) {
+    clearStoredRiderSession();
+  } else {
+    clearStoredSession();
+  }
+};
+
+// Drop a session as soon as the backend rejects its token (expired, invalid or revoked)
+apiClient.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const sentAuthorization = error.config?.headers?.Authorization;
+    if (error.response?.status === 401 && sentAuthorization) {
+      clearSessionForAuthorization(sentAuthorization);
+    }
+    return Promise.reject(error);
+  }
+);
+
 // --- JSDoc Type Definitions (for clarity) ---
 
 /**
@@ -33,6 +266,17 @@ const apiClient = axios.create({
  * @property {string} _id - Unique identifier (MongoDB ObjectId as string).
  * @property {string} name
  * @property {{ street?: string, city: string, pincode: string }} address
+ * @property {{ type: 'Point', coordinates: [number, number] }} [location] - GeoJSON point, [longitude, latitude].
+ * @property {number} deliveryRadiusKm - How far the store delivers from its location.
+ * @property {string[]} [serviceablePincodes] - Pincodes served besides its own, for addresses without a location.
+ * @property {number} [distanceKm] - Distance from the customer; only set by nearby search.
+ * @property {Array<{ day: number, opens: string, closes: string }>} [openingHours] - Weekly hours in Asia/Kolkata time; day 0 is Sunday. Empty means always open.
+ * @property {Array<{ date: string, reason?: string }>} [holidays] - Full-day closures, YYYY-MM-DD.
+ * @property {boolean} [ordersPaused] - Owner's temporary "pause orders" switch.
+ * @property {string} [ordersPausedReason]
+ * @property {string | null} [ordersPausedUntil] - ISO time the pause lifts by itself, if set.
+ * @property {StoreDeliverySlot[]} [deliverySlots] - Windows customers can book delivery in.
+ * @property {StoreOpenStatus} [openStatus] - Live open/closed status, computed by the backend per request.
  * @property {string} [contactPhone]
  * @property {string[]} [categories]
  * @property {Product[]} [products] - Embedded product list (may not be present in all endpoints).
@@ -41,13 +285,61 @@ const apiClient = axios.create({
  * @property {string} updatedAt
  */
 
+/**
+ * Whether a store is taking orders right now.
+ * Based on backend/services/storeHoursService.js
+ * @typedef {object} StoreOpenStatus
+ * @property {boolean} isOpen
+ * @property {'open' | 'closed' | 'holiday' | 'paused' | 'inactive'} reason
+ * @property {string | null} closesAt - ISO time the current opening window ends, while open.
+ * @property {string | null} nextOpenAt - ISO time the store next opens, while closed (null if unknown).
+ * @property {string} [pauseReason] - The owner's note, while paused.
+ */
+
+/**
+ * A delivery window a store offers every day (or on some weekdays), in Asia/Kolkata time.
+ * Based on backend/models/Store.js deliverySlotSchema
+ * @typedef {object} StoreDeliverySlot
+ * @property {string} _id
+ * @property {number[]} days - Weekdays it runs, 0 is Sunday. Empty means every day.
+ * @property {string} starts - HH:mm.
+ * @property {string} ends - HH:mm.
+ * @property {number} capacity - Orders it takes per day.
+ * @property {boolean} isActive
+ */
+
+/**
+ * One of a store's delivery slots on a given date, as offered at checkout.
+ * Based on backend/services/deliverySlotService.js (listDeliverySlots)
+ * @typedef {object} DeliverySlot
+ * @property {string} slotId
+ * @property {string} starts - HH:mm.
+ * @property {string} ends - HH:mm.
+ * @property {string} startsAt - ISO time.
+ * @property {string} endsAt - ISO time.
+ * @property {number} remaining - Places left.
+ * @property {boolean} isAvailable - Has room and can still be booked.
+ */
+
+/**
+ * The delivery slot booked for an order.
+ * Based on backend/models/Order.js (orderDeliverySlotSchema)
+ * @typedef {object} OrderDeliverySlot
+ * @property {string} slotId
+ * @property {string} date - YYYY-MM-DD, store time.
+ * @property {string} startsAt
+ * @property {string} endsAt
+ */
+
 /**
  * Represents the structure of an embedded Product object within a Store.
  * Based on backend/models/Store.js productSchema
  * @typedef {object} Product
+ * @property {string} _id - Stable product identifier; used as `productId` in carts and orders.
  * @property {string} name
  * @property {string} [category]
  * @property {number} price
+ * @property {number | null} [stock] - Units available; null/absent means stock is not tracked.
  */
 
 /**
@@ -56,22 +348,202 @@ const apiClient = axios.create({
  * @typedef {object} Order
  * @property {string} _id - Unique identifier (MongoDB ObjectId as string).
  * @property {string} storeId - Reference to the Store (_id).
- * @property {{ name: string, phone: string, address: string }} customerDetails
+ * @property {{ name: string, phone: string, address: string }} customerDetails - `address` is the
+ *   delivery address on one line.
+ * @property {DeliveryAddress} [deliveryAddress] - The structured address; absent on older orders.
  * @property {OrderItem[]} items
  * @property {string} status - e.g., 'placed', 'accepted', etc.
- * @property {number} totalAmount
+ * @property {number} totalAmount - What the customer pays (pricing.grandTotal for priced orders).
+ * @property {OrderPricing} [pricing] - Stored price breakdown; absent on older orders.
+ * @property {OrderDiscount[]} [discounts] - Promotions applied to the order.
+ * @property {string} [trackingToken] - Only in the createOrder response; saved by createOrder and
+ *   needed by the customer to open the order again.
+ * @property {'cod' | 'online'} paymentMethod
+ * @property {'pending' | 'paid' | 'failed' | 'partially_refunded' | 'refunded'} paymentStatus - COD orders stay
+ *   'pending' until delivered.
+ * @property {{ provider: string, intentId: string, amount: number, paidAt?: string, failureReason?: string }} [payment]
+ *   The current online payment attempt.
+ * @property {OrderRefund[]} [refunds]
+ * @property {OrderDelivery} [delivery] - The rider delivering the order, once one is assigned.
+ * @property {string} [deliveryOtp] - Only in the customer's view, until delivery: the code to give the rider.
+ * @property {StatusHistoryEntry[]} statusHistory - Every status change, oldest first.
+ * @property {Partial<Record<string, string>>} [statusTimestamps] - When the order entered each status, keyed by status.
+ * @property {OrderDeliverySlot} [deliverySlot] - The slot the customer booked; absent for orders delivered straight away.
+ * @property {OrderPromise} [promise] - The delivery time promised at placement (the end of its slot, if
+ *   booked); absent on older orders.
+ * @property {'on_track' | 'at_risk' | 'breached' | 'met' | null} slaStatus - How the order stands against its
+ *   promise when it was loaded: 'at_risk' orders are expected after it; null without a promise or once cancelled.
+ * @property {string | null} estimatedDeliveryAt - When the order should arrive at the current pace; the
+ *   delivery time once delivered.
+ * @property {string[]} nextStatuses - Statuses the order may legally move to next.
  * @property {string} createdAt
  * @property {string} updatedAt
  */
 
+/**
+ * Who is delivering an order.
+ * Based on backend/models/Order.js (orderDeliverySchema)
+ * @typedef {object} OrderDelivery
+ * @property {string} riderId
+ * @property {string} riderName
+ * @property {string} riderPhone
+ * @property {'store' | 'auto'} [assignedBy] - Not in the customer's view.
+ * @property {string} assignedAt
+ * @property {string} [acceptedAt] - When the rider took the job.
+ * @property {string} [pickedUpAt]
+ * @property {string} [deliveredAt]
+ * @property {string} [batchId] - The delivery batch (trip with other orders) it is part of.
+ */
+
+/**
+ * The delivery time promised when an order was placed.
+ * Based on backend/services/slaService.js (estimateDeliveryPromise)
+ * @typedef {object} OrderPromise
+ * @property {string} promisedAt
+ * @property {number} [prepMinutes] - The store's preparation time. Not in the customer's view.
+ * @property {number} [travelMinutes] - Riding time to the customer. Not in the customer's view.
+ * @property {number | null} [distanceKm] - Not in the customer's view.
+ */
+
+/**
+ * How well a store keeps its delivery promises.
+ * Based on backend/services/slaService.js (getStoreSlaMetrics)
+ * @typedef {object} StoreSlaMetrics
+ * @property {number} days - The window the delivered figures cover.
+ * @property {{ total: number, onTime: number, breached: number, onTimeRate: number | null,
+ *   averageDeliveryMinutes: number | null, averageDelayMinutes: number | null }} delivered
+ *   Orders delivered in the window; onTimeRate is a percentage and averageDelayMinutes covers late orders only.
+ * @property {{ onTrack: number, atRisk: number, breached: number, atRiskOrderIds: string[], breachedOrderIds: string[] }} open
+ *   The store's open orders right now.
+ */
+
+/**
+ * Price breakdown for an order, as stored on the order and returned by quotes.
+ * Based on backend/services/pricingService.js
+ * @typedef {object} OrderPricing
+ * @property {number} itemSubtotal
+ * @property {number} deliveryFee
+ * @property {number | null} distanceKm - Store-to-customer distance, when a location was shared.
+ * @property {number} [discountTotal] - Sum of all promotion discounts; absent on older orders.
+ * @property {number} taxRatePercent - GST rate.
+ * @property {number} taxAmount
+ * @property {boolean} pricesIncludeTax - If true, taxAmount is already included in itemSubtotal.
+ * @property {number} grandTotal
+ */
+
+/**
+ * A priced cart, returned by the quote endpoint.
+ * Based on backend/controllers/orderController.js quoteOrder
+ * @typedef {object} OrderQuote
+ * @property {OrderItem[]} items - Lines priced from the store's current catalog.
+ * @property {OrderPricing} pricing
+ * @property {OrderDiscount[]} discounts - Promotions applied, already included in pricing.
+ * @property {{ code: string, applied: boolean, message: string } | null} coupon - Result of checking the
+ *   coupon code sent with the cart; null when none was sent.
+ * @property {number} minimumOrderValue
+ * @property {number} amountToMinimumOrder - 0 once the minimum is met.
+ * @property {boolean} meetsMinimumOrder
+ * @property {number | null} freeDeliveryAbove
+ * @property {number | null} amountToFreeDelivery
+ */
+
+/**
+ * A promotion applied to an order.
+ * Based on backend/models/Order.js orderDiscountSchema
+ * @typedef {object} OrderDiscount
+ * @property {string} promotionId
+ * @property {string} [code] - Set when the discount came from a coupon.
+ * @property {string} name - The promotion's customer-facing name.
+ * @property {'flat' | 'percentage' | 'free_delivery'} discountType
+ * @property {'items' | 'delivery'} target - Which part of the bill was discounted.
+ * @property {number} amount - Rupees taken off.
+ * @property {string[]} [categories] - Item discounts only: the categories covered; empty for the whole order.
+ * @property {number} [eligibleSubtotal] - Item discounts only: the subtotal of the lines covered.
+ */
+
+/**
+ * An online payment started for an order, or for the unpaid orders of an order group.
+ * Based on backend/services/paymentService.js createPaymentIntent and createOrderGroupPaymentIntent
+ * @typedef {object} PaymentIntent
+ * @property {string} [orderId] - Set for a single order's payment.
+ * @property {string} [orderGroupId] - Set for a group's payment...
+ * @property {string[]} [orderIds] - ...with the orders it covers.
+ * @property {string} provider - Gateway name, e.g. 'mock'.
+ * @property {string} intentId
+ * @property {string} clientSecret - Handed to the provider's checkout widget.
+ * @property {number} amount
+ * @property {string} currency
+ */
+
+/**
+ * Represents a single entry in an Order's status history.
+ * Based on backend/models/Order.js statusHistorySchema
+ * @typedef {object} StatusHistoryEntry
+ * @property {string} status
+ * @property {string} changedAt
+ * @property {string} actor - Who made the change, e.g. 'customer' or 'store'.
+ * @property {string} [reason]
+ */
+
 /**
  * Represents the structure of an embedded OrderItem object within an Order.
  * Based on backend/models/Order.js orderItemSchema
  * @typedef {object} OrderItem
- * @property {string} productId - Identifier from the cart/product (string for MVP).
+ * @property {string} productId - The product's `_id` at the time of ordering.
  * @property {string} name
  * @property {number} price
- * @property {number} quantity
+ * @property {number} quantity - Units being supplied; 0 once the store has marked the line unavailable.
+ * @property {number} [cancelledQuantity] - Units the store removed after the order was placed.
+ * @property {string} [cancellationReason]
+ */
+
+/**
+ * An order in the customer's order history.
+ * Based on backend/controllers/customerController.js listMyOrders
+ * @typedef {Order & { storeName: string | null }} OrderHistoryEntry
+ */
+
+/**
+ * A cart line or an earlier order's line checked against the store's current catalog.
+ * Based on backend/controllers/orderController.js compareWithCatalog
+ * @typedef {object} CatalogCheckItem
+ * @property {string} productId
+ * @property {string} name - The product's current name (as in the cart or order if no longer sold).
+ * @property {number} requestedQuantity - Units in the cart, or originally ordered.
+ * @property {number} quantity - Units that can be bought now (capped by stock).
+ * @property {number} previousPrice - Unit price shown in the cart, or paid last time.
+ * @property {number | null} price - Current unit price; null if no longer sold.
+ * @property {'available' | 'price_changed' | 'out_of_stock' | 'unavailable'} status
+ */
+
+/**
+ * A cart checked against the store's current catalog and status before checkout.
+ * Based on backend/controllers/orderController.js validateCart
+ * @typedef {object} CartValidation
+ * @property {string} storeId
+ * @property {string | null} storeName
+ * @property {boolean} isStoreActive
+ * @property {StoreOpenStatus | null} openStatus - Null if the store no longer exists.
+ * @property {string | null} storeMessage - Why the store can't take the order right now; null while it's open.
+ * @property {CatalogCheckItem[]} items - One per cart line, in cart order.
+ * @property {boolean} hasChanges - True if any line's price, availability or stock differs from the cart.
+ * @property {boolean} canCheckout - The store is taking orders and the cart can be bought as it stands.
+ * @property {boolean} canSchedule - The cart can be bought as it stands for one of the store's delivery
+ *   slots, even while the store is closed.
+ */
+
+/**
+ * Money given back to the customer for removed items or a cancelled order.
+ * Based on backend/models/Order.js refundSchema
+ * @typedef {object} OrderRefund
+ * @property {string} _id
+ * @property {number} amount
+ * @property {string} reason
+ * @property {'original_payment'} method
+ * @property {'pending' | 'processing' | 'processed' | 'failed'} status
+ * @property {{ productId: string, name: string, quantity: number }[]} items - Lines covered; empty for a full cancellation.
+ * @property {string} createdAt
+ * @property {string} [processedAt]
  */
 
 /**
@@ -84,15 +556,218 @@ const apiClient = axios.create({
  * @property {number} quantity
  */
 
+/**
+ * A delivery address as entered at checkout or saved to the address book.
+ * Based on backend/utils/address.js parseAddressInput
+ * @typedef {object} AddressInput
+ * @property {string} [label] - e.g. 'Home' or 'Work'.
+ * @property {string} house - House/flat number and building.
+ * @property {string} [street]
+ * @property {string} [landmark]
+ * @property {string} city
+ * @property {string} pincode - 6-digit Indian pincode.
+ * @property {number} [lat] - Optional pin, sent together with lng.
+ * @property {number} [lng]
+ */
+
+/**
+ * The structured address stored on an order.
+ * Based on backend/models/Customer.js deliveryAddressSchema
+ * @typedef {object} DeliveryAddress
+ * @property {string} [label]
+ * @property {string} house
+ * @property {string} [street]
+ * @property {string} [landmark]
+ * @property {string} city
+ * @property {string} pincode
+ * @property {{ type: 'Point', coordinates: [number, number] }} [location] - GeoJSON point, [longitude, latitude].
+ */
+
+/**
+ * An entry in the customer's address book.
+ * Based on backend/utils/address.js toAddressResponse
+ * @typedef {object} SavedAddress
+ * @property {string} id
+ * @property {string | null} label
+ * @property {string} house
+ * @property {string | null} street
+ * @property {string | null} landmark
+ * @property {string} city
+ * @property {string} pincode
+ * @property {number | null} lat
+ * @property {number | null} lng
+ * @property {string | null} lastUsedAt
+ */
+
+/**
+ * Whether a store delivers to an address.
+ * Based on backend/services/serviceabilityService.js
+ * @typedef {object} Serviceability
+ * @property {boolean} serviceable
+ * @property {'distance' | 'pincode'} basis - Distance when both sides have coordinates, otherwise pincode.
+ * @property {number | null} distanceKm
+ * @property {string} message - Explanation for the customer.
+ */
+
+/**
+ * One store's order in a group, as shown to the customer.
+ * Based on backend/controllers/orderGroupController.js toOrderGroupView
+ * @typedef {Order & { storeName: string | null, trackingToken: string }} OrderGroupOrder
+ */
+
+/**
+ * Orders from several stores placed in one checkout.
+ * Based on backend/controllers/orderGroupController.js toOrderGroupView
+ * @typedef {object} OrderGroup
+ * @property {string} _id
+ * @property {'cod' | 'online'} paymentMethod - Shared by every order in the group.
+ * @property {string} createdAt
+ * @property {OrderGroupOrder[]} orders - One per store, in cart order.
+ * @property {{ itemSubtotal: number, deliveryFee: number, discountTotal: number, taxAmount: number,
+ *   grandTotal: number, totalAmount: number, amountDue: number }} summary - Added up over the orders
+ *   that aren't cancelled; `amountDue` is what is still to be paid online.
+ * @property {string} [trackingToken] - Only in the createOrderGroup response; saved by createOrderGroup.
+ */
+
+/**
+ * The payload for ordering from several stores at once. Everything but
+ * `stores` is shared by the orders and means the same as in OrderPayload.
+ * @typedef {Omit<OrderPayload, 'storeId' | 'items' | 'couponCode' | 'deliverySlot'> & {
+ *   stores: Array<{ storeId: string, items: CartItemPayload[], deliverySlot?: { slotId: string, date: string } }>
+ * }} OrderGroupPayload
+ */
+
 /**
  * Represents the structure of the payload for creating a new order.
+ * Exactly one of `addressId` and `deliveryAddress` is sent.
  * @typedef {object} OrderPayload
  * @property {string} storeId - The ID of the store (_id).
  * @property {object} customerDetails
  * @property {string} customerDetails.name
  * @property {string} customerDetails.phone
- * @property {string} customerDetails.address
+ * @property {string} [addressId] - A saved address of the logged-in customer.
+ * @property {AddressInput} [deliveryAddress] - A new address.
+ * @property {boolean} [saveAddress] - Add `deliveryAddress` to the logged-in customer's address book.
  * @property {CartItemPayload[]} items - Array of items from the cart.
+ * @property {{ lat: number, lng: number }} [deliveryLocation] - Customer coordinates, needed by stores that charge delivery by distance.
+ * @property {string} [couponCode] - Re-checked by the server; the order is rejected if it no longer applies.
+ * @property {'cod' | 'online'} [paymentMethod='cod'] - Online orders are paid afterwards via createPaymentIntent.
+ * @property {{ slotId: string, date: string }} [deliverySlot] - Deliver in one of the store's slots
+ *   (see fetchDeliverySlots) instead of straight away.
+ */
+
+
+/**
+ * Represents a logged-in store owner.
+ * Based on backend/controllers/authController.js
+ * @typedef {object} StoreOwner
+ * @property {string} id
+ * @property {string} name
+ * @property {string} email
+ * @property {string} storeId - The only store this owner may manage.
+ */
+
+/**
+ * Represents the session persisted in localStorage after login.
+ * @typedef {object} StoreOwnerSession
+ * @property {string} token - JWT sent as a Bearer token.
+ * @property {StoreOwner} owner
+ */
+
+/**
+ * A customer account, as returned by the backend.
+ * Based on backend/controllers/customerController.js
+ * @typedef {object} Customer
+ * @property {string} id
+ * @property {string} phone - Verified 10-digit mobile number; the login.
+ * @property {string | null} name - Prefilled at checkout.
+ * @property {SavedAddress[]} addresses - Address book, most recently used first.
+ */
+
+/**
+ * The cart saved to a customer's account, priced from each store's current catalog.
+ * Based on backend/controllers/customerController.js (getSavedCart)
+ * @typedef {object} SavedCart
+ * @property {Array<{ storeId: string, productId: string, name: string, price: number, quantity: number }>} items
+ * @property {string} updatedAt - ISO date the cart last changed.
+ */
+
+/**
+ * The customer session persisted in localStorage after OTP login.
+ * @typedef {object} CustomerSession
+ * @property {string} token - JWT sent as a Bearer token.
+ * @property {Customer} customer
+ */
+
+/**
+ * A delivery partner. Based on backend/controllers/riderController.js
+ * @typedef {object} Rider
+ * @property {string} id
+ * @property {string} name
+ * @property {string} phone - The login.
+ * @property {string} storeId - The store the rider delivers for.
+ * @property {'offline' | 'available'} availability - Whether the rider is on shift.
+ * @property {{ lat: number, lng: number } | null} location - Last reported position.
+ * @property {string | null} locationUpdatedAt
+ */
+
+/**
+ * A rider as listed on the store dashboard.
+ * @typedef {Rider & { status: 'offline' | 'idle' | 'busy', activeDeliveries: number }} StoreRider
+ */
+
+/**
+ * An order as the rider delivering it sees it.
+ * Based on backend/controllers/riderController.js (toRiderOrderView)
+ * @typedef {object} RiderDelivery
+ * @property {string} _id
+ * @property {string} status
+ * @property {string} createdAt
+ * @property {{ _id: string, name: string, address: object, contactPhone: string | null, location: object | null } | null} store
+ *   Where to pick the order up.
+ * @property {{ name: string, phone: string, address: string }} customerDetails
+ * @property {DeliveryAddress} [deliveryAddress]
+ * @property {Array<{ productId: string, name: string, quantity: number }>} items
+ * @property {'cod' | 'online'} paymentMethod
+ * @property {number} amountToCollect - Cash to take from the customer; 0 if already paid.
+ * @property {OrderDelivery} delivery
+ */
+
+/**
+ * One drop-off on a delivery batch's route.
+ * Based on backend/services/deliveryBatchService.js (describeBatchRoute)
+ * @typedef {object} BatchStop
+ * @property {number} sequence - 1 for the first stop.
+ * @property {string} orderId
+ * @property {string} status - The order's status.
+ * @property {string} customerName
+ * @property {string} address
+ * @property {{ lat: number, lng: number } | null} location
+ * @property {number} legDistanceKm - From the previous stop, or the store for the first.
+ * @property {number} distanceFromStoreKm - Along the route.
+ * @property {string | null} estimatedArrivalAt - When it was delivered, once it has been; null if cancelled.
+ * @property {string} dueAt - When the order is due at the customer.
+ * @property {boolean} isLate - Whether the estimate is after dueAt.
+ */
+
+/**
+ * A planned trip of several nearby orders for one rider. Suggested batches
+ * (not yet given to a rider) have only the route fields.
+ * @typedef {object} DeliveryBatch
+ * @property {string} [_id]
+ * @property {string} [riderId]
+ * @property {string | null} [riderName]
+ * @property {string} [createdAt]
+ * @property {number} totalDistanceKm - Straight-line distance from the store through every stop.
+ * @property {string | null} estimatedCompletionAt - ETA at the last stop.
+ * @property {BatchStop[]} stops - In route order.
+ */
+
+/**
+ * The rider session persisted in localStorage after OTP login.
+ * @typedef {object} RiderSession
+ * @property {string} token - JWT sent as a Bearer token.
+ * @property {Rider} rider
  */
 
 
@@ -116,76 +791,427 @@ const logError = (context, error) => {
   // Consider integrating a proper logging service for production errors later
 };
 
+/**
+ * Converts an Axios error into an Error carrying the backend's user-friendly
+ * message (from AppError responses), so components can show it directly.
+ * Falls back to the original error if the backend sent no message.
+ * @param {Error} error - The error thrown by apiClient.
+ * @returns {Error} The error to re-throw.
+ */
+const toStructuredError = (error) => {
+  const backendMessage = error.response?.data?.message;
+  if (!backendMessage) {
+    return error;
+  }
+  const structuredError = new Error(backendMessage);
+  structuredError.statusCode = error.response?.status;
+  structuredError.details = error.response?.data?.details; // e.g. { unavailableItems } for stock errors
+  structuredError.originalError = error; // Keep reference
+  return structuredError;
+};
+
 // --- API Service Functions ---
 
 /**
- * Fetches a list of stores matching the provided pincode.
+ * Logs a store owner in and saves the session so later requests are authenticated.
  * @async
- * @param {string} pincode - The 6-digit Indian pincode to search for.
- * @returns {Promise<Store[]>} A promise that resolves to an array of Store objects.
- * @throws {Error} Throws an error if the pincode is invalid or the API call fails.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<StoreOwner>} A promise that resolves to the logged-in owner.
+ * @throws {Error} Throws an error with the backend's message if the credentials are rejected.
  */
-const fetchStoresByPincode = async (pincode) => {
-  // Basic input validation
-  if (!pincode || typeof pincode !== 'string' || !/^[1-9][0-9]{5}$/.test(pincode)) {
-     const error = new Error('Invalid pincode provided. Please enter a valid 6-digit Indian pincode.');
-     logError('fetchStoresByPincode validation', error);
-     // Throw immediately for invalid input, preventing API call
+const loginStoreOwner = async (email, password) => {
+  if (typeof email !== 'string' || !email.trim() || typeof password !== 'string' || !password) {
+     const error = new Error('Please enter your email and password.');
+     logError('loginStoreOwner validation', error);
      throw error;
   }
-
   try {
-    const response = await apiClient.get('/api/stores', {
-      params: { pincode }, // Send pincode as a query parameter
-    });
-    // Axios handles non-2xx responses by throwing an error
-    return response.data; // Expected format: Array of Store objects
+    const response = await apiClient.post('/api/auth/login', { email: email.trim(), password });
+    const { token, owner } = response.data;
+    window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ token, owner }));
+    return owner;
   } catch (error) {
-    logError('fetchStoresByPincode', error);
-    // Re-throw the error so the calling component can handle UI state
-    throw error;
+    logError('loginStoreOwner', error);
+    throw toStructuredError(error);
   }
 };
 
 /**
- * Fetches detailed information for a single store by its ID.
+ * Texts a login code to a customer's mobile number.
  * @async
- * @param {string} storeId - The unique identifier of the store (MongoDB ObjectId as string).
- * @returns {Promise<Store>} A promise that resolves to a single Store object.
- * @throws {Error} Throws an error if the storeId is invalid or the API call fails (e.g., 404 Not Found).
+ * @param {string} phone - 10-digit mobile number.
+ * @returns {Promise<{ phone: string, expiresInSeconds: number, resendAfterSeconds: number }>}
+ * @throws {Error} Throws an error with the backend's message (429 with `details.retryAfterSeconds`
+ *   when codes are requested too often) if the API call fails.
  */
-const fetchStoreDetails = async (storeId) => {
-  if (!storeId || typeof storeId !== 'string' || storeId.trim().length === 0) {
-     const error = new Error('Invalid store ID provided.');
-     logError('fetchStoreDetails validation', error);
-     throw error;
-  }
+const requestCustomerOtp = async (phone) => {
   try {
-    const response = await apiClient.get(`/api/stores/${storeId}`);
-    return response.data; // Expected format: Single Store object
+    const response = await apiClient.post('/api/customers/otp', { phone });
+    return response.data;
   } catch (error) {
-    logError(`fetchStoreDetails (ID: ${storeId})`, error);
-    throw error;
+    logError('requestCustomerOtp', error);
+    throw toStructuredError(error);
   }
 };
 
 /**
- * Fetches the list of products for a specific store.
- * Assumes a dedicated backend endpoint `/api/stores/:storeId/products` exists.
+ * Logs a customer in with the code sent to their phone and saves the session.
+ * The first login creates the account.
  * @async
- * @param {string} storeId - The unique identifier of the store (MongoDB ObjectId as string).
- * @returns {Promise<Product[]>} A promise that resolves to an array of Product objects.
- * @throws {Error} Throws an error if the storeId is invalid or the API call fails.
+ * @param {string} phone
+ * @param {string} code
+ * @returns {Promise<{ customer: Customer, isNewCustomer: boolean }>}
+ * @throws {Error} Throws an error with the backend's message if the code is wrong or expired.
  */
-const fetchStoreProducts = async (storeId) => {
-   if (!storeId || typeof storeId !== 'string' || storeId.trim().length === 0) {
-     const error = new Error('Invalid store ID provided.');
-     logError('fetchStoreProducts validation', error);
-     throw error;
-  }
+const loginCustomer = async (phone, code) => {
   try {
-    // If the backend doesn't have this dedicated endpoint, this call will fail.
-    // Alternatively, one could call fetchStoreDetails and extract products,
+    const response = await apiClient.post('/api/customers/login', { phone, code });
+    const { token, customer, isNewCustomer } = response.data;
+    storeCustomerSession({ token, customer });
+    return { customer, isNewCustomer };
+  } catch (error) {
+    logError('loginCustomer', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Reloads the logged-in customer's profile and refreshes the saved session.
+ * @async
+ * @returns {Promise<Customer>}
+ * @throws {Error} Throws an error if not logged in or the API call fails (401 also logs out).
+ */
+const fetchCurrentCustomer = async () => {
+  const session = getStoredCustomerSession();
+  if (!session) {
+    throw new Error('You are not logged in.');
+  }
+  try {
+    const response = await apiClient.get('/api/customers/me', { headers: customerAuthHeaders() });
+    storeCustomerSession({ ...session, customer: response.data.customer });
+    return response.data.customer;
+  } catch (error) {
+    logError('fetchCurrentCustomer', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Sends a change to the logged-in customer's profile and saves the updated customer to the session.
+ * @param {string} context - For error logs.
+ * @param {(headers: object) => Promise<import('axios').AxiosResponse>} send - Makes the request.
+ * @returns {Promise<Customer>}
+ * @throws {Error} Throws an error if not logged in or the API call fails.
+ */
+const changeCurrentCustomer = async (context, send) => {
+  const session = getStoredCustomerSession();
+  if (!session) {
+    throw new Error('You are not logged in.');
+  }
+  try {
+    const response = await send({ headers: customerAuthHeaders() });
+    storeCustomerSession({ ...session, customer: response.data.customer });
+    return response.data.customer;
+  } catch (error) {
+    logError(context, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Updates the logged-in customer's saved name.
+ * @async
+ * @param {{ name: string }} updates
+ * @returns {Promise<Customer>}
+ * @throws {Error} Throws an error if not logged in or the API call fails.
+ */
+const updateCurrentCustomer = (updates) =>
+  changeCurrentCustomer('updateCurrentCustomer', (config) => apiClient.patch('/api/customers/me', updates, config));
+
+/**
+ * Adds an address to the logged-in customer's address book.
+ * @async
+ * @param {AddressInput} address
+ * @returns {Promise<Customer>} The customer with the new address.
+ * @throws {Error} Throws an error with the backend's message (e.g. invalid pincode, address book full).
+ */
+const addCustomerAddress = (address) =>
+  changeCurrentCustomer('addCustomerAddress', (config) => apiClient.post('/api/customers/me/addresses', address, config));
+
+/**
+ * Replaces a saved address.
+ * @async
+ * @param {string} addressId
+ * @param {AddressInput} address - The full address; optional parts left out are cleared.
+ * @returns {Promise<Customer>}
+ * @throws {Error} Throws an error with the backend's message on failure.
+ */
+const updateCustomerAddress = (addressId, address) =>
+  changeCurrentCustomer(
+    'updateCustomerAddress',
+    (config) => apiClient.patch(`/api/customers/me/addresses/${addressId}`, address, config)
+  );
+
+/**
+ * Removes a saved address.
+ * @async
+ * @param {string} addressId
+ * @returns {Promise<Customer>}
+ * @throws {Error} Throws an error on failure.
+ */
+const deleteCustomerAddress = (addressId) =>
+  changeCurrentCustomer('deleteCustomerAddress', (config) => apiClient.delete(`/api/customers/me/addresses/${addressId}`, config));
+
+/**
+ * Fetches the cart saved to the logged-in customer's account.
+ * @async
+ * @returns {Promise<SavedCart | null>} Null if nothing is saved or none of its stores still take orders.
+ * @throws {Error} Throws an error if not logged in or the API call fails.
+ */
+const fetchSavedCart = async () => {
+  try {
+    const response = await apiClient.get('/api/customers/me/cart', { headers: customerAuthHeaders() });
+    return response.data.cart;
+  } catch (error) {
+    logError('fetchSavedCart', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Replaces the cart saved to the logged-in customer's account. Only store and
+ * product IDs and quantities are sent; an empty cart clears the saved one.
+ * @async
+ * @param {{ items: Array<{ storeId: string, productId: string, quantity: number }> }} cart
+ * @returns {Promise<string | null>} When the server saved the cart (ISO date), or null once cleared.
+ * @throws {Error} Throws an error if not logged in or the API call fails.
+ */
+const saveCart = async ({ items }) => {
+  try {
+    const response = await apiClient.put('/api/customers/me/cart', {
+      items: items.map(({ storeId, productId, quantity }) => ({ storeId, productId, quantity })),
+    }, { headers: customerAuthHeaders() });
+    return response.data.updatedAt;
+  } catch (error) {
+    logError('saveCart', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Fetches a list of stores matching the provided pincode.
+ * @async
+ * @param {string} pincode - The 6-digit Indian pincode to search for.
+ * @returns {Promise<Store[]>} A promise that resolves to an array of Store objects.
+ * @throws {Error} Throws an error if the pincode is invalid or the API call fails.
+ */
+const fetchStoresByPincode = async (pincode) => {
+  // Basic input validation
+  if (!pincode || typeof pincode !== 'string' || !PINCODE_REGEX.test(pincode)) {
+     const error = new Error('Invalid pincode provided. Please enter a valid 6-digit Indian pincode.');
+     logError('fetchStoresByPincode validation', error);
+     // Throw immediately for invalid input, preventing API call
+     throw error;
+  }
+
+  try {
+    const response = await apiClient.get('/api/stores', {
+      params: { pincode }, // Send pincode as a query parameter
+    });
+    // Axios handles non-2xx responses by throwing an error
+    return response.data.results; // Paginated envelope: { results: Store[], pagination }
+  } catch (error) {
+    logError('fetchStoresByPincode', error);
+    // Re-throw the error so the calling component can handle UI state
+    throw error;
+  }
+};
+
+/**
+ * Fetches active stores that deliver to the given location, nearest first.
+ * @async
+ * @param {{ lat: number, lng: number }} location - The customer's coordinates.
+ * @returns {Promise<Store[]>} A promise that resolves to stores with `distanceKm` set.
+ * @throws {Error} Throws an error if the coordinates are invalid or the API call fails.
+ */
+const fetchNearbyStores = async ({ lat, lng }) => {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    const error = new Error('Invalid location provided. Please try again or search by pincode.');
+    logError('fetchNearbyStores validation', error);
+    throw error;
+  }
+
+  try {
+    const response = await apiClient.get('/api/stores/nearby', {
+      params: { lat, lng },
+    });
+    return response.data.results; // Paginated envelope, sorted by distance
+  } catch (error) {
+    logError('fetchNearbyStores', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Fetches detailed information for a single store by its ID.
+ * @async
+ * @param {string} storeId - The unique identifier of the store (MongoDB ObjectId as string).
+ * @returns {Promise<Store>} A promise that resolves to a single Store object.
+ * @throws {Error} Throws an error if the storeId is invalid or the API call fails (e.g., 404 Not Found).
+ */
+const fetchStoreDetails = async (storeId) => {
+  if (!storeId || typeof storeId !== 'string' || storeId.trim().length === 0) {
+     const error = new Error('Invalid store ID provided.');
+     logError('fetchStoreDetails validation', error);
+     throw error;
+  }
+  try {
+    const response = await apiClient.get(`/api/stores/${storeId}`);
+    return response.data; // Expected format: Single Store object
+  } catch (error) {
+    logError(`fetchStoreDetails (ID: ${storeId})`, error);
+    throw error;
+  }
+};
+
+/**
+ * Asks whether a store delivers to an address, e.g. to flag saved addresses at checkout.
+ * Placing an order runs the same check.
+ * @async
+ * @param {string} storeId
+ * @param {{ pincode: string, lat?: number | null, lng?: number | null }} address
+ * @returns {Promise<Serviceability>}
+ * @throws {Error} Throws an error with the backend's message on failure.
+ */
+const checkStoreServiceability = async (storeId, { pincode, lat, lng }) => {
+  try {
+    const hasLocation = Number.isFinite(lat) && Number.isFinite(lng);
+    const response = await apiClient.get(`/api/stores/${storeId}/serviceability`, {
+      params: hasLocation ? { pincode, lat, lng } : { pincode },
+    });
+    return response.data;
+  } catch (error) {
+    logError(`checkStoreServiceability (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * A store's delivery slots on a date, with the places each has left.
+ * @async
+ * @param {string} storeId
+ * @param {string} date - YYYY-MM-DD in store time, from today to a week ahead.
+ * @returns {Promise<{ date: string, slots: DeliverySlot[] }>}
+ * @throws {Error} Throws an error with the backend's message on failure.
+ */
+const fetchDeliverySlots = async (storeId, date) => {
+  try {
+    const response = await apiClient.get(`/api/stores/${storeId}/delivery-slots`, { params: { date } });
+    return response.data;
+  } catch (error) {
+    logError(`fetchDeliverySlots (store: ${storeId}, date: ${date})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * The fields a store owner can set on a delivery slot.
+ * @typedef {Partial<Omit<StoreDeliverySlot, '_id'>>} DeliverySlotInput
+ */
+
+/**
+ * Adds a delivery slot to a store (store owner only).
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {DeliverySlotInput} slot - The new slot; starts, ends and capacity are required.
+ * @returns {Promise<StoreDeliverySlot>} A promise that resolves to the created slot, including its `_id`.
+ * @throws {Error} Throws an error with the backend's validation message on failure.
+ */
+const addStoreDeliverySlot = async (storeId, slot) => {
+  try {
+    const response = await apiClient.post(`/api/stores/${storeId}/delivery-slots`, slot);
+    return response.data;
+  } catch (error) {
+    logError(`addStoreDeliverySlot (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Edits a delivery slot or switches it off (store owner only). The slot keeps
+ * its `_id`, so places already booked in it still count.
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {string} slotId - The slot's `_id`.
+ * @param {DeliverySlotInput} updates - The fields to change.
+ * @returns {Promise<StoreDeliverySlot>} A promise that resolves to the updated slot.
+ * @throws {Error} Throws an error with the backend's validation message on failure.
+ */
+const updateStoreDeliverySlot = async (storeId, slotId, updates) => {
+  try {
+    const response = await apiClient.patch(`/api/stores/${storeId}/delivery-slots/${slotId}`, updates);
+    return response.data;
+  } catch (error) {
+    logError(`updateStoreDeliverySlot (store: ${storeId}, slot: ${slotId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Removes a delivery slot (store owner only).
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {string} slotId - The slot's `_id`.
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error with the backend's message on failure (409 while orders are
+ *   booked in it; switch it off instead).
+ */
+const deleteStoreDeliverySlot = async (storeId, slotId) => {
+  try {
+    await apiClient.delete(`/api/stores/${storeId}/delivery-slots/${slotId}`);
+  } catch (error) {
+    logError(`deleteStoreDeliverySlot (store: ${storeId}, slot: ${slotId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Updates a store's settings (store owner only), e.g. opening hours or the
+ * pause switch. Products and delivery slots are managed through their own functions instead.
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {Partial<Store>} updates - The fields to change.
+ * @returns {Promise<Store>} A promise that resolves to the updated store.
+ * @throws {Error} Throws an error with the backend's validation message on failure.
+ */
+const updateStore = async (storeId, updates) => {
+  try {
+    const response = await apiClient.patch(`/api/stores/${storeId}`, updates);
+    return response.data;
+  } catch (error) {
+    logError(`updateStore (ID: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Fetches the list of products for a specific store.
+ * Assumes a dedicated backend endpoint `/api/stores/:storeId/products` exists.
+ * @async
+ * @param {string} storeId - The unique identifier of the store (MongoDB ObjectId as string).
+ * @returns {Promise<Product[]>} A promise that resolves to an array of Product objects.
+ * @throws {Error} Throws an error if the storeId is invalid or the API call fails.
+ */
+const fetchStoreProducts = async (storeId) => {
+   if (!storeId || typeof storeId !== 'string' || storeId.trim().length === 0) {
+     const error = new Error('Invalid store ID provided.');
+     logError('fetchStoreProducts validation', error);
+     throw error;
+  }
+  try {
+    // If the backend doesn't have this dedicated endpoint, this call will fail.
+    // Alternatively, one could call fetchStoreDetails and extract products,
     // but that might fetch unnecessary data if only products are needed.
     const response = await apiClient.get(`/api/stores/${storeId}/products`);
     return response.data; // Expected format: Array of Product objects
@@ -196,7 +1222,214 @@ const fetchStoreProducts = async (storeId) => {
 };
 
 /**
- * Submits a new guest order to the backend.
+ * Represents the fields a store owner can set on a product.
+ * @typedef {object} ProductInput
+ * @property {string} [name]
+ * @property {string} [category]
+ * @property {number} [price]
+ * @property {number | null} [stock] - null to stop tracking inventory.
+ */
+
+/**
+ * Result of a bulk catalog import or dry run.
+ * Based on backend/controllers/catalogController.js
+ * @typedef {object} CatalogImportReport
+ * @property {'upsert' | 'replace'} mode
+ * @property {boolean} dryRun
+ * @property {boolean} applied - True once the catalog was saved.
+ * @property {{ totalRows: number, created: number, updated: number, removed: number, failed: number }} summary
+ * @property {Array<{ row: number, name?: string, messages: string[] }>} errors - Row numbers are 1-based, excluding the CSV header.
+ * @property {Product[]} [products] - The saved catalog, when applied.
+ */
+
+/**
+ * Adds a product to a store's catalog (store owner only).
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {ProductInput} product - The new product; name and price are required.
+ * @returns {Promise<Product>} A promise that resolves to the created product, including its `_id`.
+ * @throws {Error} Throws an error with the backend's validation message on failure.
+ */
+const addStoreProduct = async (storeId, product) => {
+  try {
+    const response = await apiClient.post(`/api/stores/${storeId}/products`, product);
+    return response.data;
+  } catch (error) {
+    logError(`addStoreProduct (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Edits or reprices a product (store owner only). The product keeps its `_id`.
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {string} productId - The product's `_id`.
+ * @param {ProductInput} updates - The fields to change.
+ * @returns {Promise<Product>} A promise that resolves to the updated product.
+ * @throws {Error} Throws an error with the backend's validation message on failure.
+ */
+const updateStoreProduct = async (storeId, productId, updates) => {
+  try {
+    const response = await apiClient.patch(`/api/stores/${storeId}/products/${productId}`, updates);
+    return response.data;
+  } catch (error) {
+    logError(`updateStoreProduct (store: ${storeId}, product: ${productId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Removes a product from a store's catalog (store owner only).
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {string} productId - The product's `_id`.
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error with the backend's message on failure.
+ */
+const deleteStoreProduct = async (storeId, productId) => {
+  try {
+    await apiClient.delete(`/api/stores/${storeId}/products/${productId}`);
+  } catch (error) {
+    logError(`deleteStoreProduct (store: ${storeId}, product: ${productId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Sets the display order of a store's products (store owner only).
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {string[]} productIds - Every product `_id` in the store, in the new order.
+ * @returns {Promise<Product[]>} A promise that resolves to the reordered product list.
+ * @throws {Error} Throws an error with the backend's message on failure (409 if the list changed meanwhile).
+ */
+const reorderStoreProducts = async (storeId, productIds) => {
+  try {
+    const response = await apiClient.put(`/api/stores/${storeId}/products/order`, { productIds });
+    return response.data;
+  } catch (error) {
+    logError(`reorderStoreProducts (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Bulk-imports products into a store's catalog (store owner only).
+ * If any row is invalid nothing is saved and the thrown error's `details`
+ * carries the same report as a dry run, including row-level `errors`.
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {object} options - Import options.
+ * @param {string} options.content - The raw file contents.
+ * @param {'csv' | 'json'} options.format - The file format.
+ * @param {'upsert' | 'replace'} [options.mode='upsert'] - Merge into the catalog, or make the file the whole catalog.
+ * @param {boolean} [options.dryRun=false] - Validate and report without saving.
+ * @returns {Promise<CatalogImportReport>} A promise that resolves to the import report.
+ * @throws {Error} Throws an error with the backend's message (and `details` report) on failure.
+ */
+const importStoreProducts = async (storeId, { content, format, mode = 'upsert', dryRun = false }) => {
+  let body = content;
+  if (format === 'json') {
+    try {
+      body = JSON.parse(content);
+    } catch {
+      throw new Error('The selected file is not valid JSON.');
+    }
+  }
+
+  try {
+    const response = await apiClient.post(`/api/stores/${storeId}/products/import`, body, {
+      params: { mode, dryRun: dryRun ? 'true' : undefined },
+      headers: format === 'csv' ? { 'Content-Type': 'text/csv' } : undefined,
+      timeout: 60000, // Large catalogs take longer than a normal request
+    });
+    return response.data;
+  } catch (error) {
+    logError(`importStoreProducts (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Downloads a store's catalog as a file the import accepts back (store owner only).
+ * @async
+ * @param {string} storeId - The store's ID.
+ * @param {'csv' | 'json'} [format='csv'] - The export format.
+ * @returns {Promise<Blob>} A promise that resolves to the file contents.
+ * @throws {Error} Throws an error with the backend's message on failure.
+ */
+const exportStoreProducts = async (storeId, format = 'csv') => {
+  try {
+    const response = await apiClient.get(`/api/stores/${storeId}/products/export`, {
+      params: { format },
+      responseType: 'blob',
+    });
+    return response.data;
+  } catch (error) {
+    logError(`exportStoreProducts (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Prices a cart exactly as placing the order would, without creating it.
+ * @async
+ * An invalid coupon does not fail the quote; its result is reported in `quote.coupon`.
+ * @async
+ * @param {object} cart
+ * @param {string} cart.storeId
+ * @param {CartItemPayload[]} cart.items
+ * @param {{ lat: number, lng: number }} [cart.deliveryLocation]
+ * @param {{ addressId: string } | { deliveryAddress: AddressInput }} [cart.address] - Where the order goes;
+ *   the quote fails if the store doesn't deliver there.
+ * @param {string} [cart.couponCode] - Coupon typed by the customer.
+ * @param {string} [cart.phone] - Customer's mobile number, needed for first-order and per-customer offers.
+ * @returns {Promise<OrderQuote>} A promise that resolves to the quote.
+ * @throws {Error} Throws an error with the backend's message (e.g. outside the delivery area) on failure.
+ */
+const fetchOrderQuote = async ({ storeId, items, deliveryLocation, address, couponCode, phone }) => {
+  try {
+    const response = await apiClient.post('/api/orders/quote', {
+      storeId,
+      items: items.map(({ productId, quantity }) => ({ productId, quantity })),
+      ...address,
+      deliveryLocation,
+      couponCode: couponCode || undefined,
+      customerDetails: phone ? { phone } : undefined,
+    }, { headers: customerAuthHeaders() });
+    return response.data;
+  } catch (error) {
+    logError(`fetchOrderQuote (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Checks the cart against the store's current prices, products and status, so
+ * changes since the items were added can be shown before the order is placed.
+ * @async
+ * @param {{ storeId: string, items: CartItemPayload[] }} cart - Items with the price shown in the cart.
+ * @returns {Promise<CartValidation>}
+ * @throws {Error} Throws an error if the API call fails.
+ */
+const validateCart = async ({ storeId, items }) => {
+  try {
+    const response = await apiClient.post('/api/orders/validate-cart', {
+      storeId,
+      items: items.map(({ productId, name, price, quantity }) => ({ productId, name, price, quantity })),
+    });
+    return response.data;
+  } catch (error) {
+    logError(`validateCart (store: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Submits a new order to the backend, as a guest or for the logged-in customer.
+ * Item names and prices are re-read from the store's catalog on the server;
+ * the values sent here are only used for client-side validation.
  * @async
  * @param {OrderPayload} orderData - The order data payload conforming to the OrderPayload structure.
  * @returns {Promise<Order | object>} A promise that resolves to the created order details or a success response object from the backend.
@@ -210,7 +1443,7 @@ const createOrder = async (orderData) => {
     typeof orderData.customerDetails !== 'object' || !orderData.customerDetails ||
     typeof orderData.customerDetails.name !== 'string' || !orderData.customerDetails.name ||
     typeof orderData.customerDetails.phone !== 'string' || !orderData.customerDetails.phone ||
-    typeof orderData.customerDetails.address !== 'string' || !orderData.customerDetails.address ||
+    (!orderData.addressId && (typeof orderData.deliveryAddress !== 'object' || !orderData.deliveryAddress)) ||
     !Array.isArray(orderData.items) || orderData.items.length === 0
     ) {
     const error = new Error('Invalid order data structure provided.');
@@ -231,53 +1464,750 @@ const createOrder = async (orderData) => {
    }
 
   try {
-    const response = await apiClient.post('/api/orders', orderData);
-    return response.data; // Expected: Created Order object or { message: 'Success' }
+    // A logged-in customer's order is linked to their account
+    const response = await apiClient.post('/api/orders', orderData, { headers: customerAuthHeaders() });
+    // Keep the tracking token so the customer can follow the order from this device
+    if (response.data?._id && response.data.trackingToken) {
+      saveOrderTrackingToken(response.data._id, response.data.trackingToken);
+    }
+    return response.data; // Expected: Created Order object, including its trackingToken
   } catch (error) {
     logError('createOrder', error);
-    // Try to extract a user-friendly message from backend's structured error (AppError)
-    const backendMessage = error.response?.data?.message;
-    if (backendMessage) {
-        const structuredError = new Error(backendMessage);
-        structuredError.statusCode = error.response?.status;
-        structuredError.originalError = error; // Keep reference
-        throw structuredError;
-    }
-    // Fallback to re-throwing the original Axios error
-    throw error;
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Orders the items of several stores in one checkout: each store gets its own
+ * order, linked in a group. Either every order is placed or none is. The
+ * group's and each order's tracking token are saved on this device.
+ * @async
+ * @param {OrderGroupPayload} groupData
+ * @returns {Promise<OrderGroup>}
+ * @throws {Error} Throws an error if the API call fails; a store's problem names the store and
+ *   carries its `storeId` in `details`.
+ */
+const createOrderGroup = async (groupData) => {
+  try {
+    const response = await apiClient.post('/api/order-groups', groupData, { headers: customerAuthHeaders() });
+    const group = response.data;
+    saveOrderTrackingToken(group._id, group.trackingToken);
+    group.orders.forEach((order) => saveOrderTrackingToken(order._id, order.trackingToken));
+    return group;
+  } catch (error) {
+    logError('createOrderGroup', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Fetches an order group with each of its orders and the combined summary.
+ * Sends the group's saved tracking token; without one only the customer
+ * account that placed it can see it.
+ * @async
+ * @param {string} groupId
+ * @returns {Promise<OrderGroup>}
+ * @throws {Error} Throws an error (403 without access; see requestOrderGroupTrackingToken) if the API call fails.
+ */
+const fetchOrderGroup = async (groupId) => {
+  try {
+    const response = await apiClient.get(`/api/order-groups/${groupId}`, { headers: orderViewerHeaders(groupId) });
+    // Let the customer open each order from here, even on a device that didn't place them
+    response.data.orders.forEach((order) => saveOrderTrackingToken(order._id, order.trackingToken));
+    return response.data;
+  } catch (error) {
+    logError(`fetchOrderGroup (ID: ${groupId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Recovers access to an order group on a device without its link, like
+ * requestOrderTrackingToken does for a single order.
+ * @async
+ * @param {string} groupId
+ * @param {string} phone
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error (403 if the number doesn't match) if the API call fails.
+ */
+const requestOrderGroupTrackingToken = async (groupId, phone) => {
+  try {
+    const response = await apiClient.post(`/api/order-groups/${groupId}/tracking-token`, { phone });
+    saveOrderTrackingToken(groupId, response.data.trackingToken);
+  } catch (error) {
+    logError(`requestOrderGroupTrackingToken (ID: ${groupId})`, error);
+    throw toStructuredError(error);
   }
 };
 
 /**
- * Fetches the list of orders placed for a specific store (intended for admin view).
- * Assumes a dedicated backend endpoint `/api/stores/:storeId/orders` exists and is secured appropriately.
+ * Fetches a single order by its ID, e.g. so a customer can view an order they placed.
+ * Sends the order's saved tracking token; without one only the store's owner can see it.
+ * @async
+ * @param {string} orderId - The unique identifier of the order (MongoDB ObjectId as string).
+ * @returns {Promise<Order>} A promise that resolves to the Order object.
+ * @throws {Error} Throws an error if the orderId is invalid or the API call fails (e.g. 404 Not Found,
+ *   or 403 if this device has no valid tracking token; see requestOrderTrackingToken).
+ */
+const fetchOrderDetails = async (orderId) => {
+  if (!orderId || typeof orderId !== 'string' || orderId.trim().length === 0) {
+     const error = new Error('Invalid order ID provided.');
+     logError('fetchOrderDetails validation', error);
+     throw error;
+  }
+  try {
+    const response = await apiClient.get(`/api/orders/${orderId}`, { headers: orderViewerHeaders(orderId) });
+    return response.data; // Expected format: Single Order object
+  } catch (error) {
+    logError(`fetchOrderDetails (ID: ${orderId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Fetches a page of the logged-in customer's orders, newest first.
+ * @async
+ * @param {{ page?: number, limit?: number }} [options]
+ * @returns {Promise<{ results: OrderHistoryEntry[], pagination: { page: number, limit: number, total: number, totalPages: number } }>}
+ * @throws {Error} Throws an error if not logged in or the API call fails.
+ */
+const fetchCustomerOrders = async ({ page = 1, limit } = {}) => {
+  try {
+    const response = await apiClient.get('/api/customers/me/orders', {
+      params: { page, limit },
+      headers: customerAuthHeaders(),
+    });
+    return response.data;
+  } catch (error) {
+    logError('fetchCustomerOrders', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Checks an earlier order's items against the store's current catalog, so they
+ * can be added to the cart again with today's prices.
+ * @async
+ * @param {string} orderId
+ * @returns {Promise<{ storeId: string, storeName: string | null, isStoreActive: boolean, items: CatalogCheckItem[] }>}
+ * @throws {Error} Throws an error (403 without access to the order) if the API call fails.
+ */
+const fetchReorderItems = async (orderId) => {
+  try {
+    const response = await apiClient.get(`/api/orders/${orderId}/reorder`, { headers: orderViewerHeaders(orderId) });
+    return response.data;
+  } catch (error) {
+    logError(`fetchReorderItems (ID: ${orderId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Recovers access to an order on a device without its tracking link: the
+ * customer confirms the phone number the order was placed with and the
+ * tracking token is saved for later requests.
+ * @async
+ * @param {string} orderId
+ * @param {string} phone
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error (403 if the number doesn't match) if the API call fails.
+ */
+const requestOrderTrackingToken = async (orderId, phone) => {
+  try {
+    const response = await apiClient.post(`/api/orders/${orderId}/tracking-token`, { phone });
+    saveOrderTrackingToken(orderId, response.data.trackingToken);
+  } catch (error) {
+    logError(`requestOrderTrackingToken (ID: ${orderId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Starts the online payment for an order placed with paymentMethod 'online',
+ * or returns the attempt still open for it. Call again after a failed attempt to retry.
+ * Sends the order's tracking token, as for fetchOrder.
+ * @async
+ * @param {string} orderId
+ * @returns {Promise<PaymentIntent>}
+ * @throws {Error} Throws an error (e.g. 409 if the order is already paid) if the API call fails.
+ */
+const createPaymentIntent = async (orderId) => {
+  try {
+    const response = await apiClient.post(`/api/orders/${orderId}/payment-intent`, null, {
+      headers: orderViewerHeaders(orderId),
+    });
+    return response.data;
+  } catch (error) {
+    logError(`createPaymentIntent (order: ${orderId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Starts one online payment for every order of a group still waiting to be paid,
+ * or returns the attempt still open for them. Call again after a failed attempt to retry.
+ * @async
+ * @param {string} orderGroupId
+ * @returns {Promise<PaymentIntent>}
+ * @throws {Error} Throws an error (e.g. 409 if nothing is left to pay) if the API call fails.
+ */
+const createOrderGroupPaymentIntent = async (orderGroupId) => {
+  try {
+    const response = await apiClient.post(`/api/order-groups/${orderGroupId}/payment-intent`, null, {
+      headers: orderViewerHeaders(orderGroupId),
+    });
+    return response.data;
+  } catch (error) {
+    logError(`createOrderGroupPaymentIntent (group: ${orderGroupId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Completes a payment with the mock gateway, standing in for the provider's
+ * payment page. Only works while the backend uses the mock gateway, outside production.
+ * @async
+ * @param {string} intentId
+ * @param {string} clientSecret - The intent's client secret, from createPaymentIntent.
+ * @param {'success' | 'failure'} outcome - Whether the simulated payment goes through.
+ * @returns {Promise<{ paymentStatus: Order['paymentStatus'] }>} The order's payment state afterwards
+ *   (`_id`, `paymentMethod`, `paymentStatus`, `payment`), or for a group's payment `{ paymentStatus, orders }`.
+ * @throws {Error} Throws an error if the API call fails.
+ */
+const completeMockPayment = async (intentId, clientSecret, outcome) => {
+  try {
+    const response = await apiClient.post(`/api/payments/mock/${intentId}/complete`, { clientSecret, outcome });
+    return response.data;
+  } catch (error) {
+    logError(`completeMockPayment (intent: ${intentId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Fetches a page of the orders placed for a specific store, newest first (intended for admin view).
+ * Requires a logged-in owner of this store (see loginStoreOwner).
  * @async
  * @param {string} storeId - The unique identifier of the store (MongoDB ObjectId as string).
- * @returns {Promise<Order[]>} A promise that resolves to an array of Order objects placed for that store.
+ * @param {{ page?: number, limit?: number, status?: string }} [options] - `status` lists only orders in that status.
+ * @returns {Promise<{ results: Order[], pagination: { page: number, limit: number, total: number, totalPages: number } }>}
  * @throws {Error} Throws an error if the storeId is invalid or the API call fails.
  */
-const fetchStoreOrders = async (storeId) => {
+const fetchStoreOrders = async (storeId, { page = 1, limit, status } = {}) => {
   if (!storeId || typeof storeId !== 'string' || storeId.trim().length === 0) {
      const error = new Error('Invalid store ID provided.');
      logError('fetchStoreOrders validation', error);
      throw error;
   }
   try {
-    // Ensure this backend endpoint exists and handles authorization if needed
-    const response = await apiClient.get(`/api/stores/${storeId}/orders`);
-    return response.data; // Expected format: Array of Order objects
+    const response = await apiClient.get(`/api/stores/${storeId}/orders`, { params: { page, limit, status } });
+    return response.data; // Paginated envelope: { results: Order[], pagination }
   } catch (error) {
     logError(`fetchStoreOrders (ID: ${storeId})`, error);
-    throw error;
+    throw toStructuredError(error); // Surface 401/403 messages from the auth middleware
+  }
+};
+
+/**
+ * Moves an order to a new status (intended for admin view).
+ * The backend only allows legal transitions; use `order.nextStatuses` to know which are valid.
+ * @async
+ * @param {string} orderId - The unique identifier of the order (MongoDB ObjectId as string).
+ * @param {string} status - The new status, e.g. 'accepted'.
+ * @param {string} [reason] - Why the status changed. Required when cancelling.
+ * @param {string} [deliveryOtp] - The customer's delivery code. Required to mark an order delivered.
+ * @returns {Promise<Order>} A promise that resolves to the updated Order object.
+ * @throws {Error} Throws an error with the backend's message if the transition is rejected.
+ */
+const updateOrderStatus = async (orderId, status, reason, deliveryOtp) => {
+  if (!orderId || typeof orderId !== 'string' || typeof status !== 'string' || !status) {
+     const error = new Error('Invalid order ID or status provided.');
+     logError('updateOrderStatus validation', error);
+     throw error;
+  }
+  try {
+    const response = await apiClient.patch(`/api/orders/${orderId}/status`, { status, reason, deliveryOtp });
+    return response.data; // Expected format: Updated Order object
+  } catch (error) {
+    logError(`updateOrderStatus (ID: ${orderId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Lists a store's riders and what each is doing (store owner only).
+ * @async
+ * @param {string} storeId
+ * @returns {Promise<StoreRider[]>}
+ * @throws {Error} Throws an error with the backend's message if the API call fails.
+ */
+const fetchStoreRiders = async (storeId) => {
+  try {
+    const response = await apiClient.get(`/api/stores/${storeId}/riders`);
+    return response.data.riders;
+  } catch (error) {
+    logError(`fetchStoreRiders (ID: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Assigns an order to a rider (store owner only), replacing any earlier rider.
+ * @async
+ * @param {string} orderId
+ * @param {{ riderId: string } | { auto: true }} assignment - A rider, or `auto` for the nearest idle one.
+ * @returns {Promise<Order>} The updated order.
+ * @throws {Error} Throws an error (409 if no rider is free for `auto`) if the API call fails.
+ */
+const assignOrderRider = async (orderId, assignment) => {
+  try {
+    const response = await apiClient.post(`/api/orders/${orderId}/rider`, assignment);
+    return response.data;
+  } catch (error) {
+    logError(`assignOrderRider (ID: ${orderId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * How well a store keeps its delivery promises (store owner only).
+ * @async
+ * @param {string} storeId
+ * @param {number} [days=7] - How many days of delivered orders to cover (1-90).
+ * @returns {Promise<StoreSlaMetrics>}
+ * @throws {Error} Throws an error with the backend's message if the API call fails.
+ */
+const fetchStoreSla = async (storeId, days = 7) => {
+  try {
+    const response = await apiClient.get(`/api/stores/${storeId}/sla`, { params: { days } });
+    return response.data;
+  } catch (error) {
+    logError(`fetchStoreSla (ID: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * A store's delivery batches (store owner only): current ones with their
+ * riders, and suggestions grouped from its accepted orders without a rider.
+ * @async
+ * @param {string} storeId
+ * @returns {Promise<{ batches: DeliveryBatch[], suggestions: DeliveryBatch[] }>}
+ * @throws {Error} Throws an error with the backend's message if the API call fails.
+ */
+const fetchDeliveryBatches = async (storeId) => {
+  try {
+    const response = await apiClient.get(`/api/stores/${storeId}/delivery-batches`);
+    return response.data;
+  } catch (error) {
+    logError(`fetchDeliveryBatches (ID: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Gives several accepted orders to one rider as a single trip (store owner only).
+ * @async
+ * @param {string} storeId
+ * @param {string[]} orderIds - 2 to 4 orders without a rider.
+ * @param {{ riderId: string } | { auto: true }} assignment - A rider, or `auto` for the nearest idle one.
+ * @returns {Promise<DeliveryBatch>} The batch with its planned route.
+ * @throws {Error} Throws an error (409 if an order can't be batched or no rider is free) if the API call fails.
+ */
+const createDeliveryBatch = async (storeId, orderIds, assignment) => {
+  try {
+    const response = await apiClient.post(`/api/stores/${storeId}/delivery-batches`, { orderIds, ...assignment });
+    return response.data;
+  } catch (error) {
+    logError(`createDeliveryBatch (ID: ${storeId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Breaks a delivery batch up (store owner only). Orders not yet picked up
+ * lose their rider; the rest stay with the rider as single deliveries.
+ * @async
+ * @param {string} storeId
+ * @param {string} batchId
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error with the backend's message if the API call fails.
+ */
+const dissolveDeliveryBatch = async (storeId, batchId) => {
+  try {
+    await apiClient.delete(`/api/stores/${storeId}/delivery-batches/${batchId}`);
+  } catch (error) {
+    logError(`dissolveDeliveryBatch (ID: ${batchId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Takes an order away from its rider before it is picked up (store owner only).
+ * @async
+ * @param {string} orderId
+ * @returns {Promise<Order>} The updated order.
+ * @throws {Error} Throws an error with the backend's message if the API call fails.
+ */
+const unassignOrderRider = async (orderId) => {
+  try {
+    const response = await apiClient.delete(`/api/orders/${orderId}/rider`);
+    return response.data;
+  } catch (error) {
+    logError(`unassignOrderRider (ID: ${orderId})`, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Texts a login code to a rider's mobile number. The response is the same
+ * whether or not the number belongs to a rider.
+ * @async
+ * @param {string} phone - 10-digit mobile number.
+ * @returns {Promise<{ phone: string, expiresInSeconds: number, resendAfterSeconds: number }>}
+ * @throws {Error} Throws an error with the backend's message (429 when codes are requested too often).
+ */
+const requestRiderOtp = async (phone) => {
+  try {
+    const response = await apiClient.post('/api/riders/otp', { phone });
+    return response.data;
+  } catch (error) {
+    logError('requestRiderOtp', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Logs a rider in with the code sent to their phone and saves the session.
+ * @async
+ * @param {string} phone
+ * @param {string} code
+ * @returns {Promise<Rider>}
+ * @throws {Error} Throws an error with the backend's message if the code is wrong or the number isn't a rider's.
+ */
+const loginRider = async (phone, code) => {
+  try {
+    const response = await apiClient.post('/api/riders/login', { phone, code });
+    const { token, rider } = response.data;
+    storeRiderSession({ token, rider });
+    return rider;
+  } catch (error) {
+    logError('loginRider', error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Makes a request as the logged-in rider.
+ * @param {string} context - For error logs.
+ * @param {(config: object) => Promise<import('axios').AxiosResponse>} send - Makes the request.
+ * @returns {Promise<any>} The response body.
+ * @throws {Error} Throws an error if not logged in or the API call fails (401 also logs out).
+ */
+const sendAsRider = async (context, send) => {
+  if (!getStoredRiderSession()) {
+    throw new Error('You are not logged in.');
+  }
+  try {
+    const response = await send({ headers: riderAuthHeaders() });
+    return response.data;
+  } catch (error) {
+    logError(context, error);
+    throw toStructuredError(error);
+  }
+};
+
+/**
+ * Goes on or off shift and/or reports the rider's position, and refreshes the saved session.
+ * @async
+ * @param {{ availability?: 'offline' | 'available', location?: { lat: number, lng: number } }} updates
+ * @returns {Promise<Rider>}
+ */
+const updateCurrentRider = async (updates) => {
+  const { rider } = await sendAsRider('updateCurrentRider', (config) => apiClient.patch('/api/riders/me', updates, config));
+  const session = getStoredRiderSession();
+  if (session) storeRiderSession({ ...session, rider });
+  return rider;
+};
+
+/**
+ * The logged-in rider's orders still to be delivered, and the trips
+ * (batches) grouping some of them. Batched orders come first, in route
+ * order; the rest oldest first.
+ * @async
+ * @returns {Promise<{ deliveries: RiderDelivery[], batches: DeliveryBatch[] }>}
+ */
+const fetchRiderDeliveries = () =>
+  sendAsRider('fetchRiderDeliveries', (config) => apiClient.get('/api/riders/me/deliveries', config));
+
+/**
+ * Moves one of the rider's deliveries along: 'accept' or 'decline' the job,
+ * 'pickup' from the store, or 'complete' with the customer's delivery code.
+ * @async
+ * @param {string} orderId
+ * @param {'accept' | 'decline' | 'pickup' | 'complete'} action
+ * @param {{ otp?: string }} [body] - `otp` is required to complete.
+ * @returns {Promise<RiderDelivery | null>} The updated delivery; null once declined.
+ * @throws {Error} Throws an error with the backend's message, e.g. for a wrong delivery code.
+ */
+const updateRiderDelivery = async (orderId, action, body = {}) => {
+  const delivery = await sendAsRider(
+    `updateRiderDelivery (${action}, ID: ${orderId})`,
+    (config) => apiClient.post(`/api/riders/me/deliveries/${orderId}/${action}`, body, config)
+  );
+  return delivery || null;
+};
+
+// Reconnect delays for the live order feed: start quickly, back off to at most 30s
+const ORDER_FEED_RETRY_MIN_MS = 1000;
+const ORDER_FEED_RETRY_MAX_MS = 30000;
+
+/**
+ * Parses one Server-Sent Events block ("id: ..\nevent: ..\ndata: ..").
+ * @param {string} block
+ * @returns {{ id?: string, type: string, data: string, retry?: number } | null} null for comment-only blocks.
+ */
+const parseServerSentEvent = (block) => {
+  const event = { type: 'message', data: '' };
+  let hasFields = false;
+  block.split('\n').forEach((line) => {
+    if (!line || line.startsWith(':')) return; // Heartbeat comment
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    hasFields = true;
+    if (field === 'id') event.id = value;
+    else if (field === 'event') event.type = value;
+    else if (field === 'data') event.data += event.data ? `\n${value}` : value;
+    else if (field === 'retry' && /^\d+$/.test(value)) event.retry = Number(value);
+  });
+  return hasFields ? event : null;
+};
+
+/**
+ * Handlers for a live order feed.
+ * @typedef {object} OrderFeedHandlers
+ * @property {(type: 'order.created' | 'order.status_changed' | 'order.updated', order: Order) => void} onOrderEvent
+ * @property {() => void} onResync - Missed events can't be replayed; reload the order(s).
+ * @property {(state: 'connecting' | 'live' | 'reconnecting' | 'closed') => void} [onConnectionChange]
+ */
+
+/**
+ * Opens one of the backend's order event streams.
+ *
+ * Uses fetch rather than EventSource so credentials travel in headers instead
+ * of the URL. After a network drop it reconnects with backoff, sending the
+ * last event ID it saw so the backend replays whatever was missed. If that
+ * isn't possible the backend sends `resync`.
+ *
+ * @param {string} path - e.g. `/api/stores/:storeId/orders/stream`.
+ * @param {() => Record<string, string> | null} getAuthHeaders - Read on every (re)connect;
+ *   null closes the feed (logged out).
+ * @param {OrderFeedHandlers} handlers
+ * @returns {() => void} Closes the feed for good.
+ */
+const openOrderEventStream = (path, getAuthHeaders, { onOrderEvent, onResync, onConnectionChange = () => {} }) => {
+  const url = `${apiClient.defaults.baseURL}${path}`;
+  let lastEventId = null;
+  let retryDelay = ORDER_FEED_RETRY_MIN_MS;
+  let retryTimer = null;
+  let controller = null;
+  let isClosed = false;
+
+  const dispatch = (event) => {
+    if (event.retry) retryDelay = event.retry;
+    if (event.id) lastEventId = event.id;
+    if (event.type === 'resync') {
+      onResync();
+    } else if (event.type.startsWith('order.')) {
+      try {
+        onOrderEvent(event.type, JSON.parse(event.data));
+      } catch (err) {
+        logError(`openOrderEventStream (bad event on ${path})`, err);
+      }
+    }
+  };
+
+  const connect = async () => {
+    const authHeaders = getAuthHeaders();
+    if (!authHeaders) {
+      onConnectionChange('closed');
+      return;
+    }
+    controller = new AbortController();
+    onConnectionChange(lastEventId ? 'reconnecting' : 'connecting');
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          Accept: 'text/event-stream',
+          ...authHeaders,
+          ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+        },
+        signal: controller.signal,
+      });
+      if (response.status === 401 || response.status === 403) {
+        if (response.status === 401 && authHeaders.Authorization) {
+          clearSessionForAuthorization(authHeaders.Authorization);
+        }
+        isClosed = true;
+        onConnectionChange('closed');
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Order feed responded with ${response.status}`);
+      }
+
+      onConnectionChange('live');
+      retryDelay = ORDER_FEED_RETRY_MIN_MS;
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value.replace(/\r\n?/g, '\n');
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const event = parseServerSentEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          if (event) dispatch(event);
+          boundary = buffer.indexOf('\n\n');
+        }
+      }
+    } catch (err) {
+      if (isClosed) return; // Aborted by unsubscribe
+      logError(`openOrderEventStream (${path})`, err);
+    }
+
+    if (!isClosed) {
+      // Stream ended or failed: try again, backing off while the network is down
+      onConnectionChange('reconnecting');
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, ORDER_FEED_RETRY_MAX_MS);
+    }
+  };
+
+  connect();
+
+  return () => {
+    isClosed = true;
+    clearTimeout(retryTimer);
+    controller?.abort();
+    onConnectionChange('closed');
+  };
+};
+
+/**
+ * Subscribes to a store's live order feed (store owner only).
+ * @param {string} storeId
+ * @param {OrderFeedHandlers} handlers - onResync should reload the order list.
+ * @returns {() => void} Closes the feed for good.
+ */
+const subscribeToStoreOrders = (storeId, handlers) =>
+  openOrderEventStream(`/api/stores/${storeId}/orders/stream`, () => {
+    const session = getStoredSession();
+    return session ? { Authorization: `Bearer ${session.token}` } : null;
+  }, handlers);
+
+/**
+ * Subscribes to live updates of a single order, for the customer's tracking
+ * page. Uses the order's saved tracking token or the customer's login (see fetchOrderDetails).
+ * @param {string} orderId
+ * @param {OrderFeedHandlers} handlers - onResync should refetch the order.
+ * @returns {() => void} Closes the feed for good.
+ */
+const subscribeToOrderUpdates = (orderId, handlers) =>
+  openOrderEventStream(`/api/orders/${orderId}/stream`, () => {
+    const headers = orderViewerHeaders(orderId);
+    return Object.keys(headers).length > 0 ? headers : null;
+  }, handlers);
+
+/**
+ * Reduces or removes lines of an order, e.g. items the store has run out of (intended for admin view).
+ * The backend re-prices the order and refunds the difference if it was paid online.
+ * @async
+ * @param {string} orderId
+ * @param {{ productId: string, quantity: number }[]} items - New, lower quantities; 0 marks a line unavailable.
+ * @param {string} reason - Shown to the customer.
+ * @returns {Promise<Order>} The updated order.
+ * @throws {Error} Throws an error with the backend's message if the change is rejected.
+ */
+const adjustOrderItems = async (orderId, items, reason) => {
+  try {
+    const response = await apiClient.patch(`/api/orders/${orderId}/items`, { items, reason });
+    return response.data;
+  } catch (error) {
+    logError(`adjustOrderItems (ID: ${orderId})`, error);
+    throw toStructuredError(error);
   }
 };
 
 // --- Exports ---
 // Export all implemented API functions using named exports
 export {
+  getStoredSession,
+  clearStoredSession,
+  loginStoreOwner,
+  CUSTOMER_SESSION_EVENT,
+  getStoredCustomerSession,
+  clearStoredCustomerSession,
+  getStoredRiderSession,
+  clearStoredRiderSession,
+  requestCustomerOtp,
+  loginCustomer,
+  fetchCurrentCustomer,
+  updateCurrentCustomer,
+  addCustomerAddress,
+  updateCustomerAddress,
+  deleteCustomerAddress,
+  fetchSavedCart,
+  saveCart,
   fetchStoresByPincode,
+  fetchNearbyStores,
   fetchStoreDetails,
+  checkStoreServiceability,
+  fetchDeliverySlots,
+  addStoreDeliverySlot,
+  updateStoreDeliverySlot,
+  deleteStoreDeliverySlot,
+  updateStore,
   fetchStoreProducts,
+  addStoreProduct,
+  updateStoreProduct,
+  deleteStoreProduct,
+  reorderStoreProducts,
+  importStoreProducts,
+  exportStoreProducts,
+  fetchOrderQuote,
+  validateCart,
   createOrder,
+  createOrderGroup,
+  fetchOrderGroup,
+  requestOrderGroupTrackingToken,
+  fetchOrderDetails,
+  fetchCustomerOrders,
+  fetchReorderItems,
+  getOrderTrackingToken,
+  saveOrderTrackingToken,
+  requestOrderTrackingToken,
+  createPaymentIntent,
+  createOrderGroupPaymentIntent,
+  completeMockPayment,
   fetchStoreOrders,
+  updateOrderStatus,
+  adjustOrderItems,
+  fetchStoreRiders,
+  fetchStoreSla,
+  fetchDeliveryBatches,
+  createDeliveryBatch,
+  dissolveDeliveryBatch,
+  assignOrderRider,
+  unassignOrderRider,
+  requestRiderOtp,
+  loginRider,
+  updateCurrentRider,
+  fetchRiderDeliveries,
+  updateRiderDelivery,
+  subscribeToStoreOrders,
+  subscribeToOrderUpdates,
 };
\ No newline at end of file
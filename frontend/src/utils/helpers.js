@@ -90,5 +90,123 @@ const formatDate = (dateInput) => {
   }
 };
 
+/**
+ * Formats a distance in kilometres for display: metres below 1 km, otherwise
+ * kilometres with one decimal place.
+ *
+ * @param {number | null | undefined} distanceKm - The distance in kilometres.
+ * @returns {string} The formatted distance (e.g., "850 m", "2.4 km") or an empty string.
+ * @example formatDistance(0.85) // Returns "850 m"
+ * @example formatDistance(2.43) // Returns "2.4 km"
+ * @example formatDistance(undefined) // Returns ""
+ */
+const formatDistance = (distanceKm) => {
+  if (typeof distanceKm !== 'number' || !Number.isFinite(distanceKm) || distanceKm < 0) {
+    return '';
+  }
+  if (distanceKm < 1) {
+    // Round to the nearest 10 m; GPS isn't more precise than that anyway
+    return `${Math.max(10, Math.round(distanceKm * 100) * 10)} m`;
+  }
+  return `${distanceKm.toFixed(1)} km`;
+};
+
+// Stores keep Indian time regardless of where the browser is
+const STORE_TIME_ZONE = 'Asia/Kolkata';
+
+/**
+ * Formats a store opening or closing time in the store's timezone. Times today
+ * show only the time; later ones include the weekday.
+ *
+ * @param {string | Date | null | undefined} dateInput - ISO string or Date.
+ * @param {Date} [now=new Date()] - Reference point for "today".
+ * @returns {string} e.g. "9:30 pm" or "Mon 9:00 am", or an empty string for invalid input.
+ * @example formatStoreTime('2026-10-19T16:00:00Z') // Returns "9:30 pm" on 19 Oct (IST)
+ */
+const formatStoreTime = (dateInput, now = new Date()) => {
+  const date = dateInput ? new Date(dateInput) : null;
+  if (!date || isNaN(date.getTime())) {
+    return '';
+  }
+  const dayKey = (d) => d.toLocaleDateString('en-CA', { timeZone: STORE_TIME_ZONE });
+  const time = date.toLocaleTimeString('en-IN', { timeZone: STORE_TIME_ZONE, hour: 'numeric', minute: '2-digit' });
+  if (dayKey(date) === dayKey(now)) {
+    return time;
+  }
+  const weekday = date.toLocaleDateString('en-IN', { timeZone: STORE_TIME_ZONE, weekday: 'short' });
+  return `${weekday} ${time}`;
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The store-local calendar date of an instant.
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD.
+ */
+const toStoreDateKey = (date) => date.toLocaleDateString('en-CA', { timeZone: STORE_TIME_ZONE });
+
+/**
+ * Names a store-local day relative to today.
+ * @param {Date} date - Any instant on that day.
+ * @param {Date} now
+ * @returns {string} "Today", "Tomorrow" or e.g. "Wed, 21 Oct".
+ */
+const formatStoreDay = (date, now) => {
+  const dateKey = toStoreDateKey(date);
+  if (dateKey === toStoreDateKey(now)) return 'Today';
+  if (dateKey === toStoreDateKey(new Date(now.getTime() + MS_PER_DAY))) return 'Tomorrow';
+  return date.toLocaleDateString('en-IN', { timeZone: STORE_TIME_ZONE, weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+/**
+ * The next few store-local dates, today first, e.g. to pick a delivery day.
+ * Indian time has no daylight saving, so every day is 24 hours long.
+ *
+ * @param {number} count - How many dates.
+ * @param {Date} [now=new Date()]
+ * @returns {Array<{ value: string, label: string }>} `value` is YYYY-MM-DD, `label` e.g. "Tomorrow".
+ */
+const getStoreDates = (count, now = new Date()) =>
+  Array.from({ length: count }, (_, offset) => {
+    const date = new Date(now.getTime() + offset * MS_PER_DAY);
+    return { value: toStoreDateKey(date), label: formatStoreDay(date, now) };
+  });
+
+/**
+ * Formats a delivery slot's window in the store's timezone, naming the day.
+ *
+ * @param {{ startsAt: string, endsAt: string }} slot - ISO times.
+ * @param {Date} [now=new Date()] - Reference point for "today".
+ * @returns {string} e.g. "Tomorrow 7:00 am – 9:00 am".
+ */
+const formatDeliverySlot = ({ startsAt, endsAt }, now = new Date()) => {
+  const time = (dateInput) =>
+    new Date(dateInput).toLocaleTimeString('en-IN', { timeZone: STORE_TIME_ZONE, hour: 'numeric', minute: '2-digit' });
+  return `${formatStoreDay(new Date(startsAt), now)} ${time(startsAt)} – ${time(endsAt)}`;
+};
+
+// Indian 6-digit pincode, the same rule as backend/models/Store.js (starts 1-9, then 5 digits)
+const PINCODE_REGEX = /^[1-9][0-9]{5}$/;
+
+/**
+ * Formats a structured delivery address on one line, the way the backend
+ * writes it onto orders.
+ *
+ * @param {{ house: string, street?: string | null, landmark?: string | null, city: string, pincode: string }} address
+ * @returns {string} e.g. "Flat 4B, MG Road, Near Metro, Delhi - 110001".
+ */
+const formatAddress = (address) =>
+  `${[address.house, address.street, address.landmark, address.city].filter(Boolean).join(', ')} - ${address.pincode}`;
+
 // Export the utility functions using named exports
-export { formatCurrency, formatDate };
\ No newline at end of file
+export {
+  PINCODE_REGEX,
+  formatCurrency,
+  formatDate,
+  formatDistance,
+  formatStoreTime,
+  getStoreDates,
+  formatDeliverySlot,
+  formatAddress,
+};
\ No newline at end of file
@@ -1,4 +1,3 @@
-<?xml version="1.0" encoding="UTF-8"?><code language="javascript">
 // frontend/vite.config.js
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
@@ -26,4 +25,3 @@ export default defineConfig({
     outDir: 'dist',
   },
 });
-</code>
\ No newline at end of file